@@ -0,0 +1,217 @@
+/**
+ * AgentEventBridge - Publishes extension lifecycle events onto the agent event bus
+ * Content scripts (auto sync, export, search, chat) call these helpers so agents
+ * receive real traffic with a stable payload schema
+ */
+class AgentEventBridge {
+  /**
+   * @param {AgentManager} manager - Agent manager whose event bus receives the events
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.schemaVersion = AGENT_EVENT_SCHEMA_VERSION;
+  }
+
+  /**
+   * Publish an event with the common envelope fields added to the payload
+   * The event reaches the page agents and is relayed to the background agent host
+   * Never throws, a failing agent listener must not break the content script
+   * @param {string} eventType - Event type from AgentEventTypes
+   * @param {object} payload - Event payload
+   */
+  publish(eventType, payload = {}) {
+    if (!this.manager) return;
+
+    const data = {
+      ...payload,
+      schemaVersion: this.schemaVersion,
+      timestamp: Date.now()
+    };
+
+    try {
+      this.manager.getEventBus().emit(eventType, data).catch(error => {
+        console.error(`Failed to publish ${eventType}:`, error);
+      });
+      if (this.manager.remoteHost) {
+        this.manager.remoteHost.publishEvent(eventType, data);
+      }
+    } catch (error) {
+      console.error(`Failed to publish ${eventType}:`, error);
+    }
+  }
+
+  /**
+   * A conversation was stored locally for the first time
+   * Agents receive it in the canonical shape (scripts/agents/ConversationModel.js)
+   * @param {object} conversation - Stored conversation (mapping/current_node shape)
+   * @param {string} source - 'sync' or 'chat'
+   */
+  conversationCreated(conversation, source) {
+    if (!conversation || !conversation.id) return;
+    this.publish(AgentEventTypes.CONVERSATION_CREATED, {
+      conversationId: conversation.id,
+      conversation: normalizeConversation(conversation),
+      source
+    });
+  }
+
+  /**
+   * An already stored conversation was refreshed or received new messages
+   * Agents receive it in the canonical shape
+   * @param {object} conversation - Stored conversation (mapping/current_node shape)
+   * @param {string} source - 'sync' or 'chat'
+   */
+  conversationUpdated(conversation, source) {
+    if (!conversation || !conversation.id) return;
+    this.publish(AgentEventTypes.CONVERSATION_UPDATED, {
+      conversationId: conversation.id,
+      conversation: normalizeConversation(conversation),
+      source
+    });
+  }
+
+  /**
+   * A conversation was deleted (hidden on the server and moved to trash locally)
+   * @param {string} conversationId - Conversation ID
+   */
+  conversationDeleted(conversationId) {
+    if (!conversationId) return;
+    this.publish(AgentEventTypes.CONVERSATION_DELETED, { conversationId });
+  }
+
+  /**
+   * A full auto sync pass finished
+   * @param {object} details - Sync details
+   * @param {Array<string>} details.conversationIds - Conversations fetched during the pass
+   * @param {number} details.total - Number of remote conversations
+   * @param {number} details.duration - Duration of the pass in milliseconds
+   * @param {boolean} details.quickSync - Whether quick sync was enabled
+   */
+  conversationSynced({ conversationIds = [], total = 0, duration = 0, quickSync = false }) {
+    this.publish(AgentEventTypes.CONVERSATION_SYNCED, {
+      conversationIds,
+      total,
+      duration,
+      quickSync: !!quickSync
+    });
+  }
+
+  /**
+   * ChatGPT finished answering a prompt
+   * @param {string} conversationId - Conversation ID
+   * @param {object} message - Last assistant message, as streamed by ChatGPT
+   * @param {boolean} stopped - Whether the user stopped the answer
+   */
+  assistantResponse(conversationId, message, stopped = false) {
+    if (!conversationId || !message || !message.id) return;
+    const { content, model } = normalizeConversationMessage(message);
+    this.publish(AgentEventTypes.CONVERSATION_RESPONSE, {
+      conversationId,
+      messageId: message.id,
+      response: content,
+      model,
+      stopped: !!stopped
+    });
+  }
+
+  /**
+   * The message cap of a model was reached
+   * @param {object} details - Cap details
+   * @param {string} details.model - Model slug
+   * @param {number} [details.messageCap] - Messages allowed in the cap window
+   * @param {number} [details.messageCapWindow] - Cap window in minutes
+   * @param {number} [details.used] - Messages sent in the cap window
+   * @param {number} [details.clearsIn] - Seconds until the cap clears, when ChatGPT refused a prompt
+   * @param {string} details.source - 'limit' (conversation_limit response) or 'error' (refused prompt)
+   */
+  modelCapReached({
+    model = null, messageCap = null, messageCapWindow = null, used = null, clearsIn = null, source
+  }) {
+    this.publish(AgentEventTypes.MODEL_CAP_REACHED, {
+      model,
+      messageCap,
+      messageCapWindow,
+      used,
+      clearsIn,
+      source
+    });
+  }
+
+  /**
+   * One or more conversations were exported
+   * @param {object} details - Export details
+   * @param {Array<string>} details.conversationIds - Exported conversations
+   * @param {string} details.format - Export format (markdown, json, text, ...)
+   * @param {string} details.exportMode - 'both' or 'assistant'
+   * @param {string} details.scope - 'single' or 'bulk'
+   * @param {number} details.duration - Duration in milliseconds
+   * @param {boolean} details.failed - Whether some conversations could not be exported
+   */
+  conversationExported({
+    conversationIds = [], format, exportMode = 'both', scope = 'single', duration = 0, failed = false
+  }) {
+    this.publish(AgentEventTypes.CONVERSATION_EXPORTED, {
+      conversationIds,
+      count: conversationIds.length,
+      format,
+      exportMode,
+      scope,
+      duration,
+      failed
+    });
+  }
+
+  /**
+   * The user typed a query in the conversation search box
+   * @param {string} query - Search query
+   */
+  searchExecuted(query) {
+    this.publish(AgentEventTypes.SEARCH_EXECUTED, { query });
+  }
+
+  /**
+   * A search from the conversation search box returned its results
+   * @param {object} details - Search details
+   * @param {string} details.query - Search query
+   * @param {Array<string>} details.conversationIds - Matching conversations
+   * @param {number} details.duration - Duration in milliseconds
+   */
+  searchCompleted({ query, conversationIds = [], duration = 0 }) {
+    this.publish(AgentEventTypes.SEARCH_COMPLETED, {
+      query,
+      conversationIds,
+      resultCount: conversationIds.length,
+      duration
+    });
+  }
+
+  /**
+   * A prompt was submitted to ChatGPT
+   * @param {object} details - Prompt details
+   * @param {string|null} details.conversationId - Conversation ID, null for a new chat
+   * @param {string} details.messageId - ID of the user message
+   * @param {string} details.parentId - ID of the parent message
+   * @param {string} details.prompt - Prompt text as sent
+   * @param {string} details.model - Model slug
+   * @param {string} details.action - 'next', 'continue' or 'regenerate'
+   */
+  userPrompt({
+    conversationId = null, messageId, parentId, prompt, model, action = 'next'
+  }) {
+    this.publish(AgentEventTypes.USER_PROMPT, {
+      conversationId,
+      messageId,
+      parentId,
+      prompt,
+      model,
+      action
+    });
+  }
+}
+
+// Bump when a payload field is renamed or removed
+const AGENT_EVENT_SCHEMA_VERSION = 2;
+
+// Singleton instance
+// eslint-disable-next-line no-unused-vars
+const agentEventBridge = new AgentEventBridge(agentManager);
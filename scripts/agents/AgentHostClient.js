@@ -0,0 +1,151 @@
+/**
+ * AgentHostClient - Content script side of the background agent host
+ * Sends typed RPC requests through chrome.runtime messaging and re-emits the
+ * events streamed back by the host on the local event bus
+ */
+class AgentHostClient {
+  /**
+   * @param {AgentManager} manager - Local agent manager that receives host events
+   */
+  constructor(manager) {
+    this.manager = manager;
+    this.port = null;
+    this.status = null;
+    this.statusInterval = null;
+    this.reconnectDelay = 1000;
+    // Refreshing the cached status also keeps the service worker awake while a tab is open
+    this.statusRefreshInterval = 10000;
+  }
+
+  /**
+   * Open the event stream and start refreshing the cached host status
+   */
+  connect() {
+    this._openPort();
+    this.refreshStatus();
+    if (!this.statusInterval) {
+      this.statusInterval = setInterval(() => this.refreshStatus(), this.statusRefreshInterval);
+    }
+  }
+
+  /**
+   * Call an agent host method
+   * @param {string} method - Method from AgentHostMethods
+   * @param {object} [params] - Method parameters
+   * @returns {Promise<*>} Method result
+   */
+  async call(method, params = {}) {
+    validateAgentHostRequest(method, params);
+
+    const response = await chrome.runtime.sendMessage({
+      [AGENT_HOST_REQUEST_KEY]: { method, params }
+    });
+
+    if (!response) {
+      throw new Error(`Agent host did not answer ${method}`);
+    }
+    if (!response.ok) {
+      throw deserializeAgentHostError(response.error);
+    }
+    return response.result;
+  }
+
+  /**
+   * Dispatch a task to the host's AgentManager
+   * @param {object} task - Task with a client generated id
+   * @param {object} [options] - Dispatch options
+   * @param {AbortSignal} [options.signal] - Cancels the task in the host when aborted
+   * @returns {Promise<object>} Task result
+   */
+  dispatchTask(task, options = {}) {
+    const { signal } = options;
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        this.cancelTask(task.id).catch(() => {});
+      }, { once: true });
+    }
+    return this.call('dispatchTask', { task });
+  }
+
+  /**
+   * Cancel a task running in the host
+   * @param {string} taskId - Task ID
+   * @returns {Promise<boolean>} False if the host does not know the task
+   */
+  cancelTask(taskId) {
+    return this.call('cancelTask', { taskId });
+  }
+
+  /**
+   * Enable or disable an agent running in the host
+   * @param {string} agentId - Agent ID
+   * @param {boolean} enabled - Enable or disable
+   * @returns {Promise<void>}
+   */
+  async setAgentEnabled(agentId, enabled) {
+    await this.call('setAgentEnabled', { agentId, enabled });
+    await this.refreshStatus();
+  }
+
+  /**
+   * Publish an event on the host's event bus
+   * Never throws, a missing host must not break the content script
+   * @param {string} eventType - Event type from AgentEventTypes
+   * @param {object} data - Event payload
+   */
+  publishEvent(eventType, data) {
+    this.call('publishEvent', { eventType, data }).catch((error) => {
+      console.error(`Failed to relay ${eventType} to the agent host:`, error);
+    });
+  }
+
+  /**
+   * Fetch the host status and cache it for synchronous readers such as AgentMonitor
+   * @returns {Promise<object|null>} Host status or null if the host is unreachable
+   */
+  async refreshStatus() {
+    try {
+      this.status = await this.call('getSystemStatus');
+    } catch (error) {
+      this.status = null;
+    }
+    return this.status;
+  }
+
+  /**
+   * Last known host status
+   * @returns {object|null} Host status
+   */
+  getCachedStatus() {
+    return this.status;
+  }
+
+  /**
+   * Connect the event stream, reconnecting when the service worker restarts
+   * @private
+   */
+  _openPort() {
+    try {
+      this.port = chrome.runtime.connect({ name: AGENT_HOST_EVENT_PORT });
+    } catch (error) {
+      // Extension context invalidated, e.g. after an update
+      console.error('Failed to connect to the agent host:', error);
+      return;
+    }
+
+    this.port.onMessage.addListener((message) => {
+      if (message && message.type === 'event') {
+        this.manager.getEventBus().emit(message.event.type, message.event.data);
+      }
+    });
+
+    this.port.onDisconnect.addListener(() => {
+      this.port = null;
+      setTimeout(() => this._openPort(), this.reconnectDelay);
+    });
+  }
+}
+
+// Singleton instance
+// eslint-disable-next-line no-unused-vars
+const agentHostClient = new AgentHostClient(agentManager);
@@ -0,0 +1,99 @@
+/**
+ * AgentHostProtocol - Message contract between content scripts and the background agent host
+ * Loaded in both contexts so requests are validated with the same method table
+ */
+
+// chrome.runtime.sendMessage key carrying an RPC request
+const AGENT_HOST_REQUEST_KEY = 'agentHostRequest';
+
+// chrome.runtime.connect port name used to stream agent events to content scripts
+const AGENT_HOST_EVENT_PORT = 'agent-host-events';
+
+/**
+ * RPC methods exposed by the agent host and the type of each parameter
+ * Parameters ending with '?' are optional
+ */
+const AgentHostMethods = {
+  dispatchTask: { task: 'object' },
+  cancelTask: { taskId: 'string' },
+  setAgentEnabled: { agentId: 'string', enabled: 'boolean' },
+  getSystemStatus: {},
+  getTaskQueue: {},
+  publishEvent: { eventType: 'string', data: 'object?' }
+};
+
+/**
+ * Events the host streams to content scripts, the ones only the host emits
+ * Every tab emits its own storage, model and system events and relays its page events to the host
+ */
+// eslint-disable-next-line no-unused-vars
+const AgentHostStreamedEvents = new Set([
+  AgentEventTypes.AGENT_REGISTERED,
+  AgentEventTypes.AGENT_UNREGISTERED,
+  AgentEventTypes.AGENT_STARTED,
+  AgentEventTypes.AGENT_STOPPED,
+  AgentEventTypes.AGENT_ERROR,
+  AgentEventTypes.TASK_CREATED,
+  AgentEventTypes.TASK_ASSIGNED,
+  AgentEventTypes.TASK_STARTED,
+  AgentEventTypes.TASK_COMPLETED,
+  AgentEventTypes.TASK_FAILED,
+  AgentEventTypes.TASK_CANCELLED,
+  AgentEventTypes.SYSTEM_ERROR
+]);
+
+/**
+ * Validate an RPC request against AgentHostMethods
+ * @param {string} method - Method name
+ * @param {object} params - Method parameters
+ * @throws {TypeError} If the method is unknown or a parameter has the wrong type
+ */
+// eslint-disable-next-line no-unused-vars
+function validateAgentHostRequest(method, params) {
+  const schema = AgentHostMethods[method];
+  if (!schema) {
+    throw new TypeError(`Unknown agent host method: ${method}`);
+  }
+
+  Object.entries(schema).forEach(([name, type]) => {
+    const optional = type.endsWith('?');
+    const expectedType = optional ? type.slice(0, -1) : type;
+    const value = params ? params[name] : undefined;
+
+    if (value === undefined || value === null) {
+      if (!optional) {
+        throw new TypeError(`${method}: missing parameter ${name}`);
+      }
+      return;
+    }
+
+    if (typeof value !== expectedType) {
+      throw new TypeError(`${method}: parameter ${name} must be a ${expectedType}`);
+    }
+  });
+}
+
+/**
+ * Convert an error into a structured-clone friendly object
+ * @param {Error} error - Error to serialize
+ * @returns {object} Serialized error
+ */
+// eslint-disable-next-line no-unused-vars
+function serializeAgentHostError(error) {
+  return {
+    name: (error && error.name) || 'Error',
+    message: (error && error.message) || String(error)
+  };
+}
+
+/**
+ * Rebuild an error sent by the agent host
+ * @param {object} serialized - Serialized error
+ * @returns {Error} Error with the original name and message
+ */
+// eslint-disable-next-line no-unused-vars
+function deserializeAgentHostError(serialized) {
+  const error = new Error(serialized.message);
+  error.name = serialized.name;
+  return error;
+}
@@ -6,24 +6,38 @@ class AgentManager {
   constructor() {
     this.agents = new Map();
     this.eventBus = new EventBus();
+    // Pending tasks, highest priority first, FIFO within a priority
     this.taskQueue = [];
+    // Executing tasks keyed by task ID
+    this.runningTasks = new Map();
+    // Agents whose execute() promise has not settled yet, even if the task was cancelled
+    this.busyAgents = new Set();
+    // Tasks restored from storage wait here until resumePersistedTasks() is called
+    this.resumePersisted = false;
+    // AgentHostClient used for tasks and agents that live in the background agent host
+    this.remoteHost = null;
     this.isInitialized = false;
     this.config = {
       maxConcurrentTasks: 5,
       taskTimeout: 30000, // 30 seconds
+      agentTimeouts: {}, // agentId -> timeout in milliseconds
+      persistQueue: true,
       enableAutoStart: true
     };
     
     // Statistics
     this.stats = {
       totalTasksProcessed: 0,
+      totalTasksCancelled: 0,
       activeTasks: 0,
+      queuedTasks: 0,
       totalAgents: 0,
       activeAgents: 0
     };
 
-    // Storage key for persistence
+    // Storage keys for persistence
     this.storageKey = 'agentManagerState';
+    this.queueStorageKey = 'agentTaskQueue';
   }
 
   /**
@@ -39,8 +53,9 @@ class AgentManager {
     console.log('Initializing AgentManager...');
 
     try {
-      // Load saved state from storage
+      // Load saved state and the task queue from storage
       await this._loadState();
+      await this._loadQueue();
 
       // Emit system ready event
       this.eventBus.emit(AgentEventTypes.SYSTEM_READY, {
@@ -94,6 +109,9 @@ class AgentManager {
 
     // Save state
     await this._saveState();
+
+    // Queued tasks may have been waiting for this agent
+    this._processQueue();
   }
 
   /**
@@ -131,10 +149,19 @@ class AgentManager {
 
   /**
    * Dispatch a task to appropriate agent(s)
+   * The task is queued and started once a capable agent is free and fewer than
+   * config.maxConcurrentTasks tasks are running
    * @param {object} task - Task to dispatch
+   * @param {string} task.type - Task type matching an agent capability
+   * @param {object} [task.data] - Task payload, must be JSON serializable to survive a reload
+   * @param {number} [task.priority=0] - Higher priority tasks start first
+   * @param {number} [task.timeout] - Timeout in milliseconds, overrides the agent timeout
+   * @param {boolean} [task.persist=true] - Keep the task in the stored queue until it finishes
+   * @param {object} [options] - Dispatch options
+   * @param {AbortSignal} [options.signal] - Cancels the task when aborted
    * @returns {Promise<object>} Task result
    */
-  async dispatchTask(task) {
+  async dispatchTask(task, options = {}) {
     if (!this.isInitialized) {
       throw new Error('AgentManager not initialized');
     }
@@ -143,58 +170,119 @@ class AgentManager {
     if (!task.id) {
       task.id = this._generateTaskId();
     }
+    task.priority = task.priority || 0;
+
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      throw this._createAbortError(task.id, signal.reason);
+    }
+
+    if (this._getCapableAgents(task).length === 0 && this.remoteHost) {
+      return this.remoteHost.dispatchTask(task, options);
+    }
+
+    if (this._getCapableAgents(task).length === 0) {
+      const error = new Error(`No capable agent found for task type: ${task.type}`);
+      this.eventBus.emit(AgentEventTypes.SYSTEM_ERROR, {
+        taskId: task.id,
+        error: error.message
+      });
+      throw error;
+    }
 
-    // Add to queue
-    this.taskQueue.push(task);
-    this.stats.activeTasks++;
+    const result = new Promise((resolve, reject) => {
+      const entry = {
+        task,
+        resolve,
+        reject,
+        controller: new AbortController(),
+        enqueuedAt: Date.now(),
+        restored: false
+      };
+      if (signal) {
+        signal.addEventListener('abort', () => this.cancelTask(task.id, signal.reason), { once: true });
+      }
+      this._enqueue(entry);
+    });
 
     // Emit task created event
     this.eventBus.emit(AgentEventTypes.TASK_CREATED, {
       taskId: task.id,
       taskType: task.type,
+      priority: task.priority,
       timestamp: Date.now()
     });
 
-    try {
-      // Find suitable agent
-      const agent = this._findAgentForTask(task);
-      
-      if (!agent) {
-        throw new Error(`No capable agent found for task type: ${task.type}`);
-      }
+    this._persistQueue();
+    this._processQueue();
 
-      // Emit task assigned event
-      this.eventBus.emit(AgentEventTypes.TASK_ASSIGNED, {
-        taskId: task.id,
-        agentId: agent.agentId,
-        agentName: agent.name
+    return result;
+  }
+
+  /**
+   * Cancel a queued or running task
+   * A running task receives the abort through the signal passed to agent.execute
+   * @param {string} taskId - Task ID
+   * @param {*} [reason] - Abort reason, defaults to an AbortError
+   * @returns {boolean} False if the task is unknown or already finished
+   */
+  cancelTask(taskId, reason) {
+    const index = this.taskQueue.findIndex(entry => entry.task.id === taskId);
+    if (index !== -1) {
+      const [entry] = this.taskQueue.splice(index, 1);
+      this.stats.queuedTasks = this.taskQueue.length;
+      this.stats.totalTasksCancelled++;
+      entry.reject(this._createAbortError(taskId, reason));
+      this.eventBus.emit(AgentEventTypes.TASK_CANCELLED, {
+        taskId,
+        taskType: entry.task.type,
+        reason: 'cancelled'
       });
+      this._persistQueue();
+      return true;
+    }
 
-      // Execute task with timeout
-      const result = await this._executeWithTimeout(
-        agent.execute(task),
-        this.config.taskTimeout
-      );
+    const running = this.runningTasks.get(taskId);
+    if (running) {
+      running.controller.abort(reason || this._createAbortError(taskId));
+      return true;
+    }
 
-      // Remove from queue and update stats
-      this._removeFromQueue(task.id);
-      this.stats.totalTasksProcessed++;
-      this.stats.activeTasks--;
+    return false;
+  }
 
-      return result;
-    } catch (error) {
-      // Remove from queue and update stats
-      this._removeFromQueue(task.id);
-      this.stats.activeTasks--;
+  /**
+   * Start tasks that were restored from storage after a reload
+   * Called once all agents are registered so restored tasks are not rejected
+   * for lack of a capable agent
+   */
+  resumePersistedTasks() {
+    this.resumePersisted = true;
+    this._processQueue();
+  }
 
-      // Emit system error event
-      this.eventBus.emit(AgentEventTypes.SYSTEM_ERROR, {
-        taskId: task.id,
-        error: error.message
-      });
+  /**
+   * Get queued and running tasks
+   * @returns {object} Task lists without payloads
+   */
+  getTaskQueue() {
+    const describe = (task, extra) => ({
+      id: task.id,
+      type: task.type,
+      priority: task.priority,
+      ...extra
+    });
 
-      throw error;
-    }
+    return {
+      queued: this.taskQueue.map(entry => describe(entry.task, {
+        enqueuedAt: entry.enqueuedAt,
+        restored: entry.restored
+      })),
+      running: Array.from(this.runningTasks.values()).map(running => describe(running.task, {
+        agentId: running.agent.agentId,
+        startedAt: running.startedAt
+      }))
+    };
   }
 
   /**
@@ -233,6 +321,10 @@ class AgentManager {
    */
   async setAgentEnabled(agentId, enabled) {
     const agent = this.agents.get(agentId);
+    if (!agent && this.remoteHost) {
+      await this.remoteHost.setAgentEnabled(agentId, enabled);
+      return;
+    }
     if (!agent) {
       throw new Error(`Agent ${agentId} not found`);
     }
@@ -262,14 +354,38 @@ class AgentManager {
    */
   getSystemStatus() {
     const agents = this.getAllAgents().map(agent => agent.getStatus());
-
-    return {
+    const status = {
       initialized: this.isInitialized,
       stats: { ...this.stats },
       agents,
       taskQueueSize: this.taskQueue.length,
+      runningTaskCount: this.runningTasks.size,
       eventBusStats: this.eventBus.getStats()
     };
+
+    // Include the agents of the background host, as of its last status refresh
+    const remoteStatus = this.remoteHost ? this.remoteHost.getCachedStatus() : null;
+    if (remoteStatus) {
+      Object.keys(status.stats).forEach((key) => {
+        status.stats[key] += remoteStatus.stats[key] || 0;
+      });
+      status.agents = [
+        ...agents,
+        ...remoteStatus.agents.map(agent => ({ ...agent, host: 'background' }))
+      ];
+      status.taskQueueSize += remoteStatus.taskQueueSize;
+      status.runningTaskCount += remoteStatus.runningTaskCount;
+    }
+
+    return status;
+  }
+
+  /**
+   * Route tasks and agents this manager cannot serve to the background agent host
+   * @param {AgentHostClient} remoteHost - Host client
+   */
+  setRemoteHost(remoteHost) {
+    this.remoteHost = remoteHost;
   }
 
   /**
@@ -286,6 +402,8 @@ class AgentManager {
    */
   updateConfig(config) {
     this.config = { ...this.config, ...config };
+    // A higher concurrency limit may allow queued tasks to start
+    this._processQueue();
   }
 
   /**
@@ -295,11 +413,8 @@ class AgentManager {
    * @private
    */
   _findAgentForTask(task) {
-    // Find all agents that can handle this task
-    const capableAgents = this.getAllAgents().filter(agent => 
-      agent.enabled && 
-      agent.state !== AgentState.ERROR && 
-      agent.canHandle(task)
+    const capableAgents = this._getCapableAgents(task).filter(agent =>
+      !this.busyAgents.has(agent.agentId)
     );
 
     if (capableAgents.length === 0) {
@@ -317,31 +432,202 @@ class AgentManager {
   }
 
   /**
-   * Execute task with timeout
-   * @param {Promise} promise - Promise to execute
-   * @param {number} timeout - Timeout in milliseconds
+   * Find all enabled agents that can handle a task, busy or not
+   * @param {object} task - Task to check
+   * @returns {Array<BaseAgent>} Capable agents
+   * @private
+   */
+  _getCapableAgents(task) {
+    return this.getAllAgents().filter(agent =>
+      agent.enabled &&
+      agent.state !== AgentState.ERROR &&
+      agent.canHandle(task)
+    );
+  }
+
+  /**
+   * Insert a queue entry after all entries of the same or higher priority
+   * @param {object} entry - Queue entry
+   * @private
+   */
+  _enqueue(entry) {
+    const index = this.taskQueue.findIndex(queued => queued.task.priority < entry.task.priority);
+    if (index === -1) {
+      this.taskQueue.push(entry);
+    } else {
+      this.taskQueue.splice(index, 0, entry);
+    }
+    this.stats.queuedTasks = this.taskQueue.length;
+  }
+
+  /**
+   * Start queued tasks while there is free capacity
+   * Tasks whose agents are all busy stay queued, tasks no agent can handle are rejected
+   * @private
+   */
+  _processQueue() {
+    if (!this.isInitialized) return;
+
+    let queueChanged = false;
+    let index = 0;
+    while (index < this.taskQueue.length && this.runningTasks.size < this.config.maxConcurrentTasks) {
+      const entry = this.taskQueue[index];
+
+      if (entry.restored && !this.resumePersisted) {
+        index++;
+        continue;
+      }
+
+      if (this._getCapableAgents(entry.task).length === 0) {
+        this.taskQueue.splice(index, 1);
+        queueChanged = true;
+        const error = new Error(`No capable agent found for task type: ${entry.task.type}`);
+        this.eventBus.emit(AgentEventTypes.SYSTEM_ERROR, {
+          taskId: entry.task.id,
+          error: error.message
+        });
+        entry.reject(error);
+        continue;
+      }
+
+      const agent = this._findAgentForTask(entry.task);
+      if (!agent) {
+        index++;
+        continue;
+      }
+
+      this.taskQueue.splice(index, 1);
+      queueChanged = true;
+      this._runTask(entry, agent);
+    }
+
+    this.stats.queuedTasks = this.taskQueue.length;
+    if (queueChanged) {
+      this._persistQueue();
+    }
+  }
+
+  /**
+   * Execute a dequeued task on an agent with timeout and cancellation
+   * @param {object} entry - Queue entry
+   * @param {BaseAgent} agent - Agent that runs the task
+   * @private
+   */
+  async _runTask(entry, agent) {
+    const { task, controller } = entry;
+    const timeout = this._getTaskTimeout(task, agent);
+
+    this.runningTasks.set(task.id, {
+      task,
+      agent,
+      controller,
+      startedAt: Date.now()
+    });
+    this.busyAgents.add(agent.agentId);
+    this.stats.activeTasks = this.runningTasks.size;
+
+    // Emit task assigned event
+    this.eventBus.emit(AgentEventTypes.TASK_ASSIGNED, {
+      taskId: task.id,
+      agentId: agent.agentId,
+      agentName: agent.name
+    });
+
+    const timer = setTimeout(() => {
+      controller.abort(new Error('Task timeout'));
+    }, timeout);
+
+    const execution = Promise.resolve()
+      .then(() => agent.execute(task, { signal: controller.signal }));
+    // The agent stays reserved until its own promise settles, even after an abort
+    execution.catch(() => {}).finally(() => {
+      this.busyAgents.delete(agent.agentId);
+      this._processQueue();
+    });
+
+    try {
+      const result = await this._raceAbort(execution, controller.signal);
+      this.stats.totalTasksProcessed++;
+      entry.resolve(result);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        const timedOut = controller.signal.reason && controller.signal.reason.message === 'Task timeout';
+        this.stats.totalTasksCancelled++;
+        this.eventBus.emit(AgentEventTypes.TASK_CANCELLED, {
+          taskId: task.id,
+          taskType: task.type,
+          agentId: agent.agentId,
+          reason: timedOut ? 'timeout' : 'cancelled'
+        });
+        entry.reject(timedOut ? controller.signal.reason : this._createAbortError(task.id, controller.signal.reason));
+      } else {
+        // Emit system error event
+        this.eventBus.emit(AgentEventTypes.SYSTEM_ERROR, {
+          taskId: task.id,
+          error: error.message
+        });
+        entry.reject(error);
+      }
+    } finally {
+      clearTimeout(timer);
+      this.runningTasks.delete(task.id);
+      this.stats.activeTasks = this.runningTasks.size;
+      this._persistQueue();
+      this._processQueue();
+    }
+  }
+
+  /**
+   * Resolve the timeout for a task
+   * Order: task.timeout, config.agentTimeouts[agentId], agent.taskTimeout, config.taskTimeout
+   * @param {object} task - Task
+   * @param {BaseAgent} agent - Agent running the task
+   * @returns {number} Timeout in milliseconds
+   * @private
+   */
+  _getTaskTimeout(task, agent) {
+    return task.timeout
+      || this.config.agentTimeouts[agent.agentId]
+      || agent.taskTimeout
+      || this.config.taskTimeout;
+  }
+
+  /**
+   * Reject as soon as the signal aborts, even if the promise never settles
+   * @param {Promise} promise - Promise to race
+   * @param {AbortSignal} signal - Abort signal
    * @returns {Promise} Result
    * @private
    */
-  _executeWithTimeout(promise, timeout) {
-    return Promise.race([
-      promise,
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Task timeout')), timeout)
-      )
-    ]);
+  _raceAbort(promise, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener('abort', onAbort);
+      });
+    });
   }
 
   /**
-   * Remove task from queue
+   * Create the error used to reject cancelled tasks
    * @param {string} taskId - Task ID
+   * @param {*} [reason] - Abort reason
+   * @returns {Error} Error with name 'AbortError'
    * @private
    */
-  _removeFromQueue(taskId) {
-    const index = this.taskQueue.findIndex(task => task.id === taskId);
-    if (index !== -1) {
-      this.taskQueue.splice(index, 1);
+  _createAbortError(taskId, reason) {
+    if (reason instanceof Error && reason.name === 'AbortError') {
+      return reason;
     }
+    const error = new Error(`Task ${taskId} was cancelled`);
+    error.name = 'AbortError';
+    error.reason = reason;
+    return error;
   }
 
   /**
@@ -388,13 +674,86 @@ class AgentManager {
       const state = result[this.storageKey];
       if (state && state.stats) {
         // Restore stats (agents will be registered separately)
-        this.stats = { ...this.stats, ...state.stats };
+        this.stats = {
+          ...this.stats,
+          ...state.stats,
+          activeTasks: 0,
+          queuedTasks: 0
+        };
         console.log('AgentManager state loaded from storage');
       }
     } catch (error) {
       console.error('Failed to load AgentManager state:', error);
     }
   }
+
+  /**
+   * Write queued and running tasks to storage
+   * Running tasks are stored too so a task interrupted by a reload runs again
+   * @private
+   */
+  _persistQueue() {
+    if (!this.config.persistQueue) return;
+
+    const toStored = (task, enqueuedAt) => ({
+      id: task.id,
+      type: task.type,
+      data: task.data,
+      priority: task.priority,
+      timeout: task.timeout,
+      enqueuedAt
+    });
+
+    const tasks = [
+      ...Array.from(this.runningTasks.values()).map(running => [running.task, running.startedAt]),
+      ...this.taskQueue.map(entry => [entry.task, entry.enqueuedAt])
+    ]
+      .filter(([task]) => task.persist !== false)
+      .map(([task, enqueuedAt]) => toStored(task, enqueuedAt));
+
+    try {
+      chrome.storage.local.set({ [this.queueStorageKey]: tasks });
+    } catch (error) {
+      console.error('Failed to save AgentManager task queue:', error);
+    }
+  }
+
+  /**
+   * Restore the task queue saved before the last reload
+   * Restored tasks have no caller waiting for them, their outcome is only
+   * reported through task events
+   * @private
+   */
+  async _loadQueue() {
+    if (!this.config.persistQueue) return;
+
+    try {
+      const result = await new Promise((resolve) => {
+        chrome.storage.local.get([this.queueStorageKey], resolve);
+      });
+
+      const tasks = result[this.queueStorageKey] || [];
+      tasks.forEach((stored) => {
+        if (this.taskQueue.some(entry => entry.task.id === stored.id)) return;
+        const task = { ...stored };
+        delete task.enqueuedAt;
+        this._enqueue({
+          task,
+          resolve: () => {},
+          reject: () => {},
+          controller: new AbortController(),
+          enqueuedAt: stored.enqueuedAt || Date.now(),
+          restored: true
+        });
+      });
+
+      if (tasks.length > 0) {
+        console.log(`AgentManager restored ${tasks.length} queued task(s)`);
+      }
+    } catch (error) {
+      console.error('Failed to load AgentManager task queue:', error);
+    }
+  }
 }
 
 // Singleton instance
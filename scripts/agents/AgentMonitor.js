@@ -52,6 +52,10 @@ class AgentMonitor {
               <span class="status-label">Active Tasks:</span>
               <span class="status-value" id="active-tasks">0</span>
             </div>
+            <div class="status-item">
+              <span class="status-label">Queued Tasks:</span>
+              <span class="status-value" id="queued-tasks">0</span>
+            </div>
           </div>
         </div>
 
@@ -121,11 +125,13 @@ class AgentMonitor {
     const activeAgentsEl = document.getElementById('active-agents');
     const tasksProcessedEl = document.getElementById('tasks-processed');
     const activeTasksEl = document.getElementById('active-tasks');
+    const queuedTasksEl = document.getElementById('queued-tasks');
 
     if (totalAgentsEl) totalAgentsEl.textContent = status.stats.totalAgents;
     if (activeAgentsEl) activeAgentsEl.textContent = status.stats.activeAgents;
     if (tasksProcessedEl) tasksProcessedEl.textContent = status.stats.totalTasksProcessed;
     if (activeTasksEl) activeTasksEl.textContent = status.stats.activeTasks;
+    if (queuedTasksEl) queuedTasksEl.textContent = status.taskQueueSize;
   }
 
   /**
@@ -0,0 +1,367 @@
+/**
+ * AnkiPackage - Builds Anki deck packages (.apkg)
+ * An .apkg is a zip with `collection.anki2`, an Anki collection in the schema 11 layout written with
+ * SqliteWriter, and a `media` map. Every note has a GUID derived from a key chosen by the caller, so
+ * importing an updated export updates the notes of the previous import instead of adding duplicates.
+ */
+
+const ANKI_FIELD_SEPARATOR = '\u001f';
+const ANKI_GUID_ALPHABET = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!#$%&()*+,-./:;<=>?@[]^_`{|}~';
+
+const ANKI_CARD_CSS = `.card { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; font-size: 18px; line-height: 1.5; text-align: left; color: #1f2328; background: #fff; }
+.nightMode .card, .night_mode .card { color: #e6edf3; background: #0d1117; }
+.cloze { font-weight: bold; color: #0969da; }
+.extra, .source { margin-top: 16px; font-size: 14px; color: #656d76; }
+.language { font-size: 12px; text-transform: uppercase; letter-spacing: 0.05em; color: #656d76; }
+pre { background: #0d1117; color: #e6edf3; padding: 12px 16px; border-radius: 6px; overflow-x: auto; text-align: left; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 15px; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #d0d7de; padding: 4px 8px; }
+.hljs-comment, .hljs-quote { color: #8b949e; font-style: italic; }
+.hljs-keyword, .hljs-selector-tag, .hljs-literal, .hljs-type { color: #ff7b72; }
+.hljs-string, .hljs-regexp, .hljs-addition { color: #a5d6ff; }
+.hljs-number, .hljs-symbol, .hljs-bullet, .hljs-variable, .hljs-template-variable { color: #79c0ff; }
+.hljs-title, .hljs-section { color: #d2a8ff; }
+.hljs-attr, .hljs-attribute, .hljs-name, .hljs-selector-id, .hljs-selector-class { color: #7ee787; }
+.hljs-built_in, .hljs-meta { color: #ffa657; }
+.hljs-deletion { color: #ffa198; }`;
+
+/**
+ * Note types of the exported decks
+ * The IDs are fixed so every export, from any browser, reuses the note types of the first import
+ */
+const AnkiNoteTypes = {
+  BASIC: {
+    id: 1707400000001,
+    name: 'ChatGPT Basic',
+    type: 0,
+    fields: ['Front', 'Back', 'Source'],
+    templates: [{
+      name: 'Card 1',
+      qfmt: '{{Front}}',
+      afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}{{#Source}}<div class="source">{{Source}}</div>{{/Source}}'
+    }]
+  },
+  CLOZE: {
+    id: 1707400000002,
+    name: 'ChatGPT Cloze',
+    type: 1,
+    fields: ['Text', 'Extra'],
+    templates: [{
+      name: 'Cloze',
+      qfmt: '{{cloze:Text}}',
+      afmt: '{{cloze:Text}}{{#Extra}}<div class="extra">{{Extra}}</div>{{/Extra}}'
+    }]
+  },
+  CODE: {
+    id: 1707400000003,
+    name: 'ChatGPT Code',
+    type: 0,
+    fields: ['Prompt', 'Code', 'Language', 'Explanation'],
+    templates: [{
+      name: 'Card 1',
+      qfmt: '{{#Language}}<div class="language">{{Language}}</div>{{/Language}}{{Prompt}}',
+      afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Code}}{{#Explanation}}<div class="extra">{{Explanation}}</div>{{/Explanation}}'
+    }]
+  }
+};
+
+async function ankiDigest(algorithm, text) {
+  return new Uint8Array(await crypto.subtle.digest(algorithm, new TextEncoder().encode(text)));
+}
+
+// Anki's own GUID format: 64 bits written in base 91
+async function ankiGuid(key) {
+  const bytes = await ankiDigest('SHA-256', key);
+  let value = bytes.slice(0, 8).reduce((total, byte) => (total << 8n) + BigInt(byte), 0n);
+  let guid = '';
+  do {
+    guid = ANKI_GUID_ALPHABET[Number(value % 91n)] + guid;
+    value /= 91n;
+  } while (value > 0n);
+  return guid;
+}
+
+function ankiStripHtml(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// Sort field checksum Anki uses to find duplicates: the first 8 hex digits of its SHA-1
+async function ankiChecksum(text) {
+  const bytes = await ankiDigest('SHA-1', text);
+  return new DataView(bytes.buffer).getUint32(0);
+}
+
+// A number in the range of millisecond timestamps, Anki IDs are creation times
+async function ankiStableId(key) {
+  const bytes = await ankiDigest('SHA-256', key);
+  const value = bytes.slice(0, 6).reduce((total, byte) => total * 256 + byte, 0);
+  return 1000000000000 + (value % 1000000000000);
+}
+
+class AnkiPackage {
+  /**
+   * @param {string} deckName - Deck the cards go to, '::' separates subdecks
+   * @param {object} [options] - Deck options
+   * @param {string} [options.description] - Deck description (HTML)
+   */
+  constructor(deckName, { description = '' } = {}) {
+    this.deckName = deckName;
+    this.description = description;
+    this.notes = [];
+  }
+
+  /**
+   * Add a note
+   * @param {object} noteType - Note type from AnkiNoteTypes
+   * @param {Array<string>} fields - HTML of each field, in the order of noteType.fields
+   * @param {object} options - Note options
+   * @param {string} options.key - Stable identity of the note, a note with the same key replaces it on import
+   * @param {Array<string>} [options.tags] - Tags, spaces are replaced with underscores
+   * @param {number} [options.createdAt] - Creation time in milliseconds, shown as the date the note was added
+   */
+  addNote(noteType, fields, { key, tags = [], createdAt = null }) {
+    if (!key) {
+      throw new Error('An Anki note needs a key');
+    }
+    if (fields.length !== noteType.fields.length) {
+      throw new Error(`${noteType.name} notes have ${noteType.fields.length} fields`);
+    }
+    this.notes.push({
+      noteType, fields, key, tags, createdAt
+    });
+  }
+
+  /**
+   * Number of cards the package will contain
+   * @returns {number}
+   */
+  get cardCount() {
+    return this.notes.reduce((total, note) => total + AnkiPackage._cardOrdinals(note).length, 0);
+  }
+
+  /**
+   * Build the package
+   * @param {string} [type='uint8array'] - JSZip output type, e.g. 'blob' or 'base64'
+   * @returns {Promise<*>} The .apkg file
+   */
+  async generate(type = 'uint8array') {
+    const zip = new JSZip();
+    zip.file('collection.anki2', await this._writeCollection());
+    zip.file('media', '{}');
+    return zip.generateAsync({ type, compression: 'DEFLATE' });
+  }
+
+  // Cards of a note: one per template, or one per cloze number for cloze notes
+  static _cardOrdinals(note) {
+    if (note.noteType.type !== 1) return note.noteType.templates.map((template, i) => i);
+    const numbers = [...note.fields[0].matchAll(/{{c(\d+)::/g)].map((match) => Number(match[1]));
+    const ordinals = [...new Set(numbers)].filter((number) => number > 0).map((number) => number - 1).sort((a, b) => a - b);
+    return ordinals.length > 0 ? ordinals : [0];
+  }
+
+  async _writeCollection() {
+    const now = Date.now();
+    const nowSeconds = Math.floor(now / 1000);
+    const deckId = await ankiStableId(`deck:${this.deckName}`);
+    const usedIds = new Set();
+    // creation times repeat when one message gives several notes, the next free millisecond is taken
+    const uniqueId = (id) => {
+      let uniqueValue = id;
+      while (usedIds.has(uniqueValue)) uniqueValue += 1;
+      usedIds.add(uniqueValue);
+      return uniqueValue;
+    };
+
+    const db = new SqliteWriter();
+    AnkiPackage._createSchema(db);
+
+    let position = 0;
+    for (const note of this.notes) {
+      const noteId = uniqueId(note.createdAt ? Math.floor(note.createdAt) : await ankiStableId(`note:${note.key}`));
+      const sortField = ankiStripHtml(note.fields[0]);
+      db.insert('notes', {
+        id: noteId,
+        guid: await ankiGuid(note.key),
+        mid: note.noteType.id,
+        mod: nowSeconds,
+        usn: -1,
+        tags: note.tags.length > 0 ? ` ${note.tags.map((tag) => String(tag).replace(/\s+/g, '_')).join(' ')} ` : '',
+        flds: note.fields.join(ANKI_FIELD_SEPARATOR),
+        sfld: sortField,
+        csum: await ankiChecksum(sortField),
+        flags: 0,
+        data: ''
+      });
+      position += 1;
+      AnkiPackage._cardOrdinals(note).forEach((ord) => {
+        db.insert('cards', {
+          id: uniqueId(noteId + ord),
+          nid: noteId,
+          did: deckId,
+          ord,
+          mod: nowSeconds,
+          usn: -1,
+          type: 0,
+          queue: 0,
+          due: position,
+          ivl: 0,
+          factor: 0,
+          reps: 0,
+          lapses: 0,
+          left: 0,
+          odue: 0,
+          odid: 0,
+          flags: 0,
+          data: ''
+        });
+      });
+    }
+
+    const noteTypes = [...new Set(this.notes.map((note) => note.noteType))];
+    db.insert('col', {
+      id: 1,
+      crt: Math.floor(new Date(now).setHours(4, 0, 0, 0) / 1000),
+      mod: now,
+      scm: now,
+      ver: 11,
+      dty: 0,
+      usn: 0,
+      ls: 0,
+      conf: JSON.stringify({
+        activeDecks: [1],
+        curDeck: 1,
+        newSpread: 0,
+        collapseTime: 1200,
+        timeLim: 0,
+        estTimes: true,
+        dueCounts: true,
+        curModel: null,
+        nextPos: position + 1,
+        sortType: 'noteFld',
+        sortBackwards: false,
+        addToCur: true
+      }),
+      models: JSON.stringify(Object.fromEntries(noteTypes.map((noteType) => [noteType.id, AnkiPackage._noteTypeJson(noteType, deckId, nowSeconds)]))),
+      decks: JSON.stringify({
+        1: AnkiPackage._deckJson(1, 'Default', '', nowSeconds),
+        [deckId]: AnkiPackage._deckJson(deckId, this.deckName, this.description, nowSeconds)
+      }),
+      dconf: JSON.stringify({ 1: AnkiPackage._deckConfigJson() }),
+      tags: '{}'
+    });
+
+    return db.toUint8Array();
+  }
+
+  static _createSchema(db) {
+    db.createTable('col', [
+      'id integer primary key', 'crt integer not null', 'mod integer not null', 'scm integer not null',
+      'ver integer not null', 'dty integer not null', 'usn integer not null', 'ls integer not null',
+      'conf text not null', 'models text not null', 'decks text not null', 'dconf text not null', 'tags text not null'
+    ]);
+    db.createTable('notes', [
+      'id integer primary key', 'guid text not null', 'mid integer not null', 'mod integer not null',
+      'usn integer not null', 'tags text not null', 'flds text not null', 'sfld integer not null',
+      'csum integer not null', 'flags integer not null', 'data text not null'
+    ]);
+    db.createTable('cards', [
+      'id integer primary key', 'nid integer not null', 'did integer not null', 'ord integer not null',
+      'mod integer not null', 'usn integer not null', 'type integer not null', 'queue integer not null',
+      'due integer not null', 'ivl integer not null', 'factor integer not null', 'reps integer not null',
+      'lapses integer not null', 'left integer not null', 'odue integer not null', 'odid integer not null',
+      'flags integer not null', 'data text not null'
+    ]);
+    db.createTable('revlog', [
+      'id integer primary key', 'cid integer not null', 'usn integer not null', 'ease integer not null',
+      'ivl integer not null', 'lastIvl integer not null', 'factor integer not null', 'time integer not null',
+      'type integer not null'
+    ]);
+    db.createTable('graves', ['usn integer not null', 'oid integer not null', 'type integer not null']);
+    db.createIndex('ix_notes_usn', 'notes', ['usn']);
+    db.createIndex('ix_cards_usn', 'cards', ['usn']);
+    db.createIndex('ix_revlog_usn', 'revlog', ['usn']);
+    db.createIndex('ix_cards_nid', 'cards', ['nid']);
+    db.createIndex('ix_cards_sched', 'cards', ['did', 'queue', 'due']);
+    db.createIndex('ix_revlog_cid', 'revlog', ['cid']);
+    db.createIndex('ix_notes_csum', 'notes', ['csum']);
+  }
+
+  static _noteTypeJson(noteType, deckId, mod) {
+    return {
+      id: noteType.id,
+      name: noteType.name,
+      type: noteType.type,
+      mod,
+      usn: -1,
+      sortf: 0,
+      did: deckId,
+      tmpls: noteType.templates.map((template, ord) => ({
+        name: template.name, ord, qfmt: template.qfmt, afmt: template.afmt, bqfmt: '', bafmt: '', did: null
+      })),
+      flds: noteType.fields.map((name, ord) => ({
+        name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: []
+      })),
+      css: ANKI_CARD_CSS,
+      latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+      latexPost: '\\end{document}',
+      latexsvg: false,
+      // a card is generated when its first field is not empty
+      req: noteType.type === 1 ? [] : noteType.templates.map((template, ord) => [ord, 'any', [0]]),
+      tags: [],
+      vers: []
+    };
+  }
+
+  static _deckJson(id, name, description, mod) {
+    return {
+      id,
+      name,
+      desc: description,
+      mod,
+      usn: -1,
+      dyn: 0,
+      conf: 1,
+      collapsed: false,
+      browserCollapsed: false,
+      extendNew: 10,
+      extendRev: 50,
+      newToday: [0, 0],
+      revToday: [0, 0],
+      lrnToday: [0, 0],
+      timeToday: [0, 0]
+    };
+  }
+
+  static _deckConfigJson() {
+    return {
+      id: 1,
+      name: 'Default',
+      mod: 0,
+      usn: 0,
+      maxTaken: 60,
+      autoplay: true,
+      timer: 0,
+      replayq: true,
+      dyn: false,
+      new: {
+        bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true
+      },
+      lapse: {
+        delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0
+      },
+      rev: {
+        bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 100
+      }
+    };
+  }
+}
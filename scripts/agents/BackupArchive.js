@@ -0,0 +1,502 @@
+/**
+ * BackupArchive - Versioned backups of everything the extension keeps locally
+ * Loaded in both contexts.
+ *
+ * A backup is a zip (JSZip) with a `manifest.json` and one `sections/<section>.json` per section:
+ *
+ *   { format, version, createdAt, extensionVersion, sections: { <section>: { items } }, encryption }
+ *
+ * A section file holds `{ storage: { <chrome.storage.local key>: value }, conversationPages? }`. The
+ * conversations come from the conversation repository a page at a time and are kept in
+ * `sections/<section>/<page>.json`, so neither a backup nor a restore holds all of them at once. With
+ * a password every file but the manifest is encrypted with AES-GCM (`<file>.json.enc`, the IV first),
+ * with a key derived from the password by PBKDF2; `encryption` keeps the salt and the iteration count.
+ * API keys and tokens (BackupSecrets) are only backed up with a password.
+ *
+ * A restore merges or replaces each section. Merging keeps what is stored and adds what only the
+ * backup has: missing conversations are added and the ones updated later in the backup replace the
+ * stored copy, lists gain the entries they do not have (by id) and objects the fields they do not
+ * have. Replacing writes the backup over the section and removes what the backup does not have.
+ */
+
+// chrome.runtime.sendMessage key of requests to the background backup service
+const BACKUP_REQUEST_KEY = 'backupRequest';
+// Service workers cannot make object URLs: a finished archive waits in this IndexedDB store until the
+// offscreen document (scripts/background/backupOffscreen.html) gives it one the downloads API can save
+const BACKUP_OFFSCREEN_REQUEST_KEY = 'backupOffscreenRequest';
+const BACKUP_FILES_DB_NAME = 'superpower-chatgpt-backup-files';
+const BACKUP_FILES_STORE = 'files';
+const BACKUP_FORMAT = 'superpower-chatgpt-backup';
+// Raised when the archive layout changes, older archives are migrated when they are read.
+// Format 1 kept the conversations in the section file
+const BACKUP_FORMAT_VERSION = 2;
+const BACKUP_PBKDF2_ITERATIONS = 250000;
+// Conversations per archive file
+const BACKUP_CONVERSATION_PAGE = 200;
+// Conversations written to the repository per request
+const BACKUP_RESTORE_BATCH = 100;
+
+/**
+ * Sections of a backup and the chrome.storage.local keys they hold
+ */
+const BackupSections = {
+  conversations: { label: 'Conversations', keys: [], conversations: true },
+  folders: { label: 'Folders and the deletion log', keys: ['conversationsOrder', 'deletionLog'] },
+  prompts: { label: 'Custom prompts and prompt chains', keys: ['customPrompts', 'promptChains'] },
+  instructions: { label: 'Custom instruction profiles', keys: ['customInstructionProfiles'] },
+  history: { label: 'Prompt history', keys: ['userInputValueHistory'] },
+  settings: { label: 'Settings and custom models', keys: ['settings', 'customModels', 'chatProviderApiKey'] },
+  agents: {
+    label: 'Agents, workflows, knowledge base and scheduled jobs',
+    keys: [
+      'agentManagerState', 'agentManagerPageState', 'workflowState', 'knowledgeBase', 'enhancedSearchState',
+      'scheduledJobs', 'splitJobs',
+      'smartPromptsHistory', 'smartPromptsMetrics', 'smartPromptsExperiments',
+      'learningBehaviorLog', 'learningPatterns', 'learningPreferences', 'learningAnalytics',
+      'contextManagementContexts', 'contextManagementSessions', 'contextManagementStats', 'contextManagementCrossContext',
+      'advancedChainsChains', 'advancedChainsExecutions', 'advancedChainsStats',
+      'notionIntegrationSettings', 'notionIntegrationStats', 'notionIntegrationTemplates',
+      'exportData', 'integrations', 'collaborationData', 'mobileData'
+    ]
+  }
+};
+
+/**
+ * API keys and tokens, left out of backups made without a password: chrome.storage.local keys and
+ * paths in stored values. A path starts with the storage key, `*` stands for every entry of a list
+ * (Maps are kept as [key, value] lists). A restore keeps the stored ones the backup does not have
+ */
+const BackupSecrets = {
+  keys: ['chatProviderApiKey'],
+  paths: [
+    'settings.embeddingApiKey', 'settings.chatProviderApiKey',
+    'integrations.github.token', 'integrations.slack.webhookUrl',
+    'notionIntegrationSettings.makeWebhookUrl',
+    'mobileData.tokens.*.1.token', 'mobileData.devices.*.1.pushToken'
+  ]
+};
+
+/**
+ * Run a request on the store of archives waiting to be downloaded
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Result of the request, once its transaction is complete
+ */
+function backupFilesRequest(mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(BACKUP_FILES_DB_NAME, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(BACKUP_FILES_STORE);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const transaction = db.transaction(BACKUP_FILES_STORE, mode);
+      const request = makeRequest(transaction.objectStore(BACKUP_FILES_STORE));
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    };
+  });
+}
+
+function backupBytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function backupBase64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+}
+
+function backupIsObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Update time of a conversation in seconds, to compare a backup with the stored copy. `force_copy`
+ * (changed here since the last sync) and other times that are not a number or a date count as the
+ * create time, the latest time known for sure
+ */
+function backupUpdateTime(conversation) {
+  const seconds = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    if (!Number.isNaN(Number(value))) return Number(value);
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time / 1000;
+  };
+  return seconds(conversation?.update_time) ?? seconds(conversation?.create_time) ?? 0;
+}
+
+/**
+ * What identifies a list entry when lists are merged: its id, the key of a [key, value] pair
+ * (agents keep Maps as entry lists), or the entry itself
+ */
+function backupEntryKey(entry) {
+  if (backupIsObject(entry) && entry.id !== undefined) return `id:${entry.id}`;
+  if (Array.isArray(entry) && entry.length === 2 && typeof entry[0] === 'string') return `key:${entry[0]}`;
+  return `value:${JSON.stringify(entry)}`;
+}
+
+/**
+ * A value without what a path in it leads to
+ * @param {*} value - Stored value
+ * @param {Array<string>} path - Path in the value, `*` for every list entry
+ * @returns {*} Copy of the value without the secret, or the value when it has none
+ */
+function backupWithoutPath(value, [segment, ...rest]) {
+  if (!value || typeof value !== 'object') return value;
+  if (segment === '*') return Array.isArray(value) ? value.map((entry) => backupWithoutPath(entry, rest)) : value;
+  if (value[segment] === undefined) return value;
+  const copy = Array.isArray(value) ? [...value] : { ...value };
+  if (rest.length > 0) {
+    copy[segment] = backupWithoutPath(value[segment], rest);
+  } else {
+    delete copy[segment];
+  }
+  return copy;
+}
+
+/**
+ * A backup value with what a path leads to in the stored value, where the backup has nothing there.
+ * List entries are matched by backupEntryKey
+ * @param {*} value - Value of the backup
+ * @param {*} stored - Stored value
+ * @param {Array<string>} path - Path in the values, `*` for every list entry
+ * @returns {*} Copy of the backup value with the stored secret, or the value when there is none to add
+ */
+function backupWithStoredPath(value, stored, [segment, ...rest]) {
+  if (!value || typeof value !== 'object' || !stored || typeof stored !== 'object') return value;
+  if (segment === '*') {
+    if (!Array.isArray(value) || !Array.isArray(stored)) return value;
+    const storedEntries = new Map(stored.map((entry) => [backupEntryKey(entry), entry]));
+    return value.map((entry) => backupWithStoredPath(entry, storedEntries.get(backupEntryKey(entry)), rest));
+  }
+  const next = rest.length > 0
+    ? backupWithStoredPath(value[segment], stored[segment], rest)
+    : value[segment] ?? stored[segment];
+  if (next === value[segment]) return value;
+  const copy = Array.isArray(value) ? [...value] : { ...value };
+  copy[segment] = next;
+  return copy;
+}
+
+/**
+ * Merge a backup value into a stored one, the stored value wins where both have one
+ * @param {*} current - Stored value
+ * @param {*} backup - Value of the backup
+ * @returns {*} Merged value
+ */
+function backupMergeValues(current, backup) {
+  if (current === undefined || current === null) return backup;
+  if (Array.isArray(current) && Array.isArray(backup)) {
+    const keys = new Set(current.map(backupEntryKey));
+    return [...current, ...backup.filter((entry) => !keys.has(backupEntryKey(entry)))];
+  }
+  if (backupIsObject(current) && backupIsObject(backup)) {
+    const merged = { ...current };
+    Object.entries(backup).forEach(([key, value]) => {
+      merged[key] = backupMergeValues(current[key], value);
+    });
+    return merged;
+  }
+  return current;
+}
+
+/**
+ * Merge the folders of a backup into conversationsOrder. Folders and conversations the stored order
+ * does not have are added before the trash, conversations already placed stay where they are
+ * @param {Array} current - Stored conversationsOrder
+ * @param {Array} backup - conversationsOrder of the backup
+ * @returns {Array} Merged conversationsOrder
+ */
+function backupMergeConversationsOrder(current = [], backup = []) {
+  const isFolder = (entry) => backupIsObject(entry) && entry.id !== undefined;
+  const merged = current.map((entry) => (isFolder(entry) ? { ...entry, conversationIds: [...(entry.conversationIds || [])] } : entry));
+  const placed = new Set(merged.flatMap((entry) => (isFolder(entry) ? entry.conversationIds : [entry])));
+  const insert = (entry) => {
+    const trashIndex = merged.findIndex((e) => isFolder(e) && e.id === 'trash');
+    if (trashIndex === -1) {
+      merged.push(entry);
+    } else {
+      merged.splice(trashIndex, 0, entry);
+    }
+  };
+
+  backup.forEach((entry) => {
+    if (typeof entry === 'string') {
+      if (!placed.has(entry)) insert(entry);
+      placed.add(entry);
+      return;
+    }
+    if (!isFolder(entry)) return;
+    let folder = merged.find((e) => isFolder(e) && e.id === entry.id);
+    if (!folder) {
+      folder = { ...entry, conversationIds: [] };
+      if (entry.id === 'trash') {
+        merged.push(folder);
+      } else {
+        insert(folder);
+      }
+    }
+    (entry.conversationIds || []).forEach((conversationId) => {
+      if (!placed.has(conversationId)) folder.conversationIds.push(conversationId);
+      placed.add(conversationId);
+    });
+  });
+  return merged;
+}
+
+class BackupArchive {
+  /**
+   * Build a backup
+   * @param {object} [options]
+   * @param {Array<string>} [options.sections] - Section names, all sections by default
+   * @param {string} [options.password] - Encrypt the sections with this password
+   * @param {string} [options.type='uint8array'] - JSZip output type of the archive
+   * @returns {Promise<object>} { data, fileName, manifest }
+   */
+  async create({ sections = Object.keys(BackupSections), password = '', type = 'uint8array' } = {}) {
+    const names = sections.filter((name) => BackupSections[name]);
+    if (names.length === 0) throw new Error('Choose at least one section to back up');
+
+    const stored = await chrome.storage.local.get(names.flatMap((name) => BackupSections[name].keys));
+    const storage = password ? stored : this._withoutSecrets(stored);
+    const createdAt = Date.now();
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = password ? await this._key(password, salt, BACKUP_PBKDF2_ITERATIONS) : null;
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_FORMAT_VERSION,
+      createdAt,
+      extensionVersion: chrome.runtime.getManifest().version,
+      sections: {},
+      encryption: key ? {
+        algorithm: 'AES-GCM', kdf: 'PBKDF2-SHA-256', iterations: BACKUP_PBKDF2_ITERATIONS, salt: backupBytesToBase64(salt)
+      } : null
+    };
+
+    const zip = new JSZip();
+    for (const name of names) {
+      const section = { storage: {} };
+      BackupSections[name].keys.forEach((storageKey) => {
+        if (storage[storageKey] !== undefined) section.storage[storageKey] = storage[storageKey];
+      });
+      let items = Object.keys(section.storage).length;
+      if (BackupSections[name].conversations) {
+        const ids = await conversationRepository.keys();
+        section.conversationPages = Math.ceil(ids.length / BACKUP_CONVERSATION_PAGE);
+        for (let page = 0; page < section.conversationPages; page += 1) {
+          const conversations = await conversationRepository.getMany(ids.slice(page * BACKUP_CONVERSATION_PAGE, (page + 1) * BACKUP_CONVERSATION_PAGE));
+          await this._addFile(zip, `sections/${name}/${page}.json`, JSON.stringify(Object.values(conversations)), key);
+        }
+        items = ids.length;
+      }
+      manifest.sections[name] = { items };
+      await this._addFile(zip, `sections/${name}.json`, JSON.stringify(section), key);
+    }
+    zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+    const date = new Date(createdAt);
+    const pad = (n) => String(n).padStart(2, '0');
+    const fileName = `superpower-chatgpt-backup-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}.zip`;
+    const data = await zip.generateAsync({ type, compression: 'DEFLATE' });
+    return { data, fileName, manifest };
+  }
+
+  /**
+   * Open a backup and read its manifest, the sections are read by read()
+   * @param {Blob|ArrayBuffer|Uint8Array} data - Zip archive
+   * @returns {Promise<object>} { zip, manifest }
+   */
+  async open(data) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(data);
+    } catch (error) {
+      throw new Error('This file is not a backup archive');
+    }
+    const manifestFile = zip.file('manifest.json');
+    const manifest = manifestFile ? JSON.parse(await manifestFile.async('string')) : null;
+    if (!manifest || manifest.format !== BACKUP_FORMAT) {
+      throw new Error('This file is not a backup archive');
+    }
+    if (manifest.version > BACKUP_FORMAT_VERSION) {
+      throw new Error(`This backup was made by a newer version of the extension (format ${manifest.version}), update the extension to restore it`);
+    }
+    return { zip, manifest: this._migrate(manifest) };
+  }
+
+  /**
+   * Read sections of an opened backup
+   * @param {object} backup - Result of open()
+   * @param {Array<string>} sections - Section names
+   * @param {string} [password] - Password of an encrypted backup
+   * @returns {Promise<object>} Section contents keyed by name. The conversations of a section are
+   * { pages, read(page) }, read a page at a time by restore()
+   */
+  async read({ zip, manifest }, sections, password = '') {
+    let key = null;
+    if (manifest.encryption) {
+      if (!password) throw new Error('This backup is encrypted, enter its password');
+      key = await this._key(password, backupBase64ToBytes(manifest.encryption.salt), manifest.encryption.iterations);
+    }
+    const contents = {};
+    for (const name of sections) {
+      if (!manifest.sections[name]) continue;
+      const section = JSON.parse(await this._readFile(zip, `sections/${name}.json`, key));
+      if (BackupSections[name]?.conversations) {
+        const { conversations = [], conversationPages = 0 } = section;
+        delete section.conversationPages;
+        section.conversations = manifest.version < 2
+          ? { pages: 1, read: async () => conversations }
+          : { pages: conversationPages, read: async (page) => JSON.parse(await this._readFile(zip, `sections/${name}/${page}.json`, key)) };
+      }
+      contents[name] = section;
+    }
+    return contents;
+  }
+
+  /**
+   * Write sections of a backup
+   * @param {object} contents - Section contents keyed by name, from read()
+   * @param {object} modes - 'merge' or 'replace' keyed by section name
+   * @param {Function} [onProgress] - Receives a message for every step
+   * @returns {Promise<object>} Items restored keyed by section name
+   */
+  async restore(contents, modes, onProgress = () => {}) {
+    const restored = {};
+    for (const [name, section] of Object.entries(contents)) {
+      const replace = modes[name] === 'replace';
+      onProgress(`Restoring ${BackupSections[name]?.label || name}`);
+      const keys = (BackupSections[name]?.keys || []).filter((key) => replace || section.storage?.[key] !== undefined);
+      const current = await chrome.storage.local.get(keys);
+      const updates = {};
+      const removed = [];
+      keys.forEach((key) => {
+        const value = section.storage?.[key];
+        if (replace) {
+          // a backup made without a password has no API keys, the stored ones are kept
+          if (value === undefined) {
+            if (!BackupSecrets.keys.includes(key)) removed.push(key);
+          } else {
+            updates[key] = this._withStoredSecrets(key, value, current[key]);
+          }
+        } else {
+          updates[key] = key === 'conversationsOrder'
+            ? backupMergeConversationsOrder(current[key], value)
+            : backupMergeValues(current[key], value);
+        }
+      });
+      if (removed.length > 0) await chrome.storage.local.remove(removed);
+      if (Object.keys(updates).length > 0) await chrome.storage.local.set(updates);
+      restored[name] = Object.keys(updates).length;
+
+      if (section.conversations) {
+        restored[name] = await this._restoreConversations(section.conversations, replace, onProgress);
+      }
+    }
+    return restored;
+  }
+
+  async _restoreConversations(conversations, replace, onProgress) {
+    let stored = {};
+    if (replace) {
+      await conversationRepository.clear();
+    } else {
+      stored = await conversationRepository.getSummaries();
+    }
+    let written = 0;
+    for (let page = 0; page < conversations.pages; page += 1) {
+      onProgress(`Restoring conversations, part ${page + 1} of ${conversations.pages}`);
+      const newer = (await conversations.read(page)).filter((conversation) => !stored[conversation.id]
+        || backupUpdateTime(conversation) > backupUpdateTime(stored[conversation.id]));
+      for (let i = 0; i < newer.length; i += BACKUP_RESTORE_BATCH) {
+        await conversationRepository.putMany(newer.slice(i, i + BACKUP_RESTORE_BATCH));
+      }
+      written += newer.length;
+    }
+    return written;
+  }
+
+  // Storage values without the API keys
+  _withoutSecrets(storage) {
+    const stripped = { ...storage };
+    BackupSecrets.keys.forEach((key) => delete stripped[key]);
+    BackupSecrets.paths.forEach((path) => {
+      const [key, ...rest] = path.split('.');
+      if (stripped[key] !== undefined) stripped[key] = backupWithoutPath(stripped[key], rest);
+    });
+    return stripped;
+  }
+
+  // Value of a storage key in a backup with the stored API keys and tokens it does not have
+  _withStoredSecrets(storageKey, value, storedValue) {
+    return BackupSecrets.paths.reduce((withSecrets, path) => {
+      const [key, ...rest] = path.split('.');
+      return key === storageKey ? backupWithStoredPath(withSecrets, storedValue, rest) : withSecrets;
+    }, value);
+  }
+
+  async _addFile(zip, path, json, key) {
+    if (key) {
+      zip.file(`${path}.enc`, await this._encrypt(key, json));
+    } else {
+      zip.file(path, json);
+    }
+  }
+
+  async _readFile(zip, path, key) {
+    const file = zip.file(key ? `${path}.enc` : path);
+    if (!file) throw new Error(`The backup has no ${path} file`);
+    return key ? this._decrypt(key, await file.async('uint8array')) : file.async('string');
+  }
+
+  /**
+   * Bring a manifest of an older format up to date
+   * @param {object} manifest
+   * @returns {object} Manifest of BACKUP_FORMAT_VERSION
+   */
+  _migrate(manifest) {
+    return manifest;
+  }
+
+  async _key(password, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async _encrypt(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encrypted = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text)));
+    const bytes = new Uint8Array(iv.length + encrypted.length);
+    bytes.set(iv);
+    bytes.set(encrypted, iv.length);
+    return bytes;
+  }
+
+  async _decrypt(key, bytes) {
+    try {
+      const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.subarray(0, 12) }, key, bytes.subarray(12));
+      return new TextDecoder().decode(decrypted);
+    } catch (error) {
+      throw new Error('Wrong password, the backup could not be decrypted');
+    }
+  }
+}
+
+// eslint-disable-next-line no-unused-vars
+const backupArchive = new BackupArchive();
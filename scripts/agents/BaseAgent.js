@@ -3,12 +3,19 @@
  * Provides common functionality and interface for all agents
  */
 class BaseAgent {
-  constructor(config = {}) {
+  constructor(config = {}, name, description, capabilities) {
+    // Legacy positional signature: (agentId, name, description, capabilities)
+    if (typeof config === 'string') {
+      config = { agentId: config, name, description, capabilities };
+    }
+
     this.agentId = config.agentId || this._generateAgentId();
     this.name = config.name || 'Unnamed Agent';
     this.description = config.description || '';
     this.capabilities = config.capabilities || [];
     this.version = config.version || '1.0.0';
+    // Per-agent task timeout in milliseconds, falls back to AgentManager.config.taskTimeout
+    this.taskTimeout = config.taskTimeout || null;
     
     // Agent state
     this.state = AgentState.IDLE;
@@ -72,9 +79,13 @@ class BaseAgent {
    * Execute a task
    * Override this method to implement task execution logic
    * @param {object} task - The task to execute
+   * @param {object} [options] - Execution options
+   * @param {AbortSignal} [options.signal] - Aborted when the task is cancelled or times out
    * @returns {Promise<object>} Task result
    */
-  async execute(task) {
+  async execute(task, options = {}) {
+    const { signal } = options;
+
     if (!this.enabled) {
       throw new Error(`Agent ${this.name} is disabled`);
     }
@@ -83,6 +94,8 @@ class BaseAgent {
       throw new Error(`Agent ${this.name} is busy`);
     }
 
+    this._throwIfAborted(signal);
+
     const startTime = Date.now();
     this.state = AgentState.BUSY;
     this.currentTask = task;
@@ -97,7 +110,7 @@ class BaseAgent {
       });
 
       // Execute the task (to be implemented by subclass)
-      const result = await this._executeTask(task);
+      const result = await this._executeTask(this._normalizeTaskConversation(task), signal);
 
       // Update statistics
       const executionTime = Date.now() - startTime;
@@ -118,6 +131,14 @@ class BaseAgent {
     } catch (error) {
       // Update statistics
       const executionTime = Date.now() - startTime;
+      this.currentTask = null;
+
+      // A cancelled task is not an agent failure, keep accepting tasks
+      if (signal && signal.aborted) {
+        this.state = AgentState.IDLE;
+        throw error;
+      }
+
       this._updateStats(false, executionTime, error);
 
       // Emit task failed event
@@ -128,7 +149,6 @@ class BaseAgent {
       });
 
       this.state = AgentState.ERROR;
-      this.currentTask = null;
 
       throw error;
     }
@@ -137,14 +157,31 @@ class BaseAgent {
   /**
    * Execute the actual task logic
    * Must be overridden by subclass
+   * Long running tasks should check the signal between steps with _throwIfAborted
    * @param {object} task - The task to execute
+   * @param {AbortSignal} [signal] - Aborted when the task is cancelled or times out
    * @returns {Promise<object>} Task result
    * @protected
    */
-  async _executeTask(task) {
+  async _executeTask(task, signal) {
     throw new Error(`Agent ${this.name} must implement _executeTask method`);
   }
 
+  /**
+   * Copy of a task with data.conversation in the canonical shape (scripts/agents/ConversationModel.js)
+   * so a stored conversation can be passed to any agent as it is
+   * @param {object} task - Task
+   * @returns {object} Task
+   * @private
+   */
+  _normalizeTaskConversation(task) {
+    if (!task.data || !task.data.conversation) return task;
+    return {
+      ...task,
+      data: { ...task.data, conversation: normalizeConversation(task.data.conversation) }
+    };
+  }
+
   /**
    * Learn from feedback
    * Override this method to implement learning logic
@@ -247,6 +284,36 @@ class BaseAgent {
     return () => {};
   }
 
+  /**
+   * Throw the abort reason if the signal has been aborted
+   * @param {AbortSignal} [signal] - Abort signal
+   * @protected
+   */
+  _throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw signal.reason || new Error('Task cancelled');
+    }
+  }
+
+  /**
+   * Log an informational message prefixed with the agent name
+   * @param {string} message - Message to log
+   * @protected
+   */
+  logInfo(message) {
+    console.log(`[${this.name}] ${message}`);
+  }
+
+  /**
+   * Log an error prefixed with the agent name
+   * @param {string} message - Message to log
+   * @param {Error} [error] - Error that caused the message
+   * @protected
+   */
+  logError(message, error) {
+    console.error(`[${this.name}] ${message}`, error || '');
+  }
+
   /**
    * Update agent statistics
    * @param {boolean} success - Whether task succeeded
@@ -286,6 +353,8 @@ const AgentState = {
   IDLE: 'idle',
   INITIALIZING: 'initializing',
   BUSY: 'busy',
+  PROCESSING: 'processing',
+  WAITING: 'waiting',
   ERROR: 'error',
   STOPPED: 'stopped'
 };
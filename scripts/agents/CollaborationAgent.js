@@ -10,15 +10,6 @@
  * - Team activity feeds
  */
 
-// Agent states
-const AgentState = {
-  IDLE: 'idle',
-  INITIALIZING: 'initializing',
-  PROCESSING: 'processing',
-  WAITING: 'waiting',
-  ERROR: 'error'
-};
-
 class CollaborationAgent extends BaseAgent {
   constructor() {
     super({
@@ -92,7 +83,7 @@ class CollaborationAgent extends BaseAgent {
   _setupEventListeners() {
     if (this.eventBus) {
       // Listen for conversation updates to sync with shared versions
-      this.eventBus.on('conversation:updated', async (data) => {
+      this.eventBus.on(AgentEventTypes.CONVERSATION_UPDATED, async ({ data }) => {
         await this._syncSharedConversation(data.conversationId);
       });
 
@@ -103,6 +94,14 @@ class CollaborationAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Route tasks dispatched through the AgentManager to handleTask
+   * @protected
+   */
+  async _executeTask(task) {
+    return this.handleTask(task);
+  }
+
   /**
    * Handle incoming tasks
    */
@@ -788,7 +787,9 @@ class CollaborationAgent extends BaseAgent {
 
   _getCurrentUserId() {
     // In production, this would get the actual user ID from authentication
-    return 'user-' + (localStorage.getItem('userId') || 'anonymous');
+    // localStorage does not exist in the background agent host
+    const userId = typeof localStorage !== 'undefined' ? localStorage.getItem('userId') : null;
+    return 'user-' + (userId || 'anonymous');
   }
 
   _normalizePermissions(permissions) {
@@ -38,7 +38,7 @@ class ContextManagementAgent extends BaseAgent {
     this.sessions = [];
     this.maxSessions = 50;
 
-    // Context budget limits (in tokens, approximate)
+    // Context budget limits in tokens by model slug, filled from the models data on initialize
     this.budgets = {
       gpt35: 4096,
       gpt4: 8192,
@@ -69,6 +69,12 @@ class ContextManagementAgent extends BaseAgent {
     
     // Load saved data
     await this._loadState();
+
+    // Context windows of the available models
+    await this._loadModelBudgets();
+    if (typeof tokenizer !== 'undefined') {
+      tokenizer.load('cl100k_base');
+    }
     
     // Restore last session if exists
     await this._restoreLastSession();
@@ -76,6 +82,14 @@ class ContextManagementAgent extends BaseAgent {
     console.log(`${this.name} initialized with ${this.contexts.size} active contexts`);
   }
 
+  async shutdown() {
+    if (this.modelBudgetsListener) {
+      chrome.storage.onChanged.removeListener(this.modelBudgetsListener);
+      this.modelBudgetsListener = null;
+    }
+    await super.shutdown();
+  }
+
   /**
    * Main execution method
    */
@@ -133,15 +147,16 @@ class ContextManagementAgent extends BaseAgent {
       updatedAt: Date.now(),
       tokenCount: 0
     };
+    context.model = model;
 
     // Add new messages
     if (messages && Array.isArray(messages)) {
       context.messages = messages;
-      context.tokenCount = this._estimateTokens(messages);
+      context.tokenCount = this._estimateTokens(messages, model);
     }
 
     // Get budget for model
-    const budget = this.budgets[model] || this.budgets.default;
+    const budget = this._getBudget(model);
 
     // If over budget, apply strategies
     if (context.tokenCount > budget * 0.8) {
@@ -199,7 +214,7 @@ class ContextManagementAgent extends BaseAgent {
 
     context.summary = summary;
     context.messages = recentMessages;
-    context.tokenCount = this._estimateTokens(recentMessages) + this._estimateTokens([summary]);
+    context.tokenCount = this._estimateTokens(recentMessages, context.model) + this._estimateTokens([summary], context.model);
     context.updatedAt = Date.now();
 
     this.contexts.set(conversationId, context);
@@ -240,7 +255,7 @@ class ContextManagementAgent extends BaseAgent {
       };
     }
 
-    const budget = this.budgets[model] || this.budgets.default;
+    const budget = this._getBudget(model);
     const utilization = context.tokenCount / budget;
 
     const visualization = {
@@ -460,11 +475,17 @@ class ContextManagementAgent extends BaseAgent {
   // ===== Helper Methods =====
 
   /**
-   * Estimate token count for messages
+   * Count tokens of messages with the model's encoding, see Tokenizer.js
+   * @param {Array<string|{content: string}>} messages
+   * @param {string|object} [model] - Slug or a model from the models data
    */
-  _estimateTokens(messages) {
+  _estimateTokens(messages, model) {
     if (!messages || messages.length === 0) return 0;
-    
+
+    if (typeof tokenizer !== 'undefined') {
+      return tokenizer.countMessages(Array.isArray(messages) ? messages : [messages], model === 'default' ? undefined : model);
+    }
+
     // Simple estimation: ~4 characters per token
     const text = Array.isArray(messages) ?
       messages.map(m => typeof m === 'string' ? m : m.content || '').join(' ') :
@@ -488,19 +509,19 @@ class ContextManagementAgent extends BaseAgent {
       const summary = this._createMessagesSummary(context.messages.slice(0, -5));
       context.summary = summary;
       context.messages = context.messages.slice(-5);
-      context.tokenCount = this._estimateTokens(context.messages) + this._estimateTokens([summary]);
+      context.tokenCount = this._estimateTokens(context.messages, context.model) + this._estimateTokens([summary], context.model);
     }
 
     // Strategy 2: Prioritization (keep important messages)
     if (this.strategies.prioritization && context.tokenCount > targetSize) {
-      context.messages = this._prioritizeMessages(context.messages, targetSize);
-      context.tokenCount = this._estimateTokens(context.messages);
+      context.messages = this._prioritizeMessages(context.messages, targetSize, context.model);
+      context.tokenCount = this._estimateTokens(context.messages, context.model);
     }
 
     // Strategy 3: Compression (remove redundant info)
     if (this.strategies.compression && context.tokenCount > targetSize) {
       context.messages = this._compressMessages(context.messages);
-      context.tokenCount = this._estimateTokens(context.messages);
+      context.tokenCount = this._estimateTokens(context.messages, context.model);
     }
 
     return context;
@@ -552,7 +573,7 @@ class ContextManagementAgent extends BaseAgent {
   /**
    * Prioritize messages based on importance
    */
-  _prioritizeMessages(messages, targetTokens) {
+  _prioritizeMessages(messages, targetTokens, model) {
     // Always keep first and last few messages
     const keepFirst = 2;
     const keepLast = 3;
@@ -574,13 +595,13 @@ class ContextManagementAgent extends BaseAgent {
       return /```|```|\d{3,}|\?/.test(content);
     });
 
-    const currentTokens = this._estimateTokens(prioritized);
+    const currentTokens = this._estimateTokens(prioritized, model);
     const availableTokens = targetTokens - currentTokens;
     
     // Add as many important messages as fit
     for (const msg of importantMiddle) {
-      const msgTokens = this._estimateTokens([msg]);
-      if (this._estimateTokens([...prioritized, msg]) <= targetTokens) {
+      const msgTokens = this._estimateTokens([msg], model);
+      if (this._estimateTokens([...prioritized, msg], model) <= targetTokens) {
         prioritized.push(msg);
       } else {
         break;
@@ -693,13 +714,54 @@ class ContextManagementAgent extends BaseAgent {
 
     const contexts = Array.from(this.contexts.values());
     const avgUtilization = contexts.reduce((sum, ctx) => {
-      const utilization = ctx.tokenCount / this.budgets.default;
+      const utilization = ctx.tokenCount / this._getBudget(ctx.model);
       return sum + utilization;
     }, 0) / contexts.length;
 
     return Math.round(avgUtilization * 100);
   }
 
+  /**
+   * Budget of a model: its entry in budgets, its known context window, or the default
+   */
+  _getBudget(model) {
+    if (model && this.budgets[model]) return this.budgets[model];
+    if (model && model !== 'default' && typeof tokenizer !== 'undefined') {
+      return tokenizer.contextWindow(model);
+    }
+    return this.budgets.default;
+  }
+
+  /**
+   * Set budgets from the models data the content script stores (modelsReceived), the
+   * selected model's window becomes the default
+   */
+  async _loadModelBudgets() {
+    const setBudgets = ({ models = [], settings = {} }) => {
+      if (typeof tokenizer === 'undefined') return;
+      models.forEach((model) => {
+        if (model?.slug) this.budgets[model.slug] = tokenizer.contextWindow(model);
+      });
+      if (settings.selectedModel) {
+        this.budgets.default = tokenizer.contextWindow(settings.selectedModel);
+      }
+    };
+
+    try {
+      setBudgets(await chrome.storage.local.get(['models', 'settings']));
+    } catch (error) {
+      console.error('Failed to load model budgets:', error);
+    }
+
+    if (!this.modelBudgetsListener) {
+      this.modelBudgetsListener = (changes, areaName) => {
+        if (areaName !== 'local' || (!changes.models && !changes.settings)) return;
+        chrome.storage.local.get(['models', 'settings']).then(setBudgets);
+      };
+      chrome.storage.onChanged.addListener(this.modelBudgetsListener);
+    }
+  }
+
   /**
    * Restore last session on initialization
    */
@@ -33,8 +33,8 @@ class ConversationIntelligenceAgent extends BaseAgent {
         this.logInfo('Conversation Intelligence Agent initialized');
         
         // Listen for conversation events
-        this.eventBus.on('CONVERSATION_CREATED', (data) => this.onConversationCreated(data));
-        this.eventBus.on('CONVERSATION_UPDATED', (data) => this.onConversationUpdated(data));
+        this._subscribeToEvent(AgentEventTypes.CONVERSATION_CREATED, (event) => this.onConversationCreated(event.data));
+        this._subscribeToEvent(AgentEventTypes.CONVERSATION_UPDATED, (event) => this.onConversationUpdated(event.data));
     }
     
     async execute(task) {
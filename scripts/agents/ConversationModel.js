@@ -0,0 +1,292 @@
+/**
+ * ConversationModel - Canonical conversation shape shared by the exporters and the agents
+ * Loaded in both contexts, conversations are stored in the ChatGPT `mapping`/`current_node` shape
+ * and normalizeConversation turns one into:
+ *
+ *   {
+ *     schemaVersion, id, title, createdAt, updatedAt, model, folder, archived, tags, pluginIds,
+ *     instructions: { languageCode, toneCode, writingStyleCode },
+ *     currentNodeId, rootIds,
+ *     nodes: { [id]: message },  // every version of every message, system and tool messages included
+ *     messages: [message]        // prompts and answers of the branch ChatGPT shows, oldest first
+ *   }
+ *
+ * with each message
+ *
+ *   {
+ *     id, parentId, childIds, role, kind, name, recipient, content, contentType, attachments,
+ *     instructions, createdAt, model, pinned, current
+ *   }
+ *
+ * Times are milliseconds since the epoch. Nodes without a message (the empty root ChatGPT adds)
+ * are left out and their children move up.
+ */
+
+const CONVERSATION_MODEL_VERSION = 1;
+
+// Block generateInstructions (scripts/content/instructions.js) puts in front of a prompt
+const CONVERSATION_INSTRUCTIONS_PATTERN = /## Instructions[\s\S]*## End Instructions\n\n/;
+
+/**
+ * What a message is, independent of the author role
+ */
+const ConversationMessageKinds = {
+  PROMPT: 'prompt',
+  ANSWER: 'answer',
+  // An assistant message addressed to a plugin or tool, `recipient` names it
+  TOOL_CALL: 'tool_call',
+  // Output of a plugin or tool, `name` names it
+  TOOL_RESULT: 'tool_result',
+  // System prompts and context ChatGPT hides, such as custom instructions
+  SYSTEM: 'system'
+};
+
+/**
+ * Convert a ChatGPT time (seconds), a millisecond timestamp or a date string to milliseconds
+ * @param {number|string} value - Time
+ * @returns {number|null} Milliseconds, null when the value is not a time
+ */
+function conversationTime(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    // ChatGPT times are seconds, anything below 1e11 would be a millisecond time in 1973
+    return value < 1e11 ? Math.round(value * 1000) : value;
+  }
+  if (typeof value === 'string' && value) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  return null;
+}
+
+/**
+ * Remove the language, tone and writing style instructions from a prompt
+ * @param {string} text - Prompt as sent
+ * @returns {{text: string, instructions: object|null}} Prompt as typed and the codes the instructions asked for
+ */
+function parseConversationInstructions(text) {
+  const block = text.match(CONVERSATION_INSTRUCTIONS_PATTERN)?.[0];
+  if (!block) return { text, instructions: null };
+  const code = (name) => block.match(new RegExp(`\\(${name}: ([^)\\n]*)\\)`))?.[1] || null;
+  return {
+    text: text.replace(CONVERSATION_INSTRUCTIONS_PATTERN, ''),
+    instructions: {
+      languageCode: code('languageCode'),
+      toneCode: code('toneCode'),
+      writingStyleCode: code('writingStyleCode')
+    }
+  };
+}
+
+// Text of a ChatGPT message content, parts that are not text (images, files) are attachments
+function conversationMessageContent(content) {
+  if (typeof content === 'string') return { text: content, attachments: [] };
+  if (Array.isArray(content?.parts)) {
+    return {
+      text: content.parts.filter((part) => typeof part === 'string').join('\n'),
+      attachments: content.parts.filter((part) => part && typeof part === 'object')
+    };
+  }
+  // code, execution_output and browsing results keep their text outside of parts
+  if (typeof content?.text === 'string') return { text: content.text, attachments: [] };
+  if (typeof content?.result === 'string') return { text: content.result, attachments: [] };
+  return { text: '', attachments: [] };
+}
+
+function conversationMessageKind(role, recipient, message) {
+  if (message.metadata?.is_visually_hidden_from_conversation || message.content?.content_type === 'user_editable_context') {
+    return ConversationMessageKinds.SYSTEM;
+  }
+  switch (role) {
+    case 'user':
+      return ConversationMessageKinds.PROMPT;
+    case 'assistant':
+      return recipient === 'all' ? ConversationMessageKinds.ANSWER : ConversationMessageKinds.TOOL_CALL;
+    case 'tool':
+      return ConversationMessageKinds.TOOL_RESULT;
+    default:
+      return ConversationMessageKinds.SYSTEM;
+  }
+}
+
+/**
+ * Normalize one message
+ * Accepts ChatGPT messages ({author, content: {parts}}) and the {role, content|text, timestamp} messages agents used to build
+ * @param {object} message - Message
+ * @param {object} [node] - Position in the tree
+ * @param {string} [node.id] - Node ID, the message ID when missing
+ * @param {string|null} [node.parentId] - ID of the closest ancestor with a message
+ * @param {boolean} [node.pinned] - Whether the message is pinned
+ * @returns {object} Canonical message
+ */
+function normalizeConversationMessage(message, { id, parentId = null, pinned = false } = {}) {
+  const role = message.author?.role || message.role || 'unknown';
+  const recipient = message.recipient || 'all';
+  const { text, attachments } = conversationMessageContent(message.content ?? message.text);
+  const { text: content, instructions } = role === 'user' ? parseConversationInstructions(text) : { text, instructions: null };
+  return {
+    id: id || message.id,
+    parentId,
+    childIds: [],
+    role,
+    kind: conversationMessageKind(role, recipient, message),
+    name: message.author?.name || message.name || null,
+    recipient,
+    content,
+    contentType: message.content?.content_type || 'text',
+    attachments,
+    instructions,
+    createdAt: conversationTime(message.create_time ?? message.createdAt ?? message.timestamp),
+    model: message.metadata?.model_slug || message.model || null,
+    pinned: Boolean(pinned || message.pinned),
+    current: false
+  };
+}
+
+/**
+ * Whether a message is a prompt or an answer, the messages a reader of the conversation sees
+ * @param {object} message - Canonical message
+ * @returns {boolean}
+ */
+function isConversationThreadMessage(message) {
+  return message.kind === ConversationMessageKinds.PROMPT || message.kind === ConversationMessageKinds.ANSWER;
+}
+
+// Nodes of a ChatGPT mapping, children of message-less nodes are attached to the closest ancestor with a message
+function buildConversationNodes(mapping) {
+  const nodes = {};
+  const childIdsOf = (nodeId) => {
+    const children = mapping[nodeId]?.children;
+    if (children) return children.filter((childId) => mapping[childId]);
+    return Object.keys(mapping).filter((id) => mapping[id]?.parent === nodeId);
+  };
+  const build = (nodeId, parentId) => {
+    const node = mapping[nodeId];
+    const message = node?.message
+      ? normalizeConversationMessage(node.message, { id: nodeId, parentId, pinned: node.pinned })
+      : null;
+    if (message) nodes[nodeId] = message;
+    const childIds = childIdsOf(nodeId).flatMap((childId) => build(childId, message ? nodeId : parentId));
+    if (!message) return childIds;
+    message.childIds = childIds;
+    return [nodeId];
+  };
+  const rootIds = Object.keys(mapping)
+    .filter((id) => mapping[id] && (!mapping[id].parent || !mapping[mapping[id].parent]))
+    .flatMap((id) => build(id, null));
+  return { nodes, rootIds };
+}
+
+// Nodes of a flat message list, each message answers the previous one
+function buildConversationNodesFromMessages(messages) {
+  const nodes = {};
+  let parentId = null;
+  messages.forEach((rawMessage, i) => {
+    const message = normalizeConversationMessage(rawMessage, { id: rawMessage.id || `message-${i}`, parentId });
+    if (parentId) nodes[parentId].childIds.push(message.id);
+    nodes[message.id] = message;
+    parentId = message.id;
+  });
+  return { nodes, rootIds: messages.length > 0 ? [Object.keys(nodes)[0]] : [] };
+}
+
+/**
+ * Messages from the root to a node, oldest first
+ * @param {object} conversation - Canonical conversation
+ * @param {object} [options] - Thread options
+ * @param {string} [options.leafId] - Last node of the thread, the current node by default
+ * @param {boolean} [options.includeHidden=false] - Keep system and tool messages
+ * @returns {Array<object>} Canonical messages
+ */
+function conversationThread(conversation, { leafId = conversation.currentNodeId, includeHidden = false } = {}) {
+  const messages = [];
+  let nodeId = leafId;
+  while (nodeId && conversation.nodes[nodeId]) {
+    const message = conversation.nodes[nodeId];
+    if (includeHidden || isConversationThreadMessage(message)) messages.unshift(message);
+    nodeId = message.parentId;
+  }
+  return messages;
+}
+
+/**
+ * IDs of the last message of every branch, the current branch first
+ * @param {object} conversation - Canonical conversation
+ * @returns {Array<string>} Leaf node IDs
+ */
+// eslint-disable-next-line no-unused-vars
+function conversationLeafIds(conversation) {
+  const leafIds = [];
+  const walk = (nodeId) => {
+    const { childIds } = conversation.nodes[nodeId];
+    if (childIds.length === 0) leafIds.push(nodeId);
+    childIds.forEach(walk);
+  };
+  conversation.rootIds.forEach(walk);
+  return [...leafIds.filter((id) => conversation.nodes[id].current), ...leafIds.filter((id) => !conversation.nodes[id].current)];
+}
+
+/**
+ * Turn a stored conversation into the canonical model
+ * Already normalized conversations are returned as they are
+ * @param {object} conversation - Stored conversation (mapping/current_node shape) or a {title, messages} object
+ * @returns {object|null} Canonical conversation
+ */
+// eslint-disable-next-line no-unused-vars
+function normalizeConversation(conversation) {
+  if (!conversation) return null;
+  if (conversation.schemaVersion === CONVERSATION_MODEL_VERSION) return conversation;
+
+  const { nodes, rootIds } = conversation.mapping
+    ? buildConversationNodes(conversation.mapping)
+    : buildConversationNodesFromMessages(Array.isArray(conversation.messages) ? conversation.messages : []);
+
+  // The current node can be a message-less node, its closest ancestor with a message is current then.
+  // Without one the most recent branch is shown.
+  let currentNodeId = conversation.current_node;
+  while (currentNodeId && !nodes[currentNodeId]) {
+    currentNodeId = conversation.mapping?.[currentNodeId]?.parent;
+  }
+  if (!currentNodeId && rootIds.length > 0) {
+    currentNodeId = rootIds[rootIds.length - 1];
+    while (nodes[currentNodeId].childIds.length > 0) {
+      currentNodeId = nodes[currentNodeId].childIds[nodes[currentNodeId].childIds.length - 1];
+    }
+  }
+  for (let nodeId = currentNodeId; nodeId; nodeId = nodes[nodeId].parentId) {
+    nodes[nodeId].current = true;
+  }
+
+  const normalized = {
+    schemaVersion: CONVERSATION_MODEL_VERSION,
+    id: conversation.id || null,
+    title: conversation.title || '',
+    createdAt: null,
+    updatedAt: null,
+    model: null,
+    folder: conversation.folder || null,
+    archived: Boolean(conversation.archived),
+    tags: conversation.tags || [],
+    pluginIds: conversation.pluginIds || [],
+    instructions: {
+      languageCode: conversation.languageCode || 'default',
+      toneCode: conversation.toneCode || 'default',
+      writingStyleCode: conversation.writingStyleCode || 'default'
+    },
+    currentNodeId: currentNodeId || null,
+    rootIds,
+    nodes,
+    messages: []
+  };
+  normalized.messages = conversationThread(normalized);
+
+  const times = Object.values(nodes).map((message) => message.createdAt).filter((time) => time !== null);
+  normalized.createdAt = conversationTime(conversation.create_time ?? conversation.createdAt)
+    ?? (times.length > 0 ? Math.min(...times) : null);
+  // update_time is 'force_copy' until the next sync after a local change
+  normalized.updatedAt = conversationTime(conversation.update_time ?? conversation.updatedAt)
+    ?? (times.length > 0 ? Math.max(...times) : normalized.createdAt);
+  normalized.model = (typeof conversation.model === 'string' && conversation.model)
+    || [...normalized.messages].reverse().find((message) => message.model)?.model
+    || null;
+  return normalized;
+}
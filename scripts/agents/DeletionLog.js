@@ -0,0 +1,128 @@
+/**
+ * DeletionLog - The audit log of deleted, restored and purged conversations
+ * Loaded in both contexts.
+ *
+ * Entries are kept in `chrome.storage.local.deletionLog`, latest first:
+ *
+ *   { id, action, conversationId, title, folder, source, at }
+ *
+ * `folder` is the folder a trashed conversation was in ({ id, name, color, parentId, defaults, rules }),
+ * null for the top level, so a restore can put it back there. `source` says what deleted it: 'sidebar',
+ * 'drag', 'folder', 'selection', 'deleteAll', 'workflow', 'emptyTrash' or 'retention', and 'trash' for
+ * restores.
+ *
+ * Every write runs in the service worker, one after the other: pages send their entries there
+ * (DELETION_LOG_REQUEST_KEY), so tabs and the trash retention never overwrite each other's entries.
+ */
+
+const DELETION_LOG_STORAGE_KEY = 'deletionLog';
+const DELETION_LOG_REQUEST_KEY = 'deletionLogRequest';
+// Entries kept, older ones are dropped
+const DELETION_LOG_LIMIT = 2000;
+
+const DeletionLogActions = {
+  // Hidden in ChatGPT and moved to the trash folder
+  TRASHED: 'trashed',
+  // Back out of the trash
+  RESTORED: 'restored',
+  // Removed from the local store by the trash retention
+  PURGED: 'purged',
+  // Removed from the local store by emptying the trash
+  EMPTIED: 'emptied'
+};
+
+class DeletionLog {
+  constructor() {
+    // Writes of the service worker run one after the other
+    this.updates = Promise.resolve();
+  }
+
+  /**
+   * Write the entries pages send
+   * Must run synchronously when the service worker starts
+   */
+  listen() {
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (!request || !request[DELETION_LOG_REQUEST_KEY]) return false;
+      this._write(request[DELETION_LOG_REQUEST_KEY].entries || [])
+        .then((result) => sendResponse({ ok: true, result }))
+        .catch((error) => sendResponse({ ok: false, error: error.message || String(error) }));
+      return true;
+    });
+  }
+
+  /**
+   * @returns {Promise<Array<object>>} Entries, latest first
+   */
+  list() {
+    return chrome.storage.local.get([DELETION_LOG_STORAGE_KEY]).then((result) => result[DELETION_LOG_STORAGE_KEY] || []);
+  }
+
+  /**
+   * Add entries
+   * @param {Array<object>} entries - action, conversationId, title, folder and source
+   * @returns {Promise<Array<object>>} The entries with their id and time
+   */
+  add(entries) {
+    const now = Date.now();
+    const newEntries = entries.map((entry) => ({
+      id: self.crypto.randomUUID(),
+      folder: null,
+      at: now,
+      ...entry
+    }));
+    if (typeof window === 'undefined') return this._write(newEntries);
+    return chrome.runtime.sendMessage({ [DELETION_LOG_REQUEST_KEY]: { entries: newEntries } }).then((response) => {
+      if (!response) throw new Error('The deletion log did not answer');
+      if (!response.ok) throw new Error(response.error);
+      return response.result;
+    });
+  }
+
+  // Prepend entries to the stored log, in the service worker
+  _write(newEntries) {
+    const update = this.updates.then(() => this.list()).then((log) => chrome.storage.local.set({
+      [DELETION_LOG_STORAGE_KEY]: [...newEntries, ...log].slice(0, DELETION_LOG_LIMIT)
+    })).then(() => newEntries);
+    this.updates = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * The entry of the last time each conversation was trashed
+   * @param {Array<object>} log - Entries, latest first
+   * @returns {Map<string, object>} Entries by conversation ID
+   */
+  lastTrashed(log) {
+    const trashed = new Map();
+    log.forEach((entry) => {
+      if (entry.action === DeletionLogActions.TRASHED && !trashed.has(entry.conversationId)) {
+        trashed.set(entry.conversationId, entry);
+      }
+    });
+    return trashed;
+  }
+
+  /**
+   * @param {Array<object>} log - Entries
+   * @returns {string} CSV with a header row
+   */
+  toCsv(log) {
+    const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const rows = log.map((entry) => [
+      new Date(entry.at).toISOString(),
+      entry.action,
+      entry.conversationId,
+      entry.title,
+      entry.folder?.name,
+      entry.source
+    ].map(quote).join(','));
+    return ['time,action,conversation_id,title,folder,source', ...rows].join('\n');
+  }
+}
+
+// eslint-disable-next-line no-unused-vars
+const deletionLog = new DeletionLog();
+if (typeof window === 'undefined') {
+  deletionLog.listen();
+}
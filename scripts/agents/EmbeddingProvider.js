@@ -0,0 +1,200 @@
+/**
+ * EmbeddingProvider - Turns text into vectors for semantic search
+ * Providers return L2 normalized vectors, so the dot product of two vectors is their cosine similarity
+ */
+class EmbeddingProvider {
+  /**
+   * @param {string} id - Provider ID, vectors of different providers cannot be compared
+   * @param {number|null} dimensions - Vector size, null until the provider reports it
+   */
+  constructor(id, dimensions) {
+    this.id = id;
+    this.dimensions = dimensions;
+  }
+
+  /**
+   * Embed texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Float32Array>>} One normalized vector per text
+   */
+  async embed(texts) {
+    throw new Error(`${this.constructor.name} must implement embed()`);
+  }
+
+  /**
+   * Cosine similarity of two normalized vectors
+   * @param {Float32Array} a - First vector
+   * @param {Float32Array} b - Second vector
+   * @returns {number} Similarity between -1 and 1
+   */
+  static similarity(a, b) {
+    const length = Math.min(a.length, b.length);
+    let dot = 0;
+    for (let i = 0; i < length; i++) {
+      dot += a[i] * b[i];
+    }
+    return dot;
+  }
+
+  /**
+   * Scale a vector to unit length in place
+   * @param {Float32Array} vector - Vector
+   * @returns {Float32Array} The same vector
+   */
+  static normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) {
+      norm += vector[i] * vector[i];
+    }
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (let i = 0; i < vector.length; i++) {
+        vector[i] /= norm;
+      }
+    }
+    return vector;
+  }
+}
+
+/**
+ * Offline default: feature hashing of words, word bigrams and character trigrams
+ * Character trigrams let related word forms ("sorting", "sorted") land close together
+ */
+class HashedNgramEmbeddingProvider extends EmbeddingProvider {
+  constructor(dimensions = 512) {
+    super(`local-hashed-ngram-${dimensions}`, dimensions);
+    this.featureWeights = { word: 1, bigram: 0.7, trigram: 0.4 };
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  /**
+   * Embed one text synchronously
+   * @param {string} text - Text to embed
+   * @returns {Float32Array} Normalized vector
+   */
+  embedText(text) {
+    const counts = new Map();
+    const addFeature = (feature, weight) => {
+      counts.set(feature, (counts.get(feature) || 0) + weight);
+    };
+
+    const words = (text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}_]+/gu) || [];
+
+    words.forEach((word, i) => {
+      addFeature(`w:${word}`, this.featureWeights.word);
+      if (i > 0) {
+        addFeature(`b:${words[i - 1]} ${word}`, this.featureWeights.bigram);
+      }
+      const padded = ` ${word} `;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        addFeature(`t:${padded.slice(j, j + 3)}`, this.featureWeights.trigram);
+      }
+    });
+
+    const vector = new Float32Array(this.dimensions);
+    counts.forEach((count, feature) => {
+      const hash = this.hash(feature);
+      // the sign bit spreads hash collisions around zero instead of piling them up
+      const sign = hash & 1 ? 1 : -1;
+      vector[(hash >>> 1) % this.dimensions] += sign * (1 + Math.log(count));
+    });
+    return EmbeddingProvider.normalize(vector);
+  }
+
+  /**
+   * FNV-1a hash
+   * @param {string} value - Value to hash
+   * @returns {number} Unsigned 32 bit hash
+   */
+  hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+/**
+ * Calls a user configured OpenAI compatible embeddings endpoint (POST { model, input } -> { data: [{ embedding }] })
+ * The endpoint must allow cross-origin requests from the extension
+ */
+class RemoteEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * @param {object} config - Endpoint configuration
+   * @param {string} config.endpoint - Embeddings URL
+   * @param {string} [config.model] - Model name sent with every request
+   * @param {string} [config.apiKey] - Sent as a bearer token
+   * @param {number} [config.batchSize=64] - Texts per request
+   */
+  constructor({ endpoint, model = '', apiKey = '', batchSize = 64 }) {
+    super(`remote:${endpoint}:${model}`, null);
+    this.endpoint = endpoint;
+    this.model = model;
+    this.apiKey = apiKey;
+    this.batchSize = batchSize;
+  }
+
+  async embed(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      // eslint-disable-next-line no-await-in-loop
+      vectors.push(...await this.embedBatch(batch));
+    }
+    return vectors;
+  }
+
+  async embedBatch(texts) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: this.model || undefined, input: texts })
+    });
+    if (!response.ok) {
+      throw new Error(`Embeddings endpoint answered ${response.status} ${response.statusText}`);
+    }
+
+    const { data } = await response.json();
+    if (!Array.isArray(data) || data.length !== texts.length) {
+      throw new Error('Embeddings endpoint returned an unexpected response');
+    }
+    return data
+      .slice()
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(({ embedding }) => {
+        this.dimensions = embedding.length;
+        return EmbeddingProvider.normalize(Float32Array.from(embedding));
+      });
+  }
+}
+
+/**
+ * Create the provider selected in the settings
+ * @param {object} [settings] - Extension settings
+ * @returns {EmbeddingProvider} Remote provider when one is configured, the offline provider otherwise
+ */
+// eslint-disable-next-line no-unused-vars
+function createEmbeddingProvider(settings = {}) {
+  if (settings.embeddingProvider === 'remote' && settings.embeddingEndpoint) {
+    return new RemoteEmbeddingProvider({
+      endpoint: settings.embeddingEndpoint,
+      model: settings.embeddingModel,
+      apiKey: settings.embeddingApiKey
+    });
+  }
+  return new HashedNgramEmbeddingProvider();
+}
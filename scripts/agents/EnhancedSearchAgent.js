@@ -2,8 +2,9 @@
  * EnhancedSearchAgent
  * 
  * Provides advanced search capabilities including:
- * - Semantic search with embeddings
+ * - Semantic search with embeddings and hybrid keyword/vector ranking
  * - Code-aware search
+ * - Keyword search over the persistent full-text index
  * - Multi-criteria filtering
  * - Search history and saved searches
  * - Search performance optimization
@@ -15,7 +16,7 @@ class EnhancedSearchAgent extends BaseAgent {
             'enhanced-search',
             'Enhanced Search',
             'Provides semantic, code-aware, and multi-criteria search with history',
-            ['search', 'filter', 'semantic', 'code']
+            ['search', 'filter', 'semantic', 'code', 'saveSearch', 'deleteSearch', 'getSaved']
         );
         
         this.searchHistory = [];
@@ -23,6 +24,12 @@ class EnhancedSearchAgent extends BaseAgent {
         this.searchCache = new Map();
         this.maxHistorySize = 100;
         this.maxCacheSize = 50;
+        // Share of the vector score in hybrid ranking, the rest comes from the keyword score
+        this.vectorWeight = 0.6;
+        // Conversations whose best chunk is less similar are left out unless a keyword matched
+        this.minVectorScore = 0.2;
+        // Offline provider for conversations that are not in the vector index
+        this.localEmbeddingProvider = new HashedNgramEmbeddingProvider();
     }
     
     async initialize() {
@@ -41,13 +48,15 @@ class EnhancedSearchAgent extends BaseAgent {
             case 'search':
                 return await this.search(data.query, data.options);
             case 'semantic':
-                return await this.semanticSearch(data.query, data.conversations);
+                return await this.semanticSearch(data.query, data.conversations, data.options);
             case 'code':
                 return await this.codeSearch(data.query, data.conversations);
             case 'filter':
                 return await this.multiCriteriaFilter(data.conversations, data.criteria);
             case 'saveSearch':
                 return await this.saveSearch(data.name, data.query, data.criteria);
+            case 'deleteSearch':
+                return await this.deleteSearch(data.name);
             case 'getHistory':
                 return this.getSearchHistory();
             case 'getSaved':
@@ -93,7 +102,7 @@ class EnhancedSearchAgent extends BaseAgent {
             } else if (codeAware) {
                 results = await this.codeSearch(query, results);
             } else {
-                results = this.keywordSearch(query, results);
+                results = await this.keywordSearch(query, results);
             }
         }
         
@@ -126,29 +135,99 @@ class EnhancedSearchAgent extends BaseAgent {
     }
     
     /**
-     * Semantic search using text similarity
+     * Semantic search with hybrid ranking of the vector index and the full-text index
+     * Without conversations every indexed conversation is searched
+     * @param {string} query - Search text
+     * @param {Array<object>} [conversations] - Conversations to search
+     * @param {object} [options] - Search options
+     * @param {number} [options.vectorWeight] - Share of the vector score between 0 and 1
      */
-    async semanticSearch(query, conversations) {
-        const queryTokens = this.tokenize(query.toLowerCase());
-        const queryVector = this.createVector(queryTokens);
+    async semanticSearch(query, conversations = [], options = {}) {
+        const vectorIndex = this.getVectorIndex();
+        if (!vectorIndex) {
+            return this.scanSemanticSearch(query, conversations);
+        }
+        
+        const searchIndex = this.getSearchIndex();
+        const conversationIds = conversations.length > 0 ? conversations.map(conv => conv.id) : undefined;
+        const [keywordMatches, vectorMatches] = await Promise.all([
+            searchIndex ? searchIndex.search(query, { conversationIds }) : { results: [] },
+            vectorIndex.search(query, { conversationIds })
+        ]);
+        const ranked = this.hybridRank(keywordMatches.results, vectorMatches.results, options.vectorWeight ?? this.vectorWeight);
+        
+        const conversationsById = conversations.length > 0
+            ? Object.fromEntries(conversations.map(conv => [conv.id, conv]))
+            : await conversationRepository.getSummaries(ranked.map(result => result.conversationId));
+        
+        return ranked
+            .filter(result => conversationsById[result.conversationId])
+            .map(result => ({
+                ...conversationsById[result.conversationId],
+                searchScore: result.score,
+                keywordScore: result.keywordScore,
+                vectorScore: result.vectorScore,
+                hits: result.hits
+            }));
+    }
+    
+    /**
+     * Merge keyword and vector results into one ranking
+     * Keyword scores are scaled to the best keyword score, vector scores are cosine similarities
+     * @param {Array<object>} keywordResults - Results of the full-text index
+     * @param {Array<object>} vectorResults - Results of the vector index
+     * @param {number} vectorWeight - Share of the vector score between 0 and 1
+     * @returns {Array<object>} Results with score, keywordScore, vectorScore and hits, best first
+     */
+    hybridRank(keywordResults, vectorResults, vectorWeight) {
+        const maxKeywordScore = keywordResults.reduce((max, result) => Math.max(max, result.score), 0) || 1;
+        const merged = new Map();
+        const entry = conversationId => {
+            if (!merged.has(conversationId)) {
+                merged.set(conversationId, { conversationId, keywordScore: 0, vectorScore: 0, hits: [] });
+            }
+            return merged.get(conversationId);
+        };
+        
+        keywordResults.forEach(result => {
+            const item = entry(result.conversationId);
+            item.keywordScore = result.score / maxKeywordScore;
+            item.hits.push(...result.hits);
+        });
+        vectorResults.forEach(result => {
+            const item = entry(result.conversationId);
+            item.vectorScore = Math.max(0, result.score);
+            item.hits.push(...result.hits.map(hit => ({ ...hit, field: 'vector' })));
+        });
+        
+        return Array.from(merged.values())
+            .filter(item => item.keywordScore > 0 || item.vectorScore >= this.minVectorScore)
+            .map(item => ({
+                ...item,
+                score: vectorWeight * item.vectorScore + (1 - vectorWeight) * item.keywordScore
+            }))
+            .sort((a, b) => b.score - a.score);
+    }
+    
+    /**
+     * Semantic search by embedding the given conversations, used where the vector index is not loaded
+     */
+    async scanSemanticSearch(query, conversations) {
+        const queryVector = this.localEmbeddingProvider.embedText(query);
         
         // Score each conversation by semantic similarity
         const scored = conversations.map(conv => {
-            const text = this.extractConversationText(conv);
-            const tokens = this.tokenize(text.toLowerCase());
-            const vector = this.createVector(tokens);
-            
-            const similarity = this.cosineSimilarity(queryVector, vector);
+            const vector = this.localEmbeddingProvider.embedText(this.extractConversationText(conv));
             
             return {
                 conversation: conv,
-                score: similarity
+                score: EmbeddingProvider.similarity(queryVector, vector)
             };
         });
         
         // Return sorted by relevance
         return scored
-            .filter(item => item.score > 0.1) // Threshold
+            .filter(item => item.score >= this.minVectorScore)
             .sort((a, b) => b.score - a.score)
             .map(item => ({
                 ...item.conversation,
@@ -202,9 +281,37 @@ class EnhancedSearchAgent extends BaseAgent {
     }
     
     /**
-     * Keyword search (improved version)
+     * Keyword search through the persistent full-text index
+     * Supports prefixes, phrases and field scopes (see parseSearchQuery in scripts/background/searchIndex.js)
+     * Without conversations every indexed conversation is searched
      */
-    keywordSearch(query, conversations) {
+    async keywordSearch(query, conversations) {
+        const searchIndex = this.getSearchIndex();
+        if (!searchIndex) {
+            return this.scanKeywordSearch(query, conversations);
+        }
+        
+        const { results } = await searchIndex.search(query, {
+            conversationIds: conversations.length > 0 ? conversations.map(conv => conv.id) : undefined
+        });
+        const conversationsById = conversations.length > 0
+            ? Object.fromEntries(conversations.map(conv => [conv.id, conv]))
+            : await conversationRepository.getSummaries(results.map(result => result.conversationId));
+        
+        return results
+            .filter(result => conversationsById[result.conversationId])
+            .map(result => ({
+                ...conversationsById[result.conversationId],
+                searchScore: result.score,
+                matchCount: result.hits.reduce((count, hit) => count + hit.positions.length, 0),
+                hits: result.hits
+            }));
+    }
+    
+    /**
+     * Keyword search by scanning the given conversations, used where the index is not loaded
+     */
+    scanKeywordSearch(query, conversations) {
         const terms = query.toLowerCase().split(/\s+/).filter(t => t.length > 0);
         const results = [];
         
@@ -257,15 +364,27 @@ class EnhancedSearchAgent extends BaseAgent {
                 return false;
             }
             
-            // Has code filter
+            // Has code filter, repository records carry the flag so summaries can be filtered too
             if (criteria.hasCode !== undefined) {
-                const text = this.extractConversationText(conv);
-                const hasCode = /```/.test(text);
+                const hasCode = conv.hasCode !== undefined ? conv.hasCode : /```/.test(this.extractConversationText(conv));
                 if (criteria.hasCode !== hasCode) {
                     return false;
                 }
             }
             
+            // Code language filter
+            if (criteria.language && !(conv.codeLanguages || []).includes(criteria.language.toLowerCase())) {
+                return false;
+            }
+            
+            // Pinned messages and archived filters
+            if (criteria.pinned !== undefined && Boolean(conv.pinned) !== criteria.pinned) {
+                return false;
+            }
+            if (criteria.archived !== undefined && Boolean(conv.archived) !== criteria.archived) {
+                return false;
+            }
+            
             // Message count filter
             if (criteria.minMessages && (conv.messages?.length || 0) < criteria.minMessages) {
                 return false;
@@ -275,7 +394,7 @@ class EnhancedSearchAgent extends BaseAgent {
             }
             
             // Folder filter
-            if (criteria.folder && conv.folderId !== criteria.folder) {
+            if (criteria.folder && (conv.folderId || conv.folder) !== criteria.folder) {
                 return false;
             }
             
@@ -307,6 +426,16 @@ class EnhancedSearchAgent extends BaseAgent {
         return { success: true, name };
     }
     
+    /**
+     * Delete a saved search
+     */
+    async deleteSearch(name) {
+        const deleted = this.savedSearches.delete(name);
+        
+        await this.saveState();
+        return { success: deleted, name };
+    }
+    
     /**
      * Get search history
      */
@@ -351,6 +480,20 @@ class EnhancedSearchAgent extends BaseAgent {
         });
     }
     
+    /**
+     * Helper: Search index of the background agent host
+     */
+    getSearchIndex() {
+        return typeof conversationSearchIndex !== 'undefined' ? conversationSearchIndex : null;
+    }
+    
+    /**
+     * Helper: Vector index of the background agent host
+     */
+    getVectorIndex() {
+        return typeof conversationVectorIndex !== 'undefined' ? conversationVectorIndex : null;
+    }
+    
     /**
      * Helper: Extract text from conversation
      */
@@ -403,51 +546,6 @@ class EnhancedSearchAgent extends BaseAgent {
         return preview;
     }
     
-    /**
-     * Helper: Tokenize text
-     */
-    tokenize(text) {
-        return text
-            .replace(/[^\w\s]/g, ' ')
-            .split(/\s+/)
-            .filter(w => w.length > 0);
-    }
-    
-    /**
-     * Helper: Create vector from tokens (term frequency)
-     */
-    createVector(tokens) {
-        const vector = new Map();
-        tokens.forEach(token => {
-            vector.set(token, (vector.get(token) || 0) + 1);
-        });
-        return vector;
-    }
-    
-    /**
-     * Helper: Calculate cosine similarity
-     */
-    cosineSimilarity(vec1, vec2) {
-        const allTerms = new Set([...vec1.keys(), ...vec2.keys()]);
-        
-        let dotProduct = 0;
-        let mag1 = 0;
-        let mag2 = 0;
-        
-        allTerms.forEach(term => {
-            const v1 = vec1.get(term) || 0;
-            const v2 = vec2.get(term) || 0;
-            
-            dotProduct += v1 * v2;
-            mag1 += v1 * v1;
-            mag2 += v2 * v2;
-        });
-        
-        if (mag1 === 0 || mag2 === 0) return 0;
-        
-        return dotProduct / (Math.sqrt(mag1) * Math.sqrt(mag2));
-    }
-    
     /**
      * Save state to storage
      */
@@ -5,6 +5,8 @@
 class EventBus {
   constructor() {
     this.listeners = new Map();
+    // Listeners receiving every event, e.g. to forward events to another context
+    this.anyListeners = [];
     this.eventHistory = [];
     this.maxHistorySize = 100;
   }
@@ -47,6 +49,18 @@ class EventBus {
     return this.on(eventType, callback, { once: true });
   }
 
+  /**
+   * Subscribe to all events
+   * @param {Function} callback - Function to call with every emitted event
+   * @returns {Function} Unsubscribe function
+   */
+  onAny(callback) {
+    this.anyListeners.push(callback);
+    return () => {
+      this.anyListeners = this.anyListeners.filter(listener => listener !== callback);
+    };
+  }
+
   /**
    * Unsubscribe from an event
    * @param {string} eventType - The event type
@@ -84,6 +98,14 @@ class EventBus {
     // Store in history
     this._addToHistory(event);
 
+    this.anyListeners.forEach((callback) => {
+      try {
+        callback(event);
+      } catch (error) {
+        console.error(`Error in event listener for ${eventType}:`, error);
+      }
+    });
+
     if (!this.listeners.has(eventType)) return;
 
     const listeners = [...this.listeners.get(eventType)];
@@ -195,6 +217,7 @@ const AgentEventTypes = {
   TASK_STARTED: 'task:started',
   TASK_COMPLETED: 'task:completed',
   TASK_FAILED: 'task:failed',
+  TASK_CANCELLED: 'task:cancelled',
 
   // Conversation events
   CONVERSATION_CREATED: 'conversation:created',
@@ -202,6 +225,7 @@ const AgentEventTypes = {
   CONVERSATION_DELETED: 'conversation:deleted',
   CONVERSATION_EXPORTED: 'conversation:exported',
   CONVERSATION_SYNCED: 'conversation:synced',
+  CONVERSATION_RESPONSE: 'conversation:response',
 
   // Search events
   SEARCH_EXECUTED: 'search:executed',
@@ -211,6 +235,10 @@ const AgentEventTypes = {
   USER_ACTION: 'user:action',
   USER_PROMPT: 'user:prompt',
 
+  // Model events
+  MODEL_SWITCHED: 'model:switched',
+  MODEL_CAP_REACHED: 'model:cap-reached',
+
   // System events
   SYSTEM_READY: 'system:ready',
   SYSTEM_ERROR: 'system:error',
@@ -4,21 +4,12 @@
  * 
  * Capabilities:
  * - Custom export templates
- * - Scheduled exports
+ * - Scheduled exports, run by the background job runner (scripts/background/jobRunner.js)
  * - Batch export with filtering
- * - Export to Anki (flashcards)
- * - Export to PDF with formatting
+ * - Export to Anki (.apkg decks with basic, cloze and code notes)
+ * - Export to PDF (written by the tab, the export history and stats are kept here)
  */
 
-// Agent states
-const AgentState = {
-  IDLE: 'idle',
-  INITIALIZING: 'initializing',
-  PROCESSING: 'processing',
-  WAITING: 'waiting',
-  ERROR: 'error'
-};
-
 class ExportEnhancementsAgent extends BaseAgent {
   constructor() {
     super({
@@ -33,6 +24,7 @@ class ExportEnhancementsAgent extends BaseAgent {
         'exportToPDF',
         'createTemplate',
         'manageSchedule',
+        'previewSchedule',
         'getExportHistory',
         'getTemplates',
         'getExportStats'
@@ -211,13 +203,21 @@ class ExportEnhancementsAgent extends BaseAgent {
     // Load templates, schedules, and history from storage
     await this._loadExportData();
     
-    // Set up scheduled export intervals
-    this._setupScheduledExports();
+    // Hand the schedules to the job runner, which makes the runs missed while the browser was closed
+    await this._setupScheduledExports();
     
     console.log('ExportEnhancementsAgent: Initialization complete');
     console.log(`Loaded ${this.templates.size} templates, ${this.schedules.size} schedules`);
   }
 
+  /**
+   * Route tasks dispatched through the AgentManager to handleTask
+   * @protected
+   */
+  async _executeTask(task) {
+    return this.handleTask(task);
+  }
+
   /**
    * Handle incoming tasks
    */
@@ -259,6 +259,10 @@ class ExportEnhancementsAgent extends BaseAgent {
           result = await this._manageSchedule(task.data);
           break;
 
+        case 'previewSchedule':
+          result = this._previewSchedule(task.data);
+          break;
+
         case 'getExportHistory':
           result = await this._getExportHistory(task.data);
           break;
@@ -377,9 +381,12 @@ class ExportEnhancementsAgent extends BaseAgent {
 
   /**
    * Schedule recurring exports
+   * Runs on a cron expression (scripts/agents/Schedule.js), or daily, weekly or monthly at a time of day
    */
   async _scheduleExport(data) {
-    const { name, templateId, filters = {}, frequency, time, enabled = true } = data;
+    const {
+      name, templateId, filters = {}, frequency, time, cron, timezone, catchUp, enabled = true
+    } = data;
 
     if (!name || !templateId) {
       throw new Error('Schedule name and template ID are required');
@@ -398,21 +405,20 @@ class ExportEnhancementsAgent extends BaseAgent {
       filters, // { tags: [], categories: [], dateRange: {}, etc. }
       frequency, // 'daily', 'weekly', 'monthly'
       time, // HH:MM format
+      ...this._exportScheduleTiming({ frequency, time, cron, timezone, catchUp }),
       enabled,
       createdAt: Date.now(),
       lastRun: null,
-      nextRun: this._calculateNextRun(frequency, time),
-      runCount: 0
+      nextRun: null,
+      runCount: 0,
+      missedRuns: 0
     };
+    schedule.nextRun = this._calculateNextRun(schedule);
 
     this.schedules.set(scheduleId, schedule);
+    await this._scheduleJob(schedule);
     await this._saveExportData();
 
-    // Set up timer for this schedule
-    if (enabled) {
-      this._setupScheduleTimer(schedule);
-    }
-
     // Emit event
     if (this.eventBus) {
       this.eventBus.emit('export:schedule-created', schedule);
@@ -438,7 +444,7 @@ class ExportEnhancementsAgent extends BaseAgent {
     // Process each conversation
     for (let i = 0; i < conversations.length; i++) {
       try {
-        const conversation = conversations[i];
+        const conversation = normalizeConversation(conversations[i]);
         const conversationId = conversationIds[i] || conversation.id;
 
         // Apply filters
@@ -480,18 +486,36 @@ class ExportEnhancementsAgent extends BaseAgent {
   }
 
   /**
-   * Export conversation to Anki flashcard format
+   * Export conversation as an Anki deck package (.apkg)
+   * Prompts and answers become basic notes, bullet lists in answers cloze notes and code blocks code notes.
+   * Note GUIDs are derived from the conversation and message IDs, importing a later export of the same
+   * conversation updates the notes instead of adding them again.
    */
   async _exportToAnki(data) {
-    const { conversationId, conversation, deckName = 'ChatGPT Conversations' } = data;
+    const {
+      conversationId,
+      conversation,
+      deckName = 'ChatGPT Conversations',
+      noteTypes = ['basic', 'cloze', 'code']
+    } = data;
 
     console.log('Exporting to Anki format...');
 
-    // Extract Q&A pairs from conversation
-    const flashcards = this._extractFlashcards(conversation);
+    const ankiPackage = new AnkiPackage(deckName);
+    const notes = this._extractAnkiNotes(conversation, conversationId, noteTypes);
+    notes.forEach(({ noteType, fields, key, createdAt }) => {
+      ankiPackage.addNote(noteType, fields, {
+        key,
+        createdAt,
+        tags: ['chatgpt', conversation.title?.replace(/\s+/g, '-').toLowerCase() || 'conversation']
+      });
+    });
+    if (notes.length === 0) {
+      throw new Error('No flashcards found in this conversation');
+    }
 
-    // Generate Anki import format (CSV)
-    const ankiCSV = this._generateAnkiCSV(flashcards, deckName);
+    // task results are sent as JSON, the package goes as base64
+    const ankiPackageBase64 = await ankiPackage.generate('base64');
 
     // Create export record
     const exportRecord = {
@@ -499,10 +523,11 @@ class ExportEnhancementsAgent extends BaseAgent {
       conversationId,
       format: 'anki',
       deckName,
-      flashcardCount: flashcards.length,
-      size: ankiCSV.length,
+      noteCount: notes.length,
+      cardCount: ankiPackage.cardCount,
+      size: Math.floor(ankiPackageBase64.length * 3 / 4),
       timestamp: Date.now(),
-      filename: `${deckName.replace(/\s+/g, '-')}.csv`
+      filename: `${deckName.replace(/::/g, '-').replace(/[\s\\/:*?"<>|]+/g, '-')}.apkg`
     };
 
     this.exportHistory.unshift(exportRecord);
@@ -517,63 +542,39 @@ class ExportEnhancementsAgent extends BaseAgent {
     }
 
     return {
-      exportContent: ankiCSV,
+      exportContent: ankiPackageBase64,
+      encoding: 'base64',
       exportRecord,
-      flashcards,
+      noteCount: exportRecord.noteCount,
+      cardCount: exportRecord.cardCount,
       filename: exportRecord.filename
     };
   }
 
   /**
-   * Export conversation to PDF with formatting
+   * Record a PDF export
+   * Service workers cannot lay out HTML, the exporting tab writes the PDF (scripts/content/exportPdf.js)
+   * and reports it here for the export history and stats.
    */
   async _exportToPDF(data) {
-    const { conversationId, conversation, options = {} } = data;
-
     const {
-      includeMetadata = true,
-      includeCodeHighlighting = true,
-      fontSize = 12,
-      pageSize = 'A4',
-      orientation = 'portrait'
-    } = options;
-
-    console.log('Exporting to PDF format...');
-
-    // Generate HTML content for PDF
-    const htmlContent = this._generatePDFHTML(conversation, {
-      includeMetadata,
-      includeCodeHighlighting,
-      fontSize
-    });
+      conversationId, title, pageCount = 0, size = 0, text = true, options = {}
+    } = data;
 
-    // In production, this would use a library like jsPDF or Puppeteer
-    // For now, we'll create a data structure that can be used to generate PDF
-    const pdfData = {
-      html: htmlContent,
-      options: {
-        format: pageSize,
-        orientation,
-        margin: {
-          top: '20mm',
-          right: '20mm',
-          bottom: '20mm',
-          left: '20mm'
-        },
-        displayHeaderFooter: true,
-        headerTemplate: `<div style="font-size: 10px; width: 100%; text-align: center;">${conversation.title || 'Untitled'}</div>`,
-        footerTemplate: '<div style="font-size: 10px; width: 100%; text-align: center;"><span class="pageNumber"></span> / <span class="totalPages"></span></div>'
-      }
-    };
+    if (pageCount === 0) {
+      throw new Error('A PDF export needs at least one page');
+    }
 
     // Create export record
     const exportRecord = {
       id: `export-${Date.now()}`,
       conversationId,
       format: 'pdf',
-      size: htmlContent.length,
+      pageCount,
+      size,
+      text,
       timestamp: Date.now(),
-      filename: `${conversation.title || 'conversation'}.pdf`.replace(/[^a-z0-9.-]/gi, '-'),
+      filename: `${title || 'conversation'}.pdf`.replace(/[^a-z0-9.-]/gi, '-'),
       options
     };
 
@@ -589,8 +590,6 @@ class ExportEnhancementsAgent extends BaseAgent {
     }
 
     return {
-      exportContent: htmlContent,
-      pdfData,
       exportRecord,
       filename: exportRecord.filename
     };
@@ -650,30 +649,47 @@ class ExportEnhancementsAgent extends BaseAgent {
     switch (action) {
       case 'enable':
         schedule.enabled = true;
-        this._setupScheduleTimer(schedule);
+        schedule.nextRun = this._calculateNextRun(schedule);
+        await this._scheduleJob(schedule);
         result = { enabled: true };
         break;
 
       case 'disable':
         schedule.enabled = false;
+        await this._scheduleJob(schedule);
         result = { enabled: false };
         break;
 
       case 'update':
         Object.assign(schedule, params);
-        schedule.nextRun = this._calculateNextRun(schedule.frequency, schedule.time);
-        if (schedule.enabled) {
-          this._setupScheduleTimer(schedule);
-        }
+        // a new frequency or time replaces the cron expression
+        Object.assign(schedule, this._exportScheduleTiming({
+          ...schedule,
+          cron: (params.frequency || params.time) && !params.cron ? null : schedule.cron
+        }));
+        schedule.nextRun = this._calculateNextRun(schedule);
+        await this._scheduleJob(schedule);
         result = { updated: true, schedule };
         break;
 
       case 'runNow':
-        result = await this._executeScheduledExport(schedule);
+        // through the job runner, so a run already in progress is not repeated
+        if (typeof jobRunner !== 'undefined') {
+          const run = await jobRunner.runNow(this._scheduleJobId(schedule));
+          if (run.status === 'failed') {
+            throw new Error(run.error);
+          }
+          result = run.result;
+        } else {
+          result = await this._executeScheduledExport(schedule);
+        }
         break;
 
       case 'delete':
         this.schedules.delete(scheduleId);
+        if (typeof jobRunner !== 'undefined') {
+          await jobRunner.remove(this._scheduleJobId(schedule));
+        }
         result = { deleted: true };
         break;
 
@@ -681,7 +697,6 @@ class ExportEnhancementsAgent extends BaseAgent {
         throw new Error(`Unknown schedule action: ${action}`);
     }
 
-    this.schedules.set(scheduleId, schedule);
     await this._saveExportData();
 
     return {
@@ -785,15 +800,14 @@ class ExportEnhancementsAgent extends BaseAgent {
     if (!messages) return [];
 
     return messages.map(msg => {
-      const role = msg.role || 'unknown';
-      const content = msg.content || msg.text || '';
+      const { role, content } = msg;
 
       return {
         role,
         roleLabel: role === 'user' ? 'User' : 'Assistant',
         content,
         htmlContent: format === 'html' ? this._markdownToHtml(content) : content,
-        timestamp: msg.timestamp || Date.now()
+        timestamp: msg.createdAt || Date.now()
       };
     });
   }
@@ -861,146 +875,146 @@ class ExportEnhancementsAgent extends BaseAgent {
     return true;
   }
 
-  _extractFlashcards(conversation) {
-    const flashcards = [];
+  /**
+   * Notes for the Anki export
+   * @param {object} conversation - Canonical conversation
+   * @param {string} conversationId - ID used in the note keys when the conversation has none
+   * @param {Array<string>} noteTypes - 'basic', 'cloze' and/or 'code'
+   * @returns {Array<{noteType: object, fields: Array<string>, key: string, createdAt: number|null}>}
+   */
+  _extractAnkiNotes(conversation, conversationId, noteTypes) {
+    const notes = [];
     const messages = conversation.messages || [];
+    const keyPrefix = conversation.id || conversationId;
 
     for (let i = 0; i < messages.length - 1; i++) {
-      const msg = messages[i];
-      const nextMsg = messages[i + 1];
-
-      // Look for Q&A patterns
-      if (msg.role === 'user' && nextMsg.role === 'assistant') {
-        const question = msg.content || msg.text || '';
-        const answer = nextMsg.content || nextMsg.text || '';
-
-        if (question.length > 10 && answer.length > 10) {
-          flashcards.push({
-            front: this._cleanForAnki(question),
-            back: this._cleanForAnki(answer),
-            tags: ['chatgpt', conversation.title?.replace(/\s+/g, '-').toLowerCase() || 'conversation']
+      const prompt = messages[i];
+      const answer = messages[i + 1];
+      if (prompt.role !== 'user' || answer.role !== 'assistant') continue;
+      if (!prompt.content.trim() || !answer.content.trim()) continue;
+
+      const question = this._escapeAnkiHtml(prompt.content.trim()).replace(/\n/g, '<br>');
+      const tokens = this._ankiMarkdown().parse(answer.content, {});
+
+      if (noteTypes.includes('basic')) {
+        // keyed by the prompt, a regenerated answer replaces the back of the card
+        notes.push({
+          noteType: AnkiNoteTypes.BASIC,
+          fields: [question, this._renderAnkiMarkdown(answer.content), this._escapeAnkiHtml(conversation.title || '')],
+          key: `${keyPrefix}:${prompt.id}:basic`,
+          createdAt: answer.createdAt
+        });
+      }
+
+      if (noteTypes.includes('cloze')) {
+        this._ankiClozeLists(tokens).forEach((text, listIndex) => {
+          notes.push({
+            noteType: AnkiNoteTypes.CLOZE,
+            fields: [text, question],
+            key: `${keyPrefix}:${answer.id}:cloze:${listIndex}`,
+            createdAt: answer.createdAt
           });
-        }
+        });
+      }
+
+      if (noteTypes.includes('code')) {
+        tokens.forEach((token, tokenIndex) => {
+          if (token.type !== 'fence' || !token.content.trim()) return;
+          const language = token.info.trim().split(/\s+/)[0];
+          // the paragraph in front of a code block usually says what it does
+          const explanation = tokens[tokenIndex - 1]?.type === 'paragraph_close' ? tokens[tokenIndex - 2].content : '';
+          notes.push({
+            noteType: AnkiNoteTypes.CODE,
+            fields: [
+              question,
+              this._ankiMarkdown().renderer.render([token], this._ankiMarkdown().options, {}),
+              this._escapeAnkiHtml(language),
+              explanation ? this._renderAnkiMarkdown(explanation, true) : ''
+            ],
+            key: `${keyPrefix}:${answer.id}:code:${tokenIndex}`,
+            createdAt: answer.createdAt
+          });
+        });
       }
     }
 
-    return flashcards;
+    return notes;
   }
 
-  _generateAnkiCSV(flashcards, deckName) {
-    // Anki CSV format: Front, Back, Tags
-    let csv = '';
-    flashcards.forEach(card => {
-      const front = card.front.replace(/"/g, '""'); // Escape quotes
-      const back = card.back.replace(/"/g, '""');
-      const tags = card.tags.join(' ');
-      csv += `"${front}","${back}","${tags}"\n`;
+  /**
+   * Cloze texts of the top level bullet lists of an answer with at least two items
+   * Each item hides its bold term, the term in front of a colon, or else the whole item
+   */
+  _ankiClozeLists(tokens) {
+    const texts = [];
+    tokens.forEach((token, tokenIndex) => {
+      if (token.level !== 0 || (token.type !== 'bullet_list_open' && token.type !== 'ordered_list_open')) return;
+      const items = [];
+      for (let i = tokenIndex + 1; i < tokens.length && !(tokens[i].level === 0 && tokens[i].type === token.type.replace('_open', '_close')); i++) {
+        // the first paragraph of each item, nested lists are left out
+        if (tokens[i].type === 'list_item_open' && tokens[i].level === 1) {
+          const inline = tokens.slice(i + 1).find((itemToken) => itemToken.type === 'inline');
+          if (inline && inline.content.trim()) items.push(inline.content.trim());
+        }
+      }
+      if (items.length < 2) return;
+
+      const clozeItems = items.map((item, i) => {
+        const cloze = (term) => `{{c${i + 1}::${term.replace(/}}/g, '} }')}}}`;
+        const bold = item.match(/\*\*(.+?)\*\*|__(.+?)__/);
+        if (bold) return item.replace(bold[0], `**${cloze(bold[1] || bold[2])}**`);
+        const term = item.match(/^([^:]{1,60}):\s+\S/);
+        if (term) return `${cloze(term[1])}${item.slice(term[1].length)}`;
+        return cloze(item);
+      });
+      const intro = tokens[tokenIndex - 1]?.type === 'paragraph_close' ? tokens[tokenIndex - 2].content : '';
+      const tag = token.type === 'ordered_list_open' ? 'ol' : 'ul';
+      texts.push(`${intro ? `<p>${this._renderAnkiMarkdown(intro, true)}</p>` : ''}<${tag}>${clozeItems.map((item) => `<li>${this._renderAnkiMarkdown(item, true)}</li>`).join('')}</${tag}>`);
     });
-    return csv;
+    return texts;
   }
 
-  _cleanForAnki(text) {
-    // Remove excessive whitespace and format for Anki
-    return text
-      .replace(/\n{3,}/g, '\n\n')
-      .replace(/```[\s\S]*?```/g, (match) => `<pre>${match.replace(/```/g, '')}</pre>`)
-      .trim()
-      .substring(0, 5000); // Limit length
-  }
-
-  _generatePDFHTML(conversation, options) {
-    const { includeMetadata, includeCodeHighlighting, fontSize } = options;
-
-    let html = `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <style>
-    body { 
-      font-family: 'Segoe UI', Arial, sans-serif; 
-      font-size: ${fontSize}px;
-      line-height: 1.6;
-      color: #333;
-      max-width: 100%;
-    }
-    h1 { 
-      color: #2c3e50;
-      border-bottom: 3px solid #3498db;
-      padding-bottom: 10px;
-    }
-    .metadata {
-      background: #f8f9fa;
-      padding: 15px;
-      border-radius: 5px;
-      margin: 20px 0;
-    }
-    .message {
-      margin: 25px 0;
-      padding: 20px;
-      border-radius: 8px;
-      page-break-inside: avoid;
-    }
-    .user {
-      background: #e3f2fd;
-      border-left: 4px solid #2196f3;
-    }
-    .assistant {
-      background: #f5f5f5;
-      border-left: 4px solid #9e9e9e;
-    }
-    .role {
-      font-weight: bold;
-      color: #2c3e50;
-      margin-bottom: 10px;
-      font-size: ${fontSize + 2}px;
-    }
-    pre {
-      background: #282c34;
-      color: #abb2bf;
-      padding: 15px;
-      border-radius: 5px;
-      overflow-x: auto;
-      page-break-inside: avoid;
-    }
-    code {
-      font-family: 'Courier New', monospace;
-      font-size: ${fontSize - 1}px;
-    }
-  </style>
-</head>
-<body>
-  <h1>${conversation.title || 'Untitled Conversation'}</h1>
-`;
-
-    if (includeMetadata) {
-      html += `
-  <div class="metadata">
-    <strong>Date:</strong> ${new Date(conversation.createdAt || Date.now()).toLocaleDateString()}<br>
-    <strong>Model:</strong> ${conversation.model || 'unknown'}<br>
-    <strong>Messages:</strong> ${conversation.messages?.length || 0}
-  </div>
-`;
+  // markdown-it with highlight.js for code blocks, created on first use
+  _ankiMarkdown() {
+    if (!this.ankiMarkdown) {
+      const escapeHtml = (text) => this._escapeAnkiHtml(text);
+      // eslint-disable-next-line new-cap
+      this.ankiMarkdown = new markdownit({
+        html: false,
+        linkify: true,
+        highlight(code, lang) {
+          const { language, value } = lang && hljs.getLanguage(lang)
+            ? hljs.highlight(code, { language: lang, ignoreIllegals: true })
+            : hljs.highlightAuto(code);
+          return `<pre><code class="hljs language-${escapeHtml(language || '')}">${value}</code></pre>`;
+        }
+      });
     }
+    return this.ankiMarkdown;
+  }
 
-    const messages = conversation.messages || [];
-    messages.forEach(msg => {
-      const role = msg.role || 'unknown';
-      const content = msg.content || msg.text || '';
-      const htmlContent = this._markdownToHtml(content, includeCodeHighlighting);
-
-      html += `
-  <div class="message ${role}">
-    <div class="role">${role === 'user' ? '👤 User' : '🤖 Assistant'}</div>
-    <div class="content">${htmlContent}</div>
-  </div>
-`;
+  /**
+   * Render markdown for a card
+   * \(...\) and \[...\] are kept as they are, Anki renders them with MathJax
+   */
+  _renderAnkiMarkdown(markdown, inline = false) {
+    const math = [];
+    const protectedMarkdown = markdown.replace(/\\\[[\s\S]+?\\\]|\\\([\s\S]+?\\\)/g, (match) => {
+      math.push(match);
+      return `ANKIMATH${math.length - 1}ANKIMATH`;
     });
+    const html = inline
+      ? this._ankiMarkdown().renderInline(protectedMarkdown)
+      : this._ankiMarkdown().render(protectedMarkdown);
+    return html.replace(/ANKIMATH(\d+)ANKIMATH/g, (match, index) => this._escapeAnkiHtml(math[Number(index)]));
+  }
 
-    html += `
-</body>
-</html>`;
-
-    return html;
+  _escapeAnkiHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 
   _markdownToHtml(markdown, highlightCode = true) {
@@ -1026,78 +1040,128 @@ class ExportEnhancementsAgent extends BaseAgent {
     return html;
   }
 
-  _calculateNextRun(frequency, time) {
-    const now = new Date();
-    const [hours, minutes] = (time || '00:00').split(':').map(Number);
-
-    let nextRun = new Date();
-    nextRun.setHours(hours, minutes, 0, 0);
-
-    if (nextRun <= now) {
-      // If time has passed today, schedule for next occurrence
-      if (frequency === 'daily') {
-        nextRun.setDate(nextRun.getDate() + 1);
-      } else if (frequency === 'weekly') {
-        nextRun.setDate(nextRun.getDate() + 7);
-      } else if (frequency === 'monthly') {
-        nextRun.setMonth(nextRun.getMonth() + 1);
+  /**
+   * Cron expression, time zone and catch-up policy of an export schedule
+   * @param {object} timing - cron, or frequency and time, with optional timezone and catchUp
+   * @returns {{cron: string, timezone: string, catchUp: string}}
+   */
+  _exportScheduleTiming({ frequency, time, cron, timezone, catchUp, createdAt }) {
+    const schedule = normalizeSchedule({
+      type: 'cron',
+      value: cron || cronFromFrequency(frequency, time, createdAt ? new Date(createdAt) : new Date()),
+      timezone,
+      catchUp
+    });
+    return { cron: schedule.value, timezone: schedule.timezone, catchUp: schedule.catchUp };
+  }
+
+  _exportSchedule(schedule) {
+    return {
+      type: 'cron', value: schedule.cron, timezone: schedule.timezone, catchUp: schedule.catchUp
+    };
+  }
+
+  _calculateNextRun(schedule, after = Date.now()) {
+    return nextScheduleRun(this._exportSchedule(schedule), after);
+  }
+
+  /**
+   * Next run times of a schedule, or of a timing that is not saved yet
+   */
+  _previewSchedule(data) {
+    const { scheduleId, count = 5 } = data;
+    let timing;
+    if (scheduleId) {
+      if (!this.schedules.has(scheduleId)) {
+        throw new Error('Schedule not found');
       }
+      timing = this.schedules.get(scheduleId);
+    } else {
+      timing = this._exportScheduleTiming(data);
     }
-
-    return nextRun.getTime();
+    return {
+      ...this._exportSchedule(timing),
+      runs: nextScheduleRuns(this._exportSchedule(timing), count)
+    };
   }
 
-  _setupScheduledExports() {
-    // Set up timers for all enabled schedules
+  async _setupScheduledExports() {
+    if (typeof jobRunner !== 'undefined') {
+      jobRunner.registerHandler('scheduledExport', (job, run) => this._runScheduledExportJob(job, run));
+    } else if (this.schedules.size > 0) {
+      console.warn('ExportEnhancementsAgent: No job runner, scheduled exports will not run');
+    }
+
     for (const [_, schedule] of this.schedules) {
-      if (schedule.enabled) {
-        this._setupScheduleTimer(schedule);
+      // schedules saved before cron support only have a frequency and a time
+      if (!schedule.cron) {
+        Object.assign(schedule, this._exportScheduleTiming(schedule));
       }
+      await this._scheduleJob(schedule);
     }
+    await this._saveExportData();
   }
 
-  _setupScheduleTimer(schedule) {
-    const now = Date.now();
-    const delay = schedule.nextRun - now;
+  _scheduleJobId(schedule) {
+    return `export:${schedule.scheduleId}`;
+  }
 
-    if (delay > 0) {
-      setTimeout(async () => {
-        await this._executeScheduledExport(schedule);
-      }, delay);
+  /**
+   * Create or update the job running a schedule
+   * The job runner keeps its next run while the timing does not change, a new job starts at schedule.nextRun
+   * so the runs missed before the schedule had a job are caught up
+   */
+  async _scheduleJob(schedule) {
+    if (typeof jobRunner === 'undefined') return;
+    const job = await jobRunner.schedule({
+      id: this._scheduleJobId(schedule),
+      type: 'scheduledExport',
+      name: `Export: ${schedule.name}`,
+      schedule: this._exportSchedule(schedule),
+      params: { scheduleId: schedule.scheduleId },
+      enabled: schedule.enabled,
+      nextRun: schedule.nextRun
+    });
+    schedule.nextRun = job.nextRun;
+  }
+
+  async _runScheduledExportJob(job, run) {
+    const schedule = this.schedules.get(job.params.scheduleId);
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+    if (!this.enabled) {
+      throw new Error(`Agent ${this.name} is disabled`);
     }
+    const result = await this._executeScheduledExport(schedule, run.scheduledTime);
+    schedule.nextRun = job.nextRun;
+    schedule.missedRuns = job.missedRuns;
+    await this._saveExportData();
+    return result;
   }
 
-  async _executeScheduledExport(schedule) {
+  /**
+   * Run a scheduled export, errors are thrown so the job runner tries the run again
+   */
+  async _executeScheduledExport(schedule, scheduledTime = Date.now()) {
     console.log(`Executing scheduled export: ${schedule.name}`);
 
-    try {
-      // In production, would fetch conversations matching filters
-      // and export them using the specified template
-      
-      schedule.lastRun = Date.now();
-      schedule.runCount++;
-      schedule.nextRun = this._calculateNextRun(schedule.frequency, schedule.time);
+    // In production, would fetch conversations matching filters
+    // and export them using the specified template
 
-      this.stats.scheduledExports++;
-      await this._saveExportData();
+    schedule.lastRun = Date.now();
+    schedule.runCount++;
+    schedule.nextRun = this._calculateNextRun(schedule);
 
-      // Set up next run
-      if (schedule.enabled) {
-        this._setupScheduleTimer(schedule);
-      }
+    this.stats.scheduledExports++;
+    await this._saveExportData();
 
-      return {
-        success: true,
-        schedule: schedule.name,
-        executedAt: schedule.lastRun
-      };
-    } catch (error) {
-      console.error('Scheduled export failed:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+    return {
+      success: true,
+      schedule: schedule.name,
+      scheduledTime,
+      executedAt: schedule.lastRun
+    };
   }
 
   async _loadExportData() {
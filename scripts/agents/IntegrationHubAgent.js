@@ -10,15 +10,6 @@
  * Note: Notion integration already exists in NotionIntegrationAgent
  */
 
-// Agent states
-const AgentState = {
-  IDLE: 'idle',
-  INITIALIZING: 'initializing',
-  PROCESSING: 'processing',
-  WAITING: 'waiting',
-  ERROR: 'error'
-};
-
 class IntegrationHubAgent extends BaseAgent {
   constructor() {
     super({
@@ -103,7 +94,7 @@ class IntegrationHubAgent extends BaseAgent {
   _setupEventListeners() {
     if (this.eventBus) {
       // Listen for conversation updates for auto-sync
-      this.eventBus.on('conversation:created', async (data) => {
+      this.eventBus.on(AgentEventTypes.CONVERSATION_CREATED, async ({ data }) => {
         if (this.integrations.obsidian.enabled && this.integrations.obsidian.syncMode === 'auto') {
           await this.handleTask({
             type: 'obsidianSync',
@@ -124,6 +115,14 @@ class IntegrationHubAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Route tasks dispatched through the AgentManager to handleTask
+   * @protected
+   */
+  async _executeTask(task) {
+    return this.handleTask(task);
+  }
+
   /**
    * Handle incoming tasks
    */
@@ -796,8 +795,7 @@ class IntegrationHubAgent extends BaseAgent {
     // Messages
     const messages = conversation.messages || [];
     messages.forEach((msg, index) => {
-      const role = msg.role || 'unknown';
-      const content = msg.content || msg.text || '';
+      const { role, content } = msg;
       
       markdown += `## ${role === 'user' ? '👤 User' : '🤖 Assistant'}\n\n`;
       markdown += `${content}\n\n`;
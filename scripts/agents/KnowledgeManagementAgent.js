@@ -10,15 +10,6 @@
  * - Full-text search across all knowledge
  */
 
-// Agent states
-const AgentState = {
-  IDLE: 'idle',
-  INITIALIZING: 'initializing',
-  PROCESSING: 'processing',
-  WAITING: 'waiting',
-  ERROR: 'error'
-};
-
 class KnowledgeManagementAgent extends BaseAgent {
   constructor() {
     super({
@@ -34,6 +25,7 @@ class KnowledgeManagementAgent extends BaseAgent {
         'extractEntities',
         'findRelationships',
         'suggestTags',
+        'tagConversations',
         'getKnowledgeStats',
         'exportKnowledgeBase'
       ],
@@ -118,7 +110,7 @@ class KnowledgeManagementAgent extends BaseAgent {
   _setupEventListeners() {
     if (this.eventBus) {
       // Listen for new conversations
-      this.eventBus.on('conversation:created', async (data) => {
+      this.eventBus.on(AgentEventTypes.CONVERSATION_CREATED, async ({ data }) => {
         await this.handleTask({
           type: 'extractKnowledge',
           data: { conversationId: data.conversationId, conversation: data.conversation }
@@ -126,7 +118,7 @@ class KnowledgeManagementAgent extends BaseAgent {
       });
 
       // Listen for conversation updates
-      this.eventBus.on('conversation:updated', async (data) => {
+      this.eventBus.on(AgentEventTypes.CONVERSATION_UPDATED, async ({ data }) => {
         await this.handleTask({
           type: 'extractKnowledge',
           data: { conversationId: data.conversationId, conversation: data.conversation }
@@ -135,6 +127,14 @@ class KnowledgeManagementAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Route tasks dispatched through the AgentManager to handleTask
+   * @protected
+   */
+  async _executeTask(task) {
+    return this.handleTask(task);
+  }
+
   /**
    * Handle incoming tasks
    */
@@ -180,6 +180,10 @@ class KnowledgeManagementAgent extends BaseAgent {
           result = await this._suggestTags(task.data);
           break;
 
+        case 'tagConversations':
+          result = await this._tagConversations(task.data);
+          break;
+
         case 'getKnowledgeStats':
           result = await this._getKnowledgeStats();
           break;
@@ -731,6 +735,43 @@ class KnowledgeManagementAgent extends BaseAgent {
     };
   }
 
+  /**
+   * Add tags to conversations in the knowledge base
+   * @param {object} data
+   * @param {object} data.tags - Tags to add, keyed by conversation ID
+   * @returns {Promise<object>} { tags } with every tag of each conversation, keyed by conversation ID
+   */
+  async _tagConversations(data) {
+    const { tags = {} } = data;
+    const tagged = {};
+
+    Object.entries(tags).forEach(([conversationId, conversationTags]) => {
+      conversationTags.map(tag => String(tag).toLowerCase()).forEach(tag => {
+        if (!this.knowledgeBase.tags.has(tag)) {
+          this.knowledgeBase.tags.set(tag, []);
+        }
+        const conversationIds = this.knowledgeBase.tags.get(tag);
+        if (!conversationIds.includes(conversationId)) {
+          conversationIds.push(conversationId);
+          this.stats.tagsApplied++;
+        }
+      });
+      tagged[conversationId] = [];
+    });
+
+    this.knowledgeBase.tags.forEach((conversationIds, tag) => {
+      conversationIds.forEach(conversationId => {
+        if (tagged[conversationId] && !tagged[conversationId].includes(tag)) {
+          tagged[conversationId].push(tag);
+        }
+      });
+    });
+
+    await this._saveKnowledgeBase();
+
+    return { tags: tagged };
+  }
+
   /**
    * Get knowledge base statistics
    */
@@ -412,14 +412,14 @@ class LearningPersonalizationAgent extends BaseAgent {
     if (!this.eventBus) return;
 
     // Track conversation events
-    this.eventBus.on('CONVERSATION_CREATED', (data) => {
+    this._subscribeToEvent(AgentEventTypes.CONVERSATION_CREATED, ({ data }) => {
       this._trackBehavior({
         action: 'conversation_created',
         context: { conversationId: data.conversationId }
       });
     });
 
-    this.eventBus.on('CONVERSATION_DELETED', (data) => {
+    this._subscribeToEvent(AgentEventTypes.CONVERSATION_DELETED, ({ data }) => {
       this._trackBehavior({
         action: 'conversation_deleted',
         context: { conversationId: data.conversationId }
@@ -427,18 +427,18 @@ class LearningPersonalizationAgent extends BaseAgent {
     });
 
     // Track search events
-    this.eventBus.on('EnhancedSearch:SEARCH_COMPLETED', (data) => {
+    this._subscribeToEvent(AgentEventTypes.SEARCH_COMPLETED, ({ data }) => {
       this._trackBehavior({
         action: 'search_performed',
         context: { 
           query: data.query,
-          resultsCount: data.results ? data.results.length : 0
+          resultsCount: data.resultCount || 0
         }
       });
     });
 
     // Track export events
-    this.eventBus.on('EXPORT_COMPLETED', (data) => {
+    this._subscribeToEvent(AgentEventTypes.CONVERSATION_EXPORTED, ({ data }) => {
       this._trackBehavior({
         action: 'export_performed',
         context: { format: data.format }
@@ -10,15 +10,6 @@
  * - Mobile-optimized data formats
  */
 
-// Agent states
-const AgentState = {
-  IDLE: 'idle',
-  INITIALIZING: 'initializing',
-  PROCESSING: 'processing',
-  WAITING: 'waiting',
-  ERROR: 'error'
-};
-
 class MobileCompanionAgent extends BaseAgent {
   constructor() {
     super({
@@ -91,11 +82,11 @@ class MobileCompanionAgent extends BaseAgent {
   _setupEventListeners() {
     if (this.eventBus) {
       // Listen for conversation updates to sync to mobile
-      this.eventBus.on('conversation:created', async (data) => {
+      this.eventBus.on(AgentEventTypes.CONVERSATION_CREATED, async ({ data }) => {
         await this._queueForSync('conversation', data.conversationId);
       });
 
-      this.eventBus.on('conversation:updated', async (data) => {
+      this.eventBus.on(AgentEventTypes.CONVERSATION_UPDATED, async ({ data }) => {
         await this._queueForSync('conversation', data.conversationId);
       });
 
@@ -126,6 +117,14 @@ class MobileCompanionAgent extends BaseAgent {
     }
   }
 
+  /**
+   * Route tasks dispatched through the AgentManager to handleTask
+   * @protected
+   */
+  async _executeTask(task) {
+    return this.handleTask(task);
+  }
+
   /**
    * Handle incoming tasks
    */
@@ -400,7 +399,7 @@ class MobileCompanionAgent extends BaseAgent {
       conversations: []
     };
 
-    for (const conversation of conversations) {
+    for (const conversation of conversations.map(normalizeConversation)) {
       const mobileConversation = {
         id: conversation.id,
         title: conversation.title || 'Untitled',
@@ -416,7 +415,7 @@ class MobileCompanionAgent extends BaseAgent {
         mobileConversation.messages = conversation.messages?.map(msg => ({
           role: msg.role,
           content: this._truncateForMobile(msg.content, 1000),
-          timestamp: msg.timestamp
+          timestamp: msg.createdAt
         }));
       }
 
@@ -747,7 +746,7 @@ class MobileCompanionAgent extends BaseAgent {
     if (messages.length === 0) return 'Empty conversation';
 
     const firstMessage = messages[0];
-    const content = firstMessage.content || firstMessage.text || '';
+    const content = firstMessage.content;
     
     return this._truncateForMobile(content, 150);
   }
@@ -0,0 +1,378 @@
+/**
+ * PdfWriter - Writes a PDF 1.4 file in memory
+ * Covers what a rendered export needs: text in the standard fonts, filled rectangles, JPEG images,
+ * link annotations and an outline. Positions are in points (1/72 inch) from the top left corner of the page.
+ * File format: ISO 32000-1, https://opensource.adobe.com/dc-acrobat-sdk-docs/pdfstandards/PDF32000_2008.pdf
+ */
+
+const PDF_PAGE_SIZES = {
+  A4: [595.28, 841.89],
+  Letter: [612, 792],
+  Legal: [612, 1008]
+};
+
+// Standard fonts every reader has, they are not embedded
+const PDF_FONTS = [
+  'Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique',
+  'Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique'
+];
+
+// WinAnsiEncoding codes of the characters between 0x80 and 0x9F, Latin-1 has the others
+const PDF_WIN_ANSI_CODES = {
+  '\u20ac': 0x80, '\u201a': 0x82, '\u0192': 0x83, '\u201e': 0x84, '\u2026': 0x85, '\u2020': 0x86, '\u2021': 0x87,
+  '\u02c6': 0x88, '\u2030': 0x89, '\u0160': 0x8a, '\u2039': 0x8b, '\u0152': 0x8c, '\u017d': 0x8e, '\u2018': 0x91,
+  '\u2019': 0x92, '\u201c': 0x93, '\u201d': 0x94, '\u2022': 0x95, '\u2013': 0x96, '\u2014': 0x97, '\u02dc': 0x98,
+  '\u2122': 0x99, '\u0161': 0x9a, '\u203a': 0x9b, '\u0153': 0x9c, '\u017e': 0x9e, '\u0178': 0x9f
+};
+
+// Glyph widths of Helvetica and Helvetica-Bold in 1/1000 of the font size, from space to tilde.
+// Courier is 600 wide throughout
+const PDF_HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const PDF_HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+// Widths of the typographic characters answers use most, the other characters outside of ASCII are
+// measured as their base letter
+const PDF_HELVETICA_EXTRA_WIDTHS = {
+  '\u2018': 222, '\u2019': 222, '\u201a': 222, '\u201c': 333, '\u201d': 333, '\u201e': 333, '\u2022': 350,
+  '\u2013': 556, '\u2014': 1000, '\u2026': 1000, '\u20ac': 556, '\u2122': 1000, '\u00a0': 278, '\u00b7': 278
+};
+
+class PdfWriter {
+  /**
+   * @param {object} [options] - Document options
+   * @param {string} [options.title] - Document title
+   * @param {string} [options.creator] - Application that created the document
+   */
+  constructor({ title = '', creator = '' } = {}) {
+    this.title = title;
+    this.creator = creator;
+    this.pages = [];
+    this.outline = [];
+    this.textEncoder = new TextEncoder();
+  }
+
+  /**
+   * Size of a page in points
+   * @param {string} pageSize - 'A4', 'Letter' or 'Legal'
+   * @param {string} [orientation='portrait'] - 'portrait' or 'landscape'
+   * @returns {Array<number>} Width and height
+   */
+  static pageSize(pageSize, orientation = 'portrait') {
+    const size = PDF_PAGE_SIZES[pageSize];
+    if (!size) {
+      throw new Error(`Unknown page size: ${pageSize}`);
+    }
+    return orientation === 'landscape' ? [size[1], size[0]] : [...size];
+  }
+
+  /**
+   * Add a page
+   * @param {number} width - Width in points
+   * @param {number} height - Height in points
+   * @returns {number} Page index
+   */
+  addPage(width, height) {
+    this.pages.push({
+      width, height, operations: [], links: []
+    });
+    return this.pages.length - 1;
+  }
+
+  /**
+   * Whether text can be written in the standard fonts (WinAnsiEncoding)
+   * @param {string} text - Text
+   * @returns {boolean} False if a character has to be drawn some other way
+   */
+  static canEncode(text) {
+    for (const character of text) {
+      if (PdfWriter._winAnsiCode(character) === null) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Width of a text in a standard font
+   * @param {string} text - Text that canEncode() accepts
+   * @param {string} font - Font from PDF_FONTS
+   * @param {number} size - Font size in points
+   * @returns {number} Width in points
+   */
+  static textWidth(text, font, size) {
+    if (font.startsWith('Courier')) return (text.length * 600 * size) / 1000;
+    const widths = font.startsWith('Helvetica-Bold') ? PDF_HELVETICA_BOLD_WIDTHS : PDF_HELVETICA_WIDTHS;
+    let width = 0;
+    for (const character of text) {
+      const base = character.normalize('NFD')[0];
+      const code = base.charCodeAt(0);
+      if (code >= 0x20 && code <= 0x7e) {
+        width += widths[code - 0x20];
+      } else {
+        width += PDF_HELVETICA_EXTRA_WIDTHS[character] || 556;
+      }
+    }
+    return (width * size) / 1000;
+  }
+
+  /**
+   * Write a line of text
+   * @param {number} pageIndex - Page
+   * @param {string} text - Text that canEncode() accepts
+   * @param {object} options - Position and look
+   * @param {number} options.x - Left edge in points
+   * @param {number} options.y - Baseline in points
+   * @param {number} options.size - Font size in points
+   * @param {string} [options.font='Helvetica'] - Font from PDF_FONTS
+   * @param {Array<number>} [options.color=[0, 0, 0]] - RGB color, 0 to 1
+   * @param {number} [options.width] - Stretch or squeeze the text to this width in points
+   */
+  drawText(pageIndex, text, {
+    x, y, size, font = 'Helvetica', color = [0, 0, 0], width
+  }) {
+    if (!PDF_FONTS.includes(font)) {
+      throw new Error(`Unknown font: ${font}`);
+    }
+    if (!PdfWriter.canEncode(text)) {
+      throw new Error('The text has characters the standard fonts do not have');
+    }
+    const naturalWidth = PdfWriter.textWidth(text, font, size);
+    const scale = width && naturalWidth > 0 ? (width / naturalWidth) * 100 : 100;
+    this._page(pageIndex).operations.push({
+      type: 'text', text, x, y, size, font, color, scale
+    });
+  }
+
+  /**
+   * Fill a rectangle
+   * @param {number} pageIndex - Page
+   * @param {{x: number, y: number, width: number, height: number}} rect - Area in points
+   * @param {Array<number>} color - RGB color, 0 to 1
+   */
+  fillRect(pageIndex, rect, color) {
+    this._page(pageIndex).operations.push({ type: 'rect', ...rect, color });
+  }
+
+  /**
+   * Draw a JPEG image
+   * @param {number} pageIndex - Page
+   * @param {Uint8Array} jpeg - Baseline or progressive JPEG with RGB colors
+   * @param {object} image - Image size and position
+   * @param {number} image.pixelWidth - Width of the JPEG in pixels
+   * @param {number} image.pixelHeight - Height of the JPEG in pixels
+   * @param {number} image.x - Left edge in points
+   * @param {number} image.y - Top edge in points
+   * @param {number} image.width - Width on the page in points
+   * @param {number} image.height - Height on the page in points
+   */
+  drawJpeg(pageIndex, jpeg, {
+    pixelWidth, pixelHeight, x, y, width, height
+  }) {
+    this._page(pageIndex).operations.push({
+      type: 'image', jpeg, pixelWidth, pixelHeight, x, y, width, height
+    });
+  }
+
+  /**
+   * Make an area of a page open a URL
+   * @param {number} pageIndex - Page
+   * @param {{x: number, y: number, width: number, height: number}} rect - Area in points
+   * @param {string} url - URL to open
+   */
+  addLink(pageIndex, rect, url) {
+    this._page(pageIndex).links.push({ rect, url });
+  }
+
+  /**
+   * Add a top level outline (bookmark) entry, entries are listed in the order they are added
+   * @param {string} title - Entry title
+   * @param {number} pageIndex - Page the entry goes to
+   * @param {number} [top=0] - Position on the page in points
+   */
+  addOutlineItem(title, pageIndex, top = 0) {
+    this._page(pageIndex);
+    this.outline.push({ title, pageIndex, top });
+  }
+
+  /**
+   * Write the file
+   * @returns {Uint8Array} PDF file
+   */
+  toUint8Array() {
+    if (this.pages.length === 0) {
+      throw new Error('A PDF needs at least one page');
+    }
+    // object numbers: 1 catalog, 2 page tree, 3 info, 4 outline root, then the pages and what they use
+    const objects = [];
+    const reserve = () => {
+      objects.push(null);
+      return objects.length;
+    };
+    const catalogRef = reserve();
+    const pagesRef = reserve();
+    const infoRef = reserve();
+    const outlineRef = this.outline.length > 0 ? reserve() : null;
+    const pageRefs = this.pages.map(() => reserve());
+    // one font object for all the pages that use the font
+    const fontRefs = {};
+
+    this.pages.forEach((page, pageIndex) => {
+      const xObjects = [];
+      const fonts = new Set();
+      const content = page.operations.map((operation) => {
+        const color = (operation.color || []).map(PdfWriter._number).join(' ');
+        if (operation.type === 'rect') {
+          return `${color} rg ${[operation.x, page.height - operation.y - operation.height, operation.width, operation.height].map(PdfWriter._number).join(' ')} re f`;
+        }
+        if (operation.type === 'text') {
+          const fontName = `F${PDF_FONTS.indexOf(operation.font) + 1}`;
+          fonts.add(operation.font);
+          return `BT /${fontName} ${PdfWriter._number(operation.size)} Tf ${PdfWriter._number(operation.scale)} Tz ${color} rg ${PdfWriter._number(operation.x)} ${PdfWriter._number(page.height - operation.y)} Td ${PdfWriter._winAnsiString(operation.text)} Tj ET`;
+        }
+        const imageRef = reserve();
+        objects[imageRef - 1] = this._stream(
+          `<< /Type /XObject /Subtype /Image /Width ${operation.pixelWidth} /Height ${operation.pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`,
+          operation.jpeg
+        );
+        xObjects.push(`/Im${xObjects.length + 1} ${imageRef} 0 R`);
+        return `q ${PdfWriter._number(operation.width)} 0 0 ${PdfWriter._number(operation.height)} ${PdfWriter._number(operation.x)} ${PdfWriter._number(page.height - operation.y - operation.height)} cm /Im${xObjects.length} Do Q`;
+      }).join('\n');
+      const fontResources = [...fonts].map((font) => {
+        if (!fontRefs[font]) {
+          fontRefs[font] = reserve();
+          objects[fontRefs[font] - 1] = `<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`;
+        }
+        return `/F${PDF_FONTS.indexOf(font) + 1} ${fontRefs[font]} 0 R`;
+      });
+      const contentRef = reserve();
+      objects[contentRef - 1] = this._stream('<<', this.textEncoder.encode(content));
+      const annotRefs = page.links.map(({ rect, url }) => {
+        const annotRef = reserve();
+        const bottom = page.height - rect.y - rect.height;
+        objects[annotRef - 1] = `<< /Type /Annot /Subtype /Link /Rect [${[rect.x, bottom, rect.x + rect.width, bottom + rect.height].map(PdfWriter._number).join(' ')}] /Border [0 0 0] /A << /S /URI /URI ${PdfWriter._asciiString(url)} >> >>`;
+        return `${annotRef} 0 R`;
+      });
+      objects[pageRefs[pageIndex] - 1] = `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${PdfWriter._number(page.width)} ${PdfWriter._number(page.height)}] /Resources << /XObject << ${xObjects.join(' ')} >> /Font << ${fontResources.join(' ')} >> >> /Contents ${contentRef} 0 R${annotRefs.length > 0 ? ` /Annots [${annotRefs.join(' ')}]` : ''} >>`;
+    });
+
+    if (outlineRef) {
+      const itemRefs = this.outline.map(() => reserve());
+      this.outline.forEach((item, i) => {
+        const page = this.pages[item.pageIndex];
+        objects[itemRefs[i] - 1] = `<< /Title ${PdfWriter._textString(item.title)} /Parent ${outlineRef} 0 R${i > 0 ? ` /Prev ${itemRefs[i - 1]} 0 R` : ''}${i < itemRefs.length - 1 ? ` /Next ${itemRefs[i + 1]} 0 R` : ''} /Dest [${pageRefs[item.pageIndex]} 0 R /XYZ 0 ${PdfWriter._number(page.height - item.top)} null] >>`;
+      });
+      objects[outlineRef - 1] = `<< /Type /Outlines /First ${itemRefs[0]} 0 R /Last ${itemRefs[itemRefs.length - 1]} 0 R /Count ${itemRefs.length} >>`;
+    }
+    objects[catalogRef - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R${outlineRef ? ` /Outlines ${outlineRef} 0 R /PageMode /UseOutlines` : ''} >>`;
+    objects[pagesRef - 1] = `<< /Type /Pages /Kids [${pageRefs.map((ref) => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+    objects[infoRef - 1] = `<< /Title ${PdfWriter._textString(this.title)} /Creator ${PdfWriter._textString(this.creator)} /Producer ${PdfWriter._textString(this.creator)} /CreationDate ${PdfWriter._asciiString(PdfWriter._date(new Date()))} >>`;
+
+    // the comment with bytes above 127 tells file transfer tools the file is binary
+    const parts = [this.textEncoder.encode('%PDF-1.4\n'), new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])];
+    let offset = parts.reduce((total, part) => total + part.length, 0);
+    const offsets = objects.map((object, i) => {
+      const start = offset;
+      const body = typeof object === 'string' ? this.textEncoder.encode(object) : object;
+      [this.textEncoder.encode(`${i + 1} 0 obj\n`), body, this.textEncoder.encode('\nendobj\n')].forEach((part) => {
+        parts.push(part);
+        offset += part.length;
+      });
+      return start;
+    });
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map((start) => `${String(start).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogRef} 0 R /Info ${infoRef} 0 R >>`,
+      'startxref',
+      String(offset),
+      '%%EOF',
+      ''
+    ].join('\n');
+    parts.push(this.textEncoder.encode(xref));
+
+    const file = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    parts.reduce((position, part) => {
+      file.set(part, position);
+      return position + part.length;
+    }, 0);
+    return file;
+  }
+
+  _page(pageIndex) {
+    const page = this.pages[pageIndex];
+    if (!page) {
+      throw new Error(`Unknown page: ${pageIndex}`);
+    }
+    return page;
+  }
+
+  _stream(dictionaryStart, data) {
+    const head = this.textEncoder.encode(`${dictionaryStart} /Length ${data.length} >>\nstream\n`);
+    const tail = this.textEncoder.encode('\nendstream');
+    const stream = new Uint8Array(head.length + data.length + tail.length);
+    stream.set(head, 0);
+    stream.set(data, head.length);
+    stream.set(tail, head.length + data.length);
+    return stream;
+  }
+
+  static _number(value) {
+    return String(Math.round(value * 100) / 100);
+  }
+
+  // URIs and dates are ASCII, characters outside of it are percent-encoded
+  static _asciiString(text) {
+    const ascii = text.replace(/[^\x20-\x7e]/g, (character) => encodeURIComponent(character));
+    return `(${ascii.replace(/[\\()]/g, (character) => `\\${character}`)})`;
+  }
+
+  // Text of the standard fonts, bytes outside of ASCII are written as octal escapes
+  static _winAnsiString(text) {
+    let escaped = '';
+    for (const character of text) {
+      const code = PdfWriter._winAnsiCode(character);
+      if (code === 0x5c || code === 0x28 || code === 0x29) {
+        escaped += `\\${character}`;
+      } else if (code < 0x20 || code > 0x7e) {
+        escaped += `\\${code.toString(8).padStart(3, '0')}`;
+      } else {
+        escaped += character;
+      }
+    }
+    return `(${escaped})`;
+  }
+
+  static _winAnsiCode(character) {
+    const code = character.codePointAt(0);
+    if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) return code;
+    return PDF_WIN_ANSI_CODES[character] ?? null;
+  }
+
+  // Titles may use any script, they are written as UTF-16BE with a byte order mark
+  static _textString(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+      hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    }
+    return `<${hex}>`;
+  }
+
+  static _date(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+  }
+}
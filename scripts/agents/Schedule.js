@@ -0,0 +1,357 @@
+/**
+ * Schedule - When scheduled workflows and exports run
+ * Loaded in both contexts. A schedule is one of
+ *
+ *   { type: 'cron', value: '0 9 * * 1', timezone: 'Europe/Berlin', catchUp: 'once' }
+ *   { type: 'interval', value: 3600000, catchUp: 'skip' }
+ *
+ * Cron expressions have the five standard fields (minute, hour, day of month, month, day of week)
+ * with lists, ranges, steps and month and day names, or one of @yearly, @monthly, @weekly, @daily
+ * and @hourly. As in cron, a day matches when the day of month or the day of week matches if both
+ * are restricted. Times are wall clock times in `timezone`, the browser time zone by default.
+ * A time skipped by a daylight saving change runs when the clocks have moved on, a repeated time runs once.
+ *
+ * `catchUp` says what happens to runs that were missed while the browser was closed.
+ */
+
+/**
+ * What to do with missed runs
+ */
+const ScheduleCatchUpPolicies = {
+  // Drop them, only runs that are due now are made
+  SKIP: 'skip',
+  // Make one run for all of them
+  ONCE: 'once',
+  // Make every missed run, up to SCHEDULE_MAX_CATCH_UP_RUNS
+  ALL: 'all'
+};
+
+// A run later than this after its time counts as missed
+const SCHEDULE_GRACE_PERIOD = 5 * 60 * 1000;
+const SCHEDULE_MAX_CATCH_UP_RUNS = 50;
+// Missed cron runs are looked for in the time before now, starting with this much and twice as much each time
+const SCHEDULE_CATCH_UP_LOOKBACK = 60 * 60 * 1000;
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 7 is Sunday too
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const scheduleTimeZoneFormats = new Map();
+
+function parseCronValue(text, field) {
+  const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  if (index !== -1) return index + (field.name === 'month' ? 1 : 0);
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${field.name} in cron expression: ${text}`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`The ${field.name} of a cron expression is between ${field.min} and ${field.max}: ${text}`);
+  }
+  return value;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+  text.split(',').forEach((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in cron expression: ${part}`);
+    }
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      [start, end] = [parseCronValue(from, field), parseCronValue(to, field)];
+      if (start > end) {
+        throw new Error(`Invalid range in cron expression: ${range}`);
+      }
+    } else {
+      start = parseCronValue(range, field);
+      // 5/15 is 5, 20, 35, 50
+      end = stepText === undefined ? start : field.max;
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields or a macro such as '@daily'
+ * @returns {object} Allowed minutes, hours, days of month, months and days of week (0 is Sunday)
+ */
+function parseCronExpression(expression) {
+  const text = String(expression || '').trim();
+  const fields = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`A cron expression has 5 fields: ${expression}`);
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // '*' and '*/1' leave a day field unrestricted
+    daysOfMonthRestricted: daysOfMonth.size < 31,
+    daysOfWeekRestricted: daysOfWeek.size < 7
+  };
+}
+
+function scheduleTimeZoneFormat(timezone) {
+  if (!scheduleTimeZoneFormats.has(timezone)) {
+    try {
+      scheduleTimeZoneFormats.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }));
+    } catch (error) {
+      throw new Error(`Unknown time zone: ${timezone}`);
+    }
+  }
+  return scheduleTimeZoneFormats.get(timezone);
+}
+
+// Wall clock time in a time zone, as the UTC time with the same fields
+function scheduleWallClock(time, timezone) {
+  const parts = {};
+  scheduleTimeZoneFormat(timezone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+// Time of a wall clock time in a time zone
+function scheduleFromWallClock(wallClock, timezone) {
+  const offsetAt = (time) => scheduleWallClock(time, timezone) - Math.floor(time / 1000) * 1000;
+  // the offsets a day before and after, unless two daylight saving changes are a day apart
+  const offsetBefore = offsetAt(wallClock - 86400000);
+  const offsetAfter = offsetAt(wallClock + 86400000);
+  const candidates = [wallClock - offsetBefore, wallClock - offsetAfter]
+    .filter((time) => scheduleWallClock(time, timezone) === wallClock)
+    .sort((a, b) => a - b);
+  // a repeated time is its first occurrence, a skipped time is as late as the gap
+  return candidates.length > 0 ? candidates[0] : wallClock - offsetBefore;
+}
+
+function cronDayMatches(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getUTCDay());
+  if (cron.daysOfMonthRestricted && cron.daysOfWeekRestricted) return dayOfMonth || dayOfWeek;
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Check a schedule and fill in its defaults
+ * @param {object} schedule - Cron or interval schedule
+ * @returns {object} Schedule with `timezone` (cron) and `catchUp`
+ */
+function normalizeSchedule(schedule) {
+  if (!schedule) {
+    throw new Error('A schedule is required');
+  }
+  const catchUp = schedule.catchUp || ScheduleCatchUpPolicies.ONCE;
+  if (!Object.values(ScheduleCatchUpPolicies).includes(catchUp)) {
+    throw new Error(`Unknown catch-up policy: ${catchUp}`);
+  }
+  if (schedule.type === 'interval') {
+    if (!Number.isFinite(schedule.value) || schedule.value < 60000) {
+      throw new Error('A schedule interval is at least one minute');
+    }
+    return { ...schedule, catchUp };
+  }
+  if (schedule.type === 'cron') {
+    parseCronExpression(schedule.value);
+    const timezone = schedule.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    scheduleTimeZoneFormat(timezone);
+    return { ...schedule, timezone, catchUp };
+  }
+  throw new Error(`Unknown schedule type: ${schedule.type}`);
+}
+
+/**
+ * Cron expression of a daily, weekly or monthly schedule at a time of day
+ * Weekly schedules keep the day of the week of `from`, monthly ones its day of the month
+ * @param {string} frequency - 'daily', 'weekly' or 'monthly'
+ * @param {string} [time='00:00'] - HH:MM
+ * @param {Date} [from=new Date()] - Day the schedule starts
+ * @returns {string} Cron expression
+ */
+// eslint-disable-next-line no-unused-vars
+function cronFromFrequency(frequency, time = '00:00', from = new Date()) {
+  const [hours, minutes] = (time || '00:00').split(':').map(Number);
+  if (!(hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59)) {
+    throw new Error(`Invalid time: ${time}`);
+  }
+  switch (frequency) {
+    case 'daily':
+      return `${minutes} ${hours} * * *`;
+    case 'weekly':
+      return `${minutes} ${hours} * * ${from.getDay()}`;
+    case 'monthly':
+      return `${minutes} ${hours} ${from.getDate()} * *`;
+    default:
+      throw new Error(`Unknown frequency: ${frequency}`);
+  }
+}
+
+/**
+ * First run after a time
+ * @param {object} schedule - Cron or interval schedule
+ * @param {number} [after=Date.now()] - Time in milliseconds, for intervals the previous run
+ * @returns {number|null} Time of the run, null when the cron expression never matches
+ */
+function nextScheduleRun(schedule, after = Date.now()) {
+  const { type, value, timezone } = normalizeSchedule(schedule);
+  if (type === 'interval') return after + value;
+
+  const cron = parseCronExpression(value);
+  // walk the wall clock from the next minute, skipping whole months, days and hours that do not match
+  const wallClock = new Date(scheduleWallClock(after, timezone));
+  wallClock.setUTCSeconds(0, 0);
+  wallClock.setUTCMinutes(wallClock.getUTCMinutes() + 1);
+  const lastYear = wallClock.getUTCFullYear() + 8;
+  while (wallClock.getUTCFullYear() <= lastYear) {
+    if (!cron.months.has(wallClock.getUTCMonth() + 1)) {
+      wallClock.setUTCMonth(wallClock.getUTCMonth() + 1, 1);
+      wallClock.setUTCHours(0, 0);
+    } else if (!cronDayMatches(cron, wallClock)) {
+      wallClock.setUTCDate(wallClock.getUTCDate() + 1);
+      wallClock.setUTCHours(0, 0);
+    } else if (!cron.hours.has(wallClock.getUTCHours())) {
+      wallClock.setUTCHours(wallClock.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(wallClock.getUTCMinutes())) {
+      wallClock.setUTCMinutes(wallClock.getUTCMinutes() + 1);
+    } else {
+      const time = scheduleFromWallClock(wallClock.getTime(), timezone);
+      // the second occurrence of a repeated time, or a skipped time that lands before `after`
+      if (time > after) return time;
+      wallClock.setUTCMinutes(wallClock.getUTCMinutes() + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * The next run times, for a preview of a schedule
+ * @param {object} schedule - Cron or interval schedule
+ * @param {number} [count=5] - Number of runs
+ * @param {number} [after=Date.now()] - Time in milliseconds
+ * @returns {Array<number>} Run times
+ */
+// eslint-disable-next-line no-unused-vars
+function nextScheduleRuns(schedule, count = 5, after = Date.now()) {
+  const runs = [];
+  let time = after;
+  while (runs.length < count) {
+    time = nextScheduleRun(schedule, time);
+    if (time === null) break;
+    runs.push(time);
+  }
+  return runs;
+}
+
+// Runs from `time` to `now`, the last `count` of them, walking at most `limit` runs
+function scheduleWalkRuns(schedule, time, now, count, limit) {
+  const runs = [];
+  let total = 0;
+  let next = time;
+  while (next !== null && next <= now && total < limit) {
+    total += 1;
+    runs.push(next);
+    if (runs.length > count) runs.shift();
+    next = nextScheduleRun(schedule, next);
+  }
+  return { runs, total, nextRun: next };
+}
+
+/**
+ * The last runs of a schedule from one time to another, without walking every run before them.
+ * Intervals are counted. Cron runs are walked up to SCHEDULE_MAX_CATCH_UP_RUNS, the last ones
+ * after that are looked for in ever longer times before `now`
+ * @param {object} schedule - Normalized cron or interval schedule
+ * @param {number} from - First run time
+ * @param {number} now - Last time a run can have
+ * @param {number} count - Number of runs to return
+ * @returns {{runs: Array<number>, total: number, nextRun: number|null}} The last runs, the number of runs
+ *   from `from` to `now` (at least that many when cron runs were looked for before `now`) and the run after them
+ */
+function scheduleLastRuns(schedule, from, now, count) {
+  if (schedule.type === 'interval') {
+    if (from > now) return { runs: [], total: 0, nextRun: from };
+    const total = Math.floor((now - from) / schedule.value) + 1;
+    const runs = [];
+    for (let i = Math.max(0, total - count); i < total; i += 1) runs.push(from + i * schedule.value);
+    return { runs, total, nextRun: from + total * schedule.value };
+  }
+
+  const walked = scheduleWalkRuns(schedule, from, now, count, SCHEDULE_MAX_CATCH_UP_RUNS);
+  if (walked.nextRun === null || walked.nextRun > now) return walked;
+  for (let lookback = SCHEDULE_CATCH_UP_LOOKBACK; ; lookback *= 2) {
+    if (now - lookback < walked.nextRun) {
+      const rest = scheduleWalkRuns(schedule, walked.nextRun, now, count, Infinity);
+      return { runs: [...walked.runs, ...rest.runs].slice(-count), total: walked.total + rest.total, nextRun: rest.nextRun };
+    }
+    const found = scheduleWalkRuns(schedule, nextScheduleRun(schedule, now - lookback), now, count, Infinity);
+    // the runs between the walked ones and the lookback are not counted, the first of them is
+    if (found.runs.length >= count) {
+      return { runs: found.runs, total: walked.total + 1 + found.total, nextRun: found.nextRun };
+    }
+  }
+}
+
+/**
+ * Runs to make now, with the catch-up policy of the schedule
+ * @param {object} schedule - Cron or interval schedule
+ * @param {number} nextRun - Run time the schedule was waiting for
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {{runs: Array<number>, missed: number, nextRun: number|null}} Times of the runs to make,
+ *   number of missed runs left out (at least that many for a cron schedule far behind) and the run to
+ *   wait for next
+ */
+// eslint-disable-next-line no-unused-vars
+function scheduleDueRuns(schedule, nextRun, now = Date.now()) {
+  const normalized = normalizeSchedule(schedule);
+  const { catchUp } = normalized;
+  // skip and once only make the last run
+  const count = catchUp === ScheduleCatchUpPolicies.ALL ? SCHEDULE_MAX_CATCH_UP_RUNS : 1;
+  const { runs: due, total, nextRun: time } = scheduleLastRuns(normalized, nextRun, now, count);
+  if (due.length === 0) return { runs: [], missed: 0, nextRun: time };
+  const last = due[due.length - 1];
+  let runs;
+  if (catchUp === ScheduleCatchUpPolicies.ALL) {
+    runs = due;
+  } else if (catchUp === ScheduleCatchUpPolicies.ONCE) {
+    runs = [last];
+  } else {
+    runs = now - last <= SCHEDULE_GRACE_PERIOD ? [last] : [];
+  }
+  return { runs, missed: total - runs.length, nextRun: time };
+}
@@ -0,0 +1,457 @@
+/**
+ * SqliteWriter - Writes a SQLite 3 database file in memory
+ * Covers what a generated export needs: tables, indexes, rows added before the file is written,
+ * UTF-8 text, integers, floats and blobs. The file has no free pages and the schema must fit on page 1.
+ * File format: https://www.sqlite.org/fileformat2.html
+ */
+
+const SQLITE_HEADER = 'SQLite format 3\u0000';
+const SQLITE_PAGE_TYPES = {
+  INDEX_INTERIOR: 2,
+  TABLE_INTERIOR: 5,
+  INDEX_LEAF: 10,
+  TABLE_LEAF: 13
+};
+
+class SqliteWriter {
+  /**
+   * @param {object} [options] - Writer options
+   * @param {number} [options.pageSize=4096] - Page size in bytes, a power of two between 512 and 65536
+   */
+  constructor({ pageSize = 4096 } = {}) {
+    this.pageSize = pageSize;
+    this.tables = new Map();
+    this.indexes = [];
+    this.textEncoder = new TextEncoder();
+    this.pages = [];
+  }
+
+  /**
+   * Add a table
+   * A column declared `integer primary key` is the rowid, other tables get rowids in insertion order
+   * @param {string} name - Table name
+   * @param {Array<string>} columns - Column definitions, e.g. 'id integer primary key' or 'tags text not null'
+   */
+  createTable(name, columns) {
+    const columnNames = columns.map((column) => column.trim().split(/\s+/)[0]);
+    const rowidColumn = columns.findIndex((column) => /^\S+\s+integer\s+primary\s+key\b/i.test(column.trim()));
+    this.tables.set(name, {
+      name,
+      sql: `CREATE TABLE ${name} (\n    ${columns.join(',\n    ')}\n)`,
+      columnNames,
+      rowidColumn,
+      rows: []
+    });
+  }
+
+  /**
+   * Add an index, its entries are written with the table rows
+   * @param {string} name - Index name
+   * @param {string} tableName - Indexed table
+   * @param {Array<string>} columnNames - Indexed columns
+   */
+  createIndex(name, tableName, columnNames) {
+    if (!this.tables.has(tableName)) {
+      throw new Error(`Unknown table: ${tableName}`);
+    }
+    this.indexes.push({
+      name,
+      tableName,
+      sql: `CREATE INDEX ${name} ON ${tableName} (${columnNames.join(', ')})`,
+      columnNames
+    });
+  }
+
+  /**
+   * Insert a row
+   * @param {string} tableName - Table name
+   * @param {object} row - Values keyed by column name, missing columns are NULL
+   */
+  insert(tableName, row) {
+    const table = this.tables.get(tableName);
+    if (!table) {
+      throw new Error(`Unknown table: ${tableName}`);
+    }
+    const values = table.columnNames.map((column) => (row[column] === undefined ? null : row[column]));
+    let rowid;
+    if (table.rowidColumn !== -1 && values[table.rowidColumn] !== null) {
+      rowid = values[table.rowidColumn];
+      // the rowid alias is stored as NULL, the value lives in the cell key
+      values[table.rowidColumn] = null;
+    } else {
+      rowid = table.rows.reduce((max, existing) => Math.max(max, existing.rowid), 0) + 1;
+    }
+    if (!Number.isSafeInteger(rowid)) {
+      throw new Error(`${tableName}: rowid must be an integer`);
+    }
+    table.rows.push({ rowid, values });
+  }
+
+  /**
+   * Write the database file
+   * @returns {Uint8Array} Database file
+   */
+  toUint8Array() {
+    this.pages = [null];
+    const schema = [];
+
+    this.tables.forEach((table) => {
+      const rows = [...table.rows].sort((a, b) => a.rowid - b.rowid);
+      rows.forEach((row, i) => {
+        if (i > 0 && rows[i - 1].rowid === row.rowid) {
+          throw new Error(`${table.name}: duplicate rowid ${row.rowid}`);
+        }
+      });
+      schema.push(['table', table.name, table.name, this._writeTable(rows), table.sql]);
+    });
+
+    this.indexes.forEach((index) => {
+      const table = this.tables.get(index.tableName);
+      const columnPositions = index.columnNames.map((column) => table.columnNames.indexOf(column));
+      const entries = table.rows
+        .map((row) => [...columnPositions.map((position) => (position === table.rowidColumn ? row.rowid : row.values[position])), row.rowid])
+        .sort(SqliteWriter.compareRecords);
+      schema.push(['index', index.name, index.tableName, this._writeIndex(entries), index.sql]);
+    });
+
+    const schemaCells = schema.map((values, i) => this._tableLeafCell(i + 1, this._record(values)));
+    if (!this._fits(1, schemaCells.map((cell) => ({ size: cell.length })))) {
+      throw new Error('The schema does not fit on the first page');
+    }
+    this.pages[0] = this._btreePage(1, SQLITE_PAGE_TYPES.TABLE_LEAF, schemaCells);
+    this._writeHeader(this.pages[0]);
+
+    const file = new Uint8Array(this.pages.length * this.pageSize);
+    this.pages.forEach((page, i) => file.set(page, i * this.pageSize));
+    return file;
+  }
+
+  /**
+   * Compare two records the way SQLite orders index entries with the BINARY collation
+   * NULL sorts first, then numbers, text and blobs
+   * @param {Array} a - Record values
+   * @param {Array} b - Record values
+   * @returns {number} Negative, zero or positive
+   */
+  static compareRecords(a, b) {
+    const rank = (value) => {
+      if (value === null) return 0;
+      if (typeof value === 'number') return 1;
+      if (typeof value === 'string') return 2;
+      return 3;
+    };
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const rankDifference = rank(a[i]) - rank(b[i]);
+      if (rankDifference !== 0) return rankDifference;
+      if (a[i] !== null) {
+        let difference = 0;
+        if (typeof a[i] === 'number') {
+          difference = a[i] - b[i];
+        } else if (typeof a[i] === 'string') {
+          difference = SqliteWriter._compareBytes(new TextEncoder().encode(a[i]), new TextEncoder().encode(b[i]));
+        } else {
+          difference = SqliteWriter._compareBytes(a[i], b[i]);
+        }
+        if (difference !== 0) return difference;
+      }
+    }
+    return a.length - b.length;
+  }
+
+  static _compareBytes(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+  }
+
+  // ============ B-trees ============
+
+  // Table b-tree: every row sits in a leaf, interior cells hold the largest rowid of their left child
+  _writeTable(rows) {
+    const items = rows.map((row) => {
+      const payload = this._record(row.values);
+      return { key: row.rowid, payload, size: this._cellSize(SQLITE_PAGE_TYPES.TABLE_LEAF, payload.length, row.rowid) };
+    });
+    let children = this._packLeaves(items).map((pageItems) => ({
+      page: this._addPage(SQLITE_PAGE_TYPES.TABLE_LEAF, pageItems.map(({ key, payload }) => this._tableLeafCell(key, payload))),
+      key: pageItems.length > 0 ? pageItems[pageItems.length - 1].key : 0
+    }));
+
+    while (children.length > 1) {
+      const interiorItems = children.map((child) => ({ ...child, size: 4 + SqliteWriter._varint(child.key).length }));
+      children = this._packInterior(interiorItems).map(({ cells, right }) => ({
+        page: this._addPage(SQLITE_PAGE_TYPES.TABLE_INTERIOR, cells.map(({ page, key }) => this._tableInteriorCell(page, key)), right.page),
+        key: right.key
+      }));
+    }
+    return children[0].page;
+  }
+
+  // Index b-tree: the entry between two children is stored in their parent and nowhere else
+  _writeIndex(entries) {
+    const leaves = [[]];
+    const dividers = [];
+    entries.forEach((entry) => {
+      const payload = this._record(entry);
+      const item = { payload, size: this._cellSize(SQLITE_PAGE_TYPES.INDEX_LEAF, payload.length) };
+      const leaf = leaves[leaves.length - 1];
+      if (leaf.length === 0 || this._fits(0, [...leaf, item])) {
+        leaf.push(item);
+      } else {
+        // this entry separates the full leaf from the next one
+        dividers.push(item);
+        leaves.push([]);
+      }
+    });
+    if (leaves.length > 1 && leaves[leaves.length - 1].length === 0) {
+      // the last entry was a divider, it takes the last leaf and the entry before it divides
+      leaves[leaves.length - 1].push(dividers.pop());
+      dividers.push(leaves[leaves.length - 2].pop());
+    }
+
+    let children = leaves.map((items, i) => ({
+      page: this._addPage(SQLITE_PAGE_TYPES.INDEX_LEAF, items.map(({ payload }) => this._indexCell(payload))),
+      payload: dividers[i]?.payload
+    }));
+    while (children.length > 1) {
+      const interiorItems = children.map((child) => ({
+        ...child,
+        size: child.payload ? this._cellSize(SQLITE_PAGE_TYPES.INDEX_INTERIOR, child.payload.length) : 0
+      }));
+      // the key of a right pointer moves up to divide its page from the next one
+      children = this._packInterior(interiorItems).map(({ cells, right }) => ({
+        page: this._addPage(SQLITE_PAGE_TYPES.INDEX_INTERIOR, cells.map(({ page, payload }) => this._indexCell(payload, page)), right.page),
+        payload: right.payload
+      }));
+    }
+    return children[0].page;
+  }
+
+  // Split leaf cells into pages, greedily
+  _packLeaves(items) {
+    const pages = [[]];
+    items.forEach((item) => {
+      const page = pages[pages.length - 1];
+      if (page.length === 0 || this._fits(0, [...page, item])) {
+        page.push(item);
+      } else {
+        pages.push([item]);
+      }
+    });
+    return pages;
+  }
+
+  /**
+   * Split children into interior pages
+   * Each child but the last one is a cell of a page; when a page is full its last child becomes
+   * the right pointer instead. The last child is the right pointer of the last page.
+   * @param {Array<{size: number}>} children - Children in key order with the size of their cell
+   * @returns {Array<{cells: Array, right: object}>} Pages
+   */
+  _packInterior(children) {
+    const pages = [];
+    let cells = [];
+    children.slice(0, -1).forEach((child) => {
+      if (cells.length < 2 || this._fits(0, [...cells, child], true)) {
+        cells.push(child);
+      } else {
+        const right = cells.pop();
+        pages.push({ cells, right });
+        cells = [child];
+      }
+    });
+    pages.push({ cells, right: children[children.length - 1] });
+    return pages;
+  }
+
+  _fits(pageNumber, items, isInterior = false) {
+    const headerSize = (pageNumber === 1 ? 100 : 0) + (isInterior ? 12 : 8);
+    return items.reduce((total, item) => total + item.size + 2, headerSize) <= this.pageSize;
+  }
+
+  _addPage(type, cells, rightPage) {
+    const pageNumber = this.pages.length + 1;
+    this.pages.push(this._btreePage(pageNumber, type, cells, rightPage));
+    return pageNumber;
+  }
+
+  _btreePage(pageNumber, type, cells, rightPage) {
+    const page = new Uint8Array(this.pageSize);
+    const view = new DataView(page.buffer);
+    const headerOffset = pageNumber === 1 ? 100 : 0;
+    const isInterior = type === SQLITE_PAGE_TYPES.TABLE_INTERIOR || type === SQLITE_PAGE_TYPES.INDEX_INTERIOR;
+    const pointerOffset = headerOffset + (isInterior ? 12 : 8);
+    let contentStart = this.pageSize;
+    cells.forEach((cell, i) => {
+      contentStart -= cell.length;
+      page.set(cell, contentStart);
+      view.setUint16(pointerOffset + i * 2, contentStart);
+    });
+    page[headerOffset] = type;
+    view.setUint16(headerOffset + 1, 0);
+    view.setUint16(headerOffset + 3, cells.length);
+    view.setUint16(headerOffset + 5, contentStart === 65536 ? 0 : contentStart);
+    page[headerOffset + 7] = 0;
+    if (isInterior) view.setUint32(headerOffset + 8, rightPage);
+    return page;
+  }
+
+  // ============ Cells ============
+
+  _maxLocalPayload(type) {
+    if (type === SQLITE_PAGE_TYPES.TABLE_LEAF) return this.pageSize - 35;
+    return Math.floor(((this.pageSize - 12) * 64) / 255) - 23;
+  }
+
+  // Bytes of a payload stored in the cell, the rest goes to overflow pages
+  _localPayloadSize(payloadLength, maxLocal) {
+    if (payloadLength <= maxLocal) return payloadLength;
+    const minLocal = Math.floor(((this.pageSize - 12) * 32) / 255) - 23;
+    const candidate = minLocal + ((payloadLength - minLocal) % (this.pageSize - 4));
+    return candidate <= maxLocal ? candidate : minLocal;
+  }
+
+  _cellSize(type, payloadLength, rowid) {
+    const localSize = this._localPayloadSize(payloadLength, this._maxLocalPayload(type));
+    return (type === SQLITE_PAGE_TYPES.INDEX_INTERIOR ? 4 : 0)
+      + SqliteWriter._varint(payloadLength).length
+      + (type === SQLITE_PAGE_TYPES.TABLE_LEAF ? SqliteWriter._varint(rowid).length : 0)
+      + localSize
+      + (localSize < payloadLength ? 4 : 0);
+  }
+
+  _tableLeafCell(rowid, payload) {
+    return this._concat([
+      SqliteWriter._varint(payload.length),
+      SqliteWriter._varint(rowid),
+      this._payloadWithOverflow(payload, this._maxLocalPayload(SQLITE_PAGE_TYPES.TABLE_LEAF))
+    ]);
+  }
+
+  _tableInteriorCell(leftPage, rowid) {
+    return this._concat([SqliteWriter._uint32(leftPage), SqliteWriter._varint(rowid)]);
+  }
+
+  // Index leaf cell, or interior cell when the left child page is given
+  _indexCell(payload, leftPage) {
+    return this._concat([
+      ...(leftPage ? [SqliteWriter._uint32(leftPage)] : []),
+      SqliteWriter._varint(payload.length),
+      this._payloadWithOverflow(payload, this._maxLocalPayload(SQLITE_PAGE_TYPES.INDEX_LEAF))
+    ]);
+  }
+
+  // The part of a payload stored in the cell, followed by the first overflow page when it does not fit
+  _payloadWithOverflow(payload, maxLocal) {
+    const localSize = this._localPayloadSize(payload.length, maxLocal);
+    if (localSize === payload.length) return payload;
+
+    const overflow = payload.subarray(localSize);
+    const chunkSize = this.pageSize - 4;
+    const chunkCount = Math.ceil(overflow.length / chunkSize);
+    const firstPage = this.pages.length + 1;
+    for (let i = 0; i < chunkCount; i++) {
+      const page = new Uint8Array(this.pageSize);
+      new DataView(page.buffer).setUint32(0, i < chunkCount - 1 ? firstPage + i + 1 : 0);
+      page.set(overflow.subarray(i * chunkSize, (i + 1) * chunkSize), 4);
+      this.pages.push(page);
+    }
+    return this._concat([payload.subarray(0, localSize), SqliteWriter._uint32(firstPage)]);
+  }
+
+  // ============ Records ============
+
+  _record(values) {
+    const types = [];
+    const bodies = values.map((value) => {
+      const [type, body] = this._serialize(value);
+      types.push(type);
+      return body;
+    });
+    const typeBytes = this._concat(types.map((type) => SqliteWriter._varint(type)));
+    // the header size counts its own varint
+    let headerSize = typeBytes.length + 1;
+    if (SqliteWriter._varint(headerSize).length > 1) {
+      headerSize = typeBytes.length + SqliteWriter._varint(typeBytes.length + 2).length;
+    }
+    return this._concat([SqliteWriter._varint(headerSize), typeBytes, ...bodies]);
+  }
+
+  _serialize(value) {
+    if (value === null) return [0, new Uint8Array(0)];
+    if (typeof value === 'boolean') return this._serialize(value ? 1 : 0);
+    if (typeof value === 'number' && Number.isSafeInteger(value)) {
+      if (value === 0) return [8, new Uint8Array(0)];
+      if (value === 1) return [9, new Uint8Array(0)];
+      const sizes = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]];
+      const [type, size] = sizes.find(([, bytes]) => bytes === 8 || (value >= -(2 ** (bytes * 8 - 1)) && value < 2 ** (bytes * 8 - 1)));
+      const body = new Uint8Array(size);
+      let remaining = BigInt.asUintN(size * 8, BigInt(value));
+      for (let i = size - 1; i >= 0; i--) {
+        body[i] = Number(remaining & 0xffn);
+        remaining >>= 8n;
+      }
+      return [type, body];
+    }
+    if (typeof value === 'number') {
+      const body = new Uint8Array(8);
+      new DataView(body.buffer).setFloat64(0, value);
+      return [7, body];
+    }
+    if (value instanceof Uint8Array) return [12 + value.length * 2, value];
+    const text = this.textEncoder.encode(String(value));
+    return [13 + text.length * 2, text];
+  }
+
+  // ============ File ============
+
+  _writeHeader(page) {
+    const view = new DataView(page.buffer);
+    page.set(this.textEncoder.encode(SQLITE_HEADER), 0);
+    view.setUint16(16, this.pageSize === 65536 ? 1 : this.pageSize);
+    page[18] = 1; // legacy write version
+    page[19] = 1; // legacy read version
+    page[20] = 0; // reserved bytes per page
+    page[21] = 64; // maximum embedded payload fraction
+    page[22] = 32; // minimum embedded payload fraction
+    page[23] = 32; // leaf payload fraction
+    view.setUint32(24, 1); // file change counter
+    view.setUint32(28, this.pages.length); // database size in pages
+    view.setUint32(40, 1); // schema cookie
+    view.setUint32(44, 4); // schema format
+    view.setUint32(56, 1); // UTF-8
+    view.setUint32(92, 1); // version-valid-for, matches the change counter
+    view.setUint32(96, 3045001);
+  }
+
+  _concat(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach((part) => {
+      result.set(part, offset);
+      offset += part.length;
+    });
+    return result;
+  }
+
+  static _uint32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value);
+    return bytes;
+  }
+
+  // Big-endian base-128 varint, values up to 2^56 use at most 8 bytes
+  static _varint(value) {
+    if (value < 0 || value >= 2 ** 56) {
+      throw new RangeError(`Varint out of range: ${value}`);
+    }
+    const bytes = [];
+    let remaining = value;
+    do {
+      bytes.unshift(remaining % 128);
+      remaining = Math.floor(remaining / 128);
+    } while (remaining > 0);
+    return Uint8Array.from(bytes, (byte, i) => (i < bytes.length - 1 ? byte | 0x80 : byte));
+  }
+}
@@ -0,0 +1,269 @@
+/**
+ * Tokenizer - Token counts for the composer, the auto splitter and context budgets
+ * Loaded in both contexts.
+ *
+ * Byte level BPE as in OpenAI's tiktoken: the text is split into pieces with the encoding's
+ * pattern, and the UTF-8 bytes of every piece are merged by rank. The ranks are read from the
+ * extension's `tokenizers/<encoding>.tiktoken` files (one `<base64 token> <rank>` per line, the
+ * format tiktoken publishes). Until a file is loaded, or when it is missing, counts are estimated
+ * from the same pieces and marked as not exact.
+ */
+
+/**
+ * Encodings by name. The patterns are tiktoken's, with the case insensitive groups and
+ * possessive quantifiers written out for JavaScript
+ */
+const TokenizerEncodings = {
+  cl100k_base: {
+    file: 'tokenizers/cl100k_base.tiktoken',
+    pattern: /'(?:[sS]|[tT]|[rR][eE]|[vV][eE]|[mM]|[lL][lL]|[dD])|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu
+  },
+  o200k_base: {
+    file: 'tokenizers/o200k_base.tiktoken',
+    pattern: /[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]*[\p{Ll}\p{Lm}\p{Lo}\p{M}]+(?:'(?:[sS]|[tT]|[rR][eE]|[vV][eE]|[mM]|[lL][lL]|[dD]))?|[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]+[\p{Ll}\p{Lm}\p{Lo}\p{M}]*(?:'(?:[sS]|[tT]|[rR][eE]|[vV][eE]|[mM]|[lL][lL]|[dD]))?|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n/]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu
+  }
+};
+
+// Models on o200k_base, all others use cl100k_base
+const TOKENIZER_O200K_MODELS = /gpt-4o|gpt-4\.[15]|gpt-5|(^|[^a-z])o[134]([^a-z]|$)/i;
+
+/**
+ * Context windows for models whose data has no `max_tokens`, the first match wins
+ */
+const TokenizerContextWindows = [
+  [/gpt-4\.1/i, 1047576],
+  [/gpt-4o|gpt-4-turbo|gpt-4\.5/i, 128000],
+  [/(^|[^a-z])o[134]([^a-z]|$)|gpt-5/i, 200000],
+  [/gpt-4-32k/i, 32768],
+  [/gpt-4/i, 8192],
+  [/gpt-3\.5|text-davinci-002-render/i, 16385]
+];
+const TOKENIZER_DEFAULT_CONTEXT_WINDOW = 4096;
+
+// Tokens added around every chat message and to prime the reply, as counted by OpenAI
+const TOKENIZER_MESSAGE_OVERHEAD = 3;
+const TOKENIZER_REPLY_OVERHEAD = 3;
+
+const TOKENIZER_CACHE_SIZE = 10000;
+
+const tokenizerTextEncoder = new TextEncoder();
+
+// UTF-8 bytes of a string as a latin1 string, the keys of the rank maps
+function tokenizerBytes(text) {
+  const bytes = tokenizerTextEncoder.encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 1) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return binary;
+}
+
+class BpeTokenizer {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Encoding name
+   * @param {RegExp} options.pattern - Pre-tokenizer pattern, with the g and u flags
+   * @param {Map<string, number>} options.ranks - Token bytes, as a latin1 string, to rank
+   */
+  constructor({ name, pattern, ranks }) {
+    this.name = name;
+    this.pattern = pattern;
+    this.ranks = ranks;
+    // piece -> token ids
+    this.cache = new Map();
+  }
+
+  /**
+   * Read a .tiktoken file
+   * @param {string} text - `<base64 token> <rank>` lines
+   * @returns {Map<string, number>} Ranks by token bytes as a latin1 string
+   */
+  static parseRanks(text) {
+    const ranks = new Map();
+    text.split('\n').forEach((line) => {
+      const [token, rank] = line.trim().split(' ');
+      if (!token || rank === undefined) return;
+      ranks.set(atob(token), Number(rank));
+    });
+    return ranks;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {number[]} Token ids
+   */
+  encode(text) {
+    const tokens = [];
+    (text.match(this.pattern) || []).forEach((piece) => {
+      tokens.push(...this.encodePiece(piece));
+    });
+    return tokens;
+  }
+
+  count(text) {
+    if (!text) return 0;
+    return (text.match(this.pattern) || []).reduce((sum, piece) => sum + this.encodePiece(piece).length, 0);
+  }
+
+  encodePiece(piece) {
+    const cached = this.cache.get(piece);
+    if (cached) return cached;
+
+    const bytes = tokenizerBytes(piece);
+    const rank = this.ranks.get(bytes);
+    const tokens = rank !== undefined ? [rank] : this.mergeBytes(bytes);
+    if (this.cache.size >= TOKENIZER_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(piece, tokens);
+    return tokens;
+  }
+
+  /**
+   * Merge the pair of neighbouring parts with the lowest rank until no pair has one
+   * @param {string} bytes - Latin1 string
+   */
+  mergeBytes(bytes) {
+    // starts of the parts, then the end
+    const bounds = Array.from({ length: bytes.length + 1 }, (_, i) => i);
+    const pairRank = (i) => (i + 2 < bounds.length ? this.ranks.get(bytes.slice(bounds[i], bounds[i + 2])) ?? Infinity : Infinity);
+    const pairRanks = bounds.map((_, i) => pairRank(i));
+    for (;;) {
+      let index = -1;
+      let lowest = Infinity;
+      for (let i = 0; i < pairRanks.length; i += 1) {
+        if (pairRanks[i] < lowest) {
+          lowest = pairRanks[i];
+          index = i;
+        }
+      }
+      if (index === -1) break;
+      bounds.splice(index + 1, 1);
+      pairRanks.splice(index + 1, 1);
+      pairRanks[index] = pairRank(index);
+      if (index > 0) pairRanks[index - 1] = pairRank(index - 1);
+    }
+    // every single byte has a rank in these encodings
+    return bounds.slice(0, -1).map((start, i) => this.ranks.get(bytes.slice(start, bounds[i + 1])) ?? -1);
+  }
+}
+
+/**
+ * The shared tokenizer service. Counting is synchronous: a model whose encoding is not
+ * loaded yet gets an estimate and starts loading it
+ */
+class TokenizerService {
+  constructor() {
+    // encoding name -> BpeTokenizer, or null when its file could not be loaded
+    this.tokenizers = new Map();
+    this.loading = new Map();
+  }
+
+  /**
+   * @param {string|object} model - Slug or a model from the `models` data
+   * @returns {string} Encoding name
+   */
+  encodingForModel(model) {
+    const slug = typeof model === 'string' ? model : model?.slug || '';
+    return TOKENIZER_O200K_MODELS.test(slug) ? 'o200k_base' : 'cl100k_base';
+  }
+
+  /**
+   * Tokens a model accepts: `max_tokens` of the `models` data, or the known window of its slug
+   * @param {string|object} model - Slug or a model from the `models` data
+   */
+  contextWindow(model) {
+    if (model && typeof model === 'object' && model.max_tokens > 0) return model.max_tokens;
+    const slug = typeof model === 'string' ? model : model?.slug || '';
+    const known = TokenizerContextWindows.find(([pattern]) => pattern.test(slug));
+    return known ? known[1] : TOKENIZER_DEFAULT_CONTEXT_WINDOW;
+  }
+
+  /**
+   * Load an encoding's ranks from the extension
+   * @returns {Promise<BpeTokenizer|null>} null when the file is missing
+   */
+  load(encoding = 'cl100k_base') {
+    if (this.tokenizers.has(encoding)) return Promise.resolve(this.tokenizers.get(encoding));
+    if (this.loading.has(encoding)) return this.loading.get(encoding);
+    const definition = TokenizerEncodings[encoding];
+    if (!definition) return Promise.reject(new Error(`Unknown encoding: ${encoding}`));
+
+    const loading = fetch(chrome.runtime.getURL(definition.file))
+      .then((response) => {
+        if (!response.ok) throw new Error(`${definition.file}: ${response.status}`);
+        return response.text();
+      })
+      .then((text) => new BpeTokenizer({ name: encoding, pattern: definition.pattern, ranks: BpeTokenizer.parseRanks(text) }))
+      .catch((error) => {
+        console.warn(`Token counts are estimated, ${encoding} could not be loaded:`, error.message);
+        return null;
+      })
+      .then((loaded) => {
+        this.tokenizers.set(encoding, loaded);
+        this.loading.delete(encoding);
+        return loaded;
+      });
+    this.loading.set(encoding, loading);
+    return loading;
+  }
+
+  /**
+   * Whether counts for this model come from its encoding rather than an estimate
+   */
+  isExact(model) {
+    return Boolean(this.tokenizers.get(this.encodingForModel(model)));
+  }
+
+  /**
+   * @param {string} text
+   * @param {string|object} [model] - Slug or a model from the `models` data
+   * @returns {number} Tokens
+   */
+  count(text, model) {
+    if (!text) return 0;
+    const encoding = this.encodingForModel(model);
+    const loaded = this.tokenizers.get(encoding);
+    if (loaded) return loaded.count(text);
+    if (!this.tokenizers.has(encoding)) this.load(encoding);
+    return this.estimate(text, encoding);
+  }
+
+  /**
+   * Tokens of chat messages, with the per message overhead
+   * @param {Array<string|{content: string}>} messages
+   */
+  countMessages(messages, model) {
+    if (!messages || messages.length === 0) return 0;
+    return messages.reduce((sum, message) => {
+      const text = typeof message === 'string' ? message : message?.content || '';
+      return sum + TOKENIZER_MESSAGE_OVERHEAD + this.count(text, model);
+    }, TOKENIZER_REPLY_OVERHEAD);
+  }
+
+  /**
+   * Index in `text` where its first `limit` tokens end, for splitting text by tokens
+   */
+  indexAtTokens(text, limit, model) {
+    const { pattern } = TokenizerEncodings[this.encodingForModel(model)];
+    let used = 0;
+    let index = 0;
+    const pieces = text.match(pattern) || [];
+    for (let i = 0; i < pieces.length; i += 1) {
+      const tokens = this.count(pieces[i], model);
+      if (used + tokens > limit) break;
+      used += tokens;
+      index += pieces[i].length;
+    }
+    return index;
+  }
+
+  // About 4 bytes a token over the encoding's pieces, every piece is at least one token
+  estimate(text, encoding) {
+    const { pattern } = TokenizerEncodings[encoding];
+    return (text.match(pattern) || []).reduce((sum, piece) => sum + Math.max(1, Math.round(tokenizerTextEncoder.encode(piece).length / 4)), 0);
+  }
+}
+
+// eslint-disable-next-line no-unused-vars
+const tokenizer = new TokenizerService();
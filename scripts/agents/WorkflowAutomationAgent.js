@@ -3,25 +3,148 @@
  * 
  * Provides workflow automation capabilities including:
  * - Visual workflow builder
- * - Trigger-action rule system
- * - Scheduled task execution
+ * - Trigger-action rule system, with conditional branches and per-action error policies
+ * - Event triggers (responses, message counts, model switches, message caps, exports) with debouncing and rate limits
+ * - Actions on conversations: move to a folder, rename, archive, send a prompt, tag
+ * - Prompt chain and webhook actions
+ * - Scheduled task execution, run by the background job runner (scripts/background/jobRunner.js)
  * - Batch processing capabilities
  * - Workflow template library
  */
 
+/**
+ * Parameters of each action type
+ * A parameter has a type ('string', 'number', 'boolean', 'array', 'object' or 'any') and is optional unless
+ * `required`. Strings may contain {{path}} placeholders filled from the workflow context when the action runs,
+ * a value that is only a placeholder takes the context value as it is.
+ * `page` actions run in an open ChatGPT tab (scripts/content/workflowActions.js).
+ * `skipInDryRun` actions change something or wait, a dry run reports what they would do instead.
+ */
+const WorkflowActionDefinitions = {
+    search: { params: { query: { type: 'string' }, options: { type: 'object', default: {} } } },
+    filter: { params: { hasCode: { type: 'boolean' }, minLength: { type: 'number' }, olderThan: { type: 'number' } } },
+    export: { params: { format: { type: 'string', default: 'json' } } },
+    analyze: { params: {} },
+    notify: { skipInDryRun: true, params: { message: { type: 'string', default: 'Workflow completed' } } },
+    delay: { skipInDryRun: true, params: { delay: { type: 'number', default: 1000 } } },
+    condition: { params: { conditions: { type: 'array', required: true } } },
+    moveToFolder: {
+        page: true,
+        skipInDryRun: true,
+        params: { conversationIds: { type: 'array' }, folderId: { type: 'string' }, folderName: { type: 'string' } }
+    },
+    rename: { page: true, skipInDryRun: true, params: { conversationIds: { type: 'array' }, title: { type: 'string', required: true } } },
+    archive: { page: true, skipInDryRun: true, params: { conversationIds: { type: 'array' } } },
+    sendPrompt: { page: true, skipInDryRun: true, params: { prompt: { type: 'string', required: true }, conversationId: { type: 'string' } } },
+    runPromptChain: { skipInDryRun: true, params: { chainId: { type: 'string', required: true }, variables: { type: 'object', default: {} } } },
+    tag: { skipInDryRun: true, params: { conversationIds: { type: 'array' }, tags: { type: 'array' } } },
+    webhook: {
+        skipInDryRun: true,
+        params: {
+            url: { type: 'string', required: true },
+            method: { type: 'string', default: 'POST' },
+            headers: { type: 'object', default: {} },
+            body: { type: 'any' },
+            timeout: { type: 'number', default: 30000 }
+        }
+    }
+};
+
+// What happens when an action fails: stop the workflow, go on with the next action, or try again and then stop
+const WorkflowErrorPolicies = ['stop', 'continue', 'retry'];
+
+/**
+ * What starts a workflow
+ * An event trigger runs its workflow on the bus `events`. The workflow context is the event data, or what the
+ * `context` method of the agent makes of it. `params` are set on the trigger and typed like action parameters.
+ * `oncePerConversation` triggers run their workflow once for each conversation.
+ * Every event trigger can have `conditions` on the context, a `debounce` and a `rateLimit`, see WorkflowTriggerDefaults.
+ */
+const WorkflowTriggerDefinitions = {
+    schedule: { description: 'On a schedule', events: [], params: {} },
+    conversation_created: {
+        description: 'A conversation is created',
+        events: [AgentEventTypes.CONVERSATION_CREATED],
+        context: 'conversationTriggerContext',
+        params: {}
+    },
+    conversation_updated: {
+        description: 'A conversation is updated',
+        events: [AgentEventTypes.CONVERSATION_UPDATED],
+        context: 'conversationTriggerContext',
+        params: {}
+    },
+    sync_completed: { description: 'A sync finished', events: [AgentEventTypes.CONVERSATION_SYNCED], params: {} },
+    assistant_response: {
+        description: 'ChatGPT answered a prompt (response, model)',
+        events: [AgentEventTypes.CONVERSATION_RESPONSE],
+        params: {}
+    },
+    message_count_exceeded: {
+        description: 'A conversation has more messages than the threshold',
+        events: [AgentEventTypes.CONVERSATION_CREATED, AgentEventTypes.CONVERSATION_UPDATED],
+        context: 'conversationTriggerContext',
+        oncePerConversation: true,
+        params: { threshold: { type: 'number', required: true } }
+    },
+    model_switched: { description: 'Another model was selected (from, to)', events: [AgentEventTypes.MODEL_SWITCHED], params: {} },
+    model_cap_reached: {
+        description: 'The message cap of a model was reached (model, used, messageCap)',
+        events: [AgentEventTypes.MODEL_CAP_REACHED],
+        params: {}
+    },
+    export_finished: {
+        description: 'Conversations were exported (conversationIds, format)',
+        events: [AgentEventTypes.CONVERSATION_EXPORTED, 'export:completed'],
+        context: 'exportTriggerContext',
+        params: {}
+    }
+};
+
+/**
+ * Limits of event triggers, so workflows do not loop on their own changes
+ * `debounce`: run once the events of a conversation stop for this long (ms), with the last one.
+ * `rateLimit`: at most `max` runs in `period` (ms), later events are dropped.
+ * `quietPeriod`: events of a conversation are dropped while the workflow runs for it and this long (ms) after.
+ */
+const WorkflowTriggerDefaults = {
+    debounce: 0,
+    rateLimit: { max: 30, period: 3600000 },
+    quietPeriod: 60000
+};
+
+// Operators of trigger and condition action conditions: { field, operator, value }. `matches` takes a regular expression.
+const WorkflowConditionOperators = ['equals', 'contains', 'greater_than', 'less_than', 'matches'];
+
 class WorkflowAutomationAgent extends BaseAgent {
     constructor() {
         super(
             'workflow-automation',
             'Workflow Automation',
             'Automates tasks with visual workflows, triggers, and scheduled execution',
-            ['workflow', 'automation', 'trigger', 'schedule', 'batch']
+            [
+                'createWorkflow',
+                'executeWorkflow',
+                'scheduleWorkflow',
+                'previewWorkflowSchedule',
+                'batchProcess',
+                'getWorkflowTemplates',
+                'getWorkflows',
+                'deleteWorkflow',
+                'validateWorkflow',
+                'dryRunWorkflow',
+                'getWorkflowSchema'
+            ]
         );
         
         this.workflows = new Map();
         this.activeWorkflows = new Map();
         this.workflowTemplates = new Map();
         this.scheduledTasks = new Map();
+        // Run times and conversations of event triggers, by workflow id
+        this.triggerState = new Map();
+        this.triggerTimers = new Map();
+        this.quietUntil = new Map();
         
         this.initializeTemplates();
     }
@@ -32,8 +155,8 @@ class WorkflowAutomationAgent extends BaseAgent {
         // Load saved workflows
         await this.loadWorkflows();
         
-        // Start scheduled task processor
-        this.startScheduler();
+        // Hand the scheduled workflows to the job runner
+        await this.startScheduler();
         
         // Listen for trigger events
         this.setupTriggerListeners();
@@ -51,14 +174,22 @@ class WorkflowAutomationAgent extends BaseAgent {
                 return await this.executeWorkflow(data.workflowId, data.context);
             case 'scheduleWorkflow':
                 return await this.scheduleWorkflow(data.workflowId, data.schedule);
+            case 'previewWorkflowSchedule':
+                return this.previewSchedule(data.schedule, data.count);
             case 'batchProcess':
                 return await this.batchProcess(data.items, data.operations);
-            case 'getTemplates':
+            case 'getWorkflowTemplates':
                 return this.getTemplates();
             case 'getWorkflows':
                 return this.getWorkflows();
             case 'deleteWorkflow':
                 return await this.deleteWorkflow(data.workflowId);
+            case 'validateWorkflow':
+                return this.checkWorkflow(data.workflow);
+            case 'dryRunWorkflow':
+                return await this.dryRunWorkflow(data.workflow, data.context);
+            case 'getWorkflowSchema':
+                return this.getWorkflowSchema();
             default:
                 throw new Error(`Unknown task type: ${type}`);
         }
@@ -66,8 +197,10 @@ class WorkflowAutomationAgent extends BaseAgent {
     
     /**
      * Create a new workflow
+     * A workflow with the id of an existing one replaces it and keeps its run stats
      */
     async createWorkflow(workflowDef) {
+        const existing = workflowDef.id ? this.workflows.get(workflowDef.id) : null;
         const workflow = {
             id: workflowDef.id || `workflow-${Date.now()}`,
             name: workflowDef.name,
@@ -75,15 +208,20 @@ class WorkflowAutomationAgent extends BaseAgent {
             trigger: workflowDef.trigger,
             actions: workflowDef.actions,
             enabled: workflowDef.enabled !== false,
-            createdAt: Date.now(),
-            lastRun: null,
-            runCount: 0
+            createdAt: existing ? existing.createdAt : Date.now(),
+            lastRun: existing ? existing.lastRun : null,
+            runCount: existing ? existing.runCount : 0
         };
         
         // Validate workflow
         this.validateWorkflow(workflow);
         
         this.workflows.set(workflow.id, workflow);
+        if (workflow.trigger.type === 'schedule') {
+            await this.scheduleWorkflow(workflow.id, workflow.trigger.schedule);
+        } else if (this.scheduledTasks.delete(workflow.id) && typeof jobRunner !== 'undefined') {
+            await jobRunner.remove(`workflow:${workflow.id}`);
+        }
         await this.saveWorkflows();
         
         this.eventBus.emit('WORKFLOW_CREATED', { workflow });
@@ -118,14 +256,7 @@ class WorkflowAutomationAgent extends BaseAgent {
         this.eventBus.emit('WORKFLOW_STARTED', { execution });
         
         try {
-            // Execute actions in sequence
-            for (const action of workflow.actions) {
-                const result = await this.executeAction(action, context);
-                execution.results.push(result);
-                
-                // Update context with result
-                context = { ...context, ...result.output };
-            }
+            await this.executeActions(workflow.actions, context, execution);
             
             execution.status = 'completed';
             execution.endTime = Date.now();
@@ -154,60 +285,297 @@ class WorkflowAutomationAgent extends BaseAgent {
     }
     
     /**
-     * Execute a single action
+     * Run a workflow, saved or not, without the actions that change something
+     * Searches, filters, analyses and conditions run, so the results show which branches and conversations the
+     * workflow would take. Failures are in the returned execution instead of thrown.
+     * @param {Object} workflow - Workflow definition
+     * @param {Object} [context] - Context of the trigger, e.g. { conversationId }
      */
-    async executeAction(action, context) {
+    async dryRunWorkflow(workflow, context = {}) {
+        this.validateWorkflow(workflow);
+        
+        const execution = {
+            id: `dryrun-${Date.now()}`,
+            workflowId: workflow.id || null,
+            dryRun: true,
+            startTime: Date.now(),
+            status: 'running',
+            context: context,
+            results: []
+        };
+        try {
+            execution.output = await this.executeActions(workflow.actions, context, execution);
+            execution.status = 'completed';
+        } catch (error) {
+            execution.status = 'failed';
+            execution.error = error.message;
+        }
+        execution.endTime = Date.now();
+        execution.duration = execution.endTime - execution.startTime;
+        
+        return execution;
+    }
+    
+    /**
+     * Execute actions in sequence, following the branch of each condition
+     * The output of each action is merged into the context of the next ones
+     * @returns {Object} Context after the last action
+     */
+    async executeActions(actions, context, execution) {
+        for (const action of actions) {
+            if (action.type === 'condition') {
+                const params = this.resolveActionParams(action, context);
+                const matched = this.evaluateTriggerConditions(params, context);
+                execution.results.push({
+                    action: 'condition',
+                    status: 'completed',
+                    output: { matched }
+                });
+                context = await this.executeActions((matched ? action.then : action.else) || [], context, execution);
+                continue;
+            }
+            
+            try {
+                const result = await this.executeAction(action, context, execution.dryRun);
+                execution.results.push(result);
+                context = { ...context, ...result.output };
+            } catch (error) {
+                execution.results.push(error.actionResult);
+                throw error;
+            }
+        }
+        return context;
+    }
+    
+    /**
+     * Execute a single action with its error policy
+     * `onError: 'retry'` tries `retry.attempts` times (3), waiting `retry.delay` (1000 ms) and then twice as long each time.
+     * With `onError: 'continue'` a failed action is returned with its error instead of thrown.
+     * In a dry run, `skipInDryRun` actions are 'skipped' with the parameters and conversations they would use.
+     */
+    async executeAction(action, context, dryRun = false) {
         const result = {
             action: action.type,
             startTime: Date.now(),
             status: 'running',
+            attempts: 0,
             output: {}
         };
+        const policy = action.onError || 'stop';
+        const { attempts = 3, delay = 1000 } = action.retry || {};
+        const maxAttempts = policy === 'retry' ? attempts : 1;
         
-        try {
-            switch (action.type) {
-                case 'search':
-                    result.output = await this.actionSearch(action.params, context);
-                    break;
-                case 'filter':
-                    result.output = await this.actionFilter(action.params, context);
-                    break;
-                case 'export':
-                    result.output = await this.actionExport(action.params, context);
-                    break;
-                case 'analyze':
-                    result.output = await this.actionAnalyze(action.params, context);
-                    break;
-                case 'notify':
-                    result.output = await this.actionNotify(action.params, context);
-                    break;
-                case 'delay':
-                    result.output = await this.actionDelay(action.params, context);
-                    break;
-                default:
-                    throw new Error(`Unknown action type: ${action.type}`);
+        while (result.status === 'running') {
+            result.attempts++;
+            try {
+                if (dryRun && WorkflowActionDefinitions[action.type].skipInDryRun) {
+                    result.preview = this.previewAction(action, context);
+                    result.status = 'skipped';
+                } else {
+                    result.output = await this.runAction(action, context);
+                    result.status = 'completed';
+                }
+            } catch (error) {
+                result.error = error.message;
+                if (result.attempts < maxAttempts) {
+                    await new Promise(resolve => setTimeout(resolve, delay * 2 ** (result.attempts - 1)));
+                    continue;
+                }
+                result.status = 'failed';
+                result.endTime = Date.now();
+                if (policy !== 'continue') {
+                    error.actionResult = result;
+                    throw error;
+                }
             }
-            
-            result.status = 'completed';
-            result.endTime = Date.now();
-            result.duration = result.endTime - result.startTime;
-            
-        } catch (error) {
-            result.status = 'failed';
-            result.error = error.message;
-            result.endTime = Date.now();
-            throw error;
         }
         
+        result.endTime = Date.now();
+        result.duration = result.endTime - result.startTime;
         return result;
     }
     
+    /**
+     * Run an action once
+     * @returns {Object} Action output
+     */
+    async runAction(action, context) {
+        const params = this.resolveActionParams(action, context);
+        
+        if (WorkflowActionDefinitions[action.type].page) {
+            if (action.type === 'sendPrompt') {
+                return await this.runPageAction(action.type, params);
+            }
+            const conversationIds = this.targetConversationIds(action.type, params, context);
+            if (conversationIds.length === 0) {
+                return {};
+            }
+            return await this.runPageAction(action.type, { ...params, conversationIds });
+        }
+        
+        switch (action.type) {
+            case 'search':
+                return await this.actionSearch(params, context);
+            case 'filter':
+                return await this.actionFilter(params, context);
+            case 'export':
+                return await this.actionExport(params, context);
+            case 'analyze':
+                return await this.actionAnalyze(params, context);
+            case 'notify':
+                return await this.actionNotify(params, context);
+            case 'delay':
+                return await this.actionDelay(params, context);
+            case 'runPromptChain':
+                return await this.actionRunPromptChain(params, context);
+            case 'tag':
+                return await this.actionTag(params, context);
+            case 'webhook':
+                return await this.actionWebhook(params, context);
+            default:
+                throw new Error(`${action.type} actions only run in workflows`);
+        }
+    }
+    
+    /**
+     * What an action would do, for dry runs
+     * @returns {Object} Parameters, and the conversations of actions that change conversations
+     */
+    previewAction(action, context) {
+        const params = this.resolveActionParams(action, context);
+        const changesConversations = action.type === 'tag'
+            || (WorkflowActionDefinitions[action.type].page && action.type !== 'sendPrompt');
+        if (!changesConversations) {
+            return { params };
+        }
+        return { params, conversationIds: this.targetConversationIds(action.type, params, context) };
+    }
+    
+    /**
+     * Parameters of an action with the placeholders filled and the defaults applied
+     */
+    resolveActionParams(action, context) {
+        const definition = WorkflowActionDefinitions[action.type];
+        if (!definition) {
+            throw new Error(`Unknown action type: ${action.type}`);
+        }
+        
+        const params = this.fillPlaceholders(action.params || {}, context);
+        for (const [name, param] of Object.entries(definition.params)) {
+            if (params[name] === undefined && param.default !== undefined) {
+                params[name] = param.default;
+            }
+        }
+        this.checkActionParams(action.type, params, false);
+        return params;
+    }
+    
+    /**
+     * Check the parameters of an action against its definition
+     * @param {boolean} allowPlaceholders - Accept a placeholder for a parameter of any type, when the workflow is saved
+     */
+    checkActionParams(type, params, allowPlaceholders) {
+        const definition = WorkflowActionDefinitions[type];
+        for (const name of Object.keys(params)) {
+            if (!definition.params[name]) {
+                throw new Error(`Unknown parameter ${name} of the ${type} action`);
+            }
+        }
+        
+        for (const [name, param] of Object.entries(definition.params)) {
+            const value = params[name];
+            if (value === undefined || value === null) {
+                if (param.required) {
+                    throw new Error(`The ${type} action needs ${name}`);
+                }
+                continue;
+            }
+            if (allowPlaceholders && typeof value === 'string' && /\{\{[^}]+\}\}/.test(value)) {
+                continue;
+            }
+            const matches = param.type === 'any'
+                || (param.type === 'array' && Array.isArray(value))
+                || (param.type === 'object' && typeof value === 'object' && !Array.isArray(value))
+                || typeof value === param.type;
+            if (!matches) {
+                throw new Error(`Parameter ${name} of the ${type} action must be of type ${param.type}`);
+            }
+        }
+    }
+    
+    /**
+     * Replace {{path}} placeholders in strings, arrays and objects with values from the context
+     */
+    fillPlaceholders(value, context) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.fillPlaceholders(item, context));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.fillPlaceholders(item, context)]));
+        }
+        if (typeof value !== 'string') {
+            return value;
+        }
+        
+        const whole = value.match(/^\{\{\s*([^}]+?)\s*\}\}$/);
+        if (whole) {
+            return this.getNestedValue(context, whole[1]);
+        }
+        return value.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (_, path) => {
+            const found = this.getNestedValue(context, path);
+            if (found === undefined || found === null) return '';
+            return typeof found === 'object' ? JSON.stringify(found) : String(found);
+        });
+    }
+    
+    /**
+     * Conversations an action applies to: its conversationIds, or the conversations found by the previous actions,
+     * which may be none, or the conversation that triggered the workflow
+     */
+    targetConversationIds(type, params, context) {
+        let ids = params.conversationIds;
+        if (!ids && context.conversations) {
+            ids = context.conversations.map(conv => conv.id || conv.conversationId);
+        }
+        if (!ids && context.conversationId) {
+            ids = [context.conversationId];
+        }
+        if (!ids) {
+            throw new Error(`No conversation for the ${type} action`);
+        }
+        return ids.filter(Boolean);
+    }
+    
+    /**
+     * Run an action in the ChatGPT tab used last, through scripts/content/workflowActions.js
+     * These actions change conversations through the ChatGPT API calls and folder storage the sidebar uses
+     */
+    async runPageAction(type, params) {
+        if (typeof chrome === 'undefined' || !chrome.tabs) {
+            throw new Error(`${type} actions need a ChatGPT tab`);
+        }
+        
+        const tabs = await chrome.tabs.query({ url: ['https://chatgpt.com/*', 'https://chat.openai.com/*'] });
+        if (tabs.length === 0) {
+            throw new Error(`Open a ChatGPT tab to run ${type} actions`);
+        }
+        const [tab] = tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+        const response = await chrome.tabs.sendMessage(tab.id, { workflowPageAction: { type, params } });
+        if (!response) {
+            throw new Error(`The ChatGPT tab did not answer ${type}`);
+        }
+        if (!response.ok) {
+            throw new Error(response.error);
+        }
+        return response.result;
+    }
+    
     /**
      * Action: Search conversations
      */
     async actionSearch(params, context) {
-        if (window.agentManager) {
-            const searchAgent = window.agentManager.agents.get('enhanced-search');
+        if (typeof agentManager !== 'undefined') {
+            const searchAgent = agentManager.getAgent('enhanced-search');
             if (searchAgent) {
                 const results = await searchAgent.execute({
                     type: 'search',
@@ -234,11 +602,25 @@ class WorkflowAutomationAgent extends BaseAgent {
             if (params.minLength && JSON.stringify(conv).length < params.minLength) {
                 return false;
             }
+            if (params.olderThan && !(Date.now() - this.conversationUpdatedAt(conv) > params.olderThan)) {
+                return false;
+            }
             return true;
         });
         return { conversations: filtered };
     }
     
+    /**
+     * Last update of a canonical (milliseconds) or stored (seconds or ISO date) conversation
+     */
+    conversationUpdatedAt(conv) {
+        const time = conv.updatedAt ?? conv.update_time ?? conv.createdAt ?? conv.create_time;
+        if (typeof time === 'number') {
+            return time < 1e12 ? time * 1000 : time;
+        }
+        return Date.parse(time);
+    }
+    
     /**
      * Action: Export conversations
      */
@@ -261,8 +643,8 @@ class WorkflowAutomationAgent extends BaseAgent {
         const conversations = context.conversations || [];
         const analyses = [];
         
-        if (window.agentManager) {
-            const convAgent = window.agentManager.agents.get('conversation-intelligence');
+        if (typeof agentManager !== 'undefined') {
+            const convAgent = agentManager.getAgent('conversation-intelligence');
             if (convAgent) {
                 for (const conv of conversations.slice(0, 10)) { // Limit to 10
                     const analysis = await convAgent.execute({
@@ -303,8 +685,106 @@ class WorkflowAutomationAgent extends BaseAgent {
         return { delayed: delay };
     }
     
+    /**
+     * Action: Run a prompt chain of the AdvancedPromptChainsAgent
+     */
+    async actionRunPromptChain(params, context) {
+        if (typeof agentManager === 'undefined') {
+            throw new Error('Prompt chains are not available');
+        }
+        const chainExecution = await agentManager.dispatchTask({
+            type: 'executeChain',
+            data: { chainId: params.chainId, initialVariables: params.variables },
+            persist: false
+        });
+        return { chainExecution };
+    }
+    
+    /**
+     * Action: Tag conversations
+     * Without tags, the KnowledgeManagementAgent suggests them from each conversation. The tags are kept in its
+     * knowledge base and on the conversations, where the search box finds them with tag:
+     */
+    async actionTag(params, context) {
+        if (typeof conversationRepository === 'undefined') {
+            throw new Error('Conversations are not available');
+        }
+        
+        const ids = this.targetConversationIds('tag', params, context);
+        const conversations = await conversationRepository.getMany(ids);
+        const newTags = {};
+        for (const id of ids) {
+            const stored = conversations[id];
+            if (!stored) continue;
+            
+            let tags = params.tags;
+            if (!tags) {
+                const conversation = normalizeConversation(stored);
+                const suggestion = await agentManager.dispatchTask({
+                    type: 'suggestTags',
+                    data: { text: conversation.messages.map(message => message.content).join('\n') },
+                    persist: false
+                });
+                if (!suggestion.success) {
+                    throw new Error(suggestion.error);
+                }
+                tags = suggestion.data.tags;
+            }
+            newTags[id] = [...(stored.tags || []), ...tags];
+        }
+        
+        const tagging = await agentManager.dispatchTask({
+            type: 'tagConversations',
+            data: { tags: newTags },
+            persist: false
+        });
+        if (!tagging.success) {
+            throw new Error(tagging.error);
+        }
+        const patches = {};
+        Object.entries(tagging.data.tags).forEach(([id, tags]) => {
+            patches[id] = { tags };
+        });
+        await conversationRepository.patchMany(patches);
+        
+        return { tagged: patches };
+    }
+    
+    /**
+     * Action: Call a webhook
+     * Sends the body, or the workflow context, as JSON. The endpoint must allow requests from the extension.
+     */
+    async actionWebhook(params, context) {
+        if (!/^https?:\/\//.test(params.url)) {
+            throw new Error('Webhook URL must start with http:// or https://');
+        }
+        
+        const method = params.method.toUpperCase();
+        const response = await fetch(params.url, {
+            method,
+            headers: { 'content-type': 'application/json', ...params.headers },
+            body: method === 'GET' || method === 'HEAD' ? undefined : JSON.stringify(params.body === undefined ? context : params.body),
+            signal: AbortSignal.timeout(params.timeout)
+        });
+        const text = await response.text();
+        if (!response.ok) {
+            throw new Error(`Webhook answered ${response.status}`);
+        }
+        
+        let webhookResponse = text;
+        try {
+            webhookResponse = JSON.parse(text);
+        } catch (error) {
+            // not JSON
+        }
+        return { webhookStatus: response.status, webhookResponse };
+    }
+    
     /**
      * Schedule a workflow
+     * @param {string} workflowId - Workflow
+     * @param {Object} schedule - { type: 'interval', value: 3600000 } or { type: 'cron', value: '0 9 * * 1', timezone, catchUp },
+     *   see scripts/agents/Schedule.js
      */
     async scheduleWorkflow(workflowId, schedule) {
         const workflow = this.workflows.get(workflowId);
@@ -312,14 +792,17 @@ class WorkflowAutomationAgent extends BaseAgent {
             throw new Error(`Workflow ${workflowId} not found`);
         }
         
+        const normalizedSchedule = normalizeSchedule(schedule);
         const scheduledTask = {
             workflowId,
-            schedule, // cron-like: { type: 'interval', value: 3600000 } or { type: 'cron', value: '0 9 * * 1' }
-            nextRun: this.calculateNextRun(schedule),
+            schedule: normalizedSchedule,
+            nextRun: this.calculateNextRun(normalizedSchedule),
+            missedRuns: 0,
             enabled: true
         };
         
         this.scheduledTasks.set(workflowId, scheduledTask);
+        await this.scheduleJob(scheduledTask);
         await this.saveWorkflows();
         
         return scheduledTask;
@@ -377,59 +860,101 @@ class WorkflowAutomationAgent extends BaseAgent {
     
     /**
      * Start the scheduler
+     * Scheduled workflows are jobs of the background job runner, which runs them with chrome.alarms
+     * and makes the runs missed while the browser was closed as the catch-up policy of the schedule says
      */
-    startScheduler() {
-        setInterval(() => {
-            this.checkScheduledTasks();
-        }, 60000); // Check every minute
+    async startScheduler() {
+        if (typeof jobRunner === 'undefined') {
+            if (this.scheduledTasks.size > 0) {
+                this.logInfo('No job runner, scheduled workflows will not run');
+            }
+            return;
+        }
+        
+        jobRunner.registerHandler('workflow', (job, run) => this.runScheduledTask(job, run));
+        for (const [_, task] of this.scheduledTasks) {
+            await this.scheduleJob(task);
+        }
+        await this.saveWorkflows();
     }
     
     /**
-     * Check and execute scheduled tasks
+     * Create or update the job running a scheduled task
+     * A new job starts at task.nextRun, so the runs missed before the task had a job are caught up
      */
-    async checkScheduledTasks() {
-        const now = Date.now();
+    async scheduleJob(task) {
+        if (typeof jobRunner === 'undefined') return;
         
-        for (const [workflowId, task] of this.scheduledTasks) {
-            if (task.enabled && task.nextRun <= now) {
-                try {
-                    await this.executeWorkflow(workflowId);
-                    task.nextRun = this.calculateNextRun(task.schedule);
-                    await this.saveWorkflows();
-                } catch (error) {
-                    this.logError(`Scheduled workflow ${workflowId} failed`, error);
-                }
-            }
+        const workflow = this.workflows.get(task.workflowId);
+        const job = await jobRunner.schedule({
+            id: `workflow:${task.workflowId}`,
+            type: 'workflow',
+            name: `Workflow: ${workflow ? workflow.name : task.workflowId}`,
+            schedule: task.schedule,
+            params: { workflowId: task.workflowId },
+            enabled: task.enabled,
+            nextRun: task.nextRun
+        });
+        task.nextRun = job.nextRun;
+    }
+    
+    /**
+     * Run a scheduled workflow for the job runner
+     * Errors are thrown so the job runner tries the run again
+     */
+    async runScheduledTask(job, run) {
+        const { workflowId } = job.params;
+        const task = this.scheduledTasks.get(workflowId);
+        const workflow = this.workflows.get(workflowId);
+        if (!task || !workflow) {
+            throw new Error(`Workflow ${workflowId} not found`);
+        }
+        if (!this.enabled) {
+            throw new Error(`Agent ${this.name} is disabled`);
         }
+        
+        task.nextRun = job.nextRun;
+        task.missedRuns = job.missedRuns;
+        await this.saveWorkflows();
+        if (!workflow.enabled) {
+            return { skipped: true, reason: `Workflow ${workflowId} is disabled` };
+        }
+        
+        const execution = await this.executeWorkflow(workflowId, { scheduledTime: run.scheduledTime });
+        return {
+            executionId: execution.id,
+            status: execution.status,
+            duration: execution.duration
+        };
     }
     
     /**
      * Calculate next run time
+     * @returns {number|null} Time of the next run, null when a cron expression never matches
      */
-    calculateNextRun(schedule) {
-        if (schedule.type === 'interval') {
-            return Date.now() + schedule.value;
-        }
-        // For cron, would need a cron parser library
-        // For now, default to 24 hours
-        return Date.now() + 86400000;
+    calculateNextRun(schedule, after = Date.now()) {
+        return nextScheduleRun(schedule, after);
+    }
+    
+    /**
+     * Preview the next run times of a schedule
+     */
+    previewSchedule(schedule, count = 5) {
+        const normalizedSchedule = normalizeSchedule(schedule);
+        return {
+            ...normalizedSchedule,
+            runs: nextScheduleRuns(normalizedSchedule, count)
+        };
     }
     
     /**
      * Set up trigger listeners
      */
     setupTriggerListeners() {
-        this.eventBus.on('CONVERSATION_CREATED', (data) => {
-            this.checkTriggers('conversation_created', data);
-        });
-        
-        this.eventBus.on('CONVERSATION_UPDATED', (data) => {
-            this.checkTriggers('conversation_updated', data);
-        });
-        
-        this.eventBus.on('SYNC_COMPLETED', (data) => {
-            this.checkTriggers('sync_completed', data);
-        });
+        const eventTypes = new Set(Object.values(WorkflowTriggerDefinitions).flatMap(definition => definition.events));
+        for (const eventType of eventTypes) {
+            this._subscribeToEvent(eventType, (event) => this.checkTriggers(eventType, event.data));
+        }
     }
     
     /**
@@ -437,19 +962,125 @@ class WorkflowAutomationAgent extends BaseAgent {
      */
     async checkTriggers(eventType, data) {
         for (const [workflowId, workflow] of this.workflows) {
-            if (workflow.enabled && workflow.trigger.type === eventType) {
-                // Check if trigger conditions are met
-                if (this.evaluateTriggerConditions(workflow.trigger, data)) {
-                    try {
-                        await this.executeWorkflow(workflowId, data);
-                    } catch (error) {
-                        this.logError(`Triggered workflow ${workflowId} failed`, error);
-                    }
+            const definition = WorkflowTriggerDefinitions[workflow.trigger.type];
+            if (!workflow.enabled || !definition || !definition.events.includes(eventType)) continue;
+            
+            try {
+                const context = definition.context ? await this[definition.context](eventType, data) : data;
+                if (!context || !this.triggerMatches(workflow.trigger, context)) continue;
+                
+                const key = this.triggerKey(workflowId, context);
+                if ((this.quietUntil.get(key) || 0) > Date.now()) continue;
+                
+                const { debounce } = { ...WorkflowTriggerDefaults, ...workflow.trigger };
+                if (!debounce) {
+                    await this.fireTrigger(workflowId, context);
+                    continue;
                 }
+                clearTimeout(this.triggerTimers.get(key));
+                this.triggerTimers.set(key, setTimeout(() => {
+                    this.triggerTimers.delete(key);
+                    this.fireTrigger(workflowId, context);
+                }, debounce));
+            } catch (error) {
+                this.logError(`Trigger of workflow ${workflowId} failed`, error);
             }
         }
     }
     
+    /**
+     * Whether the context of an event matches the parameters and conditions of a trigger
+     */
+    triggerMatches(trigger, context) {
+        if (trigger.type === 'message_count_exceeded' && !(context.messageCount > trigger.threshold)) {
+            return false;
+        }
+        return this.evaluateTriggerConditions(trigger, context);
+    }
+    
+    /**
+     * Debounce and quiet period key: the workflow, and the conversation of the event if it has one
+     */
+    triggerKey(workflowId, context) {
+        return `${workflowId}:${context.conversationId || ''}`;
+    }
+    
+    /**
+     * Run a triggered workflow within its rate limit
+     * Failures are logged, the event that triggered the workflow is gone
+     */
+    async fireTrigger(workflowId, context) {
+        const workflow = this.workflows.get(workflowId);
+        if (!workflow || !workflow.enabled) return;
+        
+        const definition = WorkflowTriggerDefinitions[workflow.trigger.type];
+        const { rateLimit, quietPeriod } = { ...WorkflowTriggerDefaults, ...workflow.trigger };
+        const state = this.triggerState.get(workflowId) || { runs: [], conversationIds: [] };
+        const now = Date.now();
+        state.runs = state.runs.filter(time => now - time < rateLimit.period);
+        if (state.runs.length >= rateLimit.max) {
+            this.logInfo(`Workflow ${workflowId} reached its rate limit, event dropped`);
+            return;
+        }
+        if (definition.oncePerConversation) {
+            if (!context.conversationId || state.conversationIds.includes(context.conversationId)) return;
+            state.conversationIds = [...state.conversationIds, context.conversationId].slice(-1000);
+        }
+        state.runs.push(now);
+        this.triggerState.set(workflowId, state);
+        await this.saveWorkflows();
+        
+        for (const [quietKey, until] of this.quietUntil) {
+            if (until < now) this.quietUntil.delete(quietKey);
+        }
+        const key = this.triggerKey(workflowId, context);
+        this.quietUntil.set(key, Infinity);
+        try {
+            await this.executeWorkflow(workflowId, context);
+        } catch (error) {
+            this.logError(`Triggered workflow ${workflowId} failed`, error);
+        } finally {
+            this.quietUntil.set(key, Date.now() + quietPeriod);
+        }
+    }
+    
+    /**
+     * Context of conversation events, with the number of messages and the folder of the conversation
+     */
+    async conversationTriggerContext(eventType, data) {
+        const context = { ...data, messageCount: data.conversation ? data.conversation.messages.length : 0, folderId: null, folderName: null };
+        if (typeof chrome === 'undefined' || !chrome.storage) {
+            return context;
+        }
+        
+        const { conversationsOrder = [] } = await chrome.storage.local.get(['conversationsOrder']);
+        const folder = conversationsOrder.find(item => typeof item !== 'string' && item.conversationIds
+            && item.conversationIds.includes(data.conversationId));
+        if (folder) {
+            context.folderId = folder.id;
+            context.folderName = folder.name;
+        }
+        return context;
+    }
+    
+    /**
+     * Context of exports, from the page (conversation:exported) or from an export template (export:completed)
+     */
+    exportTriggerContext(eventType, data) {
+        if (eventType === AgentEventTypes.CONVERSATION_EXPORTED) {
+            return { ...data, source: 'page' };
+        }
+        return {
+            conversationId: data.conversationId,
+            conversationIds: [data.conversationId],
+            count: 1,
+            format: data.format,
+            templateName: data.templateName,
+            failed: false,
+            source: 'template'
+        };
+    }
+    
     /**
      * Evaluate trigger conditions
      */
@@ -473,12 +1104,23 @@ class WorkflowAutomationAgent extends BaseAgent {
                 case 'less_than':
                     if (value >= condition.value) return false;
                     break;
+                case 'matches':
+                    if (value === undefined || value === null || !this.conditionRegExp(condition.value).test(String(value))) return false;
+                    break;
             }
         }
         
         return true;
     }
     
+    /**
+     * Regular expression of a `matches` condition, 'pattern' or '/pattern/flags'
+     */
+    conditionRegExp(value) {
+        const literal = String(value).match(/^\/(.*)\/([a-z]*)$/s);
+        return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value);
+    }
+    
     /**
      * Get nested value from object
      */
@@ -496,9 +1138,114 @@ class WorkflowAutomationAgent extends BaseAgent {
         if (!workflow.trigger) {
             throw new Error('Workflow must have a trigger');
         }
+        this.validateTrigger(workflow.trigger);
         if (!workflow.actions || !Array.isArray(workflow.actions) || workflow.actions.length === 0) {
             throw new Error('Workflow must have at least one action');
         }
+        this.validateActions(workflow.actions);
+    }
+    
+    /**
+     * Validate a trigger, its parameters, conditions and limits
+     */
+    validateTrigger(trigger) {
+        const definition = WorkflowTriggerDefinitions[trigger.type];
+        if (!definition) {
+            throw new Error(`Unknown trigger type: ${trigger.type}`);
+        }
+        if (trigger.type === 'schedule') {
+            normalizeSchedule(trigger.schedule);
+        }
+        for (const [name, param] of Object.entries(definition.params)) {
+            const value = trigger[name];
+            if (value === undefined || value === null) {
+                if (param.required) {
+                    throw new Error(`The ${trigger.type} trigger needs ${name}`);
+                }
+            } else if (typeof value !== param.type) {
+                throw new Error(`Parameter ${name} of the ${trigger.type} trigger must be of type ${param.type}`);
+            }
+        }
+        this.validateConditions(trigger.conditions);
+        
+        for (const name of ['debounce', 'quietPeriod']) {
+            if (trigger[name] !== undefined && !(typeof trigger[name] === 'number' && trigger[name] >= 0)) {
+                throw new Error(`The ${name} of a trigger is a number of milliseconds`);
+            }
+        }
+        if (trigger.rateLimit !== undefined) {
+            const { max, period } = trigger.rateLimit || {};
+            if (!(Number.isInteger(max) && max > 0 && typeof period === 'number' && period > 0)) {
+                throw new Error('The rate limit of a trigger is { max, period } with a positive max and period');
+            }
+        }
+    }
+    
+    /**
+     * Validate a workflow definition without throwing
+     * @returns {Object} { valid, error }
+     */
+    checkWorkflow(workflow) {
+        try {
+            this.validateWorkflow(workflow);
+            return { valid: true };
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Validate the conditions of a trigger or condition action
+     */
+    validateConditions(conditions) {
+        if (conditions === undefined) return;
+        if (!Array.isArray(conditions)) {
+            throw new Error('Conditions must be a list');
+        }
+        for (const condition of conditions) {
+            if (!condition || !condition.field) {
+                throw new Error('A condition needs a field');
+            }
+            if (!WorkflowConditionOperators.includes(condition.operator)) {
+                throw new Error(`Unknown condition operator: ${condition.operator}`);
+            }
+            if (condition.operator === 'matches') {
+                try {
+                    this.conditionRegExp(condition.value);
+                } catch (error) {
+                    throw new Error(`Invalid regular expression in a condition: ${condition.value}`);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Validate actions, their parameters and error policies, and the actions of condition branches
+     */
+    validateActions(actions) {
+        for (const action of actions) {
+            if (!action || !WorkflowActionDefinitions[action.type]) {
+                throw new Error(`Unknown action type: ${action && action.type}`);
+            }
+            if (action.onError && !WorkflowErrorPolicies.includes(action.onError)) {
+                throw new Error(`Unknown error policy: ${action.onError}`);
+            }
+            this.checkActionParams(action.type, action.params || {}, true);
+            
+            if (action.type === 'condition') {
+                // the conditions may be a placeholder
+                if (Array.isArray(action.params.conditions)) {
+                    this.validateConditions(action.params.conditions);
+                }
+                for (const branch of ['then', 'else']) {
+                    if (action[branch] === undefined) continue;
+                    if (!Array.isArray(action[branch])) {
+                        throw new Error(`The ${branch} branch of a condition must be a list of actions`);
+                    }
+                    this.validateActions(action[branch]);
+                }
+            }
+        }
     }
     
     /**
@@ -539,8 +1286,9 @@ class WorkflowAutomationAgent extends BaseAgent {
             },
             actions: [
                 { type: 'search', params: { query: '*' } },
-                { type: 'filter', params: { maxAge: 7776000000 } }, // 90 days
-                { type: 'export', params: { format: 'json' } }
+                { type: 'filter', params: { olderThan: 7776000000 } }, // 90 days
+                { type: 'export', params: { format: 'json' } },
+                { type: 'archive', params: {} }
             ]
         });
     }
@@ -549,7 +1297,21 @@ class WorkflowAutomationAgent extends BaseAgent {
      * Get workflow templates
      */
     getTemplates() {
-        return Array.from(this.workflowTemplates.values());
+        return Array.from(this.workflowTemplates.entries()).map(([id, template]) => ({ id, ...template }));
+    }
+    
+    /**
+     * What workflows are made of, for the workflow builder (scripts/content/workflowBuilder.js)
+     */
+    getWorkflowSchema() {
+        return {
+            actions: WorkflowActionDefinitions,
+            errorPolicies: WorkflowErrorPolicies,
+            triggers: Object.fromEntries(Object.entries(WorkflowTriggerDefinitions)
+                .map(([type, { description, params }]) => [type, { description, params }])),
+            triggerDefaults: WorkflowTriggerDefaults,
+            operators: WorkflowConditionOperators
+        };
     }
     
     /**
@@ -565,6 +1327,16 @@ class WorkflowAutomationAgent extends BaseAgent {
     async deleteWorkflow(workflowId) {
         this.workflows.delete(workflowId);
         this.scheduledTasks.delete(workflowId);
+        this.triggerState.delete(workflowId);
+        for (const [key, timer] of this.triggerTimers) {
+            if (key.startsWith(`${workflowId}:`)) {
+                clearTimeout(timer);
+                this.triggerTimers.delete(key);
+            }
+        }
+        if (typeof jobRunner !== 'undefined') {
+            await jobRunner.remove(`workflow:${workflowId}`);
+        }
         await this.saveWorkflows();
         
         this.eventBus.emit('WORKFLOW_DELETED', { workflowId });
@@ -580,6 +1352,7 @@ class WorkflowAutomationAgent extends BaseAgent {
             const state = {
                 workflows: Array.from(this.workflows.entries()),
                 scheduledTasks: Array.from(this.scheduledTasks.entries()),
+                triggerState: Array.from(this.triggerState.entries()),
                 timestamp: Date.now()
             };
             
@@ -602,6 +1375,7 @@ class WorkflowAutomationAgent extends BaseAgent {
                     const state = result.workflowState;
                     this.workflows = new Map(state.workflows || []);
                     this.scheduledTasks = new Map(state.scheduledTasks || []);
+                    this.triggerState = new Map(state.triggerState || []);
                 }
             }
         } catch (error) {
@@ -1,102 +1,50 @@
 /**
  * Initialize agent system
  * Sets up the agent infrastructure and registers initial agents
+ *
+ * Only agents that need the chat page (DOM, page memory) run in the content script.
+ * All other agents run once in the background agent host (scripts/background/agentHost.js),
+ * which also loads this file for the shared registration helpers.
  */
 
+// Agents that failed to construct or register, keyed by class name
+const agentLoadErrors = new Map();
+
 // eslint-disable-next-line no-unused-vars
 async function initializeAgentSystem() {
   console.log('Initializing Agent System...');
 
   try {
+    // The background agent host owns agentManagerState and agentTaskQueue
+    agentManager.storageKey = 'agentManagerPageState';
+    agentManager.updateConfig({ persistQueue: false });
+
     // Initialize the agent manager
     await agentManager.initialize();
     console.log('AgentManager initialized');
 
     // Register the Performance Monitor Agent
-    const performanceAgent = new PerformanceMonitorAgent();
-    await agentManager.registerAgent(performanceAgent);
-    console.log('PerformanceMonitorAgent registered');
-
-    // Register Conversation Intelligence Agent (1.2)
-    const conversationAgent = new ConversationIntelligenceAgent();
-    await agentManager.registerAgent(conversationAgent);
-    console.log('ConversationIntelligenceAgent registered');
-
-    // Register Enhanced Search Agent (1.3)
-    const searchAgent = new EnhancedSearchAgent();
-    await agentManager.registerAgent(searchAgent);
-    console.log('EnhancedSearchAgent registered');
+    await _registerAgentSafely('PerformanceMonitorAgent', () => new PerformanceMonitorAgent());
 
     // Register Performance Optimizer Agent (1.4)
-    const optimizerAgent = new PerformanceOptimizerAgent();
-    await agentManager.registerAgent(optimizerAgent);
-    console.log('PerformanceOptimizerAgent registered');
+    await _registerAgentSafely('PerformanceOptimizerAgent', () => new PerformanceOptimizerAgent());
 
     // Register UI/UX Enhancement Agent (1.5)
-    const uiuxAgent = new UIUXEnhancementAgent();
-    await agentManager.registerAgent(uiuxAgent);
-    console.log('UIUXEnhancementAgent registered');
-
-    // Register Workflow Automation Agent (2.1)
-    const workflowAgent = new WorkflowAutomationAgent();
-    await agentManager.registerAgent(workflowAgent);
-    console.log('WorkflowAutomationAgent registered');
-
-    // Register Smart Prompts Agent (2.2)
-    const smartPromptsAgent = new SmartPromptsAgent();
-    await agentManager.registerAgent(smartPromptsAgent);
-    console.log('SmartPromptsAgent registered');
-
-    // Register Learning & Personalization Agent (2.3)
-    const learningAgent = new LearningPersonalizationAgent();
-    await agentManager.registerAgent(learningAgent);
-    console.log('LearningPersonalizationAgent registered');
-
-    // Register Context Management Agent (2.4)
-    const contextAgent = new ContextManagementAgent();
-    await agentManager.registerAgent(contextAgent);
-    console.log('ContextManagementAgent registered');
-
-    // Register Advanced Prompt Chains Agent (2.5)
-    const advancedChainsAgent = new AdvancedPromptChainsAgent();
-    await agentManager.registerAgent(advancedChainsAgent);
-    console.log('AdvancedPromptChainsAgent registered');
-
-    // Register Notion Integration Agent (optional)
-    const notionAgent = new NotionIntegrationAgent();
-    await agentManager.registerAgent(notionAgent);
-    console.log('NotionIntegrationAgent registered');
-
-    // ===== Section 3 (Q3 2024) Agents =====
-    
-    // Register Knowledge Management Agent (3.1)
-    const knowledgeAgent = new KnowledgeManagementAgent();
-    await agentManager.registerAgent(knowledgeAgent);
-    console.log('KnowledgeManagementAgent registered');
-
-    // Register Collaboration Agent (3.2)
-    const collaborationAgent = new CollaborationAgent();
-    await agentManager.registerAgent(collaborationAgent);
-    console.log('CollaborationAgent registered');
-
-    // Register Integration Hub Agent (3.3)
-    const integrationHubAgent = new IntegrationHubAgent();
-    await agentManager.registerAgent(integrationHubAgent);
-    console.log('IntegrationHubAgent registered');
-
-    // Register Export Enhancements Agent (3.4)
-    const exportAgent = new ExportEnhancementsAgent();
-    await agentManager.registerAgent(exportAgent);
-    console.log('ExportEnhancementsAgent registered');
-
-    // Register Mobile Companion Agent (3.5)
-    const mobileAgent = new MobileCompanionAgent();
-    await agentManager.registerAgent(mobileAgent);
-    console.log('MobileCompanionAgent registered');
+    await _registerAgentSafely('UIUXEnhancementAgent', () => new UIUXEnhancementAgent());
+
+    // Respect agents the user switched off in Settings > Agents
+    await _applyDisabledAgents();
+
+    // Tasks for other agents go to the background agent host, its events are streamed back
+    agentManager.setRemoteHost(agentHostClient);
+    agentHostClient.connect();
 
     // Set up event listeners for existing extension features
     _setupEventBridges();
 
+    if (agentLoadErrors.size > 0) {
+      console.warn(`Agent System initialized with ${agentLoadErrors.size} failed agent(s):`, Object.fromEntries(agentLoadErrors));
+    }
     console.log('Agent System initialization complete');
     
     return true;
@@ -106,6 +54,66 @@ async function initializeAgentSystem() {
   }
 }
 
+/**
+ * Construct and register a single agent
+ * Failures are recorded in agentLoadErrors instead of aborting initialization,
+ * e.g. a ReferenceError when the agent's script is missing from manifest.json
+ * @param {string} className - Agent class name, used as the error key
+ * @param {Function} createAgent - Factory returning the agent instance
+ * @returns {Promise<BaseAgent|null>} Registered agent or null
+ * @private
+ */
+async function _registerAgentSafely(className, createAgent) {
+  try {
+    const agent = createAgent();
+    await agentManager.registerAgent(agent);
+    agentLoadErrors.delete(className);
+    console.log(`${className} registered`);
+    return agent;
+  } catch (error) {
+    agentLoadErrors.set(className, error.message);
+    console.error(`Failed to register ${className}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Disable the agents listed in settings.disabledAgents
+ * @private
+ */
+async function _applyDisabledAgents() {
+  if (typeof chrome === 'undefined' || !chrome.storage) return;
+
+  const { settings } = await chrome.storage.local.get(['settings']);
+  const disabledAgents = (settings && settings.disabledAgents) || [];
+  for (const agentId of disabledAgents) {
+    if (agentManager.getAgent(agentId)) {
+      await agentManager.setAgentEnabled(agentId, false);
+    }
+  }
+}
+
+/**
+ * Enable or disable an agent and remember the choice across reloads
+ * @param {string} agentId - Agent ID
+ * @param {boolean} enabled - Whether the agent should accept tasks
+ * @returns {Promise<void>}
+ */
+// eslint-disable-next-line no-unused-vars
+async function setAgentEnabled(agentId, enabled) {
+  // Forwarded to the background agent host for agents that run there
+  await agentManager.setAgentEnabled(agentId, enabled);
+
+  const { settings } = await chrome.storage.local.get(['settings']);
+  const disabledAgents = new Set((settings && settings.disabledAgents) || []);
+  if (enabled) {
+    disabledAgents.delete(agentId);
+  } else {
+    disabledAgents.add(agentId);
+  }
+  await chrome.storage.local.set({ settings: { ...settings, disabledAgents: [...disabledAgents] } });
+}
+
 /**
  * Setup event bridges between existing extension and agent system
  * @private
@@ -117,10 +125,21 @@ function _setupEventBridges() {
   if (typeof chrome !== 'undefined' && chrome.storage) {
     chrome.storage.onChanged.addListener((changes, namespace) => {
       if (namespace === 'local') {
+        // The changed keys only, the values can be the whole conversation list
         eventBus.emit(AgentEventTypes.STORAGE_UPDATED, {
-          changes,
+          keys: Object.keys(changes),
           namespace
         });
+        // The selected model is in the settings, whichever control changed it
+        const from = changes.settings?.oldValue?.selectedModel?.slug;
+        const to = changes.settings?.newValue?.selectedModel?.slug;
+        if (from && to && from !== to) {
+          eventBus.emit(AgentEventTypes.MODEL_SWITCHED, {
+            from,
+            to,
+            timestamp: Date.now()
+          });
+        }
       }
     });
   }
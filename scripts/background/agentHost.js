@@ -0,0 +1,137 @@
+/* global agentManager, jobRunner, agentLoadErrors, _registerAgentSafely, _applyDisabledAgents, _setupEventBridges, validateAgentHostRequest, serializeAgentHostError, AgentHostStreamedEvents, AGENT_HOST_REQUEST_KEY, AGENT_HOST_EVENT_PORT, ConversationIntelligenceAgent, EnhancedSearchAgent, WorkflowAutomationAgent, SmartPromptsAgent, LearningPersonalizationAgent, ContextManagementAgent, AdvancedPromptChainsAgent, NotionIntegrationAgent, KnowledgeManagementAgent, CollaborationAgent, IntegrationHubAgent, ExportEnhancementsAgent, MobileCompanionAgent */
+// Agents that do not need the chat page run here, once per browser instead of once per tab.
+// Content scripts reach them through AgentHostClient (scripts/agents/AgentHostClient.js).
+const hostAgents = [
+  ['ConversationIntelligenceAgent', () => new ConversationIntelligenceAgent()],
+  ['EnhancedSearchAgent', () => new EnhancedSearchAgent()],
+  ['WorkflowAutomationAgent', () => new WorkflowAutomationAgent()],
+  ['SmartPromptsAgent', () => new SmartPromptsAgent()],
+  ['LearningPersonalizationAgent', () => new LearningPersonalizationAgent()],
+  ['ContextManagementAgent', () => new ContextManagementAgent()],
+  ['AdvancedPromptChainsAgent', () => new AdvancedPromptChainsAgent()],
+  ['NotionIntegrationAgent', () => new NotionIntegrationAgent()],
+  ['KnowledgeManagementAgent', () => new KnowledgeManagementAgent()],
+  ['CollaborationAgent', () => new CollaborationAgent()],
+  ['IntegrationHubAgent', () => new IntegrationHubAgent()],
+  ['ExportEnhancementsAgent', () => new ExportEnhancementsAgent()],
+  ['MobileCompanionAgent', () => new MobileCompanionAgent()],
+];
+
+class AgentHost {
+  constructor(manager) {
+    this.manager = manager;
+    // Connected content script ports receiving the event stream
+    this.ports = new Set();
+    this.ready = null;
+  }
+
+  /**
+   * Register the runtime listeners
+   * Must run synchronously when the service worker starts so no message is missed
+   */
+  listen() {
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (!request || !request[AGENT_HOST_REQUEST_KEY]) return false;
+      const { method, params } = request[AGENT_HOST_REQUEST_KEY];
+      this.handleRequest(method, params)
+        .then((result) => sendResponse({ ok: true, result }))
+        .catch((error) => sendResponse({ ok: false, error: serializeAgentHostError(error) }));
+      return true;
+    });
+
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name !== AGENT_HOST_EVENT_PORT) return;
+      this.ports.add(port);
+      port.onDisconnect.addListener(() => {
+        this.ports.delete(port);
+      });
+    });
+  }
+
+  /**
+   * Initialize the agent manager and register the host agents once
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (!this.ready) {
+      this.ready = this._initialize();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Run an RPC request
+   * @param {string} method - Method from AgentHostMethods
+   * @param {object} params - Method parameters
+   * @returns {Promise<*>} Method result
+   */
+  async handleRequest(method, params = {}) {
+    validateAgentHostRequest(method, params);
+    await this.start();
+
+    switch (method) {
+      case 'dispatchTask':
+        return this.manager.dispatchTask(params.task);
+      case 'cancelTask':
+        return this.manager.cancelTask(params.taskId);
+      case 'setAgentEnabled':
+        return this.manager.setAgentEnabled(params.agentId, params.enabled);
+      case 'getSystemStatus':
+        return {
+          ...this.manager.getSystemStatus(),
+          loadErrors: Object.fromEntries(agentLoadErrors),
+        };
+      case 'getTaskQueue':
+        return this.manager.getTaskQueue();
+      case 'publishEvent':
+        // Do not hold the caller until every listener has finished
+        this.manager.getEventBus().emit(params.eventType, params.data || {});
+        return true;
+      default:
+        throw new TypeError(`Unknown agent host method: ${method}`);
+    }
+  }
+
+  async _initialize() {
+    // Stream the host events, including the ones emitted while the agents register
+    this.manager.getEventBus().onAny((event) => this._broadcast(event));
+
+    try {
+      await this.manager.initialize();
+      // eslint-disable-next-line no-restricted-syntax
+      for (const [className, createAgent] of hostAgents) {
+        // eslint-disable-next-line no-await-in-loop
+        await _registerAgentSafely(className, createAgent);
+      }
+      await _applyDisabledAgents();
+      this.manager.resumePersistedTasks();
+      _setupEventBridges();
+    } finally {
+      // The agents have registered their job handlers. The backup and trash jobs, registered before, run even when
+      // a step above failed
+      await jobRunner.start();
+    }
+
+    if (agentLoadErrors.size > 0) {
+      console.warn(`Agent host started with ${agentLoadErrors.size} failed agent(s):`, Object.fromEntries(agentLoadErrors));
+    }
+  }
+
+  _broadcast(event) {
+    if (!AgentHostStreamedEvents.has(event.type)) return;
+    this.ports.forEach((port) => {
+      try {
+        port.postMessage({ type: 'event', event });
+      } catch (error) {
+        // Payloads that cannot be cloned are not streamed
+        console.error(`Failed to stream ${event.type}:`, error);
+      }
+    });
+  }
+}
+
+const agentHost = new AgentHost(agentManager);
+agentHost.listen();
+agentHost.start().catch((error) => {
+  console.error('Failed to start agent host:', error);
+});
@@ -0,0 +1,169 @@
+/* global jobRunner, backupArchive, backupFilesRequest, BACKUP_REQUEST_KEY, BACKUP_OFFSCREEN_REQUEST_KEY */
+// Backups. Archives are built here, next to the conversation database, and saved to the Downloads folder with
+// chrome.downloads: when the backup modal asks for one (BACKUP_REQUEST_KEY) and, with settings.autoBackupFrequency
+// 'daily' or 'weekly', by a job of the job runner. Automatic backups go to a subfolder and are encrypted with
+// autoBackupPassword when one is saved. See scripts/agents/BackupArchive.js for the archive.
+// The archive is a Blob, downloaded through an object URL of an offscreen document (backupOffscreen.html) that is
+// closed once no download needs it.
+const AUTO_BACKUP_JOB_ID = 'backup:auto';
+const AUTO_BACKUP_JOB_TYPE = 'autoBackup';
+const AUTO_BACKUP_FOLDER = 'superpower-chatgpt-backups';
+const AUTO_BACKUP_SCHEDULES = { daily: '@daily', weekly: '@weekly' };
+const AUTO_BACKUP_OFFSCREEN_URL = 'scripts/background/backupOffscreen.html';
+
+class AutoBackup {
+  constructor() {
+    // downloads of backups that are not finished, and backups getting their object URL
+    this.downloadIds = new Set();
+    this.saving = 0;
+    this.offscreen = null;
+  }
+
+  /**
+   * Register the job handler, answer backup requests and follow the backup setting
+   * Must run before the job runner starts
+   */
+  listen() {
+    jobRunner.registerHandler(AUTO_BACKUP_JOB_TYPE, () => this.download({ auto: true }));
+    jobRunner.ready
+      .then(() => chrome.storage.local.get(['settings']))
+      .then(({ settings }) => this.schedule(settings))
+      .catch((error) => console.error('Failed to schedule the automatic backup:', error));
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace !== 'local' || !changes.settings) return;
+      const oldFrequency = changes.settings.oldValue?.autoBackupFrequency;
+      const newFrequency = changes.settings.newValue?.autoBackupFrequency;
+      if (oldFrequency === newFrequency) return;
+      this.schedule(changes.settings.newValue)
+        .catch((error) => console.error('Failed to schedule the automatic backup:', error));
+    });
+
+    chrome.downloads.onChanged.addListener((delta) => {
+      if (!this.downloadIds.has(delta.id) || !['complete', 'interrupted'].includes(delta.state?.current)) return;
+      this.downloadIds.delete(delta.id);
+      if (this.downloadIds.size === 0 && this.saving === 0) {
+        // the object URLs go with the document
+        this._closeOffscreen().catch((error) => console.error('Failed to close the backup offscreen document:', error));
+      }
+    });
+
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (!request || !request[BACKUP_REQUEST_KEY]) return false;
+      const { method, options } = request[BACKUP_REQUEST_KEY];
+      if (method === 'reload') {
+        // after a restore, the agents read their state again
+        sendResponse({ ok: true });
+        setTimeout(() => chrome.runtime.reload(), 500);
+        return false;
+      }
+      if (method !== 'download') {
+        sendResponse({ ok: false, error: `Unknown backup method: ${method}` });
+        return false;
+      }
+      this.download(options)
+        .then((result) => sendResponse({ ok: true, result }))
+        .catch((error) => sendResponse({ ok: false, error: error.message || String(error) }));
+      return true;
+    });
+  }
+
+  /**
+   * Run the backup job daily or weekly, remove it when automatic backups are off
+   * @param {object} settings
+   * @returns {Promise<void>}
+   */
+  async schedule(settings) {
+    const frequency = settings?.autoBackupFrequency;
+    if (!AUTO_BACKUP_SCHEDULES[frequency]) {
+      await jobRunner.remove(AUTO_BACKUP_JOB_ID);
+      return;
+    }
+    await jobRunner.schedule({
+      id: AUTO_BACKUP_JOB_ID,
+      type: AUTO_BACKUP_JOB_TYPE,
+      name: `Back up ${frequency}`,
+      schedule: { type: 'cron', value: AUTO_BACKUP_SCHEDULES[frequency], catchUp: 'once' },
+    });
+  }
+
+  /**
+   * Build a backup and save it to the Downloads folder
+   * @param {object} [options]
+   * @param {Array<string>} [options.sections] - Section names, all sections by default
+   * @param {string} [options.password] - Encrypt the backup with this password
+   * @param {boolean} [options.auto=false] - An automatic backup, encrypted with autoBackupPassword
+   * @returns {Promise<object>} { fileName, downloadId, sections }
+   */
+  async download({ sections, password = '', auto = false } = {}) {
+    let backupPassword = password;
+    if (auto) {
+      ({ autoBackupPassword: backupPassword = '' } = await chrome.storage.local.get(['autoBackupPassword']));
+    }
+    const { data, fileName, manifest } = await backupArchive.create({ sections, password: backupPassword, type: 'blob' });
+    const downloadId = await this._save(data, auto ? `${AUTO_BACKUP_FOLDER}/${fileName}` : fileName);
+    await chrome.storage.local.set({
+      lastBackup: {
+        at: manifest.createdAt, fileName, auto, encrypted: Boolean(manifest.encryption),
+      },
+    });
+    return { fileName, downloadId, sections: manifest.sections };
+  }
+
+  // Download a Blob, the service worker hands it to the offscreen document for an object URL
+  async _save(blob, filename) {
+    const fileId = self.crypto.randomUUID();
+    await backupFilesRequest('readwrite', (store) => store.put(blob, fileId));
+    this.saving += 1;
+    try {
+      await this._openOffscreen();
+      const response = await chrome.runtime.sendMessage({ [BACKUP_OFFSCREEN_REQUEST_KEY]: { method: 'createUrl', fileId } });
+      if (!response) throw new Error('The backup offscreen document did not answer');
+      if (!response.ok) throw new Error(response.error);
+      const downloadId = await chrome.downloads.download({
+        url: response.result,
+        filename,
+        conflictAction: 'uniquify',
+        saveAs: false,
+      });
+      this.downloadIds.add(downloadId);
+      return downloadId;
+    } catch (error) {
+      await backupFilesRequest('readwrite', (store) => store.delete(fileId)).catch(() => {});
+      throw error;
+    } finally {
+      this.saving -= 1;
+    }
+  }
+
+  _openOffscreen() {
+    if (!this.offscreen) {
+      this.offscreen = chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] })
+        .then((contexts) => {
+          if (contexts.length > 0) return undefined;
+          return chrome.offscreen.createDocument({
+            url: AUTO_BACKUP_OFFSCREEN_URL,
+            reasons: ['BLOBS'],
+            justification: 'Save backups to the Downloads folder',
+          });
+        })
+        .catch((error) => {
+          this.offscreen = null;
+          throw error;
+        });
+    }
+    return this.offscreen;
+  }
+
+  async _closeOffscreen() {
+    const opened = this.offscreen;
+    this.offscreen = null;
+    if (!opened) return;
+    await opened.catch(() => {});
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    if (contexts.length > 0) await chrome.offscreen.closeDocument();
+  }
+}
+
+const autoBackup = new AutoBackup();
+autoBackup.listen();
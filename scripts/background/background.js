@@ -1,2 +1,40 @@
 /* eslint-disable no-undef */
-importScripts('initialize.js');
+importScripts(
+  'initialize.js',
+  'conversationRepository.js',
+  'searchIndex.js',
+  '../agents/EmbeddingProvider.js',
+  'vectorIndex.js',
+  '../thirdParty/jszip.js',
+  '../thirdParty/highlight.js',
+  '../thirdParty/markdown-it.js',
+  '../agents/EventBus.js',
+  '../agents/ConversationModel.js',
+  '../agents/Schedule.js',
+  '../agents/Tokenizer.js',
+  '../agents/DeletionLog.js',
+  '../agents/BackupArchive.js',
+  '../agents/BaseAgent.js',
+  '../agents/AgentManager.js',
+  '../agents/AgentHostProtocol.js',
+  '../agents/ConversationIntelligenceAgent.js',
+  '../agents/EnhancedSearchAgent.js',
+  '../agents/WorkflowAutomationAgent.js',
+  '../agents/SmartPromptsAgent.js',
+  '../agents/LearningPersonalizationAgent.js',
+  '../agents/ContextManagementAgent.js',
+  '../agents/AdvancedPromptChainsAgent.js',
+  '../agents/NotionIntegrationAgent.js',
+  '../agents/KnowledgeManagementAgent.js',
+  '../agents/CollaborationAgent.js',
+  '../agents/IntegrationHubAgent.js',
+  '../agents/SqliteWriter.js',
+  '../agents/AnkiPackage.js',
+  '../agents/ExportEnhancementsAgent.js',
+  '../agents/MobileCompanionAgent.js',
+  '../agents/initializeAgents.js',
+  'jobRunner.js',
+  'trashRetention.js',
+  'autoBackup.js',
+  'agentHost.js',
+);
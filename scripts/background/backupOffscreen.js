@@ -0,0 +1,21 @@
+/* global backupFilesRequest, BACKUP_OFFSCREEN_REQUEST_KEY */
+// Offscreen document of scripts/background/autoBackup.js. It gives an archive the service worker left in the backup
+// files store an object URL, which lives as long as this document, so chrome.downloads can save the archive.
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (!request || !request[BACKUP_OFFSCREEN_REQUEST_KEY]) return false;
+  const { method, fileId } = request[BACKUP_OFFSCREEN_REQUEST_KEY];
+  if (method !== 'createUrl') {
+    sendResponse({ ok: false, error: `Unknown backup offscreen method: ${method}` });
+    return false;
+  }
+  backupFilesRequest('readonly', (store) => store.get(fileId))
+    .then((blob) => {
+      if (!blob) throw new Error(`No backup file ${fileId}`);
+      const url = URL.createObjectURL(blob);
+      // the URL keeps the archive
+      return backupFilesRequest('readwrite', (store) => store.delete(fileId)).then(() => url);
+    })
+    .then((url) => sendResponse({ ok: true, result: url }))
+    .catch((error) => sendResponse({ ok: false, error: error.message || String(error) }));
+  return true;
+});
@@ -0,0 +1,442 @@
+// IndexedDB conversation repository. Replaces the single `conversations` object in chrome.storage.local
+// with one record per conversation. Lives in the service worker so every tab shares the extension origin database.
+// Content scripts use the same API through scripts/content/conversationRepository.js.
+const CONVERSATION_DB_NAME = 'superpower-chatgpt';
+const CONVERSATION_DB_VERSION = 2;
+const CONVERSATION_STORE = 'conversations';
+const CONVERSATION_REPOSITORY_REQUEST_KEY = 'conversationRepositoryRequest';
+// Fields that make up most of a record but are not needed to render the conversation list
+const CONVERSATION_DETAIL_FIELDS = ['mapping', 'moderation_results'];
+
+class ConversationRepository {
+  constructor() {
+    this.db = null;
+    this.ready = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Open the database and migrate the legacy storage keys once
+   * @returns {Promise<void>}
+   */
+  open() {
+    if (!this.ready) {
+      this.ready = this._openDatabase().then((db) => {
+        this.db = db;
+        return this._migrateFromStorage();
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * @param {string} id - Conversation ID
+   * @returns {Promise<object|undefined>} Conversation
+   */
+  async get(id) {
+    await this.open();
+    return this._request(this._store('readonly').get(id));
+  }
+
+  /**
+   * @param {Array<string>} ids - Conversation IDs
+   * @returns {Promise<object>} Conversations keyed by ID, unknown IDs are left out
+   */
+  async getMany(ids) {
+    await this.open();
+    const store = this._store('readonly');
+    const conversations = await Promise.all(ids.map((id) => this._request(store.get(id))));
+    return this._toMap(conversations.filter(Boolean));
+  }
+
+  /**
+   * Call a listener after conversations are written or deleted
+   * @param {Function} listener - Receives { put: Array<object>, removed: Array<string>, cleared: boolean }
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * @returns {Promise<object>} All conversations keyed by ID
+   */
+  async getAll() {
+    await this.open();
+    const conversations = await this._request(this._store('readonly').getAll());
+    return this._toMap(conversations);
+  }
+
+  /**
+   * Conversations without their message tree, enough to render and sort the conversation list
+   * @param {Array<string>} [ids] - Only summarize these conversations
+   * @returns {Promise<object>} Conversation summaries keyed by ID
+   */
+  async getSummaries(ids) {
+    if (ids) {
+      const conversations = await this.getMany(ids);
+      return Object.values(conversations).reduce((summaries, conversation) => {
+        summaries[conversation.id] = this._toSummary(conversation);
+        return summaries;
+      }, {});
+    }
+    await this.open();
+    const summaries = {};
+    await this._iterate(this._store('readonly').openCursor(), (conversation) => {
+      summaries[conversation.id] = this._toSummary(conversation);
+    });
+    return summaries;
+  }
+
+  /**
+   * @returns {Promise<Array<string>>} All conversation IDs
+   */
+  async keys() {
+    await this.open();
+    return this._request(this._store('readonly').getAllKeys());
+  }
+
+  /**
+   * @returns {Promise<number>} Number of stored conversations
+   */
+  async count() {
+    await this.open();
+    return this._request(this._store('readonly').count());
+  }
+
+  /**
+   * Query conversations through an index
+   * @param {object} options - Query options
+   * @param {string} [options.index='update_time'] - 'update_time', 'folder' or 'model'
+   * @param {*} [options.value] - Only return records whose index key equals this value
+   * @param {string} [options.direction='prev'] - 'next' for ascending, 'prev' for descending
+   * @param {number} [options.offset=0] - Records to skip
+   * @param {number} [options.limit] - Maximum number of records
+   * @param {boolean} [options.summary=false] - Leave out the message tree
+   * @returns {Promise<Array<object>>} Matching conversations in index order
+   */
+  async query({
+    index = 'update_time', value, direction = 'prev', offset = 0, limit = Infinity, summary = false,
+  } = {}) {
+    await this.open();
+    const range = value === undefined ? null : IDBKeyRange.only(value);
+    const results = [];
+    let skipped = 0;
+    await this._iterate(this._store('readonly').index(index).openCursor(range, direction), (conversation) => {
+      if (skipped < offset) {
+        skipped += 1;
+        return true;
+      }
+      results.push(summary ? this._toSummary(conversation) : conversation);
+      return results.length < limit;
+    });
+    return results;
+  }
+
+  /**
+   * Insert or replace a conversation
+   * @param {object} conversation - Conversation with an id
+   * @returns {Promise<void>}
+   */
+  async put(conversation) {
+    await this.putMany([conversation]);
+  }
+
+  /**
+   * Insert or replace conversations in one transaction
+   * @param {Array<object>} conversations - Conversations with an id
+   * @returns {Promise<void>}
+   */
+  async putMany(conversations) {
+    await this.open();
+    const store = this._store('readwrite');
+    const existing = await Promise.all(conversations.map((conversation) => this._request(store.get(conversation.id))));
+    const records = conversations.map((conversation, i) => this._toRecord(conversation, existing[i]));
+    records.forEach((record) => store.put(record));
+    await this._complete(store.transaction);
+    this._notify({ put: records });
+  }
+
+  /**
+   * Shallow merge fields into stored conversations, creating missing ones
+   * @param {object} patches - Fields to merge keyed by conversation ID
+   * @returns {Promise<void>}
+   */
+  async patchMany(patches) {
+    await this.open();
+    const ids = Object.keys(patches);
+    const store = this._store('readwrite');
+    const existing = await Promise.all(ids.map((id) => this._request(store.get(id))));
+    const records = ids.map((id, i) => this._toRecord({ ...existing[i], ...patches[id], id }, existing[i]));
+    records.forEach((record) => store.put(record));
+    await this._complete(store.transaction);
+    this._notify({ put: records });
+  }
+
+  /**
+   * @param {Array<string>} ids - Conversation IDs to delete
+   * @returns {Promise<void>}
+   */
+  async remove(ids) {
+    await this.open();
+    const store = this._store('readwrite');
+    ids.forEach((id) => store.delete(id));
+    await this._complete(store.transaction);
+    this._notify({ removed: ids });
+  }
+
+  /**
+   * Delete every conversation
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.open();
+    const store = this._store('readwrite');
+    store.clear();
+    await this._complete(store.transaction);
+    this._notify({ cleared: true });
+  }
+
+  /**
+   * Update the folder index after conversationsOrder changed
+   * Only records whose folder changed are rewritten
+   * @param {Array} conversationsOrder - Conversation IDs and folder objects
+   * @returns {Promise<void>}
+   */
+  async syncFolders(conversationsOrder = []) {
+    await this.open();
+    const folderById = this._foldersFromOrder(conversationsOrder);
+    const currentFolderById = {};
+    await this._iterate(this._store('readonly').index('folder').openKeyCursor(), (cursor) => {
+      currentFolderById[cursor.primaryKey] = cursor.key;
+    }, true);
+
+    const changedIds = [
+      ...Object.keys(folderById).filter((id) => currentFolderById[id] !== folderById[id]),
+      ...Object.keys(currentFolderById).filter((id) => !(id in folderById)),
+    ];
+    if (changedIds.length === 0) return;
+
+    const store = this._store('readwrite');
+    const records = await Promise.all(changedIds.map((id) => this._request(store.get(id))));
+    records.filter(Boolean).forEach((record) => {
+      if (folderById[record.id]) {
+        record.folder = folderById[record.id];
+      } else {
+        delete record.folder;
+      }
+      store.put(record);
+    });
+    await this._complete(store.transaction);
+  }
+
+  /**
+   * Answer requests sent by scripts/content/conversationRepository.js
+   * Must be registered synchronously when the service worker starts
+   */
+  listen() {
+    const methods = ['get', 'getMany', 'getAll', 'getSummaries', 'keys', 'count', 'query', 'put', 'putMany', 'patchMany', 'remove', 'clear'];
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (!request || !request[CONVERSATION_REPOSITORY_REQUEST_KEY]) return false;
+      const { method, args = [] } = request[CONVERSATION_REPOSITORY_REQUEST_KEY];
+      if (!methods.includes(method)) {
+        sendResponse({ ok: false, error: `Unknown conversation repository method: ${method}` });
+        return false;
+      }
+      this[method](...args)
+        .then((result) => sendResponse({ ok: true, result }))
+        .catch((error) => sendResponse({ ok: false, error: error.message || String(error) }));
+      return true;
+    });
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'local' && changes.conversationsOrder) {
+        this.syncFolders(changes.conversationsOrder.newValue).catch((error) => {
+          console.error('Failed to sync conversation folders:', error);
+        });
+      }
+    });
+  }
+
+  _openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(CONVERSATION_DB_NAME, CONVERSATION_DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CONVERSATION_STORE)) {
+          const store = db.createObjectStore(CONVERSATION_STORE, { keyPath: 'id' });
+          store.createIndex('update_time', 'update_time');
+          store.createIndex('folder', 'folder');
+          store.createIndex('model', 'model');
+        } else if (event.oldVersion < 2) {
+          // version 2 derives the content flags used by search filters, fill them in for stored records
+          const cursorRequest = request.transaction.objectStore(CONVERSATION_STORE).openCursor();
+          cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            cursor.update(this._toRecord(cursor.value));
+            cursor.continue();
+          };
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Move the `conversations` object out of chrome.storage.local, taking folders from `conversationsOrder`
+  async _migrateFromStorage() {
+    const { conversations, conversationsOrder } = await chrome.storage.local.get(['conversations', 'conversationsOrder']);
+    if (!conversations) return;
+
+    const folderById = this._foldersFromOrder(conversationsOrder);
+    const store = this._store('readwrite');
+    const records = Object.values(conversations)
+      .filter((conversation) => conversation && conversation.id)
+      .map((conversation) => this._toRecord({ ...conversation, folder: folderById[conversation.id] }));
+    records.forEach((record) => store.put(record));
+    await this._complete(store.transaction);
+    this._notify({ put: records });
+    await chrome.storage.local.remove('conversations');
+    console.log(`Migrated ${Object.keys(conversations).length} conversations to IndexedDB`);
+  }
+
+  _notify(change) {
+    const fullChange = {
+      put: [], removed: [], cleared: false, ...change,
+    };
+    this.listeners.forEach((listener) => {
+      try {
+        listener(fullChange);
+      } catch (error) {
+        console.error('Conversation repository listener failed:', error);
+      }
+    });
+  }
+
+  _foldersFromOrder(conversationsOrder) {
+    const folderById = {};
+    (conversationsOrder || []).forEach((item) => {
+      if (item && typeof item === 'object') {
+        (item.conversationIds || []).forEach((id) => {
+          folderById[id] = item.id;
+        });
+      }
+    });
+    return folderById;
+  }
+
+  // Keep indexed fields valid: model is derived from the current node, folder and tags are kept unless given.
+  // hasCode, codeLanguages and pinned are derived from the messages so summaries can be filtered without them.
+  _toRecord(conversation, existing) {
+    const record = { ...conversation };
+    const model = this._getModel(conversation);
+    if (model) {
+      record.model = model;
+    }
+    if (conversation.mapping) {
+      Object.assign(record, this._getContentFlags(conversation.mapping));
+    }
+    if (!('folder' in conversation) && existing && existing.folder) {
+      record.folder = existing.folder;
+    }
+    // the server does not know the tags of the workflows
+    if (!('tags' in conversation) && existing && existing.tags) {
+      record.tags = existing.tags;
+    }
+    if (!record.folder) {
+      delete record.folder;
+    }
+    return record;
+  }
+
+  _getModel(conversation) {
+    const { mapping, current_node: currentNode } = conversation;
+    if (!mapping) return conversation.model;
+    let node = mapping[currentNode];
+    while (node) {
+      const modelSlug = node.message?.metadata?.model_slug;
+      if (modelSlug) return modelSlug;
+      node = mapping[node.parent];
+    }
+    return conversation.model;
+  }
+
+  _getContentFlags(mapping) {
+    const codeLanguages = new Set();
+    let hasCode = false;
+    let pinned = false;
+    Object.values(mapping).forEach((node) => {
+      if (node?.pinned) pinned = true;
+      (node?.message?.content?.parts || []).forEach((part) => {
+        if (typeof part !== 'string') return;
+        // opening fences only: every other fence closes a block
+        part.split('\n').filter((line) => line.trimStart().startsWith('```')).forEach((line, i) => {
+          if (i % 2 === 1) return;
+          hasCode = true;
+          const language = line.trim().slice(3).trim().split(/\s/)[0].toLowerCase();
+          if (language) codeLanguages.add(language);
+        });
+      });
+    });
+    return { hasCode, codeLanguages: [...codeLanguages], pinned };
+  }
+
+  _toSummary(conversation) {
+    const summary = { ...conversation };
+    CONVERSATION_DETAIL_FIELDS.forEach((field) => {
+      delete summary[field];
+    });
+    return summary;
+  }
+
+  _toMap(conversations) {
+    return conversations.reduce((map, conversation) => {
+      map[conversation.id] = conversation;
+      return map;
+    }, {});
+  }
+
+  _store(mode) {
+    return this.db.transaction(CONVERSATION_STORE, mode).objectStore(CONVERSATION_STORE);
+  }
+
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Walk a cursor, stop early when the callback returns false
+  _iterate(cursorRequest, callback, passCursor = false) {
+    return new Promise((resolve, reject) => {
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        if (callback(passCursor ? cursor : cursor.value) === false) {
+          resolve();
+          return;
+        }
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  }
+}
+
+const conversationRepository = new ConversationRepository();
+conversationRepository.listen();
+conversationRepository.open().catch((error) => {
+  console.error('Failed to open conversation repository:', error);
+});
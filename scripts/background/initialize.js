@@ -1,3 +1,4 @@
+/* global conversationRepository */
 // eslint-disable-next-line prefer-const
 // initialize environment to be production
 let API_URL = 'https://api.wfh.team';
@@ -28,7 +29,7 @@ chrome.runtime.onInstalled.addListener((detail) => {
         if (detail.reason === 'install') {
           chrome.tabs.create({ url: 'https://ezi.notion.site/Superpower-ChatGPT-FAQ-9d43a8a1c31745c893a4080029d2eb24' });
           chrome.tabs.create({ url: 'https://superpowerdaily.com' });
-          chrome.tabs.create({ url: 'https://chat.openai.com', active: true });
+          chrome.tabs.create({ url: 'https://chatgpt.com', active: true });
         } else {
           chrome.tabs.create({ url: 'https://superpowerdaily.com' });
         }
@@ -38,9 +39,9 @@ chrome.runtime.onInstalled.addListener((detail) => {
 });
 chrome.action.onClicked.addListener((tab) => {
   if (!tab.url) {
-    chrome.tabs.update(tab.id, { url: 'https://chat.openai.com' });
+    chrome.tabs.update(tab.id, { url: 'https://chatgpt.com' });
   } else {
-    chrome.tabs.create({ url: 'https://chat.openai.com', active: true });
+    chrome.tabs.create({ url: 'https://chatgpt.com', active: true });
   }
 });
 //-----------------------------------
@@ -112,6 +113,7 @@ chrome.runtime.onMessage.addListener(
             const {
               settings, customInstructionProfiles, customPrompts, readNewsletterIds, promptChains, userInputValueHistory,
             } = res;
+            conversationRepository.clear();
             chrome.storage.local.clear(() => {
               chrome.storage.local.set({
                 API_URL,
@@ -0,0 +1,424 @@
+/* global normalizeSchedule, nextScheduleRun, scheduleDueRuns */
+// Scheduled jobs run by chrome.alarms in the service worker, so they run without a chat tab and once per browser.
+// Agents describe a job with a schedule (scripts/agents/Schedule.js) and register the handler that runs it.
+// Job state lives in chrome.storage.local. A run is claimed in storage before its handler starts, so no scheduled
+// time runs twice on its own. A run interrupted by the service worker stopping is recorded as interrupted and is
+// not repeated automatically; Retry (retry()) runs it again for the same scheduled time.
+// Content scripts list and run jobs through scripts/content/scheduledJobs.js.
+const JOB_RUNNER_STORAGE_KEY = 'scheduledJobs';
+const JOB_RUNNER_REQUEST_KEY = 'jobRunnerRequest';
+const JOB_ALARM_PREFIX = 'job:';
+// Runs kept per job
+const JOB_HISTORY_LIMIT = 20;
+// A failed run is tried again after baseDelay, then twice as long each time, at most maxAttempts times in all
+const JOB_DEFAULT_RETRY_POLICY = { maxAttempts: 3, baseDelay: 60 * 1000, maxDelay: 60 * 60 * 1000 };
+
+class JobRunner {
+  constructor() {
+    this.jobs = null;
+    this.handlers = new Map();
+    this.loading = null;
+    this.starting = null;
+    // Storage writes run one after the other, so two triggers cannot claim the same run
+    this.updates = Promise.resolve();
+    // Alarms and requests wait until the agents have registered their handlers, and fail when the start failed
+    this.ready = new Promise((resolve, reject) => {
+      this.resolveReady = resolve;
+      this.rejectReady = reject;
+    });
+    // callers of ready handle the failure, the start logs it
+    this.ready.catch(() => {});
+  }
+
+  /**
+   * Register the alarm and runtime listeners
+   * Must run synchronously when the service worker starts so no alarm is missed
+   */
+  listen() {
+    const methods = ['list', 'getHistory', 'runNow', 'retry'];
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (!request || !request[JOB_RUNNER_REQUEST_KEY]) return false;
+      const { method, args = [] } = request[JOB_RUNNER_REQUEST_KEY];
+      if (!methods.includes(method)) {
+        sendResponse({ ok: false, error: `Unknown job runner method: ${method}` });
+        return false;
+      }
+      this.ready
+        .then(() => this[method](...args))
+        .then((result) => sendResponse({ ok: true, result }))
+        .catch((error) => sendResponse({ ok: false, error: error.message || String(error) }));
+      return true;
+    });
+
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (!alarm.name.startsWith(JOB_ALARM_PREFIX)) return;
+      const jobId = alarm.name.slice(JOB_ALARM_PREFIX.length);
+      this.ready
+        .then(() => this._runDue(jobId))
+        .catch((error) => {
+          console.error(`Failed to run job ${jobId}:`, error);
+        });
+    });
+  }
+
+  /**
+   * Record the runs interrupted when the service worker stopped, make the runs that are due and set the alarms
+   * Called once the agents have registered their handlers
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (!this.starting) {
+      this.starting = this._start().then(() => this.resolveReady(), (error) => {
+        this.rejectReady(error);
+        throw error;
+      });
+    }
+    return this.starting;
+  }
+
+  /**
+   * Set the function that runs jobs of a type
+   * @param {string} type - Job type
+   * @param {Function} handler - Receives the job and the run ({ runId, scheduledTime, attempt, manual }),
+   *   returns a JSON serializable result or throws to fail the run
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Create or update a job
+   * A job keeps its next run and history while its schedule does not change
+   * @param {object} definition - Job
+   * @param {string} definition.id - Job ID
+   * @param {string} definition.type - Handler type
+   * @param {string} definition.name - Name shown in the job list
+   * @param {object} definition.schedule - Cron or interval schedule
+   * @param {object} [definition.params] - Passed to the handler with the job
+   * @param {boolean} [definition.enabled=true] - Whether the job runs
+   * @param {number|null} [definition.nextRun] - First run of a new job, the next time the schedule matches by default
+   * @param {object} [definition.retryPolicy] - maxAttempts, baseDelay and maxDelay, see JOB_DEFAULT_RETRY_POLICY
+   * @returns {Promise<object>} Job
+   */
+  async schedule({
+    id, type, name, schedule, params = {}, enabled = true, nextRun, retryPolicy = {},
+  }) {
+    if (!id || !type) {
+      throw new Error('Job ID and type are required');
+    }
+    const normalizedSchedule = normalizeSchedule(schedule);
+    const job = await this._update((jobs) => {
+      const existing = jobs[id];
+      const now = Date.now();
+      const updated = {
+        ...this._newJob(id),
+        ...existing,
+        type,
+        name: name || id,
+        schedule: normalizedSchedule,
+        params,
+        enabled,
+        retryPolicy: { ...JOB_DEFAULT_RETRY_POLICY, ...retryPolicy },
+        updatedAt: now,
+      };
+      if (!existing) {
+        updated.nextRun = nextRun !== undefined ? nextRun : nextScheduleRun(normalizedSchedule, now);
+      } else if (JSON.stringify(existing.schedule) !== JSON.stringify(normalizedSchedule) || (enabled && !existing.enabled)) {
+        updated.nextRun = nextScheduleRun(normalizedSchedule, now);
+      }
+      if (!enabled) {
+        updated.pendingRuns = [];
+        updated.pendingRetry = null;
+      }
+      jobs[id] = updated;
+      return updated;
+    });
+    await this._setAlarm(job);
+    return job;
+  }
+
+  /**
+   * Delete a job and its history
+   * @param {string} id - Job ID
+   * @returns {Promise<boolean>} False if there is no such job
+   */
+  async remove(id) {
+    const removed = await this._update((jobs) => {
+      if (!jobs[id]) return false;
+      delete jobs[id];
+      return true;
+    });
+    await chrome.alarms.clear(`${JOB_ALARM_PREFIX}${id}`);
+    return removed;
+  }
+
+  /**
+   * @param {string} id - Job ID
+   * @returns {Promise<object|undefined>} Job
+   */
+  async get(id) {
+    await this._load();
+    return this.jobs[id];
+  }
+
+  /**
+   * Jobs with their next runs, soonest first, then the jobs that do not run
+   * @returns {Promise<Array<object>>} Jobs
+   */
+  async list() {
+    await this._load();
+    return Object.values(this.jobs).map((job) => ({
+      ...job,
+      dueAt: this._dueAt(job),
+    })).sort((a, b) => (a.dueAt ?? Infinity) - (b.dueAt ?? Infinity));
+  }
+
+  /**
+   * Finished runs, latest first
+   * @param {string} [id] - Only the runs of this job
+   * @param {number} [limit=50] - Number of runs
+   * @returns {Promise<Array<object>>} Runs with the job ID and name
+   */
+  async getHistory(id, limit) {
+    await this._load();
+    const jobs = id ? [this.jobs[id]].filter(Boolean) : Object.values(this.jobs);
+    return jobs
+      .flatMap((job) => job.history.map((run) => ({ ...run, jobId: job.id, jobName: job.name })))
+      .sort((a, b) => b.finishedAt - a.finishedAt)
+      .slice(0, limit || 50);
+  }
+
+  /**
+   * Run a job now, outside of its schedule
+   * A manual run that fails is not tried again
+   * @param {string} id - Job ID
+   * @returns {Promise<object>} The finished run
+   */
+  async runNow(id) {
+    const run = await this._claim(id, (job, now) => ({ scheduledTime: now, attempt: 1, manual: true }));
+    if (!run) {
+      throw new Error(`Job ${id} is already running`);
+    }
+    return this._execute(id, run);
+  }
+
+  /**
+   * Try a failed or interrupted run again now, instead of waiting for its next attempt
+   * @param {string} id - Job ID
+   * @returns {Promise<object>} The finished run
+   */
+  async retry(id) {
+    const run = await this._claim(id, (job) => {
+      if (job.pendingRetry) {
+        const { attempt, scheduledTime } = job.pendingRetry;
+        job.pendingRetry = null;
+        return { scheduledTime, attempt };
+      }
+      const failed = job.history.find((entry) => entry.status === 'failed' || entry.status === 'interrupted');
+      if (!failed) {
+        throw new Error(`Job ${id} has no failed or interrupted run`);
+      }
+      return { scheduledTime: failed.scheduledTime, attempt: 1, manual: true };
+    });
+    if (!run) {
+      throw new Error(`Job ${id} is already running`);
+    }
+    const finished = await this._execute(id, run);
+    const job = await this.get(id);
+    if (job) {
+      await this._setAlarm(job);
+    }
+    return finished;
+  }
+
+  async _start() {
+    const interrupted = await this._update((jobs) => Object.values(jobs).filter((job) => job.running).map((job) => {
+      this._finishRun(job, job.running, { status: 'interrupted', error: 'The extension stopped during the run' });
+      return job.id;
+    }));
+    if (interrupted.length > 0) {
+      console.warn(`Jobs interrupted during their last run: ${interrupted.join(', ')}`);
+    }
+
+    const jobs = Object.values(this.jobs);
+    // alarms of removed jobs
+    const alarms = await chrome.alarms.getAll();
+    await Promise.all(alarms
+      .filter((alarm) => alarm.name.startsWith(JOB_ALARM_PREFIX) && !this.jobs[alarm.name.slice(JOB_ALARM_PREFIX.length)])
+      .map((alarm) => chrome.alarms.clear(alarm.name)));
+    await Promise.all(jobs.map((job) => this._setAlarm(job)));
+
+    // runs missed while the browser was closed, without holding up the start
+    const now = Date.now();
+    jobs.filter((job) => job.enabled && this._dueAt(job) !== null && this._dueAt(job) <= now).forEach((job) => {
+      this._runDue(job.id).catch((error) => {
+        console.error(`Failed to run job ${job.id}:`, error);
+      });
+    });
+  }
+
+  // Make the runs of a job that are due: a retry whose time has come, then the scheduled runs as the catch-up policy says
+  async _runDue(id) {
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      // eslint-disable-next-line no-await-in-loop
+      const run = await this._claim(id, (job, now) => {
+        if (!job.enabled) return null;
+        if (job.pendingRetry && job.pendingRetry.at <= now) {
+          const { attempt, scheduledTime } = job.pendingRetry;
+          job.pendingRetry = null;
+          return { scheduledTime, attempt };
+        }
+        if (job.pendingRuns.length === 0 && job.nextRun !== null && job.nextRun <= now) {
+          const { runs, missed, nextRun } = scheduleDueRuns(job.schedule, job.nextRun, now);
+          job.nextRun = nextRun;
+          job.pendingRuns = runs;
+          if (missed > 0) {
+            job.missedRuns += missed;
+            this._addHistory(job, {
+              runId: this._runId(), status: 'missed', missed, startedAt: now, finishedAt: now,
+            });
+          }
+        }
+        const scheduledTime = job.pendingRuns.shift();
+        return scheduledTime === undefined ? null : { scheduledTime, attempt: 1 };
+      });
+      if (!run) break;
+      // eslint-disable-next-line no-await-in-loop
+      await this._execute(id, run);
+    }
+    const job = await this.get(id);
+    if (job) {
+      await this._setAlarm(job);
+    }
+  }
+
+  // Mark a run of a job as started, unless the job is running. pick returns the run or null.
+  _claim(id, pick) {
+    return this._update((jobs) => {
+      const job = jobs[id];
+      if (!job) {
+        throw new Error(`Unknown job: ${id}`);
+      }
+      if (job.running) return null;
+      const now = Date.now();
+      const run = pick(job, now);
+      if (!run) return null;
+      job.running = { runId: this._runId(), ...run, startedAt: now };
+      return job.running;
+    });
+  }
+
+  async _execute(id, run) {
+    const job = this.jobs[id];
+    let outcome;
+    try {
+      const handler = this.handlers.get(job.type);
+      if (!handler) {
+        throw new Error(`No handler for ${job.type} jobs`);
+      }
+      const result = await handler(job, run);
+      outcome = { status: 'succeeded', result: result === undefined ? null : result };
+    } catch (error) {
+      console.error(`Job ${job.name} failed:`, error);
+      outcome = { status: 'failed', error: error.message || String(error) };
+    }
+
+    return this._update((jobs) => {
+      const current = jobs[id];
+      // removed during the run
+      if (!current) return { ...run, ...outcome, finishedAt: Date.now() };
+      if (outcome.status === 'failed' && !run.manual && run.attempt < current.retryPolicy.maxAttempts) {
+        const { baseDelay, maxDelay } = current.retryPolicy;
+        outcome.retryAt = Date.now() + Math.min(baseDelay * 2 ** (run.attempt - 1), maxDelay);
+        current.pendingRetry = { attempt: run.attempt + 1, scheduledTime: run.scheduledTime, at: outcome.retryAt };
+      }
+      return this._finishRun(current, run, outcome);
+    });
+  }
+
+  _finishRun(job, run, outcome) {
+    const finished = { ...run, ...outcome, finishedAt: Date.now() };
+    job.running = null;
+    job.lastRun = finished.startedAt;
+    job.lastStatus = finished.status;
+    job.lastError = finished.error || null;
+    if (finished.status === 'succeeded') {
+      job.runCount += 1;
+    } else if (!finished.retryAt) {
+      job.failureCount += 1;
+    }
+    this._addHistory(job, finished);
+    return finished;
+  }
+
+  _addHistory(job, entry) {
+    job.history = [entry, ...job.history].slice(0, JOB_HISTORY_LIMIT);
+  }
+
+  // When the alarm of a job should go off, null when it has nothing to run
+  _dueAt(job) {
+    if (!job.enabled) return null;
+    const times = [job.pendingRetry && job.pendingRetry.at, job.nextRun];
+    if (job.pendingRuns.length > 0) times.push(Date.now());
+    const due = times.filter((time) => typeof time === 'number');
+    return due.length > 0 ? Math.min(...due) : null;
+  }
+
+  async _setAlarm(job) {
+    const name = `${JOB_ALARM_PREFIX}${job.id}`;
+    const dueAt = this._dueAt(job);
+    if (dueAt === null) {
+      await chrome.alarms.clear(name);
+    } else {
+      // an alarm in the past goes off right away
+      await chrome.alarms.create(name, { when: dueAt });
+    }
+  }
+
+  _newJob(id) {
+    return {
+      id,
+      createdAt: Date.now(),
+      nextRun: null,
+      pendingRuns: [],
+      pendingRetry: null,
+      running: null,
+      lastRun: null,
+      lastStatus: null,
+      lastError: null,
+      runCount: 0,
+      failureCount: 0,
+      missedRuns: 0,
+      history: [],
+    };
+  }
+
+  _runId() {
+    return `run-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  _load() {
+    if (!this.loading) {
+      this.loading = chrome.storage.local.get([JOB_RUNNER_STORAGE_KEY]).then((result) => {
+        this.jobs = result[JOB_RUNNER_STORAGE_KEY] || {};
+      });
+    }
+    return this.loading;
+  }
+
+  // Change the jobs and save them, after the changes queued before
+  _update(change) {
+    const update = this.updates.then(async () => {
+      await this._load();
+      const result = change(this.jobs);
+      await chrome.storage.local.set({ [JOB_RUNNER_STORAGE_KEY]: this.jobs });
+      return result;
+    });
+    this.updates = update.catch(() => {});
+    return update;
+  }
+}
+
+const jobRunner = new JobRunner();
+jobRunner.listen();
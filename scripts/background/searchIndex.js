@@ -0,0 +1,492 @@
+/* global conversationRepository */
+// Persistent inverted index over conversation titles and messages, kept up to date from conversationRepository writes.
+// Every posting record holds the postings of one term in one conversation: [messageId, field, position, inCode],
+// keyed by [term, conversationId] and indexed by term for search and by conversationId for reindexing.
+// Content scripts query it through scripts/content/conversationSearch.js.
+const SEARCH_DB_NAME = 'superpower-chatgpt-search';
+const SEARCH_DB_VERSION = 2;
+// version 1 kept every conversation's postings of a term in one record
+const SEARCH_LEGACY_TERMS_STORE = 'terms';
+const SEARCH_POSTINGS_STORE = 'postings';
+const SEARCH_DOCUMENTS_STORE = 'documents';
+const SEARCH_META_STORE = 'meta';
+const CONVERSATION_SEARCH_REQUEST_KEY = 'conversationSearchRequest';
+const SEARCH_FIELDS = ['title', 'user', 'assistant', 'code'];
+// Title matches count as much as this many message matches
+const SEARCH_FIELD_WEIGHTS = { title: 3, user: 1, assistant: 1 };
+const SEARCH_BM25_K1 = 1.2;
+const SEARCH_BM25_B = 0.75;
+// Most index terms a prefix expands to
+const SEARCH_MAX_PREFIX_TERMS = 50;
+const SEARCH_MAX_TERM_LENGTH = 64;
+
+/**
+ * Split text into lowercase terms with their position, flagging terms inside ``` code blocks
+ * @param {string} text - Text to tokenize
+ * @param {number} [startPosition=0] - Position of the first term
+ * @returns {Array<{term: string, position: number, code: boolean}>} Tokens
+ */
+function tokenizeSearchText(text, startPosition = 0) {
+  const tokens = [];
+  let position = startPosition;
+  (text || '').split('```').forEach((segment, i) => {
+    const words = segment.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+    words.forEach((word) => {
+      tokens.push({ term: word.slice(0, SEARCH_MAX_TERM_LENGTH), position, code: i % 2 === 1 });
+      position += 1;
+    });
+  });
+  return tokens;
+}
+
+/**
+ * Parse a search query into clauses
+ * Supports `field:term`, "quoted phrases", `term*` prefixes and field scoped phrases such as `user:"exact words"`
+ * @param {string} query - Search query
+ * @param {boolean} [prefixLastTerm=false] - Also match the last term by prefix, for search as you type
+ * @returns {Array<{field: string|null, terms: Array<string>, prefix: boolean}>} Clauses, all of which must match
+ */
+function parseSearchQuery(query, prefixLastTerm = false) {
+  const clauses = [];
+  const clauseRegex = /(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  let match = clauseRegex.exec(query);
+  while (match) {
+    const [raw, fieldName, phrase, word] = match;
+    const field = SEARCH_FIELDS.includes(fieldName?.toLowerCase()) ? fieldName.toLowerCase() : null;
+    // an unknown field prefix is searched as text
+    const text = phrase ?? (field || !fieldName ? word : raw);
+    const terms = tokenizeSearchText(text).map((token) => token.term);
+    if (terms.length > 0) {
+      clauses.push({
+        field,
+        terms,
+        prefix: phrase === undefined && text.endsWith('*'),
+      });
+    }
+    match = clauseRegex.exec(query);
+  }
+  const lastClause = clauses[clauses.length - 1];
+  if (lastClause && prefixLastTerm && !/["\s]$/.test(query)) {
+    lastClause.prefix = true;
+  }
+  return clauses;
+}
+
+class ConversationSearchIndex {
+  constructor(repository) {
+    this.repository = repository;
+    this.db = null;
+    this.ready = null;
+    // Index writes run one at a time so the stats record is never updated concurrently
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Open the database and index the conversations written since the index last ran
+   * @returns {Promise<void>}
+   */
+  open() {
+    if (!this.ready) {
+      this.ready = this._openDatabase().then((db) => {
+        this.db = db;
+        this.build().catch((error) => console.error('Failed to build the search index:', error));
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - Search query, see parseSearchQuery
+   * @param {object} [options] - Search options
+   * @param {number} [options.limit] - Maximum number of results, all by default
+   * @param {boolean} [options.prefixLastTerm=false] - Match the last term by prefix
+   * @param {Array<string>} [options.conversationIds] - Only search these conversations
+   * @param {number} [options.maxHits=20] - Maximum number of message hits per result
+   * @returns {Promise<{results: Array<object>, total: number}>} Results ranked by BM25 score. Each result has
+   * conversationId, score and hits: [{ messageId, field, positions, code }], title hits have a null messageId
+   */
+  async search(query, {
+    limit = Infinity, prefixLastTerm = false, conversationIds, maxHits = 20,
+  } = {}) {
+    await this.open();
+    const clauses = parseSearchQuery(query || '', prefixLastTerm);
+    if (clauses.length === 0) return { results: [], total: 0 };
+
+    const transaction = this.db.transaction([SEARCH_POSTINGS_STORE, SEARCH_DOCUMENTS_STORE, SEARCH_META_STORE], 'readonly');
+    const termIndex = transaction.objectStore(SEARCH_POSTINGS_STORE).index('term');
+    const allowedIds = conversationIds ? new Set(conversationIds) : null;
+
+    // Matching postings per clause, keyed by conversation ID
+    const clauseMatches = await Promise.all(clauses.map((clause) => this._matchClause(termIndex, clause, allowedIds)));
+    let candidateIds = Object.keys(clauseMatches[0]);
+    clauseMatches.slice(1).forEach((matches) => {
+      candidateIds = candidateIds.filter((id) => matches[id]);
+    });
+    if (candidateIds.length === 0) return { results: [], total: 0 };
+
+    const documentStore = transaction.objectStore(SEARCH_DOCUMENTS_STORE);
+    const [stats, documents] = await Promise.all([
+      this._request(transaction.objectStore(SEARCH_META_STORE).get('stats')),
+      Promise.all(candidateIds.map((id) => this._request(documentStore.get(id)))),
+    ]);
+    const documentCount = Math.max(stats?.documentCount || 0, candidateIds.length);
+    const averageLength = stats?.documentCount ? stats.totalLength / stats.documentCount : 1;
+
+    const results = candidateIds.map((id, i) => {
+      const documentLength = documents[i]?.length || averageLength;
+      let score = 0;
+      const postings = [];
+      clauseMatches.forEach((matches) => {
+        const documentFrequency = Object.keys(matches).length;
+        const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const termFrequency = matches[id].reduce((sum, posting) => sum + SEARCH_FIELD_WEIGHTS[posting[1]], 0);
+        score += idf * ((termFrequency * (SEARCH_BM25_K1 + 1))
+          / (termFrequency + SEARCH_BM25_K1 * (1 - SEARCH_BM25_B + SEARCH_BM25_B * (documentLength / averageLength))));
+        postings.push(...matches[id]);
+      });
+      return { conversationId: id, score, hits: this._groupHits(postings).slice(0, maxHits) };
+    });
+    results.sort((a, b) => b.score - a.score);
+    return { results: results.slice(0, limit), total: results.length };
+  }
+
+  /**
+   * Index or reindex conversations, skipping the ones that did not change since they were indexed
+   * @param {Array<object>} conversations - Full conversations
+   * @returns {Promise<void>}
+   */
+  update(conversations) {
+    return this._enqueueWrite(async () => {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const conversation of conversations) {
+        // eslint-disable-next-line no-await-in-loop
+        await this._indexConversation(conversation);
+      }
+    });
+  }
+
+  /**
+   * @param {Array<string>} ids - Conversation IDs to drop from the index
+   * @returns {Promise<void>}
+   */
+  remove(ids) {
+    return this._enqueueWrite(async () => {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const id of ids) {
+        // eslint-disable-next-line no-await-in-loop
+        await this._writeDocument(id, null);
+      }
+    });
+  }
+
+  /**
+   * Drop the whole index
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this._enqueueWrite(async () => {
+      const transaction = this.db.transaction([SEARCH_POSTINGS_STORE, SEARCH_DOCUMENTS_STORE, SEARCH_META_STORE], 'readwrite');
+      transaction.objectStore(SEARCH_POSTINGS_STORE).clear();
+      transaction.objectStore(SEARCH_DOCUMENTS_STORE).clear();
+      transaction.objectStore(SEARCH_META_STORE).clear();
+      await this._complete(transaction);
+    });
+  }
+
+  /**
+   * Index every stored conversation that is missing or stale and drop documents of deleted conversations
+   * Conversations are loaded one at a time, so a service worker restart only loses the current one
+   * @returns {Promise<void>}
+   */
+  async build() {
+    await this.open();
+    const [conversationIds, indexedIds] = await Promise.all([
+      this.repository.keys(),
+      this._request(this.db.transaction(SEARCH_DOCUMENTS_STORE).objectStore(SEARCH_DOCUMENTS_STORE).getAllKeys()),
+    ]);
+    const storedIds = new Set(conversationIds);
+    await this.remove(indexedIds.filter((id) => !storedIds.has(id)));
+    // eslint-disable-next-line no-restricted-syntax
+    for (const id of conversationIds) {
+      // eslint-disable-next-line no-await-in-loop
+      const conversation = await this.repository.get(id);
+      // eslint-disable-next-line no-await-in-loop
+      if (conversation) await this.update([conversation]);
+    }
+  }
+
+  /**
+   * Drop the index and index every conversation again
+   * @returns {Promise<void>}
+   */
+  async rebuild() {
+    await this.open();
+    await this.clear();
+    await this.build();
+  }
+
+  /**
+   * @returns {Promise<{documentCount: number, totalLength: number, termCount: number}>} Index size
+   */
+  async getStats() {
+    await this.open();
+    const transaction = this.db.transaction([SEARCH_POSTINGS_STORE, SEARCH_META_STORE], 'readonly');
+    const [stats, termCount] = await Promise.all([
+      this._request(transaction.objectStore(SEARCH_META_STORE).get('stats')),
+      this._countKeys(transaction.objectStore(SEARCH_POSTINGS_STORE).index('term').openKeyCursor(null, 'nextunique')),
+    ]);
+    return { documentCount: stats?.documentCount || 0, totalLength: stats?.totalLength || 0, termCount };
+  }
+
+  /**
+   * Follow repository writes and answer requests sent by scripts/content/conversationSearch.js
+   * Must be registered synchronously when the service worker starts
+   */
+  listen() {
+    this.repository.onChange(({ put, removed, cleared }) => {
+      const indexChange = cleared ? this.clear() : Promise.resolve();
+      indexChange
+        .then(() => this.remove(removed))
+        .then(() => this.update(put))
+        .catch((error) => console.error('Failed to update the search index:', error));
+    });
+
+    const methods = ['search', 'rebuild', 'getStats'];
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      if (!request || !request[CONVERSATION_SEARCH_REQUEST_KEY]) return false;
+      const { method, args = [] } = request[CONVERSATION_SEARCH_REQUEST_KEY];
+      if (!methods.includes(method)) {
+        sendResponse({ ok: false, error: `Unknown conversation search method: ${method}` });
+        return false;
+      }
+      this[method](...args)
+        .then((result) => sendResponse({ ok: true, result }))
+        .catch((error) => sendResponse({ ok: false, error: error.message || String(error) }));
+      return true;
+    });
+  }
+
+  _openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(SEARCH_DB_NAME, SEARCH_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (db.objectStoreNames.contains(SEARCH_LEGACY_TERMS_STORE)) {
+          // the documents and stats belong to the dropped postings, build() indexes everything again
+          db.deleteObjectStore(SEARCH_LEGACY_TERMS_STORE);
+          request.transaction.objectStore(SEARCH_DOCUMENTS_STORE).clear();
+          request.transaction.objectStore(SEARCH_META_STORE).clear();
+        }
+        if (!db.objectStoreNames.contains(SEARCH_POSTINGS_STORE)) {
+          const postingStore = db.createObjectStore(SEARCH_POSTINGS_STORE, { keyPath: ['term', 'conversationId'] });
+          postingStore.createIndex('term', 'term', { unique: false });
+          postingStore.createIndex('conversationId', 'conversationId', { unique: false });
+        }
+        if (!db.objectStoreNames.contains(SEARCH_DOCUMENTS_STORE)) {
+          db.createObjectStore(SEARCH_DOCUMENTS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(SEARCH_META_STORE)) {
+          db.createObjectStore(SEARCH_META_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _enqueueWrite(write) {
+    const run = this.writes.then(() => this.open()).then(write);
+    // a failed write must not block the ones after it
+    this.writes = run.catch(() => {});
+    return run;
+  }
+
+  // Postings of one clause keyed by conversation ID, with field scope and phrase order applied
+  async _matchClause(termIndex, clause, allowedIds) {
+    const termRecords = await Promise.all(clause.terms.map((term, i) => {
+      if (clause.prefix && i === clause.terms.length - 1) {
+        return this._prefixRecords(termIndex, term);
+      }
+      return this._request(termIndex.getAll(term));
+    }));
+    // merge the postings of every term a prefix expanded to
+    const postingsByTerm = termRecords.map((records) => records.reduce((merged, { conversationId, postings }) => {
+      if (allowedIds && !allowedIds.has(conversationId)) return merged;
+      merged[conversationId] = (merged[conversationId] || []).concat(postings.filter((posting) => this._inField(posting, clause.field)));
+      return merged;
+    }, {}));
+
+    const matches = {};
+    Object.entries(postingsByTerm[0]).forEach(([id, firstPostings]) => {
+      const following = postingsByTerm.slice(1).map((postings) => new Set((postings[id] || []).map((posting) => `${posting[0]}|${posting[1]}|${posting[2]}`)));
+      const phrasePostings = firstPostings.filter((posting) => following.every((keys, offset) => keys.has(`${posting[0]}|${posting[1]}|${posting[2] + offset + 1}`)));
+      if (phrasePostings.length > 0) {
+        matches[id] = phrasePostings;
+      }
+    });
+    return matches;
+  }
+
+  // Posting records of the first SEARCH_MAX_PREFIX_TERMS terms starting with a prefix
+  _prefixRecords(termIndex, prefix) {
+    return new Promise((resolve, reject) => {
+      const records = [];
+      const terms = new Set();
+      const request = termIndex.openCursor(IDBKeyRange.bound(prefix, `${prefix}\uffff`));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) terms.add(cursor.key);
+        if (!cursor || terms.size > SEARCH_MAX_PREFIX_TERMS) {
+          resolve(records);
+          return;
+        }
+        records.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _inField(posting, field) {
+    if (!field) return true;
+    if (field === 'code') return posting[3] === 1;
+    return posting[1] === field;
+  }
+
+  // Group postings by message, the messages with the most matches first
+  _groupHits(postings) {
+    const hitsByKey = {};
+    postings.forEach(([messageId, field, position, inCode]) => {
+      const key = `${messageId}|${field}`;
+      if (!hitsByKey[key]) {
+        hitsByKey[key] = {
+          messageId, field, positions: [], code: false,
+        };
+      }
+      hitsByKey[key].positions.push(position);
+      hitsByKey[key].code = hitsByKey[key].code || inCode === 1;
+    });
+    return Object.values(hitsByKey)
+      .map((hit) => ({ ...hit, positions: [...new Set(hit.positions)].sort((a, b) => a - b) }))
+      .sort((a, b) => b.positions.length - a.positions.length);
+  }
+
+  async _indexConversation(conversation) {
+    if (!conversation || !conversation.id) return;
+    const existing = await this._request(this.db.transaction(SEARCH_DOCUMENTS_STORE).objectStore(SEARCH_DOCUMENTS_STORE).get(conversation.id));
+    const analyzed = existing
+      && existing.update_time === conversation.update_time
+      && existing.title === conversation.title
+      && existing.messageCount === Object.keys(conversation.mapping || {}).length
+      ? null
+      : this._analyze(conversation);
+    if (analyzed) await this._writeDocument(conversation.id, analyzed);
+  }
+
+  // Term postings and length of a conversation, a message is indexed under the role of its author
+  _analyze(conversation) {
+    const postingsByTerm = {};
+    let length = 0;
+    const addTokens = (messageId, field, tokens) => {
+      tokens.forEach(({ term, position, code }) => {
+        if (!postingsByTerm[term]) postingsByTerm[term] = [];
+        postingsByTerm[term].push([messageId, field, position, code ? 1 : 0]);
+      });
+      length += tokens.length;
+    };
+
+    addTokens(null, 'title', tokenizeSearchText(conversation.title));
+    Object.values(conversation.mapping || {}).forEach((node) => {
+      const message = node?.message;
+      const role = message?.author?.role || message?.role;
+      if (role !== 'user' && role !== 'assistant') return;
+      const text = (message.content?.parts || [])
+        .filter((part) => typeof part === 'string')
+        .join('\n')
+        .replace(/## Instructions[\s\S]*## End Instructions\n\n/, '');
+      addTokens(node.id || message.id, role, tokenizeSearchText(text));
+    });
+
+    return {
+      document: {
+        id: conversation.id,
+        update_time: conversation.update_time,
+        title: conversation.title,
+        messageCount: Object.keys(conversation.mapping || {}).length,
+        length,
+      },
+      postingsByTerm,
+    };
+  }
+
+  // Replace the postings of one conversation, or delete them when analyzed is null
+  // Only the records of this conversation are read and written, whatever the size of the index
+  async _writeDocument(id, analyzed) {
+    const transaction = this.db.transaction([SEARCH_POSTINGS_STORE, SEARCH_DOCUMENTS_STORE, SEARCH_META_STORE], 'readwrite');
+    const postingStore = transaction.objectStore(SEARCH_POSTINGS_STORE);
+    const documentStore = transaction.objectStore(SEARCH_DOCUMENTS_STORE);
+    const metaStore = transaction.objectStore(SEARCH_META_STORE);
+    const [existing, stats, existingKeys] = await Promise.all([
+      this._request(documentStore.get(id)),
+      this._request(metaStore.get('stats')),
+      this._request(postingStore.index('conversationId').getAllKeys(id)),
+    ]);
+    existingKeys.forEach((key) => postingStore.delete(key));
+    Object.entries(analyzed ? analyzed.postingsByTerm : {}).forEach(([term, postings]) => {
+      postingStore.put({ term, conversationId: id, postings });
+    });
+
+    const newStats = { id: 'stats', documentCount: stats?.documentCount || 0, totalLength: stats?.totalLength || 0 };
+    if (existing) {
+      newStats.documentCount -= 1;
+      newStats.totalLength -= existing.length;
+      documentStore.delete(id);
+    }
+    if (analyzed) {
+      newStats.documentCount += 1;
+      newStats.totalLength += analyzed.document.length;
+      documentStore.put(analyzed.document);
+    }
+    metaStore.put(newStats);
+    await this._complete(transaction);
+  }
+
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Number of keys a key cursor walks over
+  _countKeys(request) {
+    return new Promise((resolve, reject) => {
+      let count = 0;
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(count);
+          return;
+        }
+        count += 1;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+const conversationSearchIndex = new ConversationSearchIndex(conversationRepository);
+conversationSearchIndex.listen();
+conversationSearchIndex.open().catch((error) => {
+  console.error('Failed to open the search index:', error);
+});
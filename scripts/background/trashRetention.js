@@ -0,0 +1,96 @@
+/* global jobRunner, conversationRepository, deletionLog, DeletionLogActions */
+// Trash retention. With settings.trashRetentionDays above 0, a daily job of the job runner removes the conversations
+// that have been in the trash folder longer than that from the local store and logs them as purged. The time a
+// conversation was trashed comes from the deletion log (scripts/agents/DeletionLog.js); conversations trashed
+// before there was a log are logged the first time the job sees them and purged that many days later.
+const TRASH_PURGE_JOB_ID = 'trash:purge';
+const TRASH_PURGE_JOB_TYPE = 'trashPurge';
+const DAY = 24 * 60 * 60 * 1000;
+
+class TrashRetention {
+  /**
+   * Register the job handler and follow the retention setting
+   * Must run before the job runner starts
+   */
+  listen() {
+    jobRunner.registerHandler(TRASH_PURGE_JOB_TYPE, () => this.purge());
+    jobRunner.ready
+      .then(() => chrome.storage.local.get(['settings']))
+      .then(({ settings }) => this.schedule(settings))
+      .catch((error) => console.error('Failed to schedule the trash retention:', error));
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace !== 'local' || !changes.settings) return;
+      const oldDays = changes.settings.oldValue?.trashRetentionDays;
+      const newDays = changes.settings.newValue?.trashRetentionDays;
+      if (oldDays === newDays) return;
+      this.schedule(changes.settings.newValue)
+        .catch((error) => console.error('Failed to schedule the trash retention:', error));
+    });
+  }
+
+  /**
+   * Run the purge job daily while a retention is set, remove it otherwise
+   * @param {object} settings
+   * @returns {Promise<void>}
+   */
+  async schedule(settings) {
+    const days = Number(settings?.trashRetentionDays) || 0;
+    if (days <= 0) {
+      await jobRunner.remove(TRASH_PURGE_JOB_ID);
+      return;
+    }
+    await jobRunner.schedule({
+      id: TRASH_PURGE_JOB_ID,
+      type: TRASH_PURGE_JOB_TYPE,
+      name: `Empty the trash after ${days} day${days === 1 ? '' : 's'}`,
+      schedule: { type: 'cron', value: '@daily', catchUp: 'once' },
+    });
+  }
+
+  /**
+   * Remove the conversations trashed longer ago than the retention
+   * @returns {Promise<object>} purged conversation count
+   */
+  async purge() {
+    const { settings, conversationsOrder = [] } = await chrome.storage.local.get(['settings', 'conversationsOrder']);
+    const days = Number(settings?.trashRetentionDays) || 0;
+    const trashFolder = conversationsOrder.find((folder) => folder?.id === 'trash');
+    if (days <= 0 || !trashFolder || trashFolder.conversationIds.length === 0) return { purged: 0 };
+
+    const trashed = deletionLog.lastTrashed(await deletionLog.list());
+    const summaries = await conversationRepository.getSummaries(trashFolder.conversationIds);
+    const unlogged = trashFolder.conversationIds.filter((id) => !trashed.has(id));
+    if (unlogged.length > 0) {
+      await deletionLog.add(unlogged.map((conversationId) => ({
+        action: DeletionLogActions.TRASHED,
+        conversationId,
+        title: summaries[conversationId]?.title || '',
+        source: 'retention',
+      })));
+    }
+    const cutoff = Date.now() - days * DAY;
+    const expiredIds = trashFolder.conversationIds.filter((id) => trashed.has(id) && trashed.get(id).at <= cutoff);
+    if (expiredIds.length === 0) return { purged: 0 };
+
+    await conversationRepository.remove(expiredIds);
+    // the order may have changed while the conversations were removed
+    const { conversationsOrder: currentOrder = [] } = await chrome.storage.local.get(['conversationsOrder']);
+    const currentTrashFolder = currentOrder.find((folder) => folder?.id === 'trash');
+    if (currentTrashFolder) {
+      currentTrashFolder.conversationIds = currentTrashFolder.conversationIds.filter((id) => !expiredIds.includes(id));
+      await chrome.storage.local.set({ conversationsOrder: currentOrder });
+    }
+    await deletionLog.add(expiredIds.map((conversationId) => ({
+      action: DeletionLogActions.PURGED,
+      conversationId,
+      title: summaries[conversationId]?.title || trashed.get(conversationId).title || '',
+      folder: trashed.get(conversationId).folder || null,
+      source: 'retention',
+    })));
+    return { purged: expiredIds.length };
+  }
+}
+
+const trashRetention = new TrashRetention();
+trashRetention.listen();
@@ -0,0 +1,400 @@
+/* global conversationRepository, createEmbeddingProvider, EmbeddingProvider */
+// Persistent vector index with one embedding per message chunk, kept up to date from conversationRepository writes.
+// The embedding provider comes from the settings (scripts/agents/EmbeddingProvider.js), changing it reindexes everything.
+const VECTOR_DB_NAME = 'superpower-chatgpt-vectors';
+const VECTOR_DB_VERSION = 1;
+const VECTOR_CHUNKS_STORE = 'chunks';
+const VECTOR_DOCUMENTS_STORE = 'documents';
+// Words per chunk and words repeated at the start of the next chunk
+const VECTOR_CHUNK_WORDS = 120;
+const VECTOR_CHUNK_OVERLAP = 20;
+// Settings that select the embedding provider
+const VECTOR_PROVIDER_SETTINGS = ['embeddingProvider', 'embeddingEndpoint', 'embeddingModel', 'embeddingApiKey'];
+
+/**
+ * Split a message into overlapping chunks of words
+ * @param {string} text - Message text
+ * @returns {Array<string>} Chunks
+ */
+function chunkVectorText(text) {
+  const words = (text || '').split(/\s+/).filter(Boolean);
+  const chunks = [];
+  for (let start = 0; start < words.length; start += VECTOR_CHUNK_WORDS - VECTOR_CHUNK_OVERLAP) {
+    chunks.push(words.slice(start, start + VECTOR_CHUNK_WORDS).join(' '));
+    if (start + VECTOR_CHUNK_WORDS >= words.length) break;
+  }
+  return chunks;
+}
+
+class ConversationVectorIndex {
+  constructor(repository) {
+    this.repository = repository;
+    this.db = null;
+    this.ready = null;
+    this.provider = null;
+    // Chunk vectors of the provider by chunk ID, loaded on the first search and kept up to date by the writes
+    this.vectors = null;
+    // The load in progress, and the writes that finished while it ran
+    this.vectorsLoading = null;
+    this.vectorChanges = null;
+    this.lastError = null;
+    // Index writes run one at a time so a provider switch never mixes vectors
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Open the database, pick the embedding provider and embed the conversations written since the index last ran
+   * @returns {Promise<void>}
+   */
+  open() {
+    if (!this.ready) {
+      this.ready = Promise.all([
+        this._openDatabase(),
+        chrome.storage.local.get(['settings']),
+      ]).then(([db, { settings }]) => {
+        this.db = db;
+        this.provider = createEmbeddingProvider(settings);
+        this.build().catch((error) => console.error('Failed to build the vector index:', error));
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Find the chunks closest to a query
+   * @param {string} query - Search text
+   * @param {object} [options] - Search options
+   * @param {number} [options.limit] - Maximum number of results, all by default
+   * @param {Array<string>} [options.conversationIds] - Only search these conversations
+   * @param {number} [options.maxHits=5] - Maximum number of chunk hits per result
+   * @returns {Promise<{results: Array<object>, total: number}>} Results ranked by their best chunk. Each result has
+   * conversationId, score and hits: [{ messageId, chunk, score }], title hits have a null messageId
+   */
+  async search(query, { limit = Infinity, conversationIds, maxHits = 5 } = {}) {
+    await this.open();
+    if (!query || !query.trim()) return { results: [], total: 0 };
+    const [queryVector] = await this.provider.embed([query]);
+    const vectors = await this._loadVectors();
+    const allowedIds = conversationIds ? new Set(conversationIds) : null;
+
+    const hitsByConversation = {};
+    vectors.forEach(({
+      conversationId, messageId, chunk, vector,
+    }) => {
+      if (allowedIds && !allowedIds.has(conversationId)) return;
+      const score = EmbeddingProvider.similarity(queryVector, vector);
+      if (!hitsByConversation[conversationId]) hitsByConversation[conversationId] = [];
+      hitsByConversation[conversationId].push({ messageId, chunk, score });
+    });
+
+    const results = Object.entries(hitsByConversation).map(([conversationId, hits]) => {
+      hits.sort((a, b) => b.score - a.score);
+      return { conversationId, score: hits[0].score, hits: hits.slice(0, maxHits) };
+    });
+    results.sort((a, b) => b.score - a.score);
+    return { results: results.slice(0, limit), total: results.length };
+  }
+
+  /**
+   * Embed conversations, skipping the ones that did not change since they were embedded
+   * @param {Array<object>} conversations - Full conversations
+   * @returns {Promise<void>}
+   */
+  update(conversations) {
+    return this._enqueueWrite(async () => {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const conversation of conversations) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await this._indexConversation(conversation);
+        } catch (error) {
+          // a failing remote provider must not stop the conversations after it
+          this.lastError = error.message;
+          console.error(`Failed to embed conversation ${conversation.id}:`, error);
+        }
+      }
+    });
+  }
+
+  /**
+   * @param {Array<string>} ids - Conversation IDs to drop from the index
+   * @returns {Promise<void>}
+   */
+  remove(ids) {
+    return this._enqueueWrite(async () => {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const id of ids) {
+        // eslint-disable-next-line no-await-in-loop
+        await this._writeChunks(id, null, []);
+      }
+    });
+  }
+
+  /**
+   * Drop the whole index
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this._enqueueWrite(async () => {
+      const transaction = this.db.transaction([VECTOR_CHUNKS_STORE, VECTOR_DOCUMENTS_STORE], 'readwrite');
+      transaction.objectStore(VECTOR_CHUNKS_STORE).clear();
+      transaction.objectStore(VECTOR_DOCUMENTS_STORE).clear();
+      await this._complete(transaction);
+      this._resetVectors();
+    });
+  }
+
+  /**
+   * Embed every stored conversation that is missing, stale or embedded by another provider
+   * @returns {Promise<void>}
+   */
+  async build() {
+    await this.open();
+    const [conversationIds, indexedIds] = await Promise.all([
+      this.repository.keys(),
+      this._request(this.db.transaction(VECTOR_DOCUMENTS_STORE).objectStore(VECTOR_DOCUMENTS_STORE).getAllKeys()),
+    ]);
+    const storedIds = new Set(conversationIds);
+    await this.remove(indexedIds.filter((id) => !storedIds.has(id)));
+    // eslint-disable-next-line no-restricted-syntax
+    for (const id of conversationIds) {
+      // eslint-disable-next-line no-await-in-loop
+      const conversation = await this.repository.get(id);
+      // eslint-disable-next-line no-await-in-loop
+      if (conversation) await this.update([conversation]);
+    }
+  }
+
+  /**
+   * @returns {Promise<{providerId: string, dimensions: number|null, chunkCount: number, documentCount: number, lastError: string|null}>} Index size
+   */
+  async getStats() {
+    await this.open();
+    const transaction = this.db.transaction([VECTOR_CHUNKS_STORE, VECTOR_DOCUMENTS_STORE], 'readonly');
+    const [chunkCount, documentCount] = await Promise.all([
+      this._request(transaction.objectStore(VECTOR_CHUNKS_STORE).count()),
+      this._request(transaction.objectStore(VECTOR_DOCUMENTS_STORE).count()),
+    ]);
+    return {
+      providerId: this.provider.id,
+      dimensions: this.provider.dimensions,
+      chunkCount,
+      documentCount,
+      lastError: this.lastError,
+    };
+  }
+
+  /**
+   * Follow repository writes and provider settings
+   * Must be registered synchronously when the service worker starts
+   */
+  listen() {
+    this.repository.onChange(({ put, removed, cleared }) => {
+      const indexChange = cleared ? this.clear() : Promise.resolve();
+      indexChange
+        .then(() => this.remove(removed))
+        .then(() => this.update(put))
+        .catch((error) => console.error('Failed to update the vector index:', error));
+    });
+
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace !== 'local' || !changes.settings || !this.provider) return;
+      const provider = createEmbeddingProvider(changes.settings.newValue);
+      const oldSettings = changes.settings.oldValue || {};
+      const newSettings = changes.settings.newValue || {};
+      if (provider.id === this.provider.id && VECTOR_PROVIDER_SETTINGS.every((key) => oldSettings[key] === newSettings[key])) return;
+      // an API key change keeps the vectors, any other change makes them incomparable
+      const providerChanged = provider.id !== this.provider.id;
+      this.provider = provider;
+      this.lastError = null;
+      if (providerChanged) {
+        this._resetVectors();
+        this.build().catch((error) => console.error('Failed to rebuild the vector index:', error));
+      }
+    });
+  }
+
+  _openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(VECTOR_DB_NAME, VECTOR_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(VECTOR_CHUNKS_STORE)) {
+          const store = db.createObjectStore(VECTOR_CHUNKS_STORE, { keyPath: 'id' });
+          store.createIndex('conversationId', 'conversationId');
+        }
+        if (!db.objectStoreNames.contains(VECTOR_DOCUMENTS_STORE)) {
+          db.createObjectStore(VECTOR_DOCUMENTS_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _enqueueWrite(write) {
+    const run = this.writes.then(() => this.open()).then(write);
+    // a failed write must not block the ones after it
+    this.writes = run.catch(() => {});
+    return run;
+  }
+
+  // One load at a time. The writes that finish while it runs may be missing from what it read, they are
+  // applied again once it is done
+  _loadVectors() {
+    if (this.vectors) return Promise.resolve(this.vectors);
+    if (!this.vectorsLoading) {
+      const providerId = this.provider.id;
+      const changes = [];
+      const loading = this._scanVectors(providerId).then((vectors) => {
+        if (this.vectorsLoading !== loading) return vectors;
+        changes.forEach((change) => this._applyVectorChange(vectors, change, providerId));
+        this.vectors = vectors;
+        this.vectorsLoading = null;
+        this.vectorChanges = null;
+        return vectors;
+      }, (error) => {
+        if (this.vectorsLoading === loading) this._resetVectors();
+        throw error;
+      });
+      this.vectorsLoading = loading;
+      this.vectorChanges = changes;
+    }
+    return this.vectorsLoading;
+  }
+
+  // The vectors of a provider, read with a cursor so the chunks of other providers are never all in memory
+  _scanVectors(providerId) {
+    return new Promise((resolve, reject) => {
+      const vectors = new Map();
+      const request = this.db.transaction(VECTOR_CHUNKS_STORE).objectStore(VECTOR_CHUNKS_STORE).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(vectors);
+          return;
+        }
+        if (cursor.value.providerId === providerId) vectors.set(cursor.value.id, this._toVectorEntry(cursor.value));
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _toVectorEntry({
+    conversationId, messageId, chunk, vector,
+  }) {
+    return {
+      conversationId, messageId, chunk, vector: Float32Array.from(vector),
+    };
+  }
+
+  _applyVectorChange(vectors, { removedIds, chunks }, providerId) {
+    removedIds.forEach((id) => vectors.delete(id));
+    chunks.forEach((chunk) => {
+      if (chunk.providerId === providerId) vectors.set(chunk.id, this._toVectorEntry(chunk));
+    });
+  }
+
+  _resetVectors() {
+    this.vectors = null;
+    this.vectorsLoading = null;
+    this.vectorChanges = null;
+  }
+
+  async _indexConversation(conversation) {
+    if (!conversation || !conversation.id) return;
+    const messageCount = Object.keys(conversation.mapping || {}).length;
+    const existing = await this._request(this.db.transaction(VECTOR_DOCUMENTS_STORE).objectStore(VECTOR_DOCUMENTS_STORE).get(conversation.id));
+    if (existing
+      && existing.providerId === this.provider.id
+      && existing.update_time === conversation.update_time
+      && existing.title === conversation.title
+      && existing.messageCount === messageCount) return;
+
+    const chunks = this._chunkConversation(conversation);
+    const { provider } = this;
+    const vectors = await provider.embed(chunks.map((chunk) => chunk.text));
+    // the provider changed while embedding, the rebuild it started embeds this conversation again
+    if (provider !== this.provider) return;
+    const document = {
+      id: conversation.id,
+      providerId: provider.id,
+      update_time: conversation.update_time,
+      title: conversation.title,
+      messageCount,
+    };
+    await this._writeChunks(conversation.id, document, chunks.map((chunk, i) => ({
+      id: `${conversation.id}|${chunk.messageId}|${chunk.chunk}`,
+      conversationId: conversation.id,
+      messageId: chunk.messageId,
+      chunk: chunk.chunk,
+      providerId: provider.id,
+      vector: vectors[i],
+    })));
+  }
+
+  // The title and every user and assistant message split into chunks
+  _chunkConversation(conversation) {
+    const chunks = [];
+    if (conversation.title) {
+      chunks.push({ messageId: null, chunk: 0, text: conversation.title });
+    }
+    Object.values(conversation.mapping || {}).forEach((node) => {
+      const message = node?.message;
+      const role = message?.author?.role || message?.role;
+      if (role !== 'user' && role !== 'assistant') return;
+      const text = (message.content?.parts || [])
+        .filter((part) => typeof part === 'string')
+        .join('\n')
+        .replace(/## Instructions[\s\S]*## End Instructions\n\n/, '');
+      chunkVectorText(text).forEach((chunkText, i) => {
+        chunks.push({ messageId: node.id || message.id, chunk: i, text: chunkText });
+      });
+    });
+    return chunks;
+  }
+
+  // Replace the chunks of one conversation, or delete them when document is null
+  async _writeChunks(conversationId, document, chunks) {
+    const transaction = this.db.transaction([VECTOR_CHUNKS_STORE, VECTOR_DOCUMENTS_STORE], 'readwrite');
+    const chunkStore = transaction.objectStore(VECTOR_CHUNKS_STORE);
+    const oldChunkIds = await this._request(chunkStore.index('conversationId').getAllKeys(conversationId));
+    oldChunkIds.forEach((id) => chunkStore.delete(id));
+    chunks.forEach((chunk) => chunkStore.put(chunk));
+    if (document) {
+      transaction.objectStore(VECTOR_DOCUMENTS_STORE).put(document);
+    } else {
+      transaction.objectStore(VECTOR_DOCUMENTS_STORE).delete(conversationId);
+    }
+    await this._complete(transaction);
+
+    const change = { removedIds: oldChunkIds, chunks };
+    if (this.vectors) {
+      this._applyVectorChange(this.vectors, change, this.provider.id);
+    } else if (this.vectorChanges) {
+      this.vectorChanges.push(change);
+    }
+  }
+
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  _complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+const conversationVectorIndex = new ConversationVectorIndex(conversationRepository);
+conversationVectorIndex.listen();
+conversationVectorIndex.open().catch((error) => {
+  console.error('Failed to open the vector index:', error);
+});
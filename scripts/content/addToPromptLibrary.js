@@ -1,4 +1,4 @@
-/* global fetchPrompts, promptLibraryPageNumber, toast, categoryList, languageList, addDropdownEventListener, dropdown */
+/* global fetchPrompts, promptLibraryPageNumber, toast, categoryList, languageList, addDropdownEventListener, dropdown, domAdapter */
 //
 let selectedCategories = [];
 function createCategorySelector(categories = []) {
@@ -309,7 +309,7 @@ function addSubmitButtonToAllUserInputs() {
 // eslint-disable-next-line no-unused-vars
 function initializeAddToPromptLibrary() {
   addSubmitButtonToAllUserInputs();
-  const main = document.querySelector('main');
+  const main = domAdapter.main();
   if (!main) return;
   selectedCategories = [];
   const observer = new MutationObserver(() => {
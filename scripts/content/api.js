@@ -1,4 +1,4 @@
-/* global SSE */
+/* global SSE, agentEventBridge, conversationRepository, chatProviderIsExternal, generateProviderChat, generateProviderTitle, recordTrashedConversations, conversationIsLocalOnly */
 /* eslint-disable no-restricted-globals */
 /* eslint-disable no-unused-vars */
 let API_URL = 'https://api.wfh.team';
@@ -12,7 +12,7 @@ const defaultHeaders = {
   'content-type': 'application/json',
 };
 function getExamplePrompts(offset = 0, limit = 4) {
-  const url = new URL('https://chat.openai.com/backend-api/prompt_library/');
+  const url = new URL(`${window.location.origin}/backend-api/prompt_library/`);
   const params = { offset, limit };
   url.search = new URLSearchParams(params).toString();
   return chrome.storage.sync.get(['accessToken']).then((result) => fetch(url, {
@@ -34,7 +34,7 @@ function generateSuggestions(conversationId, messageId, model, numSuggestions =
     model,
     num_suggestions: numSuggestions,
   };
-  return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`https://chat.openai.com/backend-api/conversation/${conversationId}/experimental/generate_suggestions`, {
+  return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`${window.location.origin}/backend-api/conversation/${conversationId}/experimental/generate_suggestions`, {
     method: 'POST',
     headers: {
       ...defaultHeaders,
@@ -48,66 +48,76 @@ function generateSuggestions(conversationId, messageId, model, numSuggestions =
     });
 }
 function generateChat(message, conversationId, messageId, parentMessageId, token, suggestions = [], saveHistory = true, role = 'user', action = 'next') {
-  return chrome.storage.local.get(['settings', 'enabledPluginIds', 'installedPlugins']).then((res) => chrome.storage.sync.get(['accessToken']).then((result) => {
-    const payload = {
-      action,
-      arkose_token: res.settings.selectedModel.tags.includes('gpt4') && !res.settings.selectedModel.tags.includes('Unofficial') ? token : null,
-      model: res.settings.selectedModel.slug,
-      parent_message_id: parentMessageId,
-      history_and_training_disabled: !saveHistory,
-      suggestions,
-      timezone_offset_min: new Date().getTimezoneOffset(),
-    };
-    if (action === 'next') {
-      payload.messages = messageId
-        ? [
-          {
-            id: messageId,
-            author: { role },
-            content: {
-              content_type: 'text',
-              parts: [message],
+  return chrome.storage.local.get(['settings', 'enabledPluginIds', 'installedPlugins']).then((res) => {
+    if (chatProviderIsExternal(res.settings)) {
+      return generateProviderChat(res.settings, message, conversationId, messageId, parentMessageId, role, action);
+    }
+    return chrome.storage.sync.get(['accessToken']).then((result) => {
+      const payload = {
+        action,
+        arkose_token: res.settings.selectedModel.tags.includes('gpt4') && !res.settings.selectedModel.tags.includes('Unofficial') ? token : null,
+        model: res.settings.selectedModel.slug,
+        parent_message_id: parentMessageId,
+        history_and_training_disabled: !saveHistory,
+        suggestions,
+        timezone_offset_min: new Date().getTimezoneOffset(),
+      };
+      if (action === 'next') {
+        payload.messages = messageId
+          ? [
+            {
+              id: messageId,
+              author: { role },
+              content: {
+                content_type: 'text',
+                parts: [message],
+              },
             },
+          ]
+          : null;
+      }
+      if (conversationId) {
+        payload.conversation_id = conversationId;
+      }
+      // plugin model: text-davinci-002-plugins
+      if (!conversationId && res.settings.selectedModel.slug.includes('plugins')) {
+        // remove plugin ids from enabledPluginIds that are not installed
+        const newEnabledPluginIds = res.enabledPluginIds.filter((id) => res.installedPlugins.find((p) => p.id === id));
+        payload.plugin_ids = newEnabledPluginIds;
+        chrome.storage.local.set({ enabledPluginIds: newEnabledPluginIds });
+      }
+      const eventSource = new SSE(
+        '/backend-api/conversation',
+        {
+          method: 'POST',
+          headers: {
+            ...defaultHeaders,
+            accept: 'text/event-stream',
+            Authorization: result.accessToken,
           },
-        ]
-        : null;
-    }
-    if (conversationId) {
-      payload.conversation_id = conversationId;
-    }
-    // plugin model: text-davinci-002-plugins
-    if (!conversationId && res.settings.selectedModel.slug.includes('plugins')) {
-      // remove plugin ids from enabledPluginIds that are not installed
-      const newEnabledPluginIds = res.enabledPluginIds.filter((id) => res.installedPlugins.find((p) => p.id === id));
-      payload.plugin_ids = newEnabledPluginIds;
-      chrome.storage.local.set({ enabledPluginIds: newEnabledPluginIds });
-    }
-    const eventSource = new SSE(
-      '/backend-api/conversation',
-      {
-        method: 'POST',
-        headers: {
-          ...defaultHeaders,
-          accept: 'text/event-stream',
-          Authorization: result.accessToken,
+          payload: JSON.stringify(payload),
         },
-        payload: JSON.stringify(payload),
-      },
-    );
-    eventSource.stream();
-    return eventSource;
-  }));
+      );
+      eventSource.stream();
+      return eventSource;
+    });
+  });
 }
 function getConversation(conversationId) {
-  return chrome.storage.local.get(['conversations', 'conversationsAreSynced', 'settings']).then((res) => {
-    const { conversations, conversationsAreSynced } = res;
+  return Promise.all([
+    chrome.storage.local.get(['conversationsAreSynced', 'settings']),
+    conversationRepository.get(conversationId),
+  ]).then(([res, localConversation]) => {
+    const { conversationsAreSynced } = res;
     const { autoSync } = res.settings;
-    if ((typeof autoSync === 'undefined' || autoSync) && conversationsAreSynced && conversations && conversations[conversationId]) {
-      if (!conversations[conversationId].shouldRefresh) {
-        return conversations[conversationId];
+    // conversations of another chat provider only exist locally
+    if (localConversation && (conversationIsLocalOnly(localConversation) || chatProviderIsExternal(res.settings))) return localConversation;
+    if ((typeof autoSync === 'undefined' || autoSync) && conversationsAreSynced && localConversation) {
+      if (!localConversation.shouldRefresh) {
+        return localConversation;
       }
     }
-    return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`https://chat.openai.com/backend-api/conversation/${conversationId}`, {
+    return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`${window.location.origin}/backend-api/conversation/${conversationId}`, {
       method: 'GET',
       headers: {
         ...defaultHeaders,
@@ -123,7 +133,7 @@ function getConversation(conversationId) {
   });
 }
 function getAccount() {
-  return chrome.storage.sync.get(['accessToken']).then((result) => fetch('https://chat.openai.com/backend-api/accounts/check', {
+  return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`${window.location.origin}/backend-api/accounts/check`, {
     method: 'GET',
     headers: {
       ...defaultHeaders,
@@ -156,7 +166,7 @@ function setUserSystemMessage(aboutUser, aboutModel, enabled) {
     about_model_message: aboutModel,
     enabled,
   };
-  return chrome.storage.sync.get(['accessToken']).then((result) => fetch('https://chat.openai.com/backend-api/user_system_messages', {
+  return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`${window.location.origin}/backend-api/user_system_messages`, {
     method: 'POST',
     headers: {
       ...defaultHeaders,
@@ -166,7 +176,7 @@ function setUserSystemMessage(aboutUser, aboutModel, enabled) {
   }).then((res) => res.json()));
 }
 function getUserSystemMessage() {
-  return chrome.storage.sync.get(['accessToken']).then((result) => fetch('https://chat.openai.com/backend-api/user_system_messages', {
+  return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`${window.location.origin}/backend-api/user_system_messages`, {
     method: 'GET',
     headers: {
       ...defaultHeaders,
@@ -195,7 +205,7 @@ function getUserSystemMessage() {
     });
 }
 function getModels() {
-  return chrome.storage.sync.get(['accessToken']).then((result) => fetch('https://chat.openai.com/backend-api/models', {
+  return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`${window.location.origin}/backend-api/models`, {
     method: 'GET',
     headers: {
       ...defaultHeaders,
@@ -220,7 +230,7 @@ function getModels() {
     });
 }
 function getConversationLimit() {
-  return chrome.storage.sync.get(['accessToken']).then((result) => fetch('https://chat.openai.com/public-api/conversation_limit', {
+  return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`${window.location.origin}/public-api/conversation_limit`, {
     method: 'GET',
     headers: {
       ...defaultHeaders,
@@ -245,7 +255,7 @@ function messageFeedback(conversationId, messageId, rating, text = '') {
   if (text) {
     data.text = text;
   }
-  return chrome.storage.sync.get(['accessToken']).then((result) => fetch('https://chat.openai.com/backend-api/conversation/message_feedback', {
+  return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`${window.location.origin}/backend-api/conversation/message_feedback`, {
     method: 'POST',
     headers: {
       ...defaultHeaders,
@@ -272,7 +282,7 @@ function getInstalledPlugins() {
   });
 }
 function getPlugins(offset = 0, limit = 20, isInstalled = undefined, statuses = undefined) {
-  const url = new URL('https://chat.openai.com/backend-api/aip/p');
+  const url = new URL(`${window.location.origin}/backend-api/aip/p`);
   // without passing limit it returns 20 by default
   // limit cannot be more than 100
   const params = { offset, limit };
@@ -297,7 +307,7 @@ function getPlugins(offset = 0, limit = 20, isInstalled = undefined, statuses =
   }));
 }
 function installPlugin(pluginId) {
-  const url = new URL(`https://chat.openai.com/backend-api/aip/p/${pluginId}/user-settings`);
+  const url = new URL(`${window.location.origin}/backend-api/aip/p/${pluginId}/user-settings`);
   // without passing limit it returns 20 by default
   // limit cannot be more than 100
   const data = {
@@ -319,7 +329,7 @@ function installPlugin(pluginId) {
   }));
 }
 function uninstallPlugin(pluginId) {
-  const url = new URL(`https://chat.openai.com/backend-api/aip/p/${pluginId}/user-settings`);
+  const url = new URL(`${window.location.origin}/backend-api/aip/p/${pluginId}/user-settings`);
   // without passing limit it returns 20 by default
   // limit cannot be more than 100
   const data = {
@@ -341,7 +351,7 @@ function uninstallPlugin(pluginId) {
   }));
 }
 function userSettings(pluginId) {
-  const url = new URL(`https://chat.openai.com/backend-api/aip/${pluginId}/user-settings`);
+  const url = new URL(`${window.location.origin}/backend-api/aip/${pluginId}/user-settings`);
   return chrome.storage.sync.get(['accessToken']).then((result) => fetch(url, {
     method: 'GET',
     headers: {
@@ -357,7 +367,7 @@ function userSettings(pluginId) {
 }
 
 function createShare(conversationId, currentNodeId, isAnnonymous = true) {
-  const url = new URL('https://chat.openai.com/backend-api/share/create');
+  const url = new URL(`${window.location.origin}/backend-api/share/create`);
   // without passing limit it returns 50 by default
   // limit cannot be more than 20
   const data = {
@@ -400,7 +410,7 @@ function createShare(conversationId, currentNodeId, isAnnonymous = true) {
 }
 
 function share(shareId, title, highlightedMessageId, isAnonymous = true, isVisibile = true, isPublic = true) {
-  const url = new URL(`https://chat.openai.com/backend-api/share/${shareId}`);
+  const url = new URL(`${window.location.origin}/backend-api/share/${shareId}`);
   // without passing limit it returns 50 by default
   // limit cannot be more than 20
   const data = {
@@ -428,7 +438,7 @@ function share(shareId, title, highlightedMessageId, isAnonymous = true, isVisib
 }
 
 function deleteShare(shareId) {
-  const url = new URL(`https://chat.openai.com/backend-api/share/${shareId}`);
+  const url = new URL(`${window.location.origin}/backend-api/share/${shareId}`);
   // without passing limit it returns 50 by default
   // limit cannot be more than 20
   return chrome.storage.sync.get(['accessToken']).then((result) => fetch(url, {
@@ -459,15 +469,17 @@ function getSelectedConversations(forceRefresh = false) {
 
 function getAllConversations(forceRefresh = false) {
   return new Promise((resolve) => {
-    chrome.storage.local.get(['conversations', 'conversationsAreSynced', 'settings']).then((res) => {
+    chrome.storage.local.get(['conversationsAreSynced', 'settings']).then((res) => {
       const {
-        conversations, conversationsAreSynced, settings,
+        conversationsAreSynced, settings,
       } = res;
       const { autoSync, quickSync, quickSyncCount } = settings;
 
       if (!forceRefresh && conversationsAreSynced && (typeof autoSync === 'undefined' || autoSync)) {
-        const visibleConversation = Object.values(conversations);
-        resolve(visibleConversation);
+        conversationRepository.getSummaries().then((conversations) => {
+          const visibleConversation = Object.values(conversations);
+          resolve(visibleConversation);
+        });
       } else {
         const allConversations = [];
         const initialOffset = 0;
@@ -519,7 +531,7 @@ function getAllConversations(forceRefresh = false) {
   });
 }
 function getSharedConversations(offset = 0, limit = 100) {
-  const url = new URL('https://chat.openai.com/backend-api/shared_conversations');
+  const url = new URL(`${window.location.origin}/backend-api/shared_conversations`);
   // without passing limit it returns 50 by default
   // limit cannot be more than 20
   // const params = { offset, limit };
@@ -538,7 +550,7 @@ function getSharedConversations(offset = 0, limit = 100) {
   }));
 }
 function getConversations(offset = 0, limit = 100, order = 'updated') {
-  const url = new URL('https://chat.openai.com/backend-api/conversations');
+  const url = new URL(`${window.location.origin}/backend-api/conversations`);
   // without passing limit it returns 50 by default
   // limit cannot be more than 20
   const params = { offset, limit, order };
@@ -557,7 +569,7 @@ function getConversations(offset = 0, limit = 100, order = 'updated') {
   }));
 }
 function updateConversation(id, data) {
-  return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`https://chat.openai.com/backend-api/conversation/${id}`, {
+  return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`${window.location.origin}/backend-api/conversation/${id}`, {
     method: 'PATCH',
     headers: {
       ...defaultHeaders,
@@ -568,10 +580,11 @@ function updateConversation(id, data) {
 }
 function generateTitle(conversationId, messageId) {
   return chrome.storage.local.get(['settings']).then((res) => {
+    if (chatProviderIsExternal(res.settings)) return generateProviderTitle(res.settings, conversationId, messageId);
     const data = {
       message_id: messageId,
     };
-    return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`https://chat.openai.com/backend-api/conversation/gen_title/${conversationId}`, {
+    return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`${window.location.origin}/backend-api/conversation/gen_title/${conversationId}`, {
       method: 'POST',
       headers: {
         ...defaultHeaders,
@@ -582,22 +595,32 @@ function generateTitle(conversationId, messageId) {
   });
 }
 function renameConversation(conversationId, title) {
-  return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`https://chat.openai.com/backend-api/conversation/${conversationId}`, {
-    method: 'PATCH',
-    headers: {
-      ...defaultHeaders,
-      Authorization: result.accessToken,
-    },
-    body: JSON.stringify({ title }),
-  }).then((res) => res.json()));
+  return conversationRepository.get(conversationId).then((localConversation) => {
+    // chats of another provider are not in the web backend, callers save the title locally
+    if (conversationIsLocalOnly(localConversation)) {
+      return { success: true };
+    }
+    return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`${window.location.origin}/backend-api/conversation/${conversationId}`, {
+      method: 'PATCH',
+      headers: {
+        ...defaultHeaders,
+        Authorization: result.accessToken,
+      },
+      body: JSON.stringify({ title }),
+    }).then((res) => res.json()));
+  });
 }
-function deleteConversation(conversationId) {
-  return chrome.storage.local.get(['conversations']).then((localRes) => {
-    const { conversations } = localRes;
-    if (!conversations[conversationId].saveHistory) {
+// source goes to the deletion log, see trash.js
+function deleteConversation(conversationId, source = 'sidebar') {
+  // the order from before callers move the conversation to the trash, the log keeps the folder it was in
+  const order = chrome.storage.local.get(['conversationsOrder']);
+  let title = '';
+  return conversationRepository.get(conversationId).then((localConversation) => {
+    title = localConversation?.title || '';
+    if (!localConversation?.saveHistory || conversationIsLocalOnly(localConversation)) {
       return { success: true };
     }
-    return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`https://chat.openai.com/backend-api/conversation/${conversationId}`, {
+    return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`${window.location.origin}/backend-api/conversation/${conversationId}`, {
       method: 'PATCH',
       headers: {
         ...defaultHeaders,
@@ -610,10 +633,38 @@ function deleteConversation(conversationId) {
       }
       return Promise.reject(res);
     }));
+  }).then((data) => {
+    agentEventBridge.conversationDeleted(conversationId);
+    if (data.success) {
+      order
+        .then(({ conversationsOrder }) => recordTrashedConversations([{ id: conversationId, title }], conversationsOrder, source))
+        .catch((error) => console.error('Failed to log the deleted conversation:', error));
+    }
+    return data;
+  });
+}
+function restoreConversation(conversationId) {
+  return conversationRepository.get(conversationId).then((localConversation) => {
+    if (!localConversation?.saveHistory || conversationIsLocalOnly(localConversation)) {
+      return { success: true };
+    }
+    return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`${window.location.origin}/backend-api/conversation/${conversationId}`, {
+      method: 'PATCH',
+      headers: {
+        ...defaultHeaders,
+        Authorization: result.accessToken,
+      },
+      body: JSON.stringify({ is_visible: true }),
+    }).then((res) => {
+      if (res.ok) {
+        return res.json();
+      }
+      return Promise.reject(res);
+    }));
   });
 }
 function deleteAllConversations() {
-  return chrome.storage.sync.get(['accessToken']).then((result) => fetch('https://chat.openai.com/backend-api/conversations', {
+  return chrome.storage.sync.get(['accessToken']).then((result) => fetch(`${window.location.origin}/backend-api/conversations`, {
     method: 'PATCH',
     headers: {
       ...defaultHeaders,
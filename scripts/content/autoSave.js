@@ -1,12 +1,15 @@
 /* eslint-disable no-unused-vars */
 /* eslint-disable no-restricted-globals */
 // eslint-disable-next-line no-unused-vars
-/* global updateNewChatButtonNotSynced, getAllConversations, getConversation, loadConversationList, initializeCopyAndCounter, initializeAddToPromptLibrary, initializeTimestamp, addConversationsEventListeners, isGenerating, prependConversation, generateTitleForConversation, canSubmitPrompt, formatDate, userChatIsActuallySaved:true, addAsyncInputEvents, addSyncBanner, isWindows, toast, sortConversationsByTimestamp */
+/* global updateNewChatButtonNotSynced, getAllConversations, getConversation, loadConversationList, initializeCopyAndCounter, initializeAddToPromptLibrary, initializeTimestamp, addConversationsEventListeners, isGenerating, prependConversation, generateTitleForConversation, canSubmitPrompt, formatDate, userChatIsActuallySaved:true, addAsyncInputEvents, addSyncBanner, isWindows, toast, sortConversationsByTimestamp, agentEventBridge, conversationRepository, domAdapter, folderTreeRuleFolder, chatProviderIsExternal, conversationIsLocalOnly */
 /* eslint-disable no-await-in-loop, */
+// Conversation summaries (no message tree) while syncing, full records live in conversationRepository
 let localConversations = {};
 let autoSaveTimeoutId;
 let initializeTimoutId;
 let refreshTimeoutId;
+let syncStartTime;
+let syncedConversationIds = [];
 function clearAllTimeouts() {
   clearTimeout(autoSaveTimeoutId);
   clearTimeout(refreshTimeoutId);
@@ -24,16 +27,21 @@ async function autoSaveCountDownAsync() {
     }, 2000);
   });
 }
+function conversationSummary(conversation) {
+  const { mapping, moderation_results: moderationResults, ...summary } = conversation;
+  return summary;
+}
 async function addConversationToStorage(conv) {
-  await getConversation(conv.id).then((conversation) => {
+  await getConversation(conv.id).then(async (conversation) => {
     if (!conversation) return;
     if (!conversation.create_time) return;
+    const isNewConversation = !localConversations[conv.id]?.current_node;
     // Object.keys(conversation.mapping).forEach((key) => {
     //   if (localConversations[conv.id] && localConversations[conv.id]?.mapping[key] && localConversations[conv.id].mapping[key]?.pinned) {
     //     conversation.mapping[key].pinned = true;
     //   }
     // });
-    localConversations[conv.id] = {
+    const localConversation = {
       id: conv.id,
       shouldRefresh: false,
       archived: false,
@@ -42,13 +50,16 @@ async function addConversationToStorage(conv) {
       ...conversation,
       update_time: new Date(conv.update_time).getTime() / 1000,
     };
-    if (Object.keys(localConversations).length > 0) {
-      // conversationOrder is being updated in the parent function. No needto update here
-      chrome.storage.local.set({
-        conversations: localConversations,
-      });
+    // conversationOrder is being updated in the parent function. No needto update here
+    await conversationRepository.put(localConversation);
+    localConversations[conv.id] = conversationSummary(localConversation);
+    syncedConversationIds.push(conv.id);
+    if (isNewConversation) {
+      agentEventBridge.conversationCreated(localConversation, 'sync');
+    } else {
+      agentEventBridge.conversationUpdated(localConversation, 'sync');
     }
-  }, (err) => {
+  }, async (err) => {
     if (err.status === 500) {
       localConversations[conv.id] = {
         id: conv.id,
@@ -58,33 +69,27 @@ async function addConversationToStorage(conv) {
         skipped: true,
         update_time: new Date(conv.update_time).getTime() / 1000,
       };
-      if (Object.keys(localConversations).length > 0) {
-        // conversationOrder is being updated in the parent function. No needto update here
-        chrome.storage.local.set({
-          conversations: localConversations,
-        });
-      }
+      // conversationOrder is being updated in the parent function. No needto update here
+      await conversationRepository.put(localConversations[conv.id]);
     }
   });
 }
 async function updateConversationInStorage(conv) {
-  await getConversation(conv.id).then((conversation) => {
+  await getConversation(conv.id).then(async (conversation) => {
     if (!conversation) return;
     // Object.keys(conversation.mapping).forEach((key) => {
     //   if (localConversations[conv.id].mapping[key] && localConversations[conv.id].mapping[key]?.pinned) {
     //     conversation.mapping[key].pinned = true;
     //   }
     // });
-    localConversations[conv.id] = {
-      ...localConversations[conv.id],
+    const localConversation = {
+      ...conv,
       ...conversation,
       shouldRefresh: false,
     };
-    if (Object.keys(localConversations).length > 0) {
-      chrome.storage.local.set({
-        conversations: localConversations,
-      });
-    }
+    await conversationRepository.put(localConversation);
+    localConversations[conv.id] = conversationSummary(localConversation);
+    agentEventBridge.conversationUpdated(localConversation, 'sync');
   }, () => {
     // if (err.status === 500) {
     // }
@@ -94,15 +99,18 @@ async function updateConversationInStorage(conv) {
 function updateOrCreateConversation(conversationId, message, parentId, settings, generateTitle = false, forceRefresh = false, newSystemMessage = {}) {
   if (!message) return;
   // eslint-disable-next-line consistent-return
-  return chrome.storage.local.get(['conversations', 'enabledPluginIds']).then((result) => {
-    const existingConversation = result.conversations?.[conversationId];
+  return Promise.all([
+    chrome.storage.local.get(['enabledPluginIds']),
+    conversationRepository.get(conversationId),
+  ]).then(([result, existingConversation]) => {
     if (existingConversation) {
       existingConversation.languageCode = settings.selectedLanguage.code;
       existingConversation.toneCode = settings.selectedTone.code;
       existingConversation.writingStyleCode = settings.selectedWritingStyle.code;
       existingConversation.shouldRefresh = forceRefresh;
       existingConversation.current_node = message.id;
-      existingConversation.update_time = 'force_copy';
+      // force_copy takes the update time of the web backend at the next sync, chats of another provider are not there
+      existingConversation.update_time = conversationIsLocalOnly(existingConversation) ? Date.now() / 1000 : 'force_copy';
       if (existingConversation.mapping[message.id]?.id) {
         existingConversation.mapping[message.id].message = message;
       } else {
@@ -117,16 +125,10 @@ function updateOrCreateConversation(conversationId, message, parentId, settings,
           existingConversation.mapping[parentId].children.push(message.id);
         }
       }
-      return chrome.storage.local.set(
-        {
-          conversations: {
-            ...result.conversations,
-            [conversationId]: existingConversation,
-          },
-        },
-      ).then(
+      return conversationRepository.put(existingConversation).then(
         () => {
           userChatIsActuallySaved = true;
+          agentEventBridge.conversationUpdated(existingConversation, 'chat');
           addConversationsEventListeners(existingConversation.id);
           const mapping = Object.values(existingConversation.mapping);
           if (generateTitle && existingConversation.title === 'New chat' && mapping.length < 5 && mapping.filter((m) => (m.message?.role === 'assistant' || m.message?.author?.role === 'assistant') && m.message.recipient === 'all').length === 1) { // only one assistant message
@@ -204,18 +206,18 @@ function updateOrCreateConversation(conversationId, message, parentId, settings,
       },
       moderation_results: [],
     };
+    if (chatProviderIsExternal(settings)) {
+      newConversation.provider = settings.chatProvider;
+      newConversation.update_time = newConversation.create_time;
+    }
     if (settings.selectedModel.slug.includes('plugins')) {
       newConversation.pluginIds = result.enabledPluginIds;
     }
-    return chrome.storage.local.set({
-      conversations: {
-        ...result.conversations,
-        [conversationId]: newConversation,
-      },
-    }).then(() => {
+    return conversationRepository.put(newConversation).then(() => {
       userChatIsActuallySaved = true;
+      agentEventBridge.conversationCreated(newConversation, 'chat');
       addConversationsEventListeners(newConversation.id);
-      prependConversation(newConversation);
+      prependConversation(newConversation, settings.selectedModel.slug);
     });
   });
 }
@@ -225,7 +227,7 @@ function addProgressBar() {
     const existingSyncDiv = document.getElementById('sync-div');
     if (existingSyncDiv) existingSyncDiv.remove();
 
-    const nav = document.querySelector('nav');
+    const nav = domAdapter.sidebar();
     if (!nav) return;
     nav.style.position = 'relative';
     nav.style.overflow = 'hidden';
@@ -267,7 +269,11 @@ function addProgressBar() {
   });
 }
 function checkConversationAreSynced(localConvs, remoteConvs) {
-  return Object.values(localConvs).filter((conv) => !conv.archived && (typeof conv.saveHistory === 'undefined' || conv.saveHistory)).length === remoteConvs.length;
+  return Object.values(localConvs).filter((conv) => !conv.archived && !conversationIsLocalOnly(conv) && (typeof conv.saveHistory === 'undefined' || conv.saveHistory)).length === remoteConvs.length;
+}
+// A saved conversation the web backend no longer lists was deleted there. Chats of another provider are never listed
+function syncArchivesConversation(conversation, remoteConvIds) {
+  return Boolean(conversation.id) && conversation.saveHistory && !conversationIsLocalOnly(conversation) && !remoteConvIds.includes(conversation.id);
 }
 // eslint-disable-next-line no-unused-vars
 function refreshConversations(conversations) {
@@ -297,18 +303,21 @@ function initializeAutoSave(skipInputFormReload = false, forceRefreshIds = []) {
   addProgressBar();
   clearAllTimeouts();
   localConversations = {};
+  syncStartTime = Date.now();
+  syncedConversationIds = [];
 
   const forceRefresh = true;
   getAllConversations(forceRefresh).then((remoteConversations) => {
     if (remoteConversations.length > 500) {
       toast('Looks like you have over 500 conversation in your history. For best performance, please consider deleting some conversations to keep your history under 200 conversations!', 'warning', 10000);
     }
-    chrome.storage.local.get(['conversationsOrder', 'conversations', 'settings'], (result) => {
+    Promise.all([
+      chrome.storage.local.get(['conversationsOrder', 'settings']),
+      conversationRepository.getSummaries(),
+    ]).then(([result, storedConversations]) => {
       const { settings, conversationsOrder } = result;
       // Removed subscription check
-      if (result.conversations && Object.keys(result.conversations).length > 0) {
-        localConversations = result.conversations;
-      }
+      localConversations = storedConversations;
       let newConversationsOrder = conversationsOrder && (conversationsOrder?.findIndex((f) => f && f.id === 'trash') !== -1)
         ? conversationsOrder
         : [{
@@ -359,7 +368,7 @@ function initializeAutoSave(skipInputFormReload = false, forceRefreshIds = []) {
               localConversations[localConvIds[i]].saveHistory = true;
             }
             // archive deleted conversations
-            if (localConversations[localConvIds[i]].id && localConversations[localConvIds[i]].saveHistory && !remoteConvIds.includes(localConversations[localConvIds[i]].id)) {
+            if (syncArchivesConversation(localConversations[localConvIds[i]], remoteConvIds)) {
               localConversations[localConvIds[i]].archived = true;
               // check conversations
               if (newConversationsOrder.indexOf(localConversations[localConvIds[i]].id) !== -1) {
@@ -407,7 +416,13 @@ function initializeAutoSave(skipInputFormReload = false, forceRefreshIds = []) {
             if (localConvIds.includes(remoteConvIds[i]) && !visibleAndNotSkippedLocalConvIds.includes(remoteConvIds[i])) {
               localConversations[remoteConvIds[i]].archived = false;
             }
-            if (!allVisibleConversationsOrderIds.includes(remoteConvIds[i])) {
+            // conversations new to the list go to the first folder with a matching rule, or to the top level
+            const ruleFolder = allVisibleConversationsOrderIds.includes(remoteConvIds[i])
+              ? undefined
+              : folderTreeRuleFolder(newConversationsOrder, { title: remoteConversations[i].title, model: localConversations[remoteConvIds[i]]?.model });
+            if (ruleFolder) {
+              ruleFolder.conversationIds.unshift(remoteConvIds[i]);
+            } else if (!allVisibleConversationsOrderIds.includes(remoteConvIds[i])) {
               if (!conversationsOrder || conversationsOrder.length === 0) { // if conversationsOrder does not exist, add to the end of it right before trash folder (last element -1)
                 newConversationsOrder.splice(newConversationsOrder.length - 1, 0, remoteConvIds[i]);
               } else { // if conversationsOrder exists, insert it at index i in newConversationsOrder
@@ -473,12 +488,19 @@ function initializeAutoSave(skipInputFormReload = false, forceRefreshIds = []) {
           }
 
           if (conversationsAreSynced) {
+            // persist titles, update times and archive flags changed above
+            await conversationRepository.patchMany(localConversations);
             chrome.storage.local.set({
-              conversations: localConversations,
               conversationsAreSynced,
               conversationsOrder: newConversationsOrder,
             }, () => {
               clearTimeout(initializeTimoutId);
+              agentEventBridge.conversationSynced({
+                conversationIds: syncedConversationIds,
+                total: remoteConvIds.length,
+                duration: Date.now() - syncStartTime,
+                quickSync: settings.quickSync,
+              });
               const progressBar = document.getElementById('sync-progressbar');
               const progressLabel = document.getElementById('sync-progresslabel');
               const tooltip = document.getElementById('sync-tooltip');
@@ -507,12 +529,13 @@ function initializeAutoSave(skipInputFormReload = false, forceRefreshIds = []) {
                   }
                   // if shift + cmnd/ctrl
                   if (e.shiftKey && (e.metaKey || (isWindows() && e.ctrlKey))) {
-                    chrome.storage.local.set({
-                      conversationsOrder: [],
-                      conversations: {},
-                      conversationsAreSynced: false,
-                    }, () => {
-                      window.location.reload();
+                    conversationRepository.clear().then(() => {
+                      chrome.storage.local.set({
+                        conversationsOrder: [],
+                        conversationsAreSynced: false,
+                      }, () => {
+                        window.location.reload();
+                      });
                     });
                   } else {
                     initializeAutoSave(true, refreshIds);
@@ -584,12 +607,13 @@ function initializeAutoSave(skipInputFormReload = false, forceRefreshIds = []) {
             }
             // if shift + cmnd/ctrl
             if (e.shiftKey && (e.metaKey || (isWindows() && e.ctrlKey))) {
-              chrome.storage.local.set({
-                conversationsOrder: [],
-                conversations: {},
-                conversationsAreSynced: false,
-              }, () => {
-                window.location.reload();
+              conversationRepository.clear().then(() => {
+                chrome.storage.local.set({
+                  conversationsOrder: [],
+                  conversationsAreSynced: false,
+                }, () => {
+                  window.location.reload();
+                });
               });
             } else {
               initializeAutoSave(true, refreshIds);
@@ -652,15 +676,18 @@ function initializeAutoSave(skipInputFormReload = false, forceRefreshIds = []) {
   });
 }
 /*
-conversations={
-  convId: {
-    id: convId,
-    archived: false,
-    shouldRefresh: false,
-    title: convTitle,
-    create_time: convCreateTime,
-    current_node: convCurrentNode,
-    mapping:{},
-    moderation_results:[]
-},..}
+conversationRepository record (one per conversation, folder and model are indexed)
+{
+  id: convId,
+  archived: false,
+  shouldRefresh: false,
+  title: convTitle,
+  create_time: convCreateTime,
+  update_time: convUpdateTime,
+  current_node: convCurrentNode,
+  folder: folderId, // from conversationsOrder
+  model: modelSlug, // from the current node
+  mapping:{},
+  moderation_results:[]
+}
 */
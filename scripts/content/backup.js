@@ -0,0 +1,246 @@
+/* global createModal, toast, formatDate, backupArchive, BackupSections, BACKUP_REQUEST_KEY */
+// Backup and restore of all extension data, see scripts/agents/BackupArchive.js. The background builds the archives
+// and saves them to the Downloads folder (scripts/background/autoBackup.js), restores run here: the wizard opens a
+// backup, shows its sections and writes the chosen ones, merged with what is stored or replacing it.
+
+const backupInputClassList = 'w-full px-4 py-2 mb-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm bg-gray-800 disabled:opacity-40';
+
+function backupRequest(method, options) {
+  return chrome.runtime.sendMessage({
+    [BACKUP_REQUEST_KEY]: { method, options },
+  }).then((response) => {
+    if (!response) throw new Error(`Backup did not answer ${method}`);
+    if (!response.ok) throw new Error(response.error);
+    return response.result;
+  });
+}
+
+function backupLabel(text, helper = '') {
+  const label = document.createElement('div');
+  label.style = 'width: 100%; margin: 8px 0 4px; color:white;';
+  label.textContent = text;
+  if (helper) {
+    const helperElement = document.createElement('div');
+    helperElement.style = 'font-size: 12px; color: #999;';
+    helperElement.textContent = helper;
+    label.appendChild(helperElement);
+  }
+  return label;
+}
+function backupPasswordInput(id, placeholder) {
+  const input = document.createElement('input');
+  input.id = id;
+  input.type = 'password';
+  input.autocomplete = 'new-password';
+  input.placeholder = placeholder;
+  input.classList = backupInputClassList;
+  return input;
+}
+// A checkbox for every section, returns the wrapper and a getter of the checked section names
+function backupSectionCheckboxes(sections, renderExtra = () => null) {
+  const wrapper = document.createElement('div');
+  wrapper.style = 'display: flex; flex-direction: column; width: 100%;';
+  sections.forEach((name) => {
+    const row = document.createElement('label');
+    row.style = 'display: flex; align-items: center; gap: 8px; margin: 4px 0; color:white; font-size: 14px;';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.dataset.backupSection = name;
+    const text = document.createElement('span');
+    text.style = 'flex: 1;';
+    text.textContent = BackupSections[name]?.label || name;
+    row.append(checkbox, text);
+    const extra = renderExtra(name);
+    if (extra) row.appendChild(extra);
+    wrapper.appendChild(row);
+  });
+  const checked = () => Array.from(wrapper.querySelectorAll('[data-backup-section]')).filter((checkbox) => checkbox.checked).map((checkbox) => checkbox.dataset.backupSection);
+  return { wrapper, checked };
+}
+
+// eslint-disable-next-line no-unused-vars
+function createBackupModal() {
+  chrome.storage.local.get(['settings', 'autoBackupPassword', 'lastBackup'], ({ settings, autoBackupPassword, lastBackup }) => {
+    const bodyContent = document.createElement('div');
+    bodyContent.style = 'display: flex; flex-direction: column; width: 100%; padding: 16px; overflow-y: auto;';
+
+    bodyContent.appendChild(backupLabel('Sections', 'Conversations, folders, prompts, custom instructions, prompt history, settings and agent data are kept in this browser only. Reinstalling the extension loses them.'));
+    const sectionCheckboxes = backupSectionCheckboxes(Object.keys(BackupSections));
+    bodyContent.appendChild(sectionCheckboxes.wrapper);
+
+    bodyContent.appendChild(backupLabel('Password (optional)', 'Encrypts the backup. It cannot be restored without the password. API keys and integration tokens are only backed up with a password.'));
+    const passwordInput = backupPasswordInput('backup-password-input', 'Password');
+    const passwordConfirmInput = backupPasswordInput('backup-password-confirm-input', 'Repeat the password');
+    bodyContent.append(passwordInput, passwordConfirmInput);
+
+    bodyContent.appendChild(backupLabel('Automatic Backup', 'Saves a backup of all sections to Downloads/superpower-chatgpt-backups. API keys and integration tokens are only backed up with a password.'));
+    const frequencySelect = document.createElement('select');
+    frequencySelect.id = 'auto-backup-frequency-select';
+    frequencySelect.classList = backupInputClassList;
+    [['off', 'Off'], ['daily', 'Daily'], ['weekly', 'Weekly']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      frequencySelect.appendChild(option);
+    });
+    frequencySelect.value = settings?.autoBackupFrequency || 'off';
+    frequencySelect.addEventListener('change', () => {
+      chrome.storage.local.get('settings', (result) => {
+        chrome.storage.local.set({ settings: { ...result.settings, autoBackupFrequency: frequencySelect.value } });
+      });
+    });
+    bodyContent.appendChild(frequencySelect);
+    const autoPasswordInput = backupPasswordInput('auto-backup-password-input', 'Password of automatic backups (optional, kept in this browser)');
+    autoPasswordInput.value = autoBackupPassword || '';
+    autoPasswordInput.addEventListener('change', () => {
+      chrome.storage.local.set({ autoBackupPassword: autoPasswordInput.value });
+    });
+    bodyContent.appendChild(autoPasswordInput);
+    if (lastBackup) {
+      const lastBackupElement = document.createElement('div');
+      lastBackupElement.style = 'font-size: 12px; color: #999;';
+      lastBackupElement.textContent = `Last backup: ${lastBackup.fileName}, ${formatDate(new Date(lastBackup.at))}${lastBackup.auto ? ', automatic' : ''}${lastBackup.encrypted ? ', encrypted' : ''}`;
+      bodyContent.appendChild(lastBackupElement);
+    }
+
+    const actionBar = document.createElement('div');
+    actionBar.style = 'display: flex; justify-content: end; width: 100%; margin-top: 8px; gap: 8px;';
+    const restoreButton = document.createElement('button');
+    restoreButton.classList = 'btn relative btn-neutral';
+    restoreButton.textContent = 'Restore a backup';
+    restoreButton.addEventListener('click', () => {
+      document.querySelector('#modal-backup')?.remove();
+      createRestoreBackupModal();
+    });
+    const downloadButton = document.createElement('button');
+    downloadButton.classList = 'btn relative btn-primary';
+    downloadButton.textContent = 'Download backup';
+    downloadButton.addEventListener('click', () => {
+      if (passwordInput.value !== passwordConfirmInput.value) {
+        toast('The passwords do not match', 'error');
+        return;
+      }
+      downloadButton.disabled = true;
+      downloadButton.textContent = 'Backing up...';
+      backupRequest('download', { sections: sectionCheckboxes.checked(), password: passwordInput.value }).then(({ fileName }) => {
+        toast(`Saved ${fileName} to your Downloads folder`);
+        document.querySelector('#modal-backup')?.remove();
+      }, (error) => {
+        toast(`Backup failed: ${error.message}`, 'error');
+        downloadButton.disabled = false;
+        downloadButton.textContent = 'Download backup';
+      });
+    });
+    actionBar.append(restoreButton, downloadButton);
+
+    createModal('Backup', 'Back up everything the extension keeps in this browser', bodyContent, actionBar);
+  });
+}
+
+// Restore wizard: pick a backup, enter its password, choose the sections and merge or replace each
+function createRestoreBackupModal() {
+  let backup = null;
+  const bodyContent = document.createElement('div');
+  bodyContent.style = 'display: flex; flex-direction: column; width: 100%; padding: 16px; overflow-y: auto;';
+
+  bodyContent.appendChild(backupLabel('1. Backup file'));
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.zip';
+  fileInput.style = 'color:white; margin-bottom: 8px;';
+  bodyContent.appendChild(fileInput);
+  const backupInfo = document.createElement('div');
+  backupInfo.style = 'font-size: 12px; color: #999;';
+  bodyContent.appendChild(backupInfo);
+
+  const passwordWrapper = document.createElement('div');
+  passwordWrapper.style = 'display: none; width: 100%;';
+  passwordWrapper.appendChild(backupLabel('2. Password', 'This backup is encrypted.'));
+  const passwordInput = backupPasswordInput('restore-backup-password-input', 'Password');
+  passwordWrapper.appendChild(passwordInput);
+  bodyContent.appendChild(passwordWrapper);
+
+  const sectionsWrapper = document.createElement('div');
+  sectionsWrapper.style = 'width: 100%;';
+  bodyContent.appendChild(sectionsWrapper);
+  let sectionCheckboxes = null;
+
+  const progress = document.createElement('div');
+  progress.style = 'font-size: 12px; color: #999; margin-top: 8px;';
+  bodyContent.appendChild(progress);
+
+  const actionBar = document.createElement('div');
+  actionBar.style = 'display: flex; justify-content: end; width: 100%; margin-top: 8px;';
+  const restoreButton = document.createElement('button');
+  restoreButton.classList = 'btn relative btn-primary';
+  restoreButton.textContent = 'Restore';
+  restoreButton.disabled = true;
+  actionBar.appendChild(restoreButton);
+
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    backup = null;
+    restoreButton.disabled = true;
+    sectionsWrapper.innerHTML = '';
+    if (!file) return;
+    backupArchive.open(file).then((opened) => {
+      backup = opened;
+      const { manifest } = opened;
+      backupInfo.textContent = `Made ${formatDate(new Date(manifest.createdAt))} by version ${manifest.extensionVersion}${manifest.encryption ? ', encrypted' : ''}`;
+      passwordWrapper.style.display = manifest.encryption ? 'block' : 'none';
+      sectionsWrapper.appendChild(backupLabel(`${manifest.encryption ? 3 : 2}. Sections`, 'Merge keeps what is stored here and adds what only the backup has. Replace overwrites the section with the backup.'));
+      sectionCheckboxes = backupSectionCheckboxes(Object.keys(manifest.sections), (name) => {
+        const count = document.createElement('span');
+        count.style = 'font-size: 12px; color: #999;';
+        count.textContent = `${manifest.sections[name].items} ${name === 'conversations' ? 'conversations' : 'items'}`;
+        const modeSelect = document.createElement('select');
+        modeSelect.dataset.backupMode = name;
+        modeSelect.classList = 'px-2 py-1 border border-gray-300 rounded-md sm:text-sm bg-gray-800';
+        modeSelect.innerHTML = '<option value="merge">Merge</option><option value="replace">Replace</option>';
+        const extra = document.createElement('span');
+        extra.style = 'display: flex; align-items: center; gap: 8px;';
+        extra.append(count, modeSelect);
+        return extra;
+      });
+      sectionsWrapper.appendChild(sectionCheckboxes.wrapper);
+      restoreButton.disabled = false;
+    }, (error) => {
+      backupInfo.textContent = error.message;
+    });
+  });
+
+  restoreButton.addEventListener('click', () => {
+    const sections = sectionCheckboxes.checked();
+    if (!backup || sections.length === 0) return;
+    const modes = sections.reduce((acc, name) => {
+      acc[name] = sectionsWrapper.querySelector(`[data-backup-mode="${name}"]`).value;
+      return acc;
+    }, {});
+    // replacing asks for a second click
+    if (Object.values(modes).includes('replace') && restoreButton.textContent !== 'Confirm Replace') {
+      restoreButton.textContent = 'Confirm Replace';
+      return;
+    }
+    restoreButton.disabled = true;
+    backupArchive.read(backup, sections, passwordInput.value)
+      .then((contents) => backupArchive.restore(contents, modes, (message) => {
+        progress.textContent = message;
+      }))
+      .then(() => {
+        progress.textContent = 'Restored, reloading';
+        toast('Backup restored');
+        // the agents read their state again, and the page the restored data
+        const reload = sections.includes('agents') || sections.includes('settings') ? backupRequest('reload') : Promise.resolve();
+        return reload.catch(() => { }).then(() => setTimeout(() => window.location.reload(), 1500));
+      })
+      .catch((error) => {
+        progress.textContent = '';
+        toast(`Restore failed: ${error.message}`, 'error');
+        restoreButton.disabled = false;
+        restoreButton.textContent = 'Restore';
+      });
+  });
+
+  createModal('Restore Backup', 'Restore a backup made by the extension', bodyContent, actionBar);
+}
@@ -0,0 +1,183 @@
+/* global SSE, defaultHeaders, conversationRepository, updateOrCreateConversation */
+// Chat backends other than the ChatGPT web backend. When settings.chatProvider is 'openai-compatible', generateChat
+// (api.js) sends the conversation to an OpenAI compatible /chat/completions endpoint instead: the OpenAI API with a
+// key, or a local server. These endpoints keep no conversations, so the history is read from the local conversation,
+// and the streamed chunks are turned into the backend-api events the chat stream listeners already handle. The
+// conversation is then saved through updateOrCreateConversation like any other chat, with the provider in
+// `conversation.provider`: these chats only exist locally, sync does not archive them for missing from the web backend
+// and the backend-api calls for a conversation skip them. The API key is kept apart from the settings
+// (chrome.storage.local.chatProviderApiKey), settings changes are sent to every tab.
+
+const CHAT_PROVIDER_OPENAI_COMPATIBLE = 'openai-compatible';
+
+// eslint-disable-next-line no-unused-vars
+function chatProviderIsExternal(settings) {
+  return settings?.chatProvider === CHAT_PROVIDER_OPENAI_COMPATIBLE && Boolean(settings.chatProviderBaseUrl);
+}
+
+// A chat of another provider, not in the web backend
+// eslint-disable-next-line no-unused-vars
+function conversationIsLocalOnly(conversation) {
+  return Boolean(conversation?.provider);
+}
+
+// The model chats are sent to: the provider's model, or the model selected in ChatGPT
+// eslint-disable-next-line no-unused-vars
+function activeChatModel(settings) {
+  return chatProviderIsExternal(settings) ? settings.chatProviderModel : settings?.selectedModel;
+}
+
+// The API key has its own storage key, read it with chatProviderApiKey()
+function chatProviderRequest(settings, apiKey, payload) {
+  const headers = { ...defaultHeaders };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+  return {
+    url: `${settings.chatProviderBaseUrl.replace(/\/+$/, '')}/chat/completions`,
+    headers,
+    body: JSON.stringify({ model: settings.chatProviderModel || undefined, ...payload }),
+  };
+}
+function chatProviderApiKey() {
+  return chrome.storage.local.get(['chatProviderApiKey']).then((result) => result.chatProviderApiKey || '');
+}
+
+// A message in the backend-api format
+function chatProviderMessage(id, role, text, model, metadata = {}) {
+  return {
+    id,
+    author: { role, metadata: {} },
+    create_time: Date.now() / 1000,
+    content: { content_type: 'text', parts: [text] },
+    status: 'finished_successfully',
+    weight: role === 'system' ? 0 : 1,
+    metadata: { model_slug: model, ...metadata },
+    recipient: 'all',
+  };
+}
+
+// The text messages from the first one down to parentMessageId, other branches are left out
+function chatProviderHistory(conversation, parentMessageId) {
+  const messages = [];
+  let node = conversation?.mapping?.[parentMessageId];
+  while (node) {
+    const { message } = node;
+    const role = message?.author?.role;
+    const text = (message?.content?.parts || []).filter((part) => typeof part === 'string').join('\n');
+    if (['system', 'user', 'assistant'].includes(role) && text && (message.recipient || 'all') === 'all') {
+      messages.unshift({ role, content: text });
+    }
+    node = conversation.mapping[node.parent];
+  }
+  return messages;
+}
+
+// Stream a chat through the provider. Returns the SSE object, its message events carry backend-api data:
+// the system and user messages of a new conversation first, then the assistant message with the text so far,
+// then [DONE]. `providerMessages` holds the system and user messages for callers that save the chat themselves.
+// eslint-disable-next-line no-unused-vars
+function generateProviderChat(settings, message, conversationId, messageId, parentMessageId, role = 'user', action = 'next') {
+  const model = settings.chatProviderModel || 'default';
+  const history = conversationId ? conversationRepository.get(conversationId) : Promise.resolve(null);
+  return Promise.all([history, chatProviderApiKey()]).then(([conversation, apiKey]) => {
+    if (conversationId && !conversation) throw new Error(`Conversation not found: ${conversationId}`);
+    const finalConversationId = conversationId || self.crypto.randomUUID();
+    const messages = chatProviderHistory(conversation, parentMessageId);
+    const systemMessage = conversationId ? null : chatProviderMessage(self.crypto.randomUUID(), 'system', '', model);
+    const userMessage = action === 'next' && messageId ? chatProviderMessage(messageId, role, message, model) : null;
+    if (userMessage) messages.push({ role, content: message });
+    const assistantMessageId = self.crypto.randomUUID();
+
+    const request = chatProviderRequest(settings, apiKey, { messages, stream: true });
+    const eventSource = new SSE(request.url, {
+      method: 'POST',
+      headers: { ...request.headers, accept: 'text/event-stream' },
+      payload: request.body,
+    });
+    eventSource.providerMessages = { systemMessage, userMessage };
+
+    const dispatchEvent = eventSource.dispatchEvent.bind(eventSource);
+    const emit = (data) => {
+      const event = new CustomEvent('message');
+      event.data = typeof data === 'string' ? data : JSON.stringify(data);
+      return dispatchEvent(event);
+    };
+    let text = '';
+    let started = false;
+    let done = false;
+    eventSource.dispatchEvent = (e) => {
+      if (!e || e.type !== 'message') return dispatchEvent(e);
+      if (done) return true;
+      if (e.data === '[DONE]') {
+        done = true;
+        return emit('[DONE]');
+      }
+      let chunk;
+      try {
+        chunk = JSON.parse(e.data);
+      } catch (error) {
+        return true;
+      }
+      if (chunk.error) return emit({ error: chunk.error.message || String(chunk.error) });
+      if (!started) {
+        started = true;
+        // the web backend only sends these for a new conversation
+        if (systemMessage) emit({ conversation_id: finalConversationId, message: systemMessage, error: null });
+        if (systemMessage && userMessage) emit({ conversation_id: finalConversationId, message: userMessage, error: null });
+      }
+      const choice = chunk.choices?.[0];
+      text += choice?.delta?.content || '';
+      const finishDetails = choice?.finish_reason ? { type: choice.finish_reason === 'length' ? 'max_tokens' : 'stop' } : undefined;
+      return emit({
+        conversation_id: finalConversationId,
+        message: {
+          ...chatProviderMessage(assistantMessageId, 'assistant', text, chunk.model || model, { finish_details: finishDetails }),
+          status: choice?.finish_reason ? 'finished_successfully' : 'in_progress',
+          end_turn: choice?.finish_reason ? true : null,
+        },
+        error: null,
+      });
+    };
+    // some local servers end the stream without [DONE]
+    // eslint-disable-next-line no-underscore-dangle
+    const onStreamLoaded = eventSource._onStreamLoaded;
+    // eslint-disable-next-line no-underscore-dangle
+    eventSource._onStreamLoaded = (e) => {
+      onStreamLoaded.call(eventSource, e);
+      if (!done && started) eventSource.dispatchEvent({ type: 'message', data: '[DONE]' });
+    };
+    eventSource.stream();
+    return eventSource;
+  });
+}
+
+// Save a chat streamed by generateProviderChat for callers without the chat stream listeners of submitChat
+// eslint-disable-next-line no-unused-vars
+function saveProviderChat(conversationId, parentMessageId, { systemMessage, userMessage }, assistantMessage, settings) {
+  const savedUserMessage = userMessage
+    ? updateOrCreateConversation(conversationId, userMessage, parentMessageId, settings, false, false, systemMessage || {})
+    : Promise.resolve();
+  return savedUserMessage.then(() => updateOrCreateConversation(conversationId, assistantMessage, userMessage ? userMessage.id : parentMessageId, settings));
+}
+
+// { title } like the gen_title call of the web backend
+// eslint-disable-next-line no-unused-vars
+function generateProviderTitle(settings, conversationId, messageId) {
+  return Promise.all([conversationRepository.get(conversationId), chatProviderApiKey()]).then(([conversation, apiKey]) => {
+    const messages = chatProviderHistory(conversation, messageId).filter((m) => m.role !== 'system');
+    const request = chatProviderRequest(settings, apiKey, {
+      messages: [
+        ...messages,
+        { role: 'user', content: 'Write a title of at most six words for this conversation. Answer with the title only.' },
+      ],
+      stream: false,
+    });
+    return fetch(request.url, { method: 'POST', headers: request.headers, body: request.body });
+  }).then((response) => {
+    if (!response.ok) throw new Error(`Chat provider answered ${response.status} ${response.statusText}`);
+    return response.json();
+  }).then((data) => ({
+    title: (data.choices?.[0]?.message?.content || '').trim().replace(/^["']|["']$/g, '') || 'New chat',
+  }));
+}
@@ -1,7 +1,7 @@
-/* global deleteConversation, deleteAllConversations, resetSelection, showNewChatPage, notSelectedClassList, emptyFolderElement */
+/* global deleteConversation, deleteAllConversations, resetSelection, showNewChatPage, notSelectedClassList, emptyFolderElement, conversationRepository, domAdapter, recordTrashedConversations */
 let deleteButtonTimeout;
 function replaceDeleteConversationButton() {
-  const nav = document.querySelector('nav');
+  const nav = domAdapter.sidebar();
   if (!nav) return;
 
   const deleteConversationsButton = document.createElement('a');
@@ -20,9 +20,12 @@ function replaceDeleteConversationButton() {
   deleteConversationsButton.addEventListener('click', (e) => {
     e.preventDefault();
     e.stopPropagation();
-    chrome.storage.local.get(['conversationsOrder', 'selectedConversations', 'conversations', 'conversationsAreSynced', 'settings'], (result) => {
+    Promise.all([
+      chrome.storage.local.get(['conversationsOrder', 'selectedConversations', 'conversationsAreSynced', 'settings']),
+      conversationRepository.getSummaries(),
+    ]).then(([result, conversations]) => {
       const {
-        conversationsOrder, selectedConversations, conversations, conversationsAreSynced, settings,
+        conversationsOrder, selectedConversations, conversationsAreSynced, settings,
       } = result;
       const trashFolder = conversationsOrder?.find((folder) => folder.id === 'trash');
       const visibleConversations = conversationsAreSynced && conversations && settings.autoSync ? Object.values(conversations).filter((conversation) => !conversation.archived && !conversation.skipped) : nav.querySelector('div.flex-col.flex-1').querySelector('div').querySelectorAll('a');
@@ -36,19 +39,18 @@ function replaceDeleteConversationButton() {
           deleteAllConversations().then((data) => {
             if (data.success) {
               // set archived = true for all conversations
-              const newConversations = conversations
-                ? Object.keys(conversations).reduce(
-                  (acc, key) => {
-                    acc[key] = {
-                      ...conversations[key],
-                      archived: true,
-                    };
-                    return acc;
-                  },
-                  {},
-                ) : {};
+              const archivedConversations = Object.keys(conversations).reduce(
+                (acc, key) => {
+                  acc[key] = { archived: true };
+                  return acc;
+                },
+                {},
+              );
+              conversationRepository.patchMany(archivedConversations);
+              if (conversationsAreSynced && conversations && settings.autoSync) {
+                recordTrashedConversations(visibleConversations, conversationsOrder, 'deleteAll');
+              }
               chrome.storage.local.set({
-                conversations: newConversations,
                 selectedConversations: [],
                 lastSelectedConversation: null,
               });
@@ -102,7 +104,7 @@ function replaceDeleteConversationButton() {
           const promises = [];
 
           for (let i = 0; i < selectedConversationIds.length; i += 1) {
-            promises.push(deleteConversation(selectedConversationIds[i]).then((data) => {
+            promises.push(deleteConversation(selectedConversationIds[i], 'selection').then((data) => {
               if (data.success) {
                 successfullyDeletedConvIds.push(selectedConversationIds[i]);
                 const conversationElement = document.querySelector(`#conversation-button-${selectedConversationIds[i]}`);
@@ -134,26 +136,15 @@ function replaceDeleteConversationButton() {
           // set archived = true for all selected conversations
           if (conversationsAreSynced && conversations && settings.autoSync) {
             Promise.all(promises).then(() => {
-              const newConversations = conversations
-                ? Object.keys(conversations).reduce(
-                  (acc, key) => {
-                    if (successfullyDeletedConvIds.includes(key)) {
-                      acc[key] = {
-                        ...conversations[key],
-                        archived: true,
-                      };
-                    } else {
-                      acc[key] = {
-                        ...conversations[key],
-                      };
-                    }
-                    return acc;
-                  },
-                  {},
-                )
-                : {};
+              const archivedConversations = successfullyDeletedConvIds.reduce(
+                (acc, key) => {
+                  acc[key] = { archived: true };
+                  return acc;
+                },
+                {},
+              );
+              conversationRepository.patchMany(archivedConversations);
               const newValues = {
-                conversations: newConversations,
                 selectedConversations: [],
                 lastSelectedConversation: null,
               };
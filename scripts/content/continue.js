@@ -1,4 +1,4 @@
-/* global toast, defaultPrompts, canSubmitPrompt, createSettingsModal */
+/* global toast, defaultPrompts, canSubmitPrompt, createSettingsModal, domAdapter */
 function promptDropdown() {
   const dropdown = document.createElement('ul');
   dropdown.id = 'continue-conversation-dropdown-list';
@@ -44,15 +44,14 @@ function promptDropdown() {
           createSettingsModal(3); // tab 2 is for prompts
           return;
         }
-        const main = document.querySelector('main');
-        const inputForm = main.querySelector('form');
-        const textAreaElement = inputForm.querySelector('textarea');
+        const inputForm = domAdapter.composerForm();
+        const textAreaElement = domAdapter.composer(inputForm);
         textAreaElement.value = promptText;
         textAreaElement.focus();
         textAreaElement.dispatchEvent(new Event('input', { bubbles: true }));
         textAreaElement.dispatchEvent(new Event('change', { bubbles: true }));
         if (e.shiftKey) return;
-        const curSubmitButton = document.querySelector('main form textarea ~ button');
+        const curSubmitButton = domAdapter.sendButton();
 
         setTimeout(() => {
           curSubmitButton.click();
@@ -72,7 +71,7 @@ function promptDropdown() {
   return dropdown;
 }
 function addContinueButton() {
-  const submitButton = document.querySelector('main form textarea ~ button');
+  const submitButton = domAdapter.sendButton();
   if (!submitButton) return;
   const canSubmit = canSubmitPrompt();
 
@@ -124,7 +123,7 @@ function addContinueButton() {
 
   continueButton.addEventListener('click', (e) => {
     chrome.storage.local.get('customPrompts', ({ customPrompts }) => {
-      const textAreaElement = document.querySelector('main form textarea');
+      const textAreaElement = domAdapter.composer();
       if (!textAreaElement) return;
       textAreaElement.value = textAreaElement.value
         ? `${textAreaElement.value} ${Array.isArray(customPrompts) ? customPrompts.find((p) => p.isDefault)?.text || '' : 'Continue please'}`
@@ -133,7 +132,7 @@ function addContinueButton() {
       textAreaElement.dispatchEvent(new Event('input', { bubbles: true }));
       textAreaElement.dispatchEvent(new Event('change', { bubbles: true }));
       if (e.shiftKey) return;
-      const curSubmitButton = document.querySelector('main form textarea ~ button');
+      const curSubmitButton = domAdapter.sendButton();
       setTimeout(() => {
         curSubmitButton.click();
       }, 300);
@@ -186,11 +185,11 @@ function addContinueButton() {
         continueButtonWrapper.appendChild(autoClickButton);
       }
       if (canSubmit) {
-        const inputForm = document.querySelector('main form');
+        const inputForm = domAdapter.composerForm();
         if (!inputForm) return;
         const inputFormFirstChild = inputForm.firstChild;
 
-        const textAreaElement = inputForm.querySelector('textarea');
+        const textAreaElement = domAdapter.composer(inputForm);
         if (!textAreaElement) return;
 
         let inputFormActionWrapper = settings.autoSync
@@ -231,7 +230,7 @@ function addContinueButton() {
 
 // eslint-disable-next-line no-unused-vars
 function initializeContinue() {
-  const main = document.querySelector('main');
+  const main = domAdapter.main();
   if (!main) return;
   addContinueButton();
 
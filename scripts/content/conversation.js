@@ -1,6 +1,6 @@
 /* eslint-disable no-restricted-globals */
 // eslint-disable-next-line no-unused-vars
-/* global getConversation, submitChat, openSubmitPromptModal, initializeRegenerateResponseButton, showHideTextAreaElement, rowAssistant, rowUser, copyRichText, messageFeedback, openFeedbackModal, refreshConversations, initializeStopGeneratingResponseButton, chatStreamIsClosed:true, generateInstructions, isGenerating:true, scrolUpDetected:true, addScrollDetector, languageList, writingStyleList, toneList, showAutoSyncWarning, arkoseTrigger */
+/* global getConversation, submitChat, openSubmitPromptModal, initializeRegenerateResponseButton, showHideTextAreaElement, rowAssistant, rowUser, copyRichText, messageFeedback, openFeedbackModal, refreshConversations, initializeStopGeneratingResponseButton, chatStreamIsClosed:true, generateInstructions, isGenerating:true, scrolUpDetected:true, addScrollDetector, languageList, writingStyleList, toneList, showAutoSyncWarning, arkoseTrigger, conversationRepository, domAdapter, folderTreePath */
 
 function addPinNav(sortedNodes) {
   chrome.storage.local.get(['settings'], (res) => {
@@ -21,14 +21,14 @@ function addPinNav(sortedNodes) {
       pin.id = `pin-nav-item-${id}`;
       pin.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 384 512"><path fill="gold" d="M48 0H336C362.5 0 384 21.49 384 48V487.7C384 501.1 373.1 512 359.7 512C354.7 512 349.8 510.5 345.7 507.6L192 400L38.28 507.6C34.19 510.5 29.32 512 24.33 512C10.89 512 0 501.1 0 487.7V48C0 21.49 21.49 0 48 0z"/></svg>';
       pin.addEventListener('click', () => {
-        const messageWrapper = document.querySelector(`#message-wrapper-${id}`);
+        const messageWrapper = domAdapter.messageById(id);
         messageWrapper.scrollIntoView({ behavior: 'smooth' });
       });
       pinNav.appendChild(pin);
       const messagePinButton = document.querySelector(`#message-pin-button-${id}`);
       observePinButton(messagePinButton);
     });
-    const main = document.querySelector('main');
+    const main = domAdapter.main();
 
     main.appendChild(pinNav);
   });
@@ -80,8 +80,10 @@ function updateModel(modelSlug, fullConversation) {
 }
 function loadConversationFromNode(conversationId, newMessageId, oldMessageId, searchValue = '') {
   chrome.storage.sync.get(['name', 'avatar'], (result) => {
-    chrome.storage.local.get(['conversations', 'settings', 'models'], (res) => {
-      const fullConversation = res.conversations?.[conversationId];
+    Promise.all([
+      chrome.storage.local.get(['settings', 'models']),
+      conversationRepository.get(conversationId),
+    ]).then(([res, fullConversation]) => {
       const { settings } = res;
 
       let currentNode = fullConversation.mapping[newMessageId];
@@ -118,7 +120,7 @@ function loadConversationFromNode(conversationId, newMessageId, oldMessageId, se
       }
       const conversationBottom = document.querySelector('#conversation-bottom');
 
-      const messageWrapper = document.querySelector(`#message-wrapper-${oldMessageId}`);
+      const messageWrapper = domAdapter.messageById(oldMessageId);
       while (messageWrapper.nextElementSibling && messageWrapper.nextElementSibling.id.startsWith('message-wrapper-')) {
         messageWrapper.nextElementSibling.remove();
       }
@@ -139,26 +141,32 @@ function loadConversationFromNode(conversationId, newMessageId, oldMessageId, se
 }
 
 // eslint-disable-next-line no-unused-vars
-function loadConversation(conversationId, searchValue = '', focusOnInput = true) {
+function loadConversation(conversationId, searchValue = '', focusOnInput = true, searchMessageId = '') {
   //  = true;
   const suggestionsWrapper = document.querySelector('#suggestions-wrapper');
   if (suggestionsWrapper) suggestionsWrapper.remove();
   scrolUpDetected = false;
   chrome.storage.sync.get(['name', 'avatar'], (result) => {
-    chrome.storage.local.get(['conversationsOrder', 'conversations', 'settings', 'models'], (res) => {
+    Promise.all([
+      chrome.storage.local.get(['conversationsOrder', 'settings', 'models']),
+      conversationRepository.get(conversationId),
+    ]).then(([res, fullConversation]) => {
       const { settings, conversationsOrder } = res;
       const folderConatainingConversation = conversationsOrder.find((folder) => folder?.conversationIds?.includes(conversationId));
       let folderName = '';
       if (folderConatainingConversation) {
-        folderName = folderConatainingConversation.name;
+        // breadcrumbs down from the top level folder, clicking one shows it in the sidebar
+        const folderPath = folderTreePath(conversationsOrder, folderConatainingConversation.id);
+        folderName = (folderPath.length > 0 ? folderPath : [folderConatainingConversation])
+          .map((folder) => `<span data-folder-breadcrumb="${folder.id}" style="cursor:pointer;">${folder.name}</span>`)
+          .join(' &nbsp;› &nbsp;');
       }
-      const fullConversation = res.conversations?.[conversationId];
 
       // set page title meta to fullConversation.title
       document.title = fullConversation.title || 'New chat';
 
       if (!fullConversation || !fullConversation?.current_node) return;
-      const main = document.querySelector('main');
+      const main = domAdapter.main();
       main.style.position = 'relative';
       const outerDiv = document.createElement('div');
       outerDiv.classList = 'flex-1 overflow-hidden';
@@ -242,13 +250,14 @@ function loadConversation(conversationId, searchValue = '', focusOnInput = true)
       main.firstChild.prepend(outerDiv);
       if (!searchValue) {
         if (focusOnInput) {
-          const textAreaElement = main.querySelector('form textarea');
+          const textAreaElement = domAdapter.composer();
           if (textAreaElement) textAreaElement.focus();
         }
         innerDiv.scrollTop = innerDiv.scrollHeight;
       } else {
-        // scroll to the first highlighted element usin mark tag
-        const searchElement = document.querySelector('main').querySelector('mark');
+        // scroll to the message the search matched, or to the first highlighted element usin mark tag
+        const searchElement = (searchMessageId && domAdapter.messageById(searchMessageId))
+          || domAdapter.main().querySelector('mark');
 
         if (searchElement) {
           searchElement.scrollIntoView();
@@ -259,9 +268,11 @@ function loadConversation(conversationId, searchValue = '', focusOnInput = true)
       initializeRegenerateResponseButton();
       initializeStopGeneratingResponseButton();
 
-      if (Object.values(res.conversations).find((conv) => conv.shouldRefresh)) {
-        refreshConversations(res.conversations);
-      }
+      conversationRepository.getSummaries().then((conversations) => {
+        if (Object.values(conversations).find((conv) => conv.shouldRefresh)) {
+          refreshConversations(conversations);
+        }
+      });
       addPinNav(sortedNodes);
       updateModel(sortedNodes[sortedNodes.length - 1].message?.metadata?.model_slug, fullConversation);
       updateTotalCounter();
@@ -324,8 +335,10 @@ function addConversationsEventListeners(conversationId) {
     const button = btn.cloneNode(true);
     btn.parentNode.replaceChild(button, btn);
     button.addEventListener('click', () => {
-      chrome.storage.local.get(['conversations', 'settings', 'models'], (result) => {
-        const conversation = result.conversations[conversationId];
+      Promise.all([
+        chrome.storage.local.get(['settings', 'models']),
+        conversationRepository.get(conversationId),
+      ]).then(([result, conversation]) => {
         const messageId = button.id.split('edit-button-').pop();
         const existingActionDiv = document.querySelector(`#action-div-${messageId}`);
         if (existingActionDiv) return;
@@ -363,7 +376,7 @@ function addConversationsEventListeners(conversationId) {
           textArea.parentElement.replaceChild(newElement, textArea);
           actionDiv.remove();
           // if (newMessage.trim() !== userInput.trim()) {
-          const messageWrapper = document.querySelector(`#message-wrapper-${messageId}`);
+          const messageWrapper = domAdapter.messageById(messageId);
           messageWrapper.id = `message-wrapper-${newMessageId}`;
           const parent = messageWrapper.previousElementSibling;
           // default parentId to root message
@@ -435,8 +448,7 @@ function addConversationsEventListeners(conversationId) {
       const messageId = button.id.split('add-to-library-button-').pop();
       const messageElement = document.querySelector(`#message-text-${messageId}`);
       const userInput = messageElement.innerText || messageElement.value;
-      chrome.storage.local.get(['conversations'], (result) => {
-        const conversation = result.conversations[conversationId];
+      conversationRepository.get(conversationId).then((conversation) => {
         const modelSlug = conversation.mapping[messageId]?.message.metadata?.model_slug || '';
         openSubmitPromptModal(userInput, modelSlug);
       });
@@ -496,8 +508,10 @@ function addConversationsEventListeners(conversationId) {
       copyMenu.style.display = 'none';
     });
     button.addEventListener('click', () => {
-      chrome.storage.local.get(['conversations', 'settings'], (result) => {
-        const conversation = result.conversations[conversationId];
+      Promise.all([
+        chrome.storage.local.get(['settings']),
+        conversationRepository.get(conversationId),
+      ]).then(([result, conversation]) => {
         // while parent is not user, keep going up
         let parentId = conversation.mapping[messageId].parent;
         let parentRole = conversation.mapping[parentId].message.author?.role || conversation.mapping[parentId].message.role;
@@ -527,8 +541,10 @@ function addConversationsEventListeners(conversationId) {
       });
     });
     newHtmlButton.addEventListener('click', () => {
-      chrome.storage.local.get(['conversations', 'settings'], (result) => {
-        const conversation = result.conversations[conversationId];
+      Promise.all([
+        chrome.storage.local.get(['settings']),
+        conversationRepository.get(conversationId),
+      ]).then(([result, conversation]) => {
         let parentId = conversation.mapping[messageId].parent;
         let parentRole = conversation.mapping[parentId].message.author?.role || conversation.mapping[parentId].message.role;
         while (parentRole !== 'user') {
@@ -583,8 +599,7 @@ function addConversationsEventListeners(conversationId) {
     const button = btn.cloneNode(true);
     btn.parentNode.replaceChild(button, btn);
     button.addEventListener('click', () => {
-      chrome.storage.local.get(['conversations'], (result) => {
-        const conversation = result.conversations[conversationId];
+      conversationRepository.get(conversationId).then((conversation) => {
         const messageId = button.id.split('thread-prev-button-').pop();
         const parentId = conversation.mapping[messageId].parent;
         const parent = conversation.mapping[parentId];
@@ -607,8 +622,7 @@ function addConversationsEventListeners(conversationId) {
     const button = btn.cloneNode(true);
     btn.parentNode.replaceChild(button, btn);
     button.addEventListener('click', () => {
-      chrome.storage.local.get(['conversations'], (result) => {
-        const conversation = result.conversations[conversationId];
+      conversationRepository.get(conversationId).then((conversation) => {
         const messageId = button.id.split('thread-next-button-').pop();
         const parentId = conversation.mapping[messageId].parent;
         const parent = conversation.mapping[parentId];
@@ -632,15 +646,15 @@ function addConversationsEventListeners(conversationId) {
     const button = btn.cloneNode(true);
     btn.parentNode.replaceChild(button, btn);
     button.addEventListener('click', () => {
-      chrome.storage.local.get(['conversations', 'settings'], (result) => {
-        const { conversations, settings } = result;
-        const conversation = conversations[conversationId];
+      Promise.all([
+        chrome.storage.local.get(['settings']),
+        conversationRepository.get(conversationId),
+      ]).then(([{ settings }, conversation]) => {
         const messageId = button.id.split('message-pin-button-').pop();
         const isPinned = conversation.mapping[messageId].pinned || false;
         conversation.mapping[messageId].pinned = !isPinned;
-        conversations[conversationId] = conversation;
-        chrome.storage.local.set({ conversations }, () => {
-          const messageWrapper = document.querySelector(`#message-wrapper-${messageId}`);
+        conversationRepository.put(conversation).then(() => {
+          const messageWrapper = domAdapter.messageById(messageId);
           const icon = button.querySelector('path');
           let defaultCalsses = 'dark:bg-gray-800';
           if (messageWrapper.getAttribute('data-role') === 'user') {
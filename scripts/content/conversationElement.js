@@ -1,6 +1,6 @@
 /* eslint-disable no-unused-vars */
 /* eslint-disable no-restricted-globals */
-/* global formatDate, showAllCheckboxes, hideAllButLastCheckboxes, deleteConversation, renameConversation, loadConversation, highlight, showNewChatPage, emptyFolderElement, shiftKeyPressed:true, isWindows, createShare, shareModal, addShareModalEventListener */
+/* global formatDate, showAllCheckboxes, hideAllButLastCheckboxes, deleteConversation, renameConversation, loadConversation, highlight, showNewChatPage, emptyFolderElement, shiftKeyPressed:true, isWindows, createShare, shareModal, addShareModalEventListener, conversationRepository, domAdapter */
 
 const notSelectedClassList = 'flex py-3 px-3 pr-3 w-full items-center gap-3 relative rounded-md hover:bg-[#2A2B32] cursor-pointer break-all hover:pr-20 group';
 const selectedClassList = 'flex py-3 px-3 pr-3 w-full items-center gap-3 relative rounded-md cursor-pointer break-all hover:pr-20 bg-gray-800 hover:bg-gray-800 group selected border-l border-gold';
@@ -28,11 +28,11 @@ function createConversation(conversation, conversationTimestamp = false, searchV
     const { pathname } = new URL(window.location.toString());
     const conversationId = pathname.split('/').pop().replace(/[^a-z0-9-]/gi, '');
     if (e.metaKey || (isWindows() && e.ctrlKey)) {
-      window.open(`https://chat.openai.com/c/${conversation.id}`, '_blank');
+      window.open(`${window.location.origin}/c/${conversation.id}`, '_blank');
       return;
     }
     if (searchValue || conversationId !== conversation.id) {
-      window.history.pushState({}, '', `https://chat.openai.com/c/${conversation.id}`);
+      window.history.pushState({}, '', `${window.location.origin}/c/${conversation.id}`);
       // set conversations with class selected to not selected
       const focusedConversations = document.querySelectorAll('.selected');
       focusedConversations.forEach((c) => {
@@ -44,7 +44,8 @@ function createConversation(conversation, conversationTimestamp = false, searchV
       if (conversation.archived) {
         conversationElement.classList.remove('hover:pr-20');
       }
-      loadConversation(conversation.id, searchValue);
+      const searchHit = conversation.searchHits?.find((hit) => hit.messageId);
+      loadConversation(conversation.id, searchValue, true, searchHit?.messageId);
     }
   });
 
@@ -96,8 +97,7 @@ function conversationActions(conversationId) {
   editConversationNameButton.addEventListener('click', (event) => {
     event.preventDefault();
     event.stopPropagation();
-    chrome.storage.local.get(['conversations'], (result) => {
-      const { conversations } = result;
+    conversationRepository.getMany([conversationId]).then((conversations) => {
       const textInput = document.createElement('input');
       const conversationTitle = document.querySelector(`#conversation-title-${conversationId}`);
       textInput.id = `conversation-rename-${conversationId}`;
@@ -134,8 +134,7 @@ function conversationActions(conversationId) {
 
     // make API call
     chrome.storage.sync.get(['name'], (syncResult) => {
-      chrome.storage.local.get(['conversations'], (result) => {
-        const { conversations } = result;
+      conversationRepository.getMany([conversationId]).then((conversations) => {
         const currentNodeId = conversations[conversationId].current_node;
         createShare(conversationId, currentNodeId).then((res) => {
           const curShareButtons = document.querySelectorAll('[id^="share-conversation-"]');
@@ -161,8 +160,7 @@ function conversationActions(conversationId) {
   deleteConversationButton.addEventListener('click', (e) => {
     e.preventDefault();
     e.stopPropagation();
-    chrome.storage.local.get(['conversations'], (result) => {
-      const { conversations } = result;
+    conversationRepository.getMany([conversationId]).then((conversations) => {
       actionsWrapper.replaceWith(confirmActions(conversations[conversationId], 'delete'));
     });
     // remove all other visible cancel buttons
@@ -340,10 +338,11 @@ function addCheckboxToConversationElement(conversationElement, conversation) {
 
     checkbox.addEventListener('click', (event) => {
       event.stopPropagation();
-      chrome.storage.local.get(['conversationsOrder', 'lastSelectedConversation', 'conversations', 'selectedConversations'], (res) => {
-        const {
-          conversationsOrder, lastSelectedConversation, selectedConversations, conversations,
-        } = res;
+      Promise.all([
+        chrome.storage.local.get(['conversationsOrder', 'lastSelectedConversation', 'selectedConversations']),
+        conversationRepository.getSummaries(),
+      ]).then(([res, conversations]) => {
+        const { conversationsOrder, lastSelectedConversation, selectedConversations } = res;
         // uncheck
         if (!event.target.checked) {
           const newSelectedConversations = selectedConversations.filter((conv) => conv.id !== conversation.id);
@@ -441,8 +440,7 @@ function addCheckboxToConversationElement(conversationElement, conversation) {
 function updateButtonsAfterSelection(previousSelectedConversations, newSelectedConversations) {
   const previousText = previousSelectedConversations.length === 0 ? 'All' : `${previousSelectedConversations.length} Selected`;
   const newText = newSelectedConversations.length === 0 ? 'All' : `${newSelectedConversations.length} Selected`;
-  const nav = document.querySelector('nav');
-  const newChatButton = nav?.querySelector('a');
+  const newChatButton = domAdapter.newChatButton();
   // chenge export all to export selected
   const exportAllButton = document.querySelector('#export-all-button');
   if (exportAllButton) {
@@ -461,9 +459,5 @@ function updateButtonsAfterSelection(previousSelectedConversations, newSelectedC
   }
 }
 function syncLocalConversation(conversationId, key, value) {
-  chrome.storage.local.get(['conversations'], (result) => {
-    const { conversations } = result;
-    conversations[conversationId][key] = value;
-    chrome.storage.local.set({ conversations });
-  });
+  conversationRepository.patchMany({ [conversationId]: { [key]: value } });
 }
@@ -1,17 +1,32 @@
 /* eslint-disable no-restricted-globals */
 // eslint-disable-next-line no-unused-vars
-/* global markdown, markdownitSup, initializeNavbar, generateInstructions, generateChat, SSE, formatDate, loadConversation, resetSelection, katex, texmath, rowUser, rowAssistant, updateOrCreateConversation, replaceTextAreaElemet, highlight, isGenerating:true, disableTextInput:true, generateTitle, debounce, initializeRegenerateResponseButton, initializeStopGeneratingResponseButton, showHideTextAreaElement, showNewChatPage, chatStreamIsClosed:true, addCopyCodeButtonsEventListeners, addScrollDetector, scrolUpDetected:true, Sortable, updateInputCounter, addUserPromptToHistory, getGPT4CounterMessageCapWindow, createFolder, getConversationElementClassList, notSelectedClassList, selectedClassList, conversationActions, addCheckboxToConversationElement, createConversation, deleteConversation, handleQueryParams, addScrollButtons, updateTotalCounter, isWindows, loadSharedConversation, createTemplateWordsModal, arkoseTrigger, initializePromptChain, insertNextChain, runningPromptChainSteps:true, runningPromptChainIndex:true, lastPromptSuggestions, generateSuggestions, playSound */
+/* global markdown, markdownitSup, initializeNavbar, generateInstructions, generateChat, SSE, formatDate, loadConversation, resetSelection, katex, texmath, rowUser, rowAssistant, updateOrCreateConversation, replaceTextAreaElemet, highlight, isGenerating:true, disableTextInput:true, generateTitle, debounce, initializeRegenerateResponseButton, initializeStopGeneratingResponseButton, showHideTextAreaElement, showNewChatPage, chatStreamIsClosed:true, addCopyCodeButtonsEventListeners, addScrollDetector, scrolUpDetected:true, Sortable, updateInputCounter, addUserPromptToHistory, getGPT4CounterMessageCapWindow, createFolder, getConversationElementClassList, notSelectedClassList, selectedClassList, conversationActions, addCheckboxToConversationElement, createConversation, deleteConversation, handleQueryParams, addScrollButtons, updateTotalCounter, isWindows, loadSharedConversation, createTemplateWordsModal, arkoseTrigger, initializePromptChain, insertNextChain, runningPromptChainSteps:true, runningPromptChainIndex:true, lastPromptSuggestions, generateSuggestions, playSound, agentEventBridge, conversationRepository, searchHighlightText, runConversationQuery, parseConversationQuery, loadSmartFolders, initializeSmartFolders, saveSmartFolder, domAdapter, autoSplitLength, splitJobStart, splitJobIsOutgoing, splitJobSent, splitJobAnswered, splitJobFailed, renderSplitJobs, folderTreeOnDragEnd, folderTreeParent, folderTreeAutoFile, folderTreeShowInFolder, folderTreeFileByTitle, toast, escapeHtml */
 
 // Initial state
 let userChatIsActuallySaved = false;
-let chunkNumber = 1;
-let totalChunks = 1;
-let remainingText = '';
-let finalSummary = '';
-let shouldSubmitFinalSummary = false;
+// Conversation summaries the search box filters, read again once the list changes
+let searchBoxSummaries = null;
+// Runs of the search box, so an older search that finishes late does not draw over a newer one
+let searchBoxRun = 0;
+conversationRepository.onChange(() => {
+  searchBoxSummaries = null;
+});
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  // other tabs add, remove and move conversations
+  if (namespace === 'local' && changes.conversationsOrder) searchBoxSummaries = null;
+});
+function getSearchBoxSummaries() {
+  if (!searchBoxSummaries) {
+    searchBoxSummaries = conversationRepository.getSummaries().catch((error) => {
+      searchBoxSummaries = null;
+      throw error;
+    });
+  }
+  return searchBoxSummaries;
+}
 
 function removeOriginalConversationList() {
-  const navGap = document.querySelector('nav > :nth-child(3)');
+  const navGap = domAdapter.sidebarBody();
   navGap.style = `${navGap.style.cssText};display:flex;margin-right:-8px;`;
   const existingConversationList = navGap.querySelector('div');
   const newConversationList = document.createElement('div');
@@ -38,51 +53,15 @@ function removeOriginalConversationList() {
       direction: 'vertical',
       invertSwap: true,
       draggable: '[id^="conversation-button-"]:not(:has([id^=conversation-rename-])), [id^="wrapper-folder-"]:not([id="wrapper-folder-trash"]):not(:has([id^=rename-folder-])):not(:has([id^=conversation-rename-]))',
-      onEnd: (event) => {
-        const {
-          item, to, oldDraggableIndex, newDraggableIndex,
-        } = event;
-        const isFolder = item.id.startsWith('wrapper-folder-');
-        const isToFolder = to.id.startsWith('folder-content-');
-
-        const fromId = 'conversation-list';
-        const toId = isToFolder ? to.id.split('folder-content-')[1] : 'conversation-list';
-        if (oldDraggableIndex === newDraggableIndex && toId === fromId) return;
-
-        if (!isFolder && isToFolder && toId === 'trash') {
-          deleteConversationOnDragToTrash(item.id.split('conversation-button-')[1]);
-        }
-        chrome.storage.local.get(['conversationsOrder'], (result) => {
-          const { conversationsOrder } = result;
-          const movingItem = conversationsOrder.splice(oldDraggableIndex, 1)[0];
-          if (isToFolder) {
-            const emptyFolder = document.querySelector(`#empty-folder-${toId}`);
-            if (emptyFolder) emptyFolder.remove();
-            const toFolderIndex = conversationsOrder.findIndex((c) => c.id === toId);
-            const toFolder = conversationsOrder[toFolderIndex];
-            if (!isFolder && typeof movingItem === 'string') {
-              toFolder.conversationIds.splice(newDraggableIndex, 0, movingItem);
-              conversationsOrder.splice(toFolderIndex, 1, toFolder);
-            }
-          } else {
-            // eslint-disable-next-line no-lonely-if
-            if (isFolder) {
-              conversationsOrder.splice(newDraggableIndex, 0, movingItem);
-            } else {
-              conversationsOrder.splice(newDraggableIndex, 0, movingItem);
-            }
-          }
-          chrome.storage.local.set({ conversationsOrder });
-        });
-      },
+      onEnd: folderTreeOnDragEnd,
       onMove: (event) => {
-        const { dragged, related } = event;
-        const isFolder = dragged.id.startsWith('wrapper-folder-');
+        const { related } = event;
         const isToFolder = related.id.startsWith('wrapper-folder');
         const curFolderContent = document.querySelector(`#folder-content-${related.id.split('wrapper-folder-')[1]}`);
         const folderIsClosed = curFolderContent?.style.display === 'none';
         const shiftKeyIsDown = event.originalEvent.shiftKey;
-        if (!isFolder && isToFolder && folderIsClosed && shiftKeyIsDown) {
+        // holding shift opens a closed folder to drop conversations and folders in it
+        if (isToFolder && folderIsClosed && shiftKeyIsDown) {
           related.click();
         }
         return true;
@@ -90,8 +69,9 @@ function removeOriginalConversationList() {
     });
   }
 }
+// eslint-disable-next-line no-unused-vars
 function deleteConversationOnDragToTrash(conversationId) {
-  deleteConversation(conversationId);
+  deleteConversation(conversationId, 'drag');
   const conversationElement = document.querySelector(`#conversation-button-${conversationId}`);
   if (conversationElement && conversationElement.classList.contains('selected')) {
     showNewChatPage();
@@ -145,8 +125,21 @@ function createSearchBox() {
   });
   searchbox.addEventListener('input', debounce((event) => {
     const searchValue = event.target.value.toLowerCase();
-    chrome.storage.local.get(['conversationsOrder', 'conversations'], (result) => {
-      const { conversations, conversationsOrder } = result;
+    const searchStartTime = Date.now();
+    searchBoxRun += 1;
+    const run = searchBoxRun;
+    if (searchValue) agentEventBridge.searchExecuted(searchValue);
+    const curSaveSearchButton = document.querySelector('#save-search-button');
+    if (curSaveSearchButton) curSaveSearchButton.style.display = searchValue.trim() ? 'flex' : 'none';
+    Promise.all([
+      chrome.storage.local.get(['conversationsOrder']),
+      getSearchBoxSummaries(),
+    ]).then(([{ conversationsOrder }, conversations]) => Promise.all([
+      conversationsOrder,
+      conversations,
+      searchValue ? runConversationQuery(searchValue, conversations, conversationsOrder, { prefixLastTerm: true }) : [],
+    ])).then(([conversationsOrder, conversations, filteredConversations]) => {
+      if (run !== searchBoxRun) return;
       // remove existing conversations
       const curConversationList = document.querySelector('#conversation-list');
       // remove conversations list childs other than the search box wrapper (first child)
@@ -154,23 +147,22 @@ function createSearchBox() {
         curConversationList.removeChild(curConversationList.lastChild);
       }
 
-      const allConversations = Object.values(conversations).filter((c) => !c.skipped);
-      let filteredConversations = allConversations.sort((a, b) => b.update_time - a.update_time);
-
       resetSelection();
       if (searchValue) {
-        filteredConversations = allConversations.filter((c) => (
-          c.title?.toLowerCase()?.includes(searchValue.toLowerCase())
-          || Object.values(c.mapping).map((m) => m?.message?.content?.parts?.join(' ')?.replace(/## Instructions[\s\S]*## End Instructions\n\n/, ''))
-            .join(' ')?.toLowerCase()
-            .includes(searchValue.toLowerCase())));
+        // filtered by the query filters and ranked by the search index,
+        // each conversation keeps its message hits so it opens at the best match
         const filteredConversationIds = filteredConversations.map((c) => c.id);
+        agentEventBridge.searchCompleted({
+          query: searchValue,
+          conversationIds: filteredConversationIds,
+          duration: Date.now() - searchStartTime,
+        });
         // convert filtered conversations to object with id as key
         const filteredConversationsObj = filteredConversations.reduce((acc, cur) => {
           acc[cur.id] = cur;
           return acc;
         }, {});
-        loadStorageConversations(filteredConversationsObj, filteredConversationIds, searchValue);
+        loadStorageConversations(filteredConversationsObj, filteredConversationIds, searchHighlightText(parseConversationQuery(searchValue).text));
       } else {
         loadStorageConversations(conversations, conversationsOrder, searchValue);
         const { pathname } = new URL(window.location.toString());
@@ -179,8 +171,38 @@ function createSearchBox() {
           loadConversation(conversationId, '', false);
         }
       }
+    }).catch((error) => {
+      console.error('Conversation search failed:', error);
+      if (run === searchBoxRun) toast(`Search failed: ${escapeHtml(error.message)}`, 'error');
+    });
+  }, 500));
+
+  // save the current query as a smart folder
+  const saveSearchButton = document.createElement('button');
+  saveSearchButton.id = 'save-search-button';
+  saveSearchButton.title = 'Save search as smart folder';
+  saveSearchButton.classList = 'w-12 h-full mr-2 items-center justify-center rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm bg-gray-800 border border-gray-800';
+  saveSearchButton.style.display = 'none';
+  const saveSearchIcon = document.createElement('img');
+  saveSearchIcon.classList = 'w-5 h-5';
+  saveSearchIcon.src = chrome.runtime.getURL('icons/bookmark-off.png');
+  saveSearchButton.append(saveSearchIcon);
+  saveSearchButton.addEventListener('mouseover', () => {
+    saveSearchButton.classList.remove('border-gray-800');
+    saveSearchButton.classList.add('bg-gray-600', 'border-gray-300');
+  });
+  saveSearchButton.addEventListener('mouseout', () => {
+    saveSearchButton.classList.add('border-gray-800');
+    saveSearchButton.classList.remove('bg-gray-600', 'border-gray-300');
+  });
+  saveSearchButton.addEventListener('click', () => {
+    saveSmartFolder(searchbox.value.toLowerCase()).then(() => {
+      saveSearchIcon.src = chrome.runtime.getURL('icons/bookmark-on.png');
+      setTimeout(() => {
+        saveSearchIcon.src = chrome.runtime.getURL('icons/bookmark-off.png');
+      }, 1500);
     });
-  }), 500);
+  });
 
   const newFolderButton = document.createElement('button');
   newFolderButton.id = 'new-folder-button';
@@ -214,18 +236,20 @@ function createSearchBox() {
       chrome.storage.local.set({ conversationsOrder: [newFolder, ...conversationsOrder] });
       const newFolderElement = createFolder(newFolder, settings.conversationTimestamp, [], true);
       const curConversationList = document.querySelector('#conversation-list');
-      curConversationList.insertBefore(newFolderElement, searchBoxWrapper.nextSibling);
+      // regular folders start below the smart folders
+      curConversationList.insertBefore(newFolderElement, (document.querySelector('#smart-folders') || searchBoxWrapper).nextSibling);
       curConversationList.scrollTop = 0;
     });
   });
+  searchBoxWrapper.append(saveSearchButton);
   searchBoxWrapper.append(newFolderButton);
   // add conversation search box to the top of the list
   searchBoxWrapper.prepend(searchbox);
   conversationList.prepend(searchBoxWrapper);
 }
-// add new conversation to the top of the list
+// add new conversation to the top of the list, or to its folder when it is filed by folderTreeAutoFile
 // eslint-disable-next-line no-unused-vars
-function prependConversation(conversation) {
+function prependConversation(conversation, model) {
   const existingConversationElement = document.querySelector(`#conversation-button-${conversation.id}`);
   if (existingConversationElement) existingConversationElement.remove();
   const conversationList = document.querySelector('#conversation-list');
@@ -242,13 +266,13 @@ function prependConversation(conversation) {
     const conversationElementId = e.srcElement.closest('[id^="conversation-button-"]').id.split('conversation-button-')[1];
     // if commandkey or ctrlkey is pressed, open in new tab
     if (e.metaKey || (isWindows() && e.ctrlKey)) {
-      window.open(`https://chat.openai.com/c/${conversationElementId}`, '_blank');
+      window.open(`${window.location.origin}/c/${conversationElementId}`, '_blank');
       return;
     }
     const { pathname } = new URL(window.location.toString());
     const urlConversationId = pathname.split('/').pop().replace(/[^a-z0-9-]/gi, '');
     if (urlConversationId !== conversationElementId) {
-      window.history.pushState({}, '', `https://chat.openai.com/c/${conversationElementId}`);
+      window.history.pushState({}, '', `${window.location.origin}/c/${conversationElementId}`);
       // set conversations with class selected to not selected
       const focusedConversations = document.querySelectorAll('.selected');
       focusedConversations.forEach((c) => {
@@ -295,26 +319,26 @@ function prependConversation(conversation) {
 
   // add checkbox
   addCheckboxToConversationElement(conversationElement, conversation);
-  if (searchBoxWrapper) {
-    let lastFolderAtTheTop = searchBoxWrapper;
-    while (lastFolderAtTheTop.nextElementSibling.id.startsWith('wrapper-folder-') && lastFolderAtTheTop.nextElementSibling.id !== 'wrapper-folder-trash') {
-      lastFolderAtTheTop = lastFolderAtTheTop.nextElementSibling;
-    }
-    chrome.storage.local.get(['settings'], (result) => {
-      const { settings } = result;
+  chrome.storage.local.get(['settings', 'conversationsOrder'], (result) => {
+    const { settings, conversationsOrder } = result;
+    const newConversationsOrder = [conversation.id, ...conversationsOrder];
+    const folder = folderTreeAutoFile(newConversationsOrder, { id: conversation.id, title: conversation.title, model }, true);
+    chrome.storage.local.set({ conversationsOrder: newConversationsOrder });
+    if (folder && folderTreeShowInFolder(conversationElement, folder.id)) return;
+    if (searchBoxWrapper) {
+      let lastFolderAtTheTop = searchBoxWrapper;
+      while (lastFolderAtTheTop.nextElementSibling.id.startsWith('wrapper-folder-') && lastFolderAtTheTop.nextElementSibling.id !== 'wrapper-folder-trash') {
+        lastFolderAtTheTop = lastFolderAtTheTop.nextElementSibling;
+      }
       if (settings.keepFoldersAtTheTop) {
         lastFolderAtTheTop.after(conversationElement);
       } else {
         searchBoxWrapper.after(conversationElement);
       }
-    });
-    // conversationList.insertBefore(conversationElement, searchBoxWrapper.nextSibling);
-  } else {
-    conversationList.prepend(conversationElement);
-  }
-  chrome.storage.local.get(['conversationsOrder'], (result) => {
-    const { conversationsOrder } = result;
-    chrome.storage.local.set({ conversationsOrder: [conversation.id, ...conversationsOrder] });
+      // conversationList.insertBefore(conversationElement, searchBoxWrapper.nextSibling);
+    } else {
+      conversationList.prepend(conversationElement);
+    }
   });
 
   // scroll to the top of the conversation list
@@ -325,11 +349,8 @@ function generateTitleForConversation(conversationId, messageId, profile) {
   setTimeout(() => {
     generateTitle(conversationId, messageId).then((data) => {
       const { title } = data;
-      chrome.storage.local.get('conversations', (result) => {
-        const { conversations } = result;
-        conversations[conversationId].title = title;
-        chrome.storage.local.set({ conversations });
-      });
+      conversationRepository.patchMany({ [conversationId]: { title } });
+      folderTreeFileByTitle(conversationId, title);
       document.title = title;
       const conversationElement = document.querySelector(`#conversation-button-${conversationId}`);
       conversationElement.classList.add('animate-flash');
@@ -358,11 +379,14 @@ function loadStorageConversations(conversations, conversationsOrder = [], search
     const { conversationTimestamp } = result.settings;
     const conversationList = document.querySelector('#conversation-list');
 
+    const folders = conversationsOrder.filter((conversation) => typeof conversation === 'object');
     for (let i = 0; i < conversationsOrder.length; i += 1) {
       const conversation = conversationsOrder[i];
       const isFolder = typeof conversation === 'object';
       if (isFolder) {
-        const folderElement = createFolder(conversation, conversationTimestamp, conversations);
+        // subfolders are drawn by the folders they are in
+        if (folderTreeParent(folders, conversation)) continue;
+        const folderElement = createFolder(conversation, conversationTimestamp, conversations, false, folders);
         conversationList.appendChild(folderElement);
       } else {
         const conv = Object.values(conversations).find((c) => c.id === conversation);
@@ -374,6 +398,7 @@ function loadStorageConversations(conversations, conversationsOrder = [], search
     }
     const existingNoResult = document.querySelector('#search-no-result');
     if (existingNoResult) existingNoResult.remove();
+    if (!searchValue) loadSmartFolders();
     if (searchValue) {
       if (Object.values(conversations).length > 0) {
         // click on first conversation
@@ -399,9 +424,8 @@ function loadStorageConversations(conversations, conversationsOrder = [], search
 function updateNewChatButtonSynced() {
   chrome.storage.local.get(['selectedConversations', 'conversationsAreSynced'], (result) => {
     const { selectedConversations, conversationsAreSynced } = result;
-    const textAreaElement = document.querySelector('main form textarea');
-    const nav = document.querySelector('nav');
-    const newChatButton = nav?.querySelector('a');
+    const textAreaElement = domAdapter.composer();
+    const newChatButton = domAdapter.newChatButton();
     newChatButton.classList = 'flex py-3 px-3 w-full items-center gap-3 transition-colors duration-200 text-white cursor-pointer text-sm rounded-md border border-white/20 hover:bg-gray-500/10 mb-1 flex-shrink-0';
     if (!newChatButton) return;
     // clone newChatButton
@@ -452,11 +476,7 @@ function submitChat(userInput, conversation, messageId, parentId, settings, mode
     if (Date.now() - startTime > 60000) {
       clearInterval(interval);
       isGenerating = false;
-      chunkNumber = 1;
-      totalChunks = 1;
-      remainingText = '';
-      finalSummary = '';
-      shouldSubmitFinalSummary = false;
+      splitJobFailed(messageId, 'No answer within a minute');
       // remove the last user message
       const lastMessageWrapper = [...document.querySelectorAll('[id^="message-wrapper-"]')].pop();
       if (lastMessageWrapper?.dataset?.role !== 'assistant') {
@@ -464,9 +484,8 @@ function submitChat(userInput, conversation, messageId, parentId, settings, mode
       }
       const syncDiv = document.getElementById('sync-div');
       syncDiv.style.opacity = '1';
-      const main = document.querySelector('main');
-      const inputForm = main.querySelector('form');
-      const submitButton = inputForm.querySelector('textarea ~ button');
+      const inputForm = domAdapter.composerForm();
+      const submitButton = domAdapter.sendButton(inputForm);
       // submitButton.disabled = false;
       submitButton.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" fill="none" class="h-4 w-4" stroke-width="2"><path d="M.5 1.163A1 1 0 0 1 1.97.28l12.868 6.837a1 1 0 0 1 0 1.766L1.969 15.72A1 1 0 0 1 .5 14.836V10.33a1 1 0 0 1 .816-.983L8.5 8 1.316 6.653A1 1 0 0 1 .5 5.67V1.163Z" fill="currentColor"></path></svg>';
       return;
@@ -474,7 +493,7 @@ function submitChat(userInput, conversation, messageId, parentId, settings, mode
     if (arkoseToken || !settings.selectedModel.tags.includes('gpt4') || settings.selectedModel.tags.includes('Unofficial')) {
       clearInterval(interval);
       scrolUpDetected = false;
-      const curSubmitButton = document.querySelector('main').querySelector('form').querySelector('textarea ~ button');
+      const curSubmitButton = domAdapter.sendButton();
       curSubmitButton.disabled = true;
       curSubmitButton.style.backgroundColor = 'transparent';
       curSubmitButton.innerHTML = '<svg class="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24"> <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="2"></circle> <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path> </svg>';
@@ -494,6 +513,15 @@ function submitChat(userInput, conversation, messageId, parentId, settings, mode
       const suggestionsWrapper = document.querySelector('#suggestions-wrapper');
       if (suggestionsWrapper) suggestionsWrapper.remove();
       const saveHistory = conversation?.id ? conversation.saveHistory : settings.saveHistory;
+      agentEventBridge.userPrompt({
+        conversationId: conversation?.id,
+        messageId,
+        parentId,
+        prompt: userInput,
+        model: settings.selectedModel.slug,
+        // eslint-disable-next-line no-nested-ternary
+        action: continueGenerating ? 'continue' : regenerateResponse ? 'regenerate' : 'next',
+      });
       generateChat(userInput, conversation?.id, messageId, parentId, arkoseToken, lastPromptSuggestions, saveHistory, 'user', continueGenerating ? 'continue' : 'next').then((chatStream) => {
         userChatIsActuallySaved = regenerateResponse || continueGenerating;
         let userChatSavedLocally = regenerateResponse || continueGenerating; // false by default unless regenerateResponse is true
@@ -504,10 +532,9 @@ function submitChat(userInput, conversation, messageId, parentId, settings, mode
         let systemMessage = {};
         chatStream.addEventListener('message', (e) => {
           if (e.data === '[DONE]' || chatStreamIsClosed) {
-            const main = document.querySelector('main');
-            const inputForm = main.querySelector('form');
-            const submitButton = inputForm.querySelector('textarea ~ button');
-            const textAreaElement = inputForm.querySelector('textarea');
+            const inputForm = domAdapter.composerForm();
+            const submitButton = domAdapter.sendButton(inputForm);
+            const textAreaElement = domAdapter.composer(inputForm);
             textAreaElement.focus();
             // submitButton.disabled = false;
             submitButton.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" fill="none" class="h-4 w-4" stroke-width="2"><path d="M.5 1.163A1 1 0 0 1 1.97.28l12.868 6.837a1 1 0 0 1 0 1.766L1.969 15.72A1 1 0 0 1 .5 14.836V10.33a1 1 0 0 1 .816-.983L8.5 8 1.316 6.653A1 1 0 0 1 .5 5.67V1.163Z" fill="currentColor"></path></svg>';
@@ -517,12 +544,8 @@ function submitChat(userInput, conversation, messageId, parentId, settings, mode
               const { conversation_id: conversationId, message } = data;
               finalConversationId = conversationId;
               finalMessage = message;
-              // reset splitter stuff
-              chunkNumber = 1;
-              totalChunks = 1;
-              remainingText = '';
-              finalSummary = '';
-              shouldSubmitFinalSummary = false;
+              // pause the split job of this chunk
+              splitJobFailed(messageId, 'Stopped');
               // update rowAssistant?
             }
             // since we are closing the chat stream, but the following function has a delay
@@ -532,6 +555,7 @@ function submitChat(userInput, conversation, messageId, parentId, settings, mode
                 clearInterval(tempId);
                 // don't generate title if tmpChatStreamIsClosed
                 updateOrCreateConversation(finalConversationId, finalMessage, messageId, settings, !tmpChatStreamIsClosed, tmpChatStreamIsClosed).then(() => {
+                  agentEventBridge.assistantResponse(finalConversationId, finalMessage, tmpChatStreamIsClosed);
                   if (!tmpChatStreamIsClosed) { // if not clicked on stop generating button
                     // Removed subscription check - use faster timing for all users
                     if (runningPromptChainSteps && runningPromptChainSteps.length > 1 && runningPromptChainIndex < runningPromptChainSteps.length - 1) {
@@ -542,7 +566,7 @@ function submitChat(userInput, conversation, messageId, parentId, settings, mode
                       runningPromptChainSteps = undefined;
                       runningPromptChainIndex = 0;
                       setTimeout(() => {
-                        insertNextChunk(settings, finalMessage);
+                        splitJobAnswered(settings, finalConversationId, messageId, finalMessage);
                       }, 700);
                     }
                   } else {
@@ -617,11 +641,11 @@ function submitChat(userInput, conversation, messageId, parentId, settings, mode
               finalConversationId = conversationId;
               const { pathname } = new URL(window.location.toString());
               const urlConversationId = pathname.split('/').pop().replace(/[^a-z0-9-]/gi, '');
-              if (pathname === '/') { // https://chat.openai.com/
+              if (pathname === '/') { // the new chat page
                 // only change url if there are any user messages. if user switch to new page while generating, don't change url when done generating
                 const anyUserMessageWrappers = document.querySelectorAll('[id^="message-wrapper-"][data-role="user"]').length > 0;
                 if (anyUserMessageWrappers) {
-                  window.history.pushState({}, '', `https://chat.openai.com/c/${finalConversationId}`);
+                  window.history.pushState({}, '', `${window.location.origin}/c/${finalConversationId}`);
                 }
               }
               // save user chat locally
@@ -754,15 +778,10 @@ function submitChat(userInput, conversation, messageId, parentId, settings, mode
             playSound('beep');
           }
           isGenerating = false;
-          chunkNumber = 1;
-          totalChunks = 1;
-          remainingText = '';
-          finalSummary = '';
-          shouldSubmitFinalSummary = false;
+          splitJobFailed(messageId, 'The request failed');
           syncDiv.style.opacity = '1';
-          const main = document.querySelector('main');
-          const inputForm = main.querySelector('form');
-          const submitButton = inputForm.querySelector('textarea ~ button');
+          const inputForm = domAdapter.composerForm();
+          const submitButton = domAdapter.sendButton(inputForm);
           // submitButton.disabled = false;
           submitButton.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" fill="none" class="h-4 w-4" stroke-width="2"><path d="M.5 1.163A1 1 0 0 1 1.97.28l12.868 6.837a1 1 0 0 1 0 1.766L1.969 15.72A1 1 0 0 1 .5 14.836V10.33a1 1 0 0 1 .816-.983L8.5 8 1.316 6.653A1 1 0 0 1 .5 5.67V1.163Z" fill="currentColor"></path></svg>';
           // eslint-disable-next-line no-console
@@ -785,6 +804,7 @@ function submitChat(userInput, conversation, messageId, parentId, settings, mode
               const minuteDisplay = minute < 10 ? `0${minute}` : minute;
               const capExpiresAt = `${hour12Display}:${minuteDisplay}${ampm}`;
               chrome.storage.local.set({ capExpiresAt });
+              agentEventBridge.modelCapReached({ model: settings.selectedModel.slug, clearsIn, source: 'error' });
               errorMessage = `You've reached the current usage cap for this model. You can continue with the default model now, or try again after ${capExpiresAt}.`;
             } else {
               showHideTextAreaElement();
@@ -800,93 +820,18 @@ function submitChat(userInput, conversation, messageId, parentId, settings, mode
     }
   }, 200);
 }
-function submitFinalSummary() {
-  if (!shouldSubmitFinalSummary) return;
-  if (finalSummary === '') return;
-  const inputForm = document.querySelector('form');
-  if (!inputForm) return;
-  const submitButton = inputForm.querySelector('textarea ~ button');
-  if (!submitButton) return;
-  const textAreaElement = inputForm.querySelector('textarea');
-  if (!textAreaElement) return;
-
-  textAreaElement.value = `Here's the final summary of our conversation:
-${finalSummary}
-Reply with OK: [Summary is received!]. Don't reply with anything else!`;
-  shouldSubmitFinalSummary = false;
-  finalSummary = '';
-  textAreaElement.focus();
-  textAreaElement.dispatchEvent(new Event('input', { bubbles: true }));
-  textAreaElement.dispatchEvent(new Event('change', { bubbles: true }));
-  setTimeout(() => {
-    submitButton.click();
-  }, 300);
-}
-function insertNextChunk(settings, previousMessage) {
-  if (settings.autoSummarize) {
-    finalSummary = `${finalSummary}\n${previousMessage.content.parts.join('\n')}`;
-
-    if (shouldSubmitFinalSummary) {
-      submitFinalSummary();
-      return;
-    }
-  }
-  if (!settings.autoSplit || totalChunks === 1 || remainingText === '') {
-    if (settings.autoClick) {
-      const continueButton = document.getElementById('continue-conversation-button');
-      if (!continueButton) return;
-      continueButton.click();
-    }
-    return;
-  }
-  const textAreaElement = document.querySelector('main form textarea');
-  if (!textAreaElement) return;
-  const submitButton = document.querySelector('main form textarea ~ button');
-  if (!submitButton) return;
-  const lastNewLineIndexBeforeLimit = settings.autoSplitLimit > remainingText.length ? settings.autoSplitLimit : getLastIndexOf(remainingText, settings.autoSplitLimit);
-
-  textAreaElement.value = `[START CHUNK ${chunkNumber}/${totalChunks}]
-${remainingText.slice(0, lastNewLineIndexBeforeLimit)}
-[END CHUNK ${chunkNumber}/${totalChunks}]
-${settings.autoSplitChunkPrompt}`;
-  textAreaElement.focus();
-  textAreaElement.dispatchEvent(new Event('input', { bubbles: true }));
-  textAreaElement.dispatchEvent(new Event('change', { bubbles: true }));
-  setTimeout(() => {
-    submitButton.click();
-  }, 300);
-}
-
-function getLastIndexOf(text, position) {
-  // if text down't include \n or . or ? or ! return position
-  if (!text.includes('\n') && !text.includes('.') && !text.includes('?') && !text.includes('!')) return position;
-  // last index of space before position
-  const space = text.lastIndexOf(' ', position);
-  // last index of \n before position
-  const newLine = text.lastIndexOf('\n', position);
-  // last index of . before newLine
-  const period = text.lastIndexOf('.', position);
-  // last index of ? before newLine
-  const questionMark = text.lastIndexOf('?', position);
-  // last index of ! before newLine
-  const exclamationMark = text.lastIndexOf('!', position);
-  // return the closest index to position
-  return Math.max(space, newLine, period, questionMark, exclamationMark) + 1;
-}
 function overrideSubmitForm() {
-  const main = document.querySelector('main');
+  const main = domAdapter.main();
   if (!main) return;
-  const inputForm = main.querySelector('form');
+  const inputForm = domAdapter.composerForm();
   if (!inputForm) return;
   inputForm.addEventListener('submit', (e) => {
-    const textAreaElement = inputForm.querySelector('textarea');
+    const textAreaElement = domAdapter.composer(inputForm);
     e.preventDefault();
     e.stopPropagation();
     if (isGenerating) return;
     // get all words wrapped in {{ and }}
-    chrome.storage.local.get(['settings', 'conversations', 'models'], ({
-      settings, conversations, models,
-    }) => {
+    chrome.storage.local.get(['settings', 'models'], async ({ settings, models }) => {
       const templateWords = textAreaElement.value.match(/{{(.*?)}}/g);
       if (settings.promptTemplate && templateWords?.length > 0) {
         // open template words modal and wait for user to select a word. the when user submit, submit the input form with the replacement
@@ -904,32 +849,16 @@ function overrideSubmitForm() {
         const conversationId = pathname.split('/').pop().replace(/[^a-z0-9-]/gi, '');
         const anyUserMessageWrappers = document.querySelectorAll('[id^="message-wrapper-"][data-role="user"]').length > 0;
         if (/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(conversationId) && anyUserMessageWrappers) {
-          const conversation = conversations[conversationId];
+          const conversation = await conversationRepository.get(conversationId);
           chrome.storage.sync.get(['name', 'avatar'], (result) => {
             let text = textAreaElement.value.trim();
-            if (chunkNumber === 1) {
-              finalSummary = '';
-              if (settings.autoSplit && text.length > settings.autoSplitLimit && !runningPromptChainSteps) {
-                totalChunks = Math.ceil(text.length / settings.autoSplitLimit);
-                const lastNewLineIndexBeforeLimit = settings.autoSplitLimit > text.length ? settings.autoSplitLimit : getLastIndexOf(text, settings.autoSplitLimit);
-                remainingText = text.substring(lastNewLineIndexBeforeLimit);
-                text = `${settings.autoSplitInitialPrompt}[START CHUNK ${chunkNumber}/${totalChunks}]
-${text.substring(0, lastNewLineIndexBeforeLimit)}
-[END CHUNK ${chunkNumber}/${totalChunks}]
-${settings.autoSplitChunkPrompt}`;
-                chunkNumber += 1;
+            // chunks and summaries of a split job are sent as they are
+            if (!splitJobIsOutgoing()) {
+              if (settings.autoSplit && autoSplitLength(text, settings) > settings.autoSplitLimit && !runningPromptChainSteps) {
+                text = splitJobStart(text, conversation.id, settings);
               } else {
                 text = generateInstructions(conversation, settings, textAreaElement.value.trim());
               }
-            } else if (chunkNumber === totalChunks) {
-              if (totalChunks > 1 && settings.autoSummarize) shouldSubmitFinalSummary = true;
-              chunkNumber = 1;
-              totalChunks = 1;
-              remainingText = '';
-            } else {
-              chunkNumber += 1;
-              const lastNewLineIndexBeforeLimit = settings.autoSplitLimit > remainingText.length ? settings.autoSplitLimit : getLastIndexOf(remainingText, settings.autoSplitLimit);
-              remainingText = remainingText.slice(lastNewLineIndexBeforeLimit);
             }
             const messageId = self.crypto.randomUUID();
             const allMessages = document.querySelectorAll('[id^="message-wrapper-"]');
@@ -948,6 +877,7 @@ ${settings.autoSplitChunkPrompt}`;
             conversationBottom.scrollIntoView({ behavior: 'smooth' });
             if (text) {
               isGenerating = true;
+              splitJobSent(messageId);
               submitChat(text, conversation, messageId, parentId, settings, models);
               textAreaElement.value = '';
               textAreaElement.style.height = '56px';
@@ -957,29 +887,13 @@ ${settings.autoSplitChunkPrompt}`;
         } else {
           chrome.storage.sync.get(['name', 'avatar'], (result) => {
             let text = textAreaElement.value.trim();
-            if (chunkNumber === 1) {
-              finalSummary = '';
-              if (settings.autoSplit && text.length > settings.autoSplitLimit) {
-                totalChunks = Math.ceil(text.length / settings.autoSplitLimit);
-                const lastNewLineIndexBeforeLimit = settings.autoSplitLimit > text.length ? settings.autoSplitLimit : getLastIndexOf(text, settings.autoSplitLimit);
-                remainingText = text.substring(lastNewLineIndexBeforeLimit);
-                text = `${settings.autoSplitInitialPrompt}[START CHUNK ${chunkNumber}/${totalChunks}]
-${text.substring(0, lastNewLineIndexBeforeLimit)}
-[END CHUNK ${chunkNumber}/${totalChunks}]
-${settings.autoSplitChunkPrompt}`;
-                chunkNumber += 1;
+            // chunks and summaries of a split job are sent as they are
+            if (!splitJobIsOutgoing()) {
+              if (settings.autoSplit && autoSplitLength(text, settings) > settings.autoSplitLimit) {
+                text = splitJobStart(text, null, settings);
               } else {
                 text = generateInstructions({}, settings, textAreaElement.value.trim());
               }
-            } else if (chunkNumber === totalChunks) {
-              if (totalChunks > 1 && settings.autoSummarize) shouldSubmitFinalSummary = true;
-              chunkNumber = 1;
-              totalChunks = 1;
-              remainingText = '';
-            } else {
-              chunkNumber += 1;
-              const lastNewLineIndexBeforeLimit = settings.autoSplitLimit > remainingText.length ? settings.autoSplitLimit : getLastIndexOf(remainingText, settings.autoSplitLimit);
-              remainingText = remainingText.slice(lastNewLineIndexBeforeLimit);
             }
 
             const messageId = self.crypto.randomUUID();
@@ -1027,6 +941,7 @@ ${settings.autoSplitChunkPrompt}`;
             main.firstChild.prepend(outerDiv);
             if (text) {
               isGenerating = true;
+              splitJobSent(messageId);
               submitChat(text, {}, messageId, parentId, settings, models);
               textAreaElement.value = '';
               textAreaElement.style.height = '56px';
@@ -1049,12 +964,12 @@ ${settings.autoSplitChunkPrompt}`;
   //     inputForm.dispatchEvent(new Event('submit', { cancelable: true }));
   //   }
   // });
-  const submitButton = inputForm.querySelector('textarea ~ button');
+  const submitButton = domAdapter.sendButton(inputForm);
   const submitButtonClone = submitButton.cloneNode(true);
   submitButtonClone.type = 'button';
   submitButtonClone.addEventListener('click', () => {
     chrome.storage.local.get(['settings'], ({ settings }) => {
-      const textAreaElement = inputForm.querySelector('textarea');
+      const textAreaElement = domAdapter.composer(inputForm);
       if (isGenerating) return;
       const templateWords = textAreaElement.value.match(/{{(.*?)}}/g);
       if (settings.promptTemplate && templateWords?.length > 0) {
@@ -1083,9 +998,8 @@ function setBackButtonDetection() {
     const { pathname } = new URL(window.location.toString());
     const conversationId = pathname.split('/').pop().replace(/[^a-z0-9-]/gi, '');
     if (/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(conversationId)) {
-      chrome.storage.local.get(['conversations'], (result) => {
-        const { conversations } = result;
-        if (conversations && conversations[conversationId]) {
+      conversationRepository.get(conversationId).then((conversation) => {
+        if (conversation) {
           const searchbox = document.querySelector('#conversation-search');
           const searchValue = searchbox.value;
           const conversationElement = document.querySelector(`#conversation-button-${conversationId}`);
@@ -1106,14 +1020,18 @@ function setBackButtonDetection() {
 
 // eslint-disable-next-line no-unused-vars
 function loadConversationList(skipInputFormReload = false) {
-  chrome.storage.local.get(['conversationsOrder', 'conversations', 'conversationsAreSynced', 'settings'], (result) => {
-    if (result.conversationsAreSynced && typeof result.conversations !== 'undefined') {
+  Promise.all([
+    chrome.storage.local.get(['conversationsOrder', 'conversationsAreSynced', 'settings']),
+    conversationRepository.getSummaries(),
+  ]).then(([result, conversations]) => {
+    if (result.conversationsAreSynced) {
       updateNewChatButtonSynced();
       if (!skipInputFormReload) initializeNavbar();
       if (!skipInputFormReload) replaceTextAreaElemet(result.settings);
       removeOriginalConversationList();
       createSearchBox();
-      loadStorageConversations(result.conversations, result.conversationsOrder);
+      initializeSmartFolders();
+      loadStorageConversations(conversations, result.conversationsOrder);
       const { origin, pathname, search } = new URL(window.location.toString());
       // const isSharedConversation = pathname.startsWith('/share/') && window.location.href.endsWith('/continue');
       // console.warn('isSharedConversation', isSharedConversation);
@@ -1133,7 +1051,7 @@ function loadConversationList(skipInputFormReload = false) {
       const conversationId = pathname.split('/').pop().replace(/[^a-z0-9-]/gi, '');
       const conversationList = document.querySelector('#conversation-list');
       if (/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(conversationId)) {
-        if (!result.conversations[conversationId].archived && !result.conversations[conversationId].skipped) {
+        if (!conversations[conversationId].archived && !conversations[conversationId].skipped) {
           setTimeout(() => {
             const focusedConversation = conversationList.querySelector(`#conversation-button-${conversationId}`);
 
@@ -1149,13 +1067,14 @@ function loadConversationList(skipInputFormReload = false) {
         } else {
           showNewChatPage();
         }
-      } else { // } if (url === 'https://chat.openai.com/') {
+      } else { // } if (url === `${window.location.origin}/`) {
         showNewChatPage();
       }
       // }
       if (!skipInputFormReload) addScrollButtons();
       if (!skipInputFormReload) initializePromptChain();
       if (!skipInputFormReload) overrideSubmitForm();
+      if (!skipInputFormReload) renderSplitJobs();
       if (!skipInputFormReload) setBackButtonDetection();
     }
   });
@@ -0,0 +1,171 @@
+/* global conversationSearch */
+// Search box query language. Filters are applied to conversation summaries, the remaining text goes to the
+// full-text index (scripts/content/conversationSearch.js):
+//   model:gpt-4 folder:"Work" tag:frontend before:2024-01-01 after:2023-06-01 has:code lang:python is:pinned is:archived
+// A leading - negates a filter or excludes a word, and -archived / -pinned are short for -is:archived / -is:pinned.
+// Unknown filters and invalid values are searched as text.
+const conversationQueryFlags = ['pinned', 'archived'];
+const conversationQueryLanguageAliases = {
+  py: 'python', js: 'javascript', ts: 'typescript', sh: 'bash', shell: 'bash', rb: 'ruby', 'c++': 'cpp', 'c#': 'csharp', yml: 'yaml',
+};
+
+function parseConversationQueryDate(value) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.getTime() / 1000;
+}
+
+// Normalized filter value, null when the value is not valid for the filter
+function parseConversationQueryFilter(key, value) {
+  switch (key) {
+    case 'model':
+    case 'folder':
+    case 'tag':
+      return value.toLowerCase();
+    case 'lang': {
+      const language = value.toLowerCase();
+      return conversationQueryLanguageAliases[language] || language;
+    }
+    case 'before':
+    case 'after':
+      return parseConversationQueryDate(value);
+    case 'has':
+      return value.toLowerCase() === 'code' ? 'code' : null;
+    case 'is':
+      return conversationQueryFlags.includes(value.toLowerCase()) ? value.toLowerCase() : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Split a search box query into filters and full-text search terms
+ * @param {string} query - Search box query
+ * @returns {{filters: Array<{key: string, value: *, negate: boolean}>, text: string, excludedText: Array<string>}}
+ */
+// eslint-disable-next-line no-unused-vars
+function parseConversationQuery(query) {
+  const filters = [];
+  const textParts = [];
+  const excludedText = [];
+  let textIsComplete = false;
+  const tokenRegex = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match = tokenRegex.exec(query || '');
+  while (match) {
+    const [raw, minus, key, phrase, word] = match;
+    const negate = minus === '-';
+    const value = phrase ?? word;
+    const filterKey = key?.toLowerCase() === 'language' ? 'lang' : key?.toLowerCase();
+    const filterValue = key ? parseConversationQueryFilter(filterKey, value) : null;
+    const isText = filterValue === null && !negate && Boolean(value || phrase !== undefined);
+    if (filterValue !== null) {
+      filters.push({ key: filterKey, value: filterValue, negate });
+    } else if (!key && negate && conversationQueryFlags.includes(value.toLowerCase())) {
+      filters.push({ key: 'is', value: value.toLowerCase(), negate });
+    } else if (negate && value) {
+      excludedText.push(key ? `${key}:${phrase === undefined ? value : `"${value}"`}` : raw.slice(1));
+    } else if (isText) {
+      textParts.push(raw);
+    }
+    textIsComplete = !isText;
+    match = tokenRegex.exec(query || '');
+  }
+  // a trailing space tells the index that the last word is complete and should not be matched by prefix
+  const text = textParts.join(' ') + (textParts.length > 0 && (textIsComplete || /\s$/.test(query)) ? ' ' : '');
+  return { filters, text, excludedText };
+}
+
+function conversationMatchesQueryFilter(conversation, { key, value }, folderNames) {
+  switch (key) {
+    case 'model':
+      return (conversation.model || '').toLowerCase().startsWith(value);
+    case 'folder':
+      return Boolean(conversation.folder)
+        && (conversation.folder.toLowerCase() === value || (folderNames[conversation.folder] || '').toLowerCase() === value);
+    case 'tag':
+      return (conversation.tags || []).some((tag) => String(tag).toLowerCase() === value);
+    case 'before':
+      return conversation.create_time < value;
+    case 'after':
+      return conversation.create_time >= value;
+    case 'has':
+      return Boolean(conversation.hasCode);
+    case 'lang':
+      return (conversation.codeLanguages || []).some((language) => (conversationQueryLanguageAliases[language] || language) === value);
+    case 'is':
+      return Boolean(conversation[value]);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check a conversation summary against query filters
+ * @param {object} conversation - Conversation summary from the repository
+ * @param {Array<object>} filters - Filters from parseConversationQuery
+ * @param {object} [folderNames] - Folder names keyed by folder ID
+ * @returns {boolean} Whether every filter matches
+ */
+function conversationMatchesQuery(conversation, filters, folderNames = {}) {
+  return filters.every((filter) => conversationMatchesQueryFilter(conversation, filter, folderNames) !== filter.negate);
+}
+
+/**
+ * Run a search box query against the conversation summaries
+ * @param {string} query - Search box query
+ * @param {object} conversations - Conversation summaries keyed by ID
+ * @param {Array} [conversationsOrder] - Conversation IDs and folder objects, used to resolve folder names
+ * @param {object} [options] - Search options
+ * @param {boolean} [options.prefixLastTerm=false] - Match the last search term by prefix, for search as you type
+ * @returns {Promise<Array<object>>} Matching summaries, ranked by the search index when the query has text,
+ * most recently updated first otherwise. Conversations found through the index carry their `searchHits`.
+ */
+// eslint-disable-next-line no-unused-vars
+async function runConversationQuery(query, conversations, conversationsOrder = [], { prefixLastTerm = false } = {}) {
+  const { filters, text, excludedText } = parseConversationQuery(query);
+  const folderNames = {};
+  (conversationsOrder || []).forEach((item) => {
+    if (item && typeof item === 'object') folderNames[item.id] = item.name;
+  });
+
+  const [searchResponse, ...excludedResponses] = await Promise.all([
+    text.trim() ? conversationSearch.search(text, { prefixLastTerm }) : null,
+    ...excludedText.map((excluded) => conversationSearch.search(excluded)),
+  ]);
+  const excludedIds = new Set(excludedResponses.flatMap(({ results }) => results.map((result) => result.conversationId)));
+
+  const candidates = searchResponse
+    ? searchResponse.results
+      .filter(({ conversationId }) => conversations[conversationId])
+      .map(({ conversationId, hits }) => ({ ...conversations[conversationId], searchHits: hits }))
+    : Object.values(conversations).sort((a, b) => (b.update_time || 0) - (a.update_time || 0));
+
+  return candidates.filter((conversation) => !conversation.skipped
+    && !excludedIds.has(conversation.id)
+    && conversationMatchesQuery(conversation, filters, folderNames));
+}
+
+function formatConversationQueryDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * The query of a saved search, with its EnhancedSearchAgent criteria written as filters
+ * @param {object} savedSearch - Saved search with query and criteria
+ * @returns {string} Search box query
+ */
+// eslint-disable-next-line no-unused-vars
+function savedSearchToQuery({ query = '', criteria = {} }) {
+  const quote = (value) => (/[\s"]/.test(value) ? `"${String(value).replace(/"/g, '')}"` : value);
+  const parts = [query.trim()];
+  if (criteria.model) parts.push(`model:${quote(criteria.model)}`);
+  if (criteria.folder) parts.push(`folder:${quote(criteria.folder)}`);
+  if (criteria.startDate && formatConversationQueryDate(criteria.startDate)) parts.push(`after:${formatConversationQueryDate(criteria.startDate)}`);
+  if (criteria.endDate && formatConversationQueryDate(criteria.endDate)) parts.push(`before:${formatConversationQueryDate(criteria.endDate)}`);
+  if (criteria.hasCode !== undefined) parts.push(criteria.hasCode ? 'has:code' : '-has:code');
+  if (criteria.language) parts.push(`lang:${quote(criteria.language)}`);
+  if (criteria.pinned !== undefined) parts.push(criteria.pinned ? 'is:pinned' : '-is:pinned');
+  if (criteria.archived !== undefined) parts.push(criteria.archived ? 'is:archived' : '-is:archived');
+  return parts.filter(Boolean).join(' ');
+}
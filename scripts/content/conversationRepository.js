@@ -0,0 +1,44 @@
+// Content script access to the conversation repository in the background service worker
+// (scripts/background/conversationRepository.js). Every method returns a promise.
+function conversationRepositoryRequest(method, ...args) {
+  return chrome.runtime.sendMessage({
+    conversationRepositoryRequest: { method, args },
+  }).then((response) => {
+    if (!response) throw new Error(`Conversation repository did not answer ${method}`);
+    if (!response.ok) throw new Error(response.error);
+    return response.result;
+  });
+}
+const conversationRepositoryListeners = [];
+// Tell listeners in this tab which conversations a write touched, after it succeeded
+function conversationRepositoryWrite(method, change, ...args) {
+  return conversationRepositoryRequest(method, ...args).then((result) => {
+    conversationRepositoryListeners.forEach((listener) => {
+      try {
+        listener({
+          put: [], removed: [], cleared: false, ...change,
+        });
+      } catch (error) {
+        console.error('Conversation repository listener failed:', error);
+      }
+    });
+    return result;
+  });
+}
+// eslint-disable-next-line no-unused-vars
+const conversationRepository = {
+  get: (id) => conversationRepositoryRequest('get', id),
+  getMany: (ids) => conversationRepositoryRequest('getMany', ids),
+  getAll: () => conversationRepositoryRequest('getAll'),
+  getSummaries: (ids) => conversationRepositoryRequest('getSummaries', ids),
+  keys: () => conversationRepositoryRequest('keys'),
+  count: () => conversationRepositoryRequest('count'),
+  query: (options) => conversationRepositoryRequest('query', options),
+  put: (conversation) => conversationRepositoryWrite('put', { put: [conversation.id] }, conversation),
+  putMany: (conversations) => conversationRepositoryWrite('putMany', { put: conversations.map((c) => c.id) }, conversations),
+  patchMany: (patches) => conversationRepositoryWrite('patchMany', { put: Object.keys(patches) }, patches),
+  remove: (ids) => conversationRepositoryWrite('remove', { removed: ids }, ids),
+  clear: () => conversationRepositoryWrite('clear', { cleared: true }),
+  // Writes made from this tab, the listener receives { put: Array<string>, removed: Array<string>, cleared: boolean }
+  onChange: (listener) => conversationRepositoryListeners.push(listener),
+};
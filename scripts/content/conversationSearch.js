@@ -0,0 +1,22 @@
+// Content script access to the conversation search index in the background service worker
+// (scripts/background/searchIndex.js). Every method returns a promise.
+function conversationSearchRequest(method, ...args) {
+  return chrome.runtime.sendMessage({
+    conversationSearchRequest: { method, args },
+  }).then((response) => {
+    if (!response) throw new Error(`Conversation search did not answer ${method}`);
+    if (!response.ok) throw new Error(response.error);
+    return response.result;
+  });
+}
+// eslint-disable-next-line no-unused-vars
+const conversationSearch = {
+  search: (query, options) => conversationSearchRequest('search', query, options),
+  rebuild: () => conversationSearchRequest('rebuild'),
+  getStats: () => conversationSearchRequest('getStats'),
+};
+// Text to highlight for a search query, without field scopes, quotes and prefix stars
+// eslint-disable-next-line no-unused-vars
+function searchHighlightText(query) {
+  return query.replace(/\b(title|user|assistant|code):/gi, '').replace(/["*]/g, '').trim();
+}
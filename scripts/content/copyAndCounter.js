@@ -1,4 +1,4 @@
-/* global allAsistantChats, TurndownService, addActionWrapperToResult */
+/* global allAsistantChats, TurndownService, addActionWrapperToResult, domAdapter, tokenizer, activeChatModel */
 const copyRichText = (element) => {
   let content = element.cloneNode(true);
   // remove all div with id=code-header from content
@@ -141,6 +141,7 @@ function updateCounterForResult(resultElement, index) {
   chrome.storage.local.get(['settings'], (result) => {
     const { showWordCount } = result.settings;
     if (!showWordCount) return;
+    const model = activeChatModel(result.settings);
     const prevCounter = document.querySelector(`#result-counter-${index}`);
     let prevCounterText = '';
     if (prevCounter) {
@@ -149,8 +150,9 @@ function updateCounterForResult(resultElement, index) {
     const resultText = resultElement.innerText;
     const wordCount = resultText.split(/[ /]/).length; // +1 because of the "/" in the counter
     const charCount = resultText.length;
+    const tokenCount = tokenizer.count(resultText, model);
     const counterElement = document.createElement('div');
-    counterElement.textContent = `${Math.max(charCount, 0)} chars / ${Math.max(wordCount, 0)} words`;
+    counterElement.textContent = `${tokenizer.isExact(model) ? '' : '~'}${tokenCount} tokens / ${Math.max(charCount, 0)} chars / ${Math.max(wordCount, 0)} words`;
     if (prevCounterText !== counterElement.textContent) {
       if (prevCounter) {
         prevCounter.remove();
@@ -185,7 +187,7 @@ function updateCounterEventListeners() {
 }
 // eslint-disable-next-line no-unused-vars
 function initializeCopyAndCounter() {
-  const main = document.querySelector('main');
+  const main = domAdapter.main();
   if (!main) return;
   const contentWrapper = main.querySelector('.flex-1.overflow-hidden');
   const scrollableArea = contentWrapper.firstChild;
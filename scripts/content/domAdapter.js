@@ -0,0 +1,136 @@
+// Semantic accessors for the parts of the ChatGPT page the extension hooks into. Every accessor has a list of
+// strategies, CSS selectors or functions of (root, ...args), tried in order. The strategy that matched last is
+// tried first next time. When the ChatGPT UI changes, add a fallback here instead of editing every content script.
+// Accessors return null when no strategy matches.
+
+// Strategies that run in a browser without :has support throw, count them as not matching
+function domAdapterTry(strategy, root, args) {
+  try {
+    return (typeof strategy === 'function' ? strategy(root, ...args) : root.querySelector(strategy)) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+const domAdapterHits = {};
+
+function domAdapterFind(name, root = document, ...args) {
+  // eslint-disable-next-line no-use-before-define
+  const strategies = domAdapterStrategies[name];
+  const preferred = domAdapterHits[name] || 0;
+  const order = [preferred, ...strategies.keys()].filter((index, i, all) => all.indexOf(index) === i);
+  let element = null;
+  const hit = order.find((index) => {
+    element = domAdapterTry(strategies[index], root, args);
+    return element;
+  });
+  if (element) domAdapterHits[name] = hit;
+  return element;
+}
+
+const domAdapterStrategies = {
+  main: [
+    'main',
+    '[role="main"]',
+  ],
+  composerForm: [
+    'main form',
+    'form:has(#prompt-textarea)',
+    () => domAdapterFind('composer')?.closest('form'),
+  ],
+  // the prompt textarea, `root` limits the search to an element such as the composer form
+  composer: [
+    'main form textarea',
+    'textarea#prompt-textarea',
+    '#prompt-textarea',
+    'main textarea',
+  ],
+  sendButton: [
+    'main form textarea ~ button',
+    '[data-testid="send-button"]',
+    'main form button[aria-label*="send" i]',
+    (root) => {
+      const form = root.closest?.('form') || domAdapterFind('composerForm');
+      return form ? [...form.querySelectorAll('button')].pop() : null;
+    },
+  ],
+  sidebar: [
+    'nav',
+    'nav[aria-label="Chat history"]',
+    '[data-testid="sidebar"] nav',
+  ],
+  // the scrolling part of the sidebar, its first div is the conversation list
+  sidebarBody: [
+    'nav > :nth-child(3)',
+    () => document.querySelector('#conversation-list')?.parentElement,
+    () => [...(domAdapterFind('sidebar')?.children || [])].find((child) => child.classList.contains('flex-1')),
+    () => domAdapterFind('sidebar')?.querySelector('ol')?.closest('nav > *'),
+  ],
+  newChatButton: [
+    '#new-chat-button',
+    '[data-testid="create-new-chat-button"]',
+    // the first link of the sidebar, the last resort as it may be any link
+    () => domAdapterFind('sidebar')?.querySelector('a'),
+  ],
+  // the element holding the message rows of the open conversation
+  messageList: [
+    '#conversation-inner-div',
+    (root) => root.querySelector('[id^="message-wrapper-"]')?.parentElement,
+    (root) => root.querySelector('main [data-testid^="conversation-turn-"]')?.parentElement,
+  ],
+  messageById: [
+    (root, id) => root.querySelector(`[id="message-wrapper-${id}"]`),
+    (root, id) => root.querySelector(`[data-message-id="${id}"]`)?.closest('[data-testid^="conversation-turn-"]'),
+    (root, id) => root.querySelector(`[data-message-id="${id}"]`),
+  ],
+};
+
+// Accessors the self-check expects on every page, messageList is only expected in a conversation
+const domAdapterPageAccessors = ['main', 'composerForm', 'composer', 'sendButton', 'sidebar', 'sidebarBody', 'newChatButton'];
+
+// Look up the accessors and report which ones failed and which ones only matched a fallback strategy
+function domAdapterSelfCheck(names) {
+  const checked = names || [
+    ...domAdapterPageAccessors,
+    ...(window.location.pathname.startsWith('/c/') ? ['messageList'] : []),
+  ];
+  const accessors = {};
+  checked.forEach((name) => {
+    const element = domAdapterFind(name);
+    accessors[name] = {
+      found: Boolean(element),
+      strategy: element ? domAdapterHits[name] : null,
+      fallback: Boolean(element) && domAdapterHits[name] > 0,
+    };
+  });
+  const failed = checked.filter((name) => !accessors[name].found);
+  const report = {
+    ok: failed.length === 0,
+    failed,
+    fallbacks: checked.filter((name) => accessors[name].fallback),
+    accessors,
+    url: window.location.href,
+    checkedAt: Date.now(),
+  };
+  if (failed.length > 0) {
+    console.warn(`Superpower ChatGPT could not find these page elements: ${failed.join(', ')}`, report);
+  }
+  // eslint-disable-next-line no-use-before-define
+  domAdapter.lastReport = report;
+  return report;
+}
+
+// eslint-disable-next-line no-unused-vars
+const domAdapter = {
+  main: () => domAdapterFind('main'),
+  composerForm: () => domAdapterFind('composerForm'),
+  composer: (root) => domAdapterFind('composer', root),
+  sendButton: (root) => domAdapterFind('sendButton', root),
+  sidebar: () => domAdapterFind('sidebar'),
+  sidebarBody: () => domAdapterFind('sidebarBody'),
+  newChatButton: () => domAdapterFind('newChatButton'),
+  messageList: () => domAdapterFind('messageList'),
+  messageById: (id) => domAdapterFind('messageById', document, id),
+  selfCheck: domAdapterSelfCheck,
+  lastReport: null,
+};
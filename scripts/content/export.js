@@ -1,83 +1,81 @@
-/* global allAsistantChats, getConversation,getConversations, getSelectedConversations, toast, JSZip, saveAs, canSubmitPrompt, resetSelection, getBrowser */
+/* global allAsistantChats, getConversation,getConversations, getSelectedConversations, toast, JSZip, saveAs, canSubmitPrompt, resetSelection, agentEventBridge, conversationRepository, conversationExportFiles, agentManager, domAdapter */
 let exportAllCanceled = false;
 let exportFailed = false;
 let interval;
 let timeout;
+function downloadExportFile(fileName, content) {
+  // a blob instead of a data url, html exports with inlined fonts are too long for a url
+  const types = { html: 'text/html;charset=utf-8', pdf: 'application/pdf' };
+  const type = types[fileName.split('.').pop()] || 'text/plain;charset=utf-8';
+  saveAs(new Blob([content], { type }), fileName);
+}
+// Anki decks are built by the export agent in the background, the package comes back as base64
+function exportAnkiDeck(conversation, fileName) {
+  return agentManager.dispatchTask({
+    type: 'exportToAnki',
+    data: { conversationId: conversation.id, conversation, deckName: `ChatGPT::${conversation.title.replace(/::/g, ':')}` },
+    persist: false,
+  }).then((result) => {
+    const bytes = Uint8Array.from(atob(result.data.exportContent), (c) => c.charCodeAt(0));
+    saveAs(new Blob([bytes], { type: 'application/octet-stream' }), fileName);
+    toast(`Exported ${result.data.cardCount} Anki cards`);
+    return true;
+  }).catch((error) => {
+    toast(error.message, 'error');
+    return false;
+  });
+}
 function getSingelConversation(conversationId, title) {
+  const exportStartTime = Date.now();
+  const exportFormat = title.toLowerCase();
   getConversation(conversationId).then((conversation) => {
     const conversationTitle = conversation.title.replace(/[^a-zA-Z0-9]/g, '_');
     const createDate = new Date(conversation.create_time * 1000);
     const filePrefix = `${createDate.getHours()}-${createDate.getMinutes()}-${createDate.getSeconds()}`;
-
-    let currentNode = conversation.current_node;
-    let messages = [];
-    while (currentNode) {
-      const { message, parent } = conversation.mapping[currentNode];
-      if (message) messages.push(message);
-      currentNode = parent;
+    if (exportFormat === 'anki') {
+      exportAnkiDeck(conversation, `${filePrefix}-${conversationTitle}.apkg`).then((exported) => {
+        if (!exported) return;
+        agentEventBridge.conversationExported({
+          conversationIds: [conversationId],
+          format: exportFormat,
+          scope: 'single',
+          duration: Date.now() - exportStartTime,
+        });
+      });
+      return;
     }
+
     // get export mode from settings
     chrome.storage.local.get('settings', ({ settings }) => {
-      const { exportMode } = settings;
-
-      if (exportMode === 'assistant') {
-        messages = messages.filter((m) => m.role === 'assistant' || m.author?.role === 'assistant');
-      }
-      if (title.toLowerCase() === 'json') {
-        const conversationJson = conversation;
-        const element = document.createElement('a');
-        element.setAttribute('href', `data:text/plain;charset=utf-8,${encodeURIComponent(JSON.stringify(conversationJson))}`);
-        element.setAttribute('download', `${filePrefix}-${conversationTitle}.${fileFormatConverter(title.toLowerCase())}`);
-        element.style.display = 'none';
-        document.body.appendChild(element);
-        element.click();
-        document.body.removeChild(element);
-        navigator.clipboard.writeText(JSON.stringify(conversationJson));
-        toast('Copied to clipboard');
-      }
-      // download as .txt file
-      if (title.toLowerCase() === 'text') {
-        const conversationText = messages.reverse().filter((m) => {
-          const role = m?.author?.role || m?.role;
-          const recipient = m?.recipient;
-          return role === 'user' || (recipient === 'all' && role === 'assistant');
-        }).map((m) => `${exportMode === 'both' ? `>> ${m.role ? m.role.toUpperCase() : m.author?.role.toUpperCase()}: ` : ''}${m.content?.parts?.join('\n').replace(/## Instructions[\s\S]*## End Instructions\n\n/, '')}`).join('\n\n');
-        const element = document.createElement('a');
-        element.setAttribute('href', `data:text/plain;charset=utf-8,${encodeURIComponent(conversationText)}`);
-        element.setAttribute('download', `${filePrefix}-${conversationTitle}.${fileFormatConverter(title.toLowerCase())}`);
-        element.style.display = 'none';
-        document.body.appendChild(element);
-        element.click();
-        document.body.removeChild(element);
-        navigator.clipboard.writeText(conversationText);
-        toast('Copied to clipboard');
-      }
-      // download as .md file
-      if (title.toLowerCase() === 'markdown') {
-        const conversationMarkdown = messages.reverse().filter((m) => {
-          const role = m?.author?.role || m?.role;
-          const recipient = m?.recipient;
-          return role === 'user' || (recipient === 'all' && role === 'assistant');
-        }).map((m) => `${exportMode === 'both' ? `## ${m.role ? m.role.toUpperCase() : m.author?.role.toUpperCase()}\n` : ''}${m.content?.parts?.join('\n').replace(/## Instructions[\s\S]*## End Instructions\n\n/, '')}`).join('\n\n');
-        const element = document.createElement('a');
-        element.setAttribute('href', `data:text/plain;charset=utf-8,${encodeURIComponent(conversationMarkdown)}`);
-        // add timestamp to conversation title to make file name
-        element.setAttribute('download', `${filePrefix}-${conversationTitle}.${fileFormatConverter(title.toLowerCase())}`);
-        element.style.display = 'none';
-        document.body.appendChild(element);
-        element.click();
-        document.body.removeChild(element);
-        navigator.clipboard.writeText(conversationMarkdown);
-        toast('Copied to clipboard');
-      }
-      // download as .html file
-      if (title.toLowerCase() === 'html') {
-        if (getBrowser() === 'Firefox') {
-          toast('This feature is only available on Chrome browser', 'error');
+      const { exportMode, exportBranches } = settings;
+      conversationExportFiles(conversation, exportFormat, exportMode, exportBranches).then((files) => {
+        if (files.length === 1) {
+          // add timestamp to conversation title to make file name
+          downloadExportFile(`${filePrefix}-${conversationTitle}.${fileFormatConverter(exportFormat)}`, files[0].content);
+          if (exportFormat !== 'html' && exportFormat !== 'pdf') {
+            navigator.clipboard.writeText(files[0].content);
+            toast('Copied to clipboard');
+          }
         } else {
-          chrome.runtime.sendMessage({ type: 'readMhtml', title: `${filePrefix}-${conversationTitle}` });
+          // one file per branch
+          const zip = new JSZip();
+          files.forEach(({ suffix, content }) => {
+            zip.file(`${filePrefix}-${conversationTitle}${suffix}.${fileFormatConverter(exportFormat)}`, content);
+          });
+          zip.generateAsync({ type: 'blob', compression: 'DEFLATE' }).then((content) => {
+            saveAs(content, `${filePrefix}-${conversationTitle}.zip`);
+          });
         }
-      }
+        agentEventBridge.conversationExported({
+          conversationIds: [conversationId],
+          format: exportFormat,
+          exportMode,
+          scope: 'single',
+          duration: Date.now() - exportStartTime,
+        });
+      }).catch((error) => {
+        toast(error.message, 'error');
+      });
     });
   });
 }
@@ -91,6 +89,8 @@ function fileFormatConverter(fileFormat) {
       return 'md';
     case 'html':
       return 'html';
+    case 'pdf':
+      return 'pdf';
     default:
       return 'txt';
   }
@@ -131,7 +131,7 @@ function addExportAsButton(title) {
 }
 function addExportButton() {
   const assistantChats = allAsistantChats();
-  const textAreaElement = document.querySelector('main form textarea');
+  const textAreaElement = domAdapter.composer();
   if (!textAreaElement) return;
   const canSubmit = canSubmitPrompt();
 
@@ -167,8 +167,12 @@ function addExportButton() {
   exportMenu.appendChild(addExportAsButton('Json'));
   exportMenu.appendChild(divider.cloneNode());
   exportMenu.appendChild(addExportAsButton('Text'));
-  // exportMenu.appendChild(divider.cloneNode());
-  // exportMenu.appendChild(addExportAsButton('Html'));
+  exportMenu.appendChild(divider.cloneNode());
+  exportMenu.appendChild(addExportAsButton('Html'));
+  exportMenu.appendChild(divider.cloneNode());
+  exportMenu.appendChild(addExportAsButton('Pdf'));
+  exportMenu.appendChild(divider.cloneNode());
+  exportMenu.appendChild(addExportAsButton('Anki'));
   // add exportMenu as sibling of exportButton
   exportButton.appendChild(exportMenu);
   const connector = document.createElement('div');
@@ -196,7 +200,7 @@ function addExportButton() {
   });
 
   if (canSubmit) {
-    const inputForm = document.querySelector('main form');
+    const inputForm = domAdapter.composerForm();
     const inputFormFirstChild = inputForm.firstChild;
     chrome.storage.local.get('settings', ({ settings }) => {
       let inputFormActionWrapper = settings.autoSync
@@ -259,16 +263,18 @@ function exportAllConversations(exportFormat) {
   const exportAllModalProgressBarLabel = document.getElementById('export-all-modal-progress-bar-label');
   const exportAllModalProgressBarFill = document.getElementById('export-all-modal-progress-bar-fill');
   const exportAllModalProgressBarFilename = document.getElementById('export-all-modal-progress-bar-filename');
+  const exportStartTime = Date.now();
   getSelectedConversations().then((convs) => {
     const zip = new JSZip();
+    // conversations exported so far, a conversation can add several files to the zip
+    let exportedCount = 0;
     // fetch every conversation
-    const fetchConversation = async (conversationId, exportMode) => {
+    const fetchConversation = async (conversationId, exportMode, exportBranches) => {
       if (exportAllCanceled || exportFailed) {
         return;
       }
-      await getConversation(conversationId).then((conversation) => {
+      await getConversation(conversationId).then(async (conversation) => {
         const conversationTitle = conversation.title.replace(/[^a-zA-Z0-9]/g, '_');
-        let currentNode = conversation.current_node;
         const createDate = new Date(conversation.create_time * 1000);
         //  folderName = conversation.create_time in local time in the format of YYYY-MM-DD
         const folderName = `${createDate.getFullYear()}-${createDate.getMonth() + 1}-${createDate.getDate()}`;
@@ -276,44 +282,15 @@ function exportAllConversations(exportFormat) {
         const filePrefix = `${createDate.getHours()}-${createDate.getMinutes()}-${createDate.getSeconds()}`;
         // create zip folder with date as name if it doesn't exist
         zip.folder(folderName);
-        let messages = [];
-        while (currentNode) {
-          const { message, parent } = conversation.mapping[currentNode];
-          if (message) messages.push(message);
-          currentNode = parent;
-        }
-
-        if (exportMode === 'assistant') {
-          messages = messages.filter((m) => m.role === 'assistant' || m.author?.role === 'assistant');
-        }
-        // download as .txt file
-        if (exportFormat === 'text') {
-          const conversationText = messages.reverse().filter((m) => {
-            const role = m?.author?.role || m?.role;
-            const recipient = m?.recipient;
-            return role === 'user' || (recipient === 'all' && role === 'assistant');
-          }).map((m) => `${exportMode === 'both' ? `>> ${m.role ? m.role.toUpperCase() : m.author?.role.toUpperCase()}: ` : ''}${m.content?.parts?.join('\n').replace(/## Instructions[\s\S]*## End Instructions\n\n/, '')}`)?.join('\n\n');
-          zip.file(`${folderName}/${filePrefix}-${conversationTitle}.${fileFormatConverter(exportFormat)}`, conversationText);
-        }
-        // download as .json file
-        if (exportFormat === 'json') {
-          const conversationJson = conversation;
-          zip.file(`${folderName}/${filePrefix}-${conversationTitle}.${fileFormatConverter(exportFormat)}`, JSON.stringify(conversationJson));
-        }
-        // download as .md file
-        if (exportFormat === 'markdown') {
-          const conversationMarkdown = messages.reverse().filter((m) => {
-            const role = m?.author?.role || m?.role;
-            const recipient = m?.recipient;
-            return role === 'user' || (recipient === 'all' && role === 'assistant');
-          }).map((m) => `${exportMode === 'both' ? `## ${m.role ? m.role.toUpperCase() : m.author?.role.toUpperCase()}\n` : ''}${m.content?.parts?.join('\n').replace(/## Instructions[\s\S]*## End Instructions\n\n/, '')}`)?.join('\n\n');
-          zip.file(`${folderName}/${filePrefix}-${conversationTitle}.${fileFormatConverter(exportFormat)}`, conversationMarkdown);
-        }
+        const files = await conversationExportFiles(conversation, exportFormat, exportMode, exportBranches);
+        files.forEach(({ suffix, content }) => {
+          zip.file(`${folderName}/${filePrefix}-${conversationTitle}${suffix}.${fileFormatConverter(exportFormat)}`, content);
+        });
+        exportedCount += 1;
 
         // update exportAllModalProgressBar.style
-        const fileCount = Object.values(zip.files).filter((f) => !f.dir).length;
-        const percentage = Math.round((fileCount / convs.length) * 100);
-        exportAllModalProgressBarLabel.textContent = `${fileCount} / ${convs.length}`;
+        const percentage = Math.round((exportedCount / convs.length) * 100);
+        exportAllModalProgressBarLabel.textContent = `${exportedCount} / ${convs.length}`;
         exportAllModalProgressBarFill.style.width = `${percentage}%`;
         exportAllModalProgressBarFilename.textContent = `${conversationTitle}.${fileFormatConverter(exportFormat)}`;
       })
@@ -324,14 +301,13 @@ function exportAllConversations(exportFormat) {
         });
     };
 
-    const fetchAllConversationsAsync = async (conversations, exportMode) => {
+    const fetchAllConversationsAsync = async (conversations, exportMode, exportBranches) => {
       for (let i = 0; i < conversations.length; i += 1) {
         // eslint-disable-next-line no-await-in-loop
-        await fetchConversation(conversations[i].id, exportMode, i);
-        const fileCount = Object.values(zip.files).filter((f) => !f.dir).length;
-        if (fileCount > 0 && fileCount % 1 === 0) {
+        await fetchConversation(conversations[i].id, exportMode, exportBranches);
+        if (exportedCount > 0) {
           // eslint-disable-next-line no-await-in-loop
-          await chrome.storage.local.get(['conversations', 'conversationsAreSynced', 'settings']).then(async (res) => {
+          await chrome.storage.local.get(['conversationsAreSynced', 'settings']).then(async (res) => {
             const { conversationsAreSynced, settings } = res;
             const { autoSync } = settings;
             if (!conversationsAreSynced || !autoSync) {
@@ -342,8 +318,8 @@ function exportAllConversations(exportFormat) {
       }
     };
     chrome.storage.local.get('settings', ({ settings }) => {
-      const { exportMode } = settings;
-      fetchAllConversationsAsync(convs, exportMode).then(() => {
+      const { exportMode, exportBranches } = settings;
+      fetchAllConversationsAsync(convs, exportMode, exportBranches).then(() => {
         if (exportAllCanceled) {
           exportAllCanceled = false;
           return;
@@ -352,6 +328,14 @@ function exportAllConversations(exportFormat) {
         clearTimeout(timeout);
         zip.generateAsync({ type: 'blob', compression: 'DEFLATE' }).then((content) => {
           saveAs(content, `${new Date().toISOString().slice(0, 10)}-conversations.zip`);
+          agentEventBridge.conversationExported({
+            conversationIds: convs.map((conv) => conv.id),
+            format: exportFormat,
+            exportMode,
+            scope: 'bulk',
+            duration: Date.now() - exportStartTime,
+            failed: exportFailed,
+          });
           if (!exportFailed) {
             const exportAllModal = document.getElementById('export-all-modal');
             const exportAllButton = document.querySelector('#export-all-button');
@@ -425,6 +409,18 @@ function openExportAllModal() {
       value: 'text',
       label: 'Text',
     },
+    {
+      id: 'export-all-modal-radio-button-html',
+      name: 'export-all-modal-radio-button',
+      value: 'html',
+      label: 'Html',
+    },
+    {
+      id: 'export-all-modal-radio-button-pdf',
+      name: 'export-all-modal-radio-button',
+      value: 'pdf',
+      label: 'Pdf',
+    },
   ];
   let exportFormat = 'markdown';
   // onchange event listener for radio buttons
@@ -524,8 +520,11 @@ function openExportAllModal() {
       exportAllModalExportButton.style.opacity = '1';
       exportAllModalProgressBarLabel.textContent = `0 / ${selectedConversations?.length}`;
     } else {
-      chrome.storage.local.get(['conversations', 'conversationsAreSynced', 'settings']).then((res) => {
-        const { conversations: storageConversations, conversationsAreSynced, settings } = res;
+      Promise.all([
+        chrome.storage.local.get(['conversationsAreSynced', 'settings']),
+        conversationRepository.getSummaries(),
+      ]).then(([res, storageConversations]) => {
+        const { conversationsAreSynced, settings } = res;
         const { autoSync } = settings;
         if (conversationsAreSynced && autoSync) {
           const allConversations = Object.values(storageConversations).filter((conversation) => !conversation.skipped);
@@ -549,7 +548,7 @@ function openExportAllModal() {
   document.body.appendChild(exportAllModal);
 }
 function addExportAllButton() {
-  const nav = document.querySelector('nav');
+  const nav = domAdapter.sidebar();
   if (!nav) return;
 
   // check if the export all button is already added
@@ -588,13 +587,13 @@ function addExportAllButton() {
 
 // eslint-disable-next-line no-unused-vars
 function initializeExport() {
-  const main = document.querySelector('main');
+  const main = domAdapter.main();
   if (!main) return;
-  const inputForm = main.querySelector('form');
+  const inputForm = domAdapter.composerForm();
   if (!inputForm) return;
   addExportButton();
   const observer = new MutationObserver(() => {
-    // const submitButton = inputForm.querySelector('textarea ~ button');
+    // const submitButton = domAdapter.sendButton(inputForm);
     setTimeout(() => {
       addExportButton();
     }, 500);
@@ -0,0 +1,195 @@
+/* global escapeHtml, exportHtmlDocument, exportPdfDocument, exportMessageToHtml, normalizeConversation, conversationThread, conversationLeafIds, isConversationThreadMessage, ConversationMessageKinds */
+// Conversation exports that keep edited prompts and regenerated answers.
+// The canonical conversation (scripts/agents/ConversationModel.js) keeps every version of a message in `nodes`;
+// `currentNodeId` only points at the branch that is shown. The `exportBranches` setting picks what gets exported:
+//   current - the shown branch (the classic export)
+//   tree    - every branch in one file: nested blockquotes in Markdown, indentation in text,
+//             a `tree` of nodes in JSON, collapsible <details> in HTML (scripts/content/exportHtml.js)
+//             and every branch unfolded in PDF (scripts/content/exportPdf.js)
+//   longest - the branch with the most messages
+//   leaves  - one file per branch, from the root to each leaf
+
+// Messages the classic export keeps: prompts and answers, or only the answers
+function isExportedMessage(message, exportMode) {
+  if (exportMode === 'assistant') return message.kind === ConversationMessageKinds.ANSWER;
+  return isConversationThreadMessage(message);
+}
+
+function exportMessageRole(message) {
+  return message.role.toUpperCase();
+}
+
+/**
+ * Messages of the shown branch, oldest first
+ * @param {object} conversation - Canonical conversation (scripts/agents/ConversationModel.js)
+ * @param {string} [exportMode] - 'both' or 'assistant'
+ * @returns {Array<object>} Messages
+ */
+function conversationCurrentPath(conversation, exportMode) {
+  return conversationThread(conversation).filter((message) => isExportedMessage(message, exportMode));
+}
+
+/**
+ * Every branch of a conversation, as message lists from the root to each leaf
+ * The shown branch comes first, the others follow in the order they were created
+ * @param {object} conversation - Canonical conversation
+ * @param {string} [exportMode] - 'both' or 'assistant'
+ * @returns {Array<Array<object>>} Messages of each branch, oldest first
+ */
+function conversationLeafPaths(conversation, exportMode) {
+  return conversationLeafIds(conversation)
+    .map((leafId) => conversationThread(conversation, { leafId, includeHidden: true })
+      .filter((message) => isExportedMessage(message, exportMode)))
+    .filter((messages) => messages.length > 0);
+}
+
+/**
+ * The exported messages of a conversation as a tree
+ * Messages that are not exported (system and tool messages) are skipped and their children move up
+ * @param {object} conversation - Canonical conversation
+ * @param {string} [exportMode] - 'both' or 'assistant'
+ * @returns {Array<{id: string, message: object, current: boolean, children: Array<object>}>} Root nodes
+ */
+function conversationExportTree(conversation, exportMode) {
+  const build = (nodeId) => {
+    const message = conversation.nodes[nodeId];
+    const children = message.childIds.flatMap(build);
+    if (!isExportedMessage(message, exportMode)) return children;
+    return [{
+      id: nodeId, message, current: message.current, children,
+    }];
+  };
+  return conversation.rootIds.flatMap(build);
+}
+
+// Linear runs of the tree, a fork starts one group per alternative
+function exportTreeToLines(nodes, renderMessage, renderBranch) {
+  const lines = [];
+  let siblings = nodes;
+  while (siblings.length === 1) {
+    lines.push(renderMessage(siblings[0].message));
+    siblings = siblings[0].children;
+  }
+  siblings.forEach((node, i) => {
+    lines.push(renderBranch(`Branch ${i + 1} of ${siblings.length}${node.current ? ' (current)' : ''}`, exportTreeToLines([node], renderMessage, renderBranch), node.current));
+  });
+  return lines.join('\n\n');
+}
+
+function exportMessagesToText(messages, exportMode) {
+  return messages.map((m) => `${exportMode === 'both' ? `>> ${exportMessageRole(m)}: ` : ''}${m.content}`).join('\n\n');
+}
+
+function exportMessagesToMarkdown(messages, exportMode) {
+  return messages.map((m) => `${exportMode === 'both' ? `## ${exportMessageRole(m)}\n` : ''}${m.content}`).join('\n\n');
+}
+
+function exportTreeToText(tree, exportMode) {
+  return exportTreeToLines(
+    tree,
+    (message) => exportMessagesToText([message], exportMode),
+    (title, content) => `--- ${title} ---\n${content.replace(/^(?=.)/gm, '    ')}`,
+  );
+}
+
+function exportTreeToMarkdown(tree, exportMode) {
+  return exportTreeToLines(
+    tree,
+    (message) => exportMessagesToMarkdown([message], exportMode),
+    (title, content) => `> **${title}**\n>\n${content.replace(/^/gm, '> ').replace(/^> $/gm, '>')}`,
+  );
+}
+
+function exportTreeToJson(conversation, tree) {
+  const toJson = (node) => ({
+    id: node.id,
+    role: node.message.role,
+    kind: node.message.kind,
+    content: node.message.content,
+    createdAt: node.message.createdAt,
+    model: node.message.model,
+    current: node.current,
+    children: node.children.map(toJson),
+  });
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    model: conversation.model,
+    instructions: conversation.instructions,
+    currentNodeId: conversation.currentNodeId,
+    tree: tree.map(toJson),
+  };
+}
+
+function exportTreeToHtml(tree, exportMode) {
+  return exportTreeToLines(
+    tree,
+    (message) => exportMessageToHtml(message, exportMode),
+    (title, content, current) => `<details class="branch"${current ? ' open' : ''}><summary>${escapeHtml(title)}</summary>\n${content}\n</details>`,
+  );
+}
+
+// Tree nodes in reading order
+function exportTreeMessages(tree) {
+  return tree.flatMap((node) => [node.message, ...exportTreeMessages(node.children)]);
+}
+
+async function exportMessages(conversation, messages, format, exportMode) {
+  switch (format) {
+    case 'text':
+      return exportMessagesToText(messages, exportMode);
+    case 'markdown':
+      return exportMessagesToMarkdown(messages, exportMode);
+    case 'html':
+      return exportHtmlDocument(conversation, messages.map((m) => exportMessageToHtml(m, exportMode)).join('\n'), messages);
+    case 'pdf':
+      return exportPdfDocument(conversation, messages.map((m) => exportMessageToHtml(m, exportMode)).join('\n'), messages);
+    case 'json':
+    default: {
+      // the branch replaces the message tree
+      // eslint-disable-next-line no-unused-vars
+      const { nodes, rootIds, ...metadata } = conversation;
+      return JSON.stringify({ ...metadata, messages });
+    }
+  }
+}
+
+/**
+ * Files to export for a conversation
+ * @param {object} conversation - Stored conversation (mapping/current_node shape)
+ * @param {string} format - 'markdown', 'json', 'text', 'html' or 'pdf'
+ * @param {string} exportMode - 'both' or 'assistant'
+ * @param {string} [exportBranches='current'] - 'current', 'tree', 'longest' or 'leaves'
+ * @returns {Promise<Array<{suffix: string, content: string|Uint8Array}>>} File contents, a Uint8Array for PDF, suffix is appended to the file name
+ */
+// eslint-disable-next-line no-unused-vars
+async function conversationExportFiles(storedConversation, format, exportMode, exportBranches = 'current') {
+  // the classic JSON export is the raw conversation
+  if (exportBranches === 'current' && format === 'json') return [{ suffix: '', content: JSON.stringify(storedConversation) }];
+  const conversation = normalizeConversation(storedConversation);
+  if (exportBranches === 'tree') {
+    const tree = conversationExportTree(conversation, exportMode);
+    const content = {
+      text: () => exportTreeToText(tree, exportMode),
+      markdown: () => exportTreeToMarkdown(tree, exportMode),
+      json: () => JSON.stringify(exportTreeToJson(conversation, tree)),
+      html: () => exportHtmlDocument(conversation, exportTreeToHtml(tree, exportMode), exportTreeMessages(tree)),
+      pdf: () => exportPdfDocument(conversation, exportTreeToHtml(tree, exportMode), exportTreeMessages(tree)),
+    }[format];
+    return [{ suffix: '', content: content ? await content() : '' }];
+  }
+  if (exportBranches === 'longest' || exportBranches === 'leaves') {
+    const paths = conversationLeafPaths(conversation, exportMode);
+    if (exportBranches === 'longest') {
+      const longestPath = paths.reduce((longest, path) => (path.length > longest.length ? path : longest), []);
+      return [{ suffix: '', content: await exportMessages(conversation, longestPath, format, exportMode) }];
+    }
+    return Promise.all(paths.map(async (path, i) => ({
+      suffix: paths.length > 1 ? `-branch-${i + 1}` : '',
+      content: await exportMessages(conversation, path, format, exportMode),
+    })));
+  }
+  return [{ suffix: '', content: await exportMessages(conversation, conversationCurrentPath(conversation, exportMode), format, exportMode) }];
+}
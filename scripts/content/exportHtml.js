@@ -0,0 +1,160 @@
+/* global markdownit, markdownitSup, texmath, katex, hljs, escapeHtml */
+// Standalone HTML export. Messages are rendered with the bundled markdown-it, texmath/KaTeX and highlight.js,
+// and the stylesheet, including the KaTeX fonts, is inlined so the file opens offline.
+let exportHtmlKatexCssPromise = null;
+
+const exportHtmlCss = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; max-width: 860px; margin: 0 auto; padding: 32px 16px; line-height: 1.6; color: #1f2328; background: #fff; }
+h1.conversation-title { font-size: 1.6em; margin-bottom: 4px; }
+.conversation-meta { color: #656d76; font-size: 0.85em; margin-bottom: 24px; }
+nav.toc { border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; margin-bottom: 32px; font-size: 0.9em; }
+nav.toc ol { margin: 8px 0 0; padding-left: 20px; }
+nav.toc a { color: #0969da; text-decoration: none; }
+nav.toc a:hover { text-decoration: underline; }
+.message { padding: 16px; margin: 16px 0; border-radius: 6px; }
+.message-user { background: #f6f8fa; }
+.message-assistant { border: 1px solid #d0d7de; }
+.message-role { font-weight: 600; font-size: 0.75em; letter-spacing: 0.05em; color: #656d76; margin-bottom: 8px; }
+.message-user .message-content { white-space: pre-wrap; }
+.message-content > :first-child { margin-top: 0; }
+.message-content > :last-child { margin-bottom: 0; }
+.message-content table { border-collapse: collapse; }
+.message-content th, .message-content td { border: 1px solid #d0d7de; padding: 4px 8px; }
+.message-content code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.9em; background: rgba(175, 184, 193, 0.2); padding: 0.1em 0.3em; border-radius: 4px; }
+.message-content pre { background: #0d1117; color: #e6edf3; padding: 12px 16px; border-radius: 6px; overflow-x: auto; }
+.message-content pre code { background: none; padding: 0; font-size: 0.85em; }
+.code-language { display: block; color: #8b949e; font-size: 0.75em; margin-bottom: 8px; }
+details.branch { border-left: 3px solid #d0d7de; margin: 8px 0; padding-left: 12px; }
+details.branch[open] { border-left-color: #0969da; }
+details.branch > summary { cursor: pointer; color: #656d76; font-size: 0.85em; }
+.hljs-comment, .hljs-quote { color: #8b949e; font-style: italic; }
+.hljs-keyword, .hljs-selector-tag, .hljs-literal, .hljs-type { color: #ff7b72; }
+.hljs-string, .hljs-regexp, .hljs-addition { color: #a5d6ff; }
+.hljs-number, .hljs-symbol, .hljs-bullet, .hljs-variable, .hljs-template-variable { color: #79c0ff; }
+.hljs-title, .hljs-section, .hljs-function .hljs-title { color: #d2a8ff; }
+.hljs-attr, .hljs-attribute, .hljs-name, .hljs-selector-id, .hljs-selector-class { color: #7ee787; }
+.hljs-built_in, .hljs-meta { color: #ffa657; }
+.hljs-deletion { color: #ffa198; }
+@media print { nav.toc { display: none; } details.branch { border: none; } }
+`;
+
+// eslint-disable-next-line new-cap
+const exportMarkdown = new markdownit({
+  html: false,
+  linkify: true,
+  highlight(code, lang) {
+    const { language, value } = lang && hljs.getLanguage(lang)
+      ? hljs.highlight(code, { language: lang, ignoreIllegals: true })
+      : hljs.highlightAuto(code);
+    return `<pre><span class="code-language">${escapeHtml(language || lang || '')}</span><code class="hljs language-${escapeHtml(language || '')}">${value}</code></pre>`;
+  },
+})
+  .use(markdownitSup)
+  .use(texmath, {
+    engine: katex,
+    delimiters: ['brackets'],
+    katexOptions: { macros: { '\\RR': '\\mathbb{R}' }, throwOnError: false },
+  });
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// The bundled KaTeX stylesheet with its woff2 fonts (scripts/styles/fonts) inlined as data URLs.
+// A font that cannot be loaded fails the export, the math would be drawn with the wrong glyphs.
+function loadExportHtmlKatexCss() {
+  if (!exportHtmlKatexCssPromise) {
+    const cssUrl = chrome.runtime.getURL('scripts/styles/katex.css');
+    exportHtmlKatexCssPromise = fetch(cssUrl).then((response) => {
+      if (!response.ok) throw new Error(`The KaTeX stylesheet could not be loaded: ${response.status}`);
+      return response.text();
+    }).then((css) => {
+      const fontFaces = css.match(/@font-face\s*{[^}]*}/g) || [];
+      return Promise.all(fontFaces.map(async (fontFace) => {
+        const fontUrl = fontFace.match(/url\(['"]?([^'")]+\.woff2)['"]?\)/)?.[1];
+        if (!fontUrl) throw new Error(`A KaTeX font face has no woff2 font: ${fontFace}`);
+        const response = await fetch(new URL(fontUrl, cssUrl)).catch(() => null);
+        if (!response?.ok) throw new Error(`The KaTeX font ${fontUrl} is missing from the extension`);
+        const dataUrl = await blobToDataUrl(await response.blob());
+        return fontFace.replace(/src:[^;]*;/, `src: url(${dataUrl}) format('woff2');`);
+      })).then((inlinedFontFaces) => {
+        const rules = fontFaces.reduce((rest, fontFace) => rest.replace(fontFace, ''), css);
+        return `${inlinedFontFaces.join('\n')}\n${rules}`;
+      });
+    }).catch((error) => {
+      exportHtmlKatexCssPromise = null;
+      console.error('Failed to load the KaTeX stylesheet for the HTML export:', error);
+      throw error;
+    });
+  }
+  return exportHtmlKatexCssPromise;
+}
+
+function exportHtmlMessageAnchor(message) {
+  return `message-${message.id}`;
+}
+
+/**
+ * Render one message
+ * @param {object} message - Canonical message (scripts/agents/ConversationModel.js)
+ * @param {string} exportMode - 'both' shows the author above each message
+ * @returns {string} HTML
+ */
+// eslint-disable-next-line no-unused-vars
+function exportMessageToHtml(message, exportMode) {
+  const { role, content: text } = message;
+  // prompts are shown as typed, answers are markdown
+  const content = role === 'assistant'
+    ? exportMarkdown.render(text.replace(/[^n}]\n\\/g, (match) => match.replace('\n\\', '\n\n\\')))
+    : escapeHtml(text);
+  return `<div class="message message-${role}" id="${exportHtmlMessageAnchor(message)}">${exportMode === 'both' ? `<div class="message-role">${escapeHtml(role.toUpperCase())}</div>` : ''}<div class="message-content">${content}</div></div>`;
+}
+
+// Table of contents linking to each prompt, or to each answer when only answers are exported
+function exportHtmlToc(messages) {
+  const userMessages = messages.filter((message) => message.role === 'user');
+  const entries = userMessages.length > 0 ? userMessages : messages;
+  if (entries.length < 2) return '';
+  const items = entries.map((message) => {
+    const firstLine = message.content.trim().split('\n')[0];
+    const label = firstLine.length > 80 ? `${firstLine.slice(0, 80)}...` : firstLine;
+    return `<li><a href="#${exportHtmlMessageAnchor(message)}">${escapeHtml(label || '...')}</a></li>`;
+  }).join('\n');
+  return `<nav class="toc"><strong>Contents</strong><ol>\n${items}\n</ol></nav>`;
+}
+
+/**
+ * A standalone HTML page for a conversation
+ * @param {object} conversation - Canonical conversation, for the title, date and model
+ * @param {string} body - Rendered messages
+ * @param {Array<object>} messages - Messages in the page, in reading order, for the table of contents
+ * @returns {Promise<string>} HTML document
+ */
+// eslint-disable-next-line no-unused-vars
+async function exportHtmlDocument(conversation, body, messages) {
+  // the KaTeX stylesheet and fonts are only needed when a message has math
+  const katexCss = body.includes('class="katex') ? await loadExportHtmlKatexCss() : '';
+  const createDate = conversation.createdAt ? new Date(conversation.createdAt).toLocaleString() : '';
+  const model = conversation.model || '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(conversation.title || 'Conversation')}</title>
+<style>${exportHtmlCss}${katexCss}</style>
+</head>
+<body>
+<h1 class="conversation-title">${escapeHtml(conversation.title || 'Conversation')}</h1>
+<div class="conversation-meta">${escapeHtml([createDate, model].filter(Boolean).join(' - '))}</div>
+${exportHtmlToc(messages)}
+${body}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,538 @@
+/* global exportHtmlDocument, agentManager, PdfWriter */
+// PDF export. The HTML export (scripts/content/exportHtml.js) is laid out in a hidden frame at the width of a page and
+// cut into pages between lines. PdfWriter writes the text where the frame has it, in the standard fonts, over the
+// backgrounds and borders of the elements. Images, formulas and text the standard fonts cannot write are drawn from
+// a picture of the page. The title is in the header, the page number in the footer, and the PDF has an outline entry
+// per message and the links. When the text cannot be written the pages are pictures, as JPEG images.
+
+// 20 mm, in points
+const EXPORT_PDF_MARGIN = 56.69;
+// canvas pixels per CSS pixel
+const EXPORT_PDF_SCALE = 2;
+const EXPORT_PDF_FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif';
+// Elements drawn from the picture of the page
+const EXPORT_PDF_PICTURE_SELECTOR = 'img, svg, canvas, video, .katex';
+// Share of the characters the standard fonts may lack before the pages are pictures
+const EXPORT_PDF_MAX_PICTURED_TEXT = 0.25;
+const EXPORT_PDF_HEADER_COLOR = [0x65 / 255, 0x6d / 255, 0x76 / 255];
+
+const exportPdfCss = `
+body { max-width: none; margin: 0; padding: 0; }
+nav.toc { display: none; }
+.message-content pre { white-space: pre-wrap; overflow-wrap: anywhere; }
+`;
+
+function exportPdfPointsToPixels(points) {
+  return (points * 4) / 3;
+}
+
+function exportPdfPixelsToPoints(pixels) {
+  return (pixels * 3) / 4;
+}
+
+// The document in a hidden frame as wide as the printable area of a page, every branch unfolded
+async function loadExportPdfFrame(html, width) {
+  const frame = document.createElement('iframe');
+  frame.style = `position:fixed;top:0px;left:-${width + 100}px;width:${width}px;height:100px;border:none;opacity:0;pointer-events:none;`;
+  document.body.appendChild(frame);
+  const frameDocument = frame.contentDocument;
+  frameDocument.open();
+  frameDocument.write(html.replace('</style>', `${exportPdfCss}</style>`));
+  frameDocument.close();
+  frameDocument.querySelectorAll('details').forEach((details) => {
+    details.open = true;
+  });
+  await frameDocument.fonts.ready;
+  frame.style.height = `${frameDocument.documentElement.scrollHeight}px`;
+  return frame;
+}
+
+// Where pages start, in CSS pixels. A page ends above the first line, table row, image or formula it would cut,
+// unless that is taller than a page.
+function exportPdfPageBreaks(frameDocument, pageHeight) {
+  const boxes = [];
+  const range = frameDocument.createRange();
+  const walker = frameDocument.createTreeWalker(frameDocument.body, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    range.selectNodeContents(walker.currentNode);
+    [...range.getClientRects()].forEach((rect) => boxes.push([rect.top, rect.bottom]));
+  }
+  frameDocument.querySelectorAll('img, tr, .katex, .katex-display').forEach((element) => {
+    const rect = element.getBoundingClientRect();
+    boxes.push([rect.top, rect.bottom]);
+  });
+
+  const totalHeight = frameDocument.documentElement.scrollHeight;
+  const breaks = [0];
+  let top = 0;
+  while (top + pageHeight < totalHeight) {
+    let bottom = top + pageHeight;
+    let moved = true;
+    while (moved) {
+      moved = false;
+      for (let i = 0; i < boxes.length; i += 1) {
+        const [boxTop, boxBottom] = boxes[i];
+        if (boxTop > top && boxTop < bottom && boxBottom > bottom) {
+          bottom = Math.floor(boxTop);
+          moved = true;
+        }
+      }
+    }
+    // nothing to break above, the page is cut at its bottom
+    if (bottom <= top) bottom = top + pageHeight;
+    breaks.push(bottom);
+    top = bottom;
+  }
+  return breaks;
+}
+
+// Index of the page a position in the document is on
+function exportPdfPageAt(breaks, top) {
+  let page = 0;
+  while (page + 1 < breaks.length && breaks[page + 1] <= top) page += 1;
+  return page;
+}
+
+// Part of the document as an image, through an SVG foreignObject so the browser draws it as it lays it out
+async function exportPdfSlice(xhtml, width, totalHeight, top, height) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><foreignObject x="0" y="${-top}" width="${width}" height="${totalHeight}">${xhtml}</foreignObject></svg>`;
+  const image = new Image();
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  await image.decode();
+  return image;
+}
+
+// The text cut to a width, measureWidth gives the width of a text
+function exportPdfEllipsis(measureWidth, text, maxWidth) {
+  if (measureWidth(text) <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && measureWidth(`${text.slice(0, end)}...`) > maxWidth) end -= 1;
+  return `${text.slice(0, end)}...`;
+}
+
+// Outline entry of a message: who wrote it and the start of its first line
+function exportPdfOutlineTitle(message) {
+  const firstLine = message.content.trim().split('\n')[0];
+  const label = firstLine.length > 80 ? `${firstLine.slice(0, 80)}...` : firstLine;
+  return `${message.role === 'user' ? 'You' : 'ChatGPT'}: ${label || '...'}`;
+}
+
+// RGB of a CSS color, 0 to 1, blended with the white page. Null when it is transparent
+function exportPdfColor(cssColor) {
+  const match = /rgba?\(([^)]+)\)/.exec(cssColor || '');
+  if (!match) return null;
+  const [red, green, blue, alpha = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+  if (!(alpha > 0)) return null;
+  return [red, green, blue].map((value) => 1 - alpha * (1 - value / 255));
+}
+
+function exportPdfFont(style) {
+  const monospace = /mono|courier|consolas|menlo/i.test(style.fontFamily);
+  const bold = Number(style.fontWeight) >= 600 || style.fontWeight === 'bold';
+  const italic = style.fontStyle === 'italic' || style.fontStyle === 'oblique';
+  const family = monospace ? 'Courier' : 'Helvetica';
+  if (bold && italic) return `${family}-BoldOblique`;
+  if (bold) return `${family}-Bold`;
+  if (italic) return `${family}-Oblique`;
+  return family;
+}
+
+// Backgrounds and borders of the elements, drawn under the text
+function exportPdfBoxes(frameDocument) {
+  const frameWindow = frameDocument.defaultView;
+  const boxes = [];
+  frameDocument.body.querySelectorAll('*').forEach((element) => {
+    if (element.parentElement.closest(EXPORT_PDF_PICTURE_SELECTOR)) return;
+    const style = frameWindow.getComputedStyle(element);
+    if (style.visibility === 'hidden') return;
+    // inline elements have a box on every line
+    const rects = style.display === 'inline' ? [...element.getClientRects()] : [element.getBoundingClientRect()];
+    const background = exportPdfColor(style.backgroundColor);
+    rects.forEach((rect) => {
+      if (rect.width === 0 || rect.height === 0) return;
+      if (background && background.some((value) => value < 1)) {
+        boxes.push({
+          left: rect.left, top: rect.top, width: rect.width, height: rect.height, color: background,
+        });
+      }
+      ['Top', 'Right', 'Bottom', 'Left'].forEach((side) => {
+        const width = parseFloat(style[`border${side}Width`]);
+        const color = exportPdfColor(style[`border${side}Color`]);
+        if (!(width > 0) || !color || style[`border${side}Style`] === 'none') return;
+        boxes.push({
+          left: side === 'Right' ? rect.right - width : rect.left,
+          top: side === 'Bottom' ? rect.bottom - width : rect.top,
+          width: side === 'Top' || side === 'Bottom' ? rect.width : width,
+          height: side === 'Left' || side === 'Right' ? rect.height : width,
+          color,
+        });
+      });
+    });
+  });
+  return boxes;
+}
+
+// The lines of a text node: the words on a line are one run, a word broken over lines is measured by character
+function exportPdfNodeRuns(range, node) {
+  const fragments = [];
+  const measure = (start, end) => {
+    range.setStart(node, start);
+    range.setEnd(node, end);
+    return [...range.getClientRects()].filter((rect) => rect.width > 0);
+  };
+  const words = /\S+/g;
+  let match = words.exec(node.data);
+  while (match) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const rects = measure(start, end);
+    if (rects.length === 1) {
+      fragments.push({ start, end, rect: rects[0] });
+    } else if (rects.length > 1) {
+      let offset = start;
+      [...match[0]].forEach((character) => {
+        const [rect] = measure(offset, offset + character.length);
+        if (rect) fragments.push({ start: offset, end: offset + character.length, rect });
+        offset += character.length;
+      });
+    }
+    match = words.exec(node.data);
+  }
+
+  const runs = [];
+  fragments.forEach(({ start, end, rect }) => {
+    const run = runs[runs.length - 1];
+    if (run && Math.abs(rect.top - run.top) < 1 && rect.left >= run.right - 1) {
+      run.end = end;
+      run.right = rect.right;
+      run.bottom = Math.max(run.bottom, rect.bottom);
+    } else {
+      runs.push({
+        start, end, left: rect.left, right: rect.right, top: rect.top, bottom: rect.bottom,
+      });
+    }
+  });
+  return runs;
+}
+
+// Runs of text with their font, in CSS pixels
+function exportPdfTextRuns(frameDocument) {
+  const frameWindow = frameDocument.defaultView;
+  const range = frameDocument.createRange();
+  const walker = frameDocument.createTreeWalker(frameDocument.body, NodeFilter.SHOW_TEXT);
+  const runs = [];
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const parent = node.parentElement;
+    if (!parent || parent.closest(EXPORT_PDF_PICTURE_SELECTOR) || !/\S/.test(node.data)) continue;
+    const style = frameWindow.getComputedStyle(parent);
+    if (style.visibility === 'hidden') continue;
+    const preformatted = style.whiteSpace.startsWith('pre') || style.whiteSpace === 'break-spaces';
+    const look = {
+      font: exportPdfFont(style),
+      size: exportPdfPixelsToPoints(parseFloat(style.fontSize)),
+      color: exportPdfColor(style.color) || [0, 0, 0],
+    };
+    exportPdfNodeRuns(range, node).forEach(({
+      start, end, left, right, top, bottom,
+    }) => {
+      const text = node.data.slice(start, end)
+        // zero width spaces and soft hyphens are not drawn
+        .replace(/[\u00ad\u200b-\u200d\ufeff]/g, '')
+        .replace(/\t/g, '    ')
+        .replace(preformatted ? /[\n\r\f\v]/g : /\s+/g, ' ');
+      runs.push({
+        text, left, top, width: right - left, height: bottom - top, ...look,
+      });
+    });
+  }
+  return runs;
+}
+
+// Bullets and numbers of the lists, the browser draws them without text nodes
+function exportPdfListMarkers(frameDocument) {
+  const frameWindow = frameDocument.defaultView;
+  const range = frameDocument.createRange();
+  const markers = [];
+  frameDocument.body.querySelectorAll('li').forEach((item) => {
+    const style = frameWindow.getComputedStyle(item);
+    if (style.display !== 'list-item' || style.listStyleType === 'none' || item.closest(EXPORT_PDF_PICTURE_SELECTOR)) return;
+    range.selectNodeContents(item);
+    const [line] = [...range.getClientRects()].filter((rect) => rect.height > 0);
+    if (!line) return;
+    const list = item.parentElement;
+    let text = '•';
+    if (list && list.tagName === 'OL') {
+      const items = [...list.children].filter((child) => child.tagName === 'LI');
+      text = `${(Number(list.getAttribute('start')) || 1) + items.indexOf(item)}.`;
+    }
+    const fontSize = parseFloat(style.fontSize);
+    const size = exportPdfPixelsToPoints(fontSize);
+    const width = exportPdfPointsToPixels(PdfWriter.textWidth(text, 'Helvetica', size));
+    markers.push({
+      text,
+      left: item.getBoundingClientRect().left - fontSize / 2 - width,
+      top: line.top,
+      height: line.height,
+      font: 'Helvetica',
+      size,
+      color: exportPdfColor(style.color) || [0, 0, 0],
+    });
+  });
+  return markers;
+}
+
+// A page drawn on a canvas in points, with a white background
+async function exportPdfPageCanvas(layout, pageIndex) {
+  const {
+    xhtml, breaks, totalHeight, contentWidth, pageWidth, pageHeight,
+  } = layout;
+  const top = breaks[pageIndex];
+  const height = (breaks[pageIndex + 1] ?? totalHeight) - top;
+  const slice = await exportPdfSlice(xhtml, contentWidth, totalHeight, top, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(exportPdfPointsToPixels(pageWidth) * EXPORT_PDF_SCALE);
+  canvas.height = Math.round(exportPdfPointsToPixels(pageHeight) * EXPORT_PDF_SCALE);
+  const context = canvas.getContext('2d');
+  // draw in points
+  context.scale(exportPdfPointsToPixels(EXPORT_PDF_SCALE), exportPdfPointsToPixels(EXPORT_PDF_SCALE));
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, pageWidth, pageHeight);
+  context.drawImage(slice, EXPORT_PDF_MARGIN, EXPORT_PDF_MARGIN, exportPdfPixelsToPoints(contentWidth), exportPdfPixelsToPoints(height));
+  return canvas;
+}
+
+function exportPdfJpeg(canvas) {
+  return {
+    jpeg: Uint8Array.from(atob(canvas.toDataURL('image/jpeg', 0.92).split(',')[1]), (c) => c.charCodeAt(0)),
+    pixelWidth: canvas.width,
+    pixelHeight: canvas.height,
+  };
+}
+
+// Title and date in the header and the page number in the footer, on a canvas that draws in points
+function exportPdfDrawHeaderOnCanvas(context, layout, pageIndex) {
+  const {
+    title, date, pageWidth, pageHeight, breaks,
+  } = layout;
+  context.font = `9px ${EXPORT_PDF_FONT}`;
+  context.fillStyle = '#656d76';
+  context.textBaseline = 'middle';
+  const headerY = EXPORT_PDF_MARGIN / 2;
+  const dateWidth = date ? context.measureText(date).width + 16 : 0;
+  context.textAlign = 'left';
+  context.fillText(exportPdfEllipsis((text) => context.measureText(text).width, title, pageWidth - 2 * EXPORT_PDF_MARGIN - dateWidth), EXPORT_PDF_MARGIN, headerY);
+  context.textAlign = 'right';
+  context.fillText(date, pageWidth - EXPORT_PDF_MARGIN, headerY);
+  context.textAlign = 'center';
+  context.fillText(`Page ${pageIndex + 1} of ${breaks.length}`, pageWidth / 2, pageHeight - EXPORT_PDF_MARGIN / 2);
+}
+
+function exportPdfDrawHeader(pdf, layout, pageIndex) {
+  const {
+    title, date, pageWidth, pageHeight, breaks,
+  } = layout;
+  const size = 9 * 0.75;
+  const baseline = (middle) => middle + size * 0.35;
+  const look = { size, color: EXPORT_PDF_HEADER_COLOR };
+  if (PdfWriter.canEncode(title + date)) {
+    const measureWidth = (text) => PdfWriter.textWidth(text, 'Helvetica', size);
+    const dateWidth = date ? measureWidth(date) + 12 : 0;
+    pdf.drawText(pageIndex, exportPdfEllipsis(measureWidth, title, pageWidth - 2 * EXPORT_PDF_MARGIN - dateWidth), { x: EXPORT_PDF_MARGIN, y: baseline(EXPORT_PDF_MARGIN / 2), ...look });
+    if (date) pdf.drawText(pageIndex, date, { x: pageWidth - EXPORT_PDF_MARGIN - measureWidth(date), y: baseline(EXPORT_PDF_MARGIN / 2), ...look });
+  } else {
+    // a picture of the header, the standard fonts do not have the letters of the title
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(exportPdfPointsToPixels(pageWidth) * EXPORT_PDF_SCALE);
+    canvas.height = Math.round(exportPdfPointsToPixels(EXPORT_PDF_MARGIN) * EXPORT_PDF_SCALE);
+    const context = canvas.getContext('2d');
+    context.scale(exportPdfPointsToPixels(EXPORT_PDF_SCALE), exportPdfPointsToPixels(EXPORT_PDF_SCALE));
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, pageWidth, EXPORT_PDF_MARGIN);
+    exportPdfDrawHeaderOnCanvas(context, layout, pageIndex);
+    pdf.drawJpeg(pageIndex, exportPdfJpeg(canvas).jpeg, {
+      pixelWidth: canvas.width, pixelHeight: canvas.height, x: 0, y: 0, width: pageWidth, height: EXPORT_PDF_MARGIN,
+    });
+  }
+  const pageNumber = `Page ${pageIndex + 1} of ${breaks.length}`;
+  pdf.drawText(pageIndex, pageNumber, {
+    x: (pageWidth - PdfWriter.textWidth(pageNumber, 'Helvetica', size)) / 2, y: baseline(pageHeight - EXPORT_PDF_MARGIN / 2), ...look,
+  });
+}
+
+// Pages as pictures
+async function exportPdfPicturePages(pdf, layout) {
+  const { breaks, pageWidth, pageHeight } = layout;
+  for (let i = 0; i < breaks.length; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const canvas = await exportPdfPageCanvas(layout, i);
+    exportPdfDrawHeaderOnCanvas(canvas.getContext('2d'), layout, i);
+    const { jpeg, pixelWidth, pixelHeight } = exportPdfJpeg(canvas);
+    pdf.drawJpeg(pdf.addPage(pageWidth, pageHeight), jpeg, {
+      pixelWidth, pixelHeight, x: 0, y: 0, width: pageWidth, height: pageHeight,
+    });
+  }
+}
+
+// Pages with text. Returns false when too much of the text needs the picture of the page
+async function exportPdfTextPages(pdf, layout) {
+  const {
+    frameDocument, breaks, totalHeight, pageWidth, pageHeight,
+  } = layout;
+  const runs = [...exportPdfTextRuns(frameDocument), ...exportPdfListMarkers(frameDocument)];
+  const pictured = runs.filter((run) => !PdfWriter.canEncode(run.text));
+  const characters = (list) => list.reduce((total, run) => total + run.text.length, 0);
+  if (characters(pictured) > characters(runs) * EXPORT_PDF_MAX_PICTURED_TEXT) return false;
+
+  const boxes = exportPdfBoxes(frameDocument);
+  const pictures = [
+    ...[...frameDocument.querySelectorAll(EXPORT_PDF_PICTURE_SELECTOR)]
+      .filter((element) => !element.parentElement.closest(EXPORT_PDF_PICTURE_SELECTOR))
+      .map((element) => element.getBoundingClientRect()),
+    ...pictured,
+  ];
+  // the part of a box on a page, in points
+  const onPage = (box, pageIndex) => {
+    const top = breaks[pageIndex];
+    const bottom = breaks[pageIndex + 1] ?? totalHeight;
+    const boxTop = Math.max(box.top, top);
+    const boxBottom = Math.min(box.top + box.height, bottom);
+    if (boxBottom <= boxTop || box.width <= 0) return null;
+    return {
+      x: EXPORT_PDF_MARGIN + exportPdfPixelsToPoints(box.left),
+      y: EXPORT_PDF_MARGIN + exportPdfPixelsToPoints(boxTop - top),
+      width: exportPdfPixelsToPoints(box.width),
+      height: exportPdfPixelsToPoints(boxBottom - boxTop),
+    };
+  };
+
+  for (let i = 0; i < breaks.length; i += 1) {
+    const pageIndex = pdf.addPage(pageWidth, pageHeight);
+    boxes.forEach((box) => {
+      const rect = onPage(box, i);
+      if (rect) pdf.fillRect(pageIndex, rect, box.color);
+    });
+
+    const pagePictures = pictures.map((picture) => onPage(picture, i)).filter(Boolean);
+    if (pagePictures.length > 0) {
+      // eslint-disable-next-line no-await-in-loop
+      const canvas = await exportPdfPageCanvas(layout, i);
+      const pixelsPerPoint = canvas.width / pageWidth;
+      pagePictures.forEach(({
+        x, y, width, height,
+      }) => {
+        const crop = document.createElement('canvas');
+        crop.width = Math.max(1, Math.ceil(width * pixelsPerPoint));
+        crop.height = Math.max(1, Math.ceil(height * pixelsPerPoint));
+        crop.getContext('2d').drawImage(canvas, x * pixelsPerPoint, y * pixelsPerPoint, crop.width, crop.height, 0, 0, crop.width, crop.height);
+        const { jpeg, pixelWidth, pixelHeight } = exportPdfJpeg(crop);
+        pdf.drawJpeg(pageIndex, jpeg, {
+          pixelWidth, pixelHeight, x, y, width: crop.width / pixelsPerPoint, height: crop.height / pixelsPerPoint,
+        });
+      });
+    }
+
+    runs.forEach((run) => {
+      if (exportPdfPageAt(breaks, run.top) !== i || !PdfWriter.canEncode(run.text)) return;
+      // the baseline, below the middle of the line by a third of the font size
+      const middle = run.top + run.height / 2 - breaks[i];
+      pdf.drawText(pageIndex, run.text, {
+        x: EXPORT_PDF_MARGIN + exportPdfPixelsToPoints(run.left),
+        y: EXPORT_PDF_MARGIN + exportPdfPixelsToPoints(middle) + run.size * 0.33,
+        size: run.size,
+        font: run.font,
+        color: run.color,
+        width: run.width === undefined ? undefined : exportPdfPixelsToPoints(run.width),
+      });
+    });
+    exportPdfDrawHeader(pdf, layout, pageIndex);
+  }
+  return true;
+}
+
+/**
+ * A PDF of a conversation
+ * @param {object} conversation - Canonical conversation (scripts/agents/ConversationModel.js)
+ * @param {string} body - Rendered messages
+ * @param {Array<object>} messages - Messages in the body, in reading order, for the outline
+ * @param {object} [options] - Page options
+ * @param {string} [options.pageSize='A4'] - 'A4', 'Letter' or 'Legal'
+ * @param {string} [options.orientation='portrait'] - 'portrait' or 'landscape'
+ * @returns {Promise<Uint8Array>} PDF file
+ */
+// eslint-disable-next-line no-unused-vars
+async function exportPdfDocument(conversation, body, messages, { pageSize = 'A4', orientation = 'portrait' } = {}) {
+  const [pageWidth, pageHeight] = PdfWriter.pageSize(pageSize, orientation);
+  const contentWidth = Math.floor(exportPdfPointsToPixels(pageWidth - 2 * EXPORT_PDF_MARGIN));
+  const contentHeight = Math.floor(exportPdfPointsToPixels(pageHeight - 2 * EXPORT_PDF_MARGIN));
+  const frame = await loadExportPdfFrame(await exportHtmlDocument(conversation, body, messages), contentWidth);
+  try {
+    const frameDocument = frame.contentDocument;
+    const totalHeight = frameDocument.documentElement.scrollHeight;
+    const breaks = exportPdfPageBreaks(frameDocument, contentHeight);
+    const layout = {
+      frameDocument,
+      breaks,
+      totalHeight,
+      contentWidth,
+      pageWidth,
+      pageHeight,
+      xhtml: new XMLSerializer().serializeToString(frameDocument.documentElement),
+      title: conversation.title || 'Untitled Conversation',
+      date: conversation.createdAt ? new Date(conversation.createdAt).toLocaleDateString() : '',
+    };
+    const createPdf = () => new PdfWriter({ title: layout.title, creator: 'Superpower ChatGPT' });
+
+    let pdf = createPdf();
+    let text = false;
+    try {
+      text = await exportPdfTextPages(pdf, layout);
+    } catch (error) {
+      console.warn('Failed to write the PDF text, the pages are pictures:', error);
+    }
+    if (!text) {
+      pdf = createPdf();
+      await exportPdfPicturePages(pdf, layout);
+    }
+
+    messages.forEach((message) => {
+      const element = frameDocument.getElementById(`message-${message.id}`);
+      if (!element) return;
+      const top = element.getBoundingClientRect().top;
+      const page = exportPdfPageAt(breaks, top);
+      pdf.addOutlineItem(exportPdfOutlineTitle(message), page, EXPORT_PDF_MARGIN + exportPdfPixelsToPoints(top - breaks[page]));
+    });
+
+    frameDocument.querySelectorAll('a[href^="http"]').forEach((anchor) => {
+      [...anchor.getClientRects()].forEach((rect) => {
+        const page = exportPdfPageAt(breaks, rect.top);
+        // a link cut by a page break keeps the part on the first page
+        const bottom = Math.min(rect.bottom, breaks[page + 1] ?? totalHeight);
+        pdf.addLink(page, {
+          x: EXPORT_PDF_MARGIN + exportPdfPixelsToPoints(rect.left),
+          y: EXPORT_PDF_MARGIN + exportPdfPixelsToPoints(rect.top - breaks[page]),
+          width: exportPdfPixelsToPoints(rect.width),
+          height: exportPdfPixelsToPoints(bottom - rect.top),
+        }, anchor.href);
+      });
+    });
+
+    const file = pdf.toUint8Array();
+    // the export agent keeps the export history and stats
+    agentManager.dispatchTask({
+      type: 'exportToPDF',
+      data: {
+        conversationId: conversation.id,
+        title: layout.title,
+        pageCount: breaks.length,
+        size: file.length,
+        text,
+        options: { pageSize, orientation },
+      },
+      persist: false,
+    }).catch((error) => console.error('Failed to record the PDF export:', error));
+    return file;
+  } finally {
+    frame.remove();
+  }
+}
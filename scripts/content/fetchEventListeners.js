@@ -1,4 +1,4 @@
-/* global getAllPlugins, getInstalledPlugins */
+/* global getAllPlugins, getInstalledPlugins, agentEventBridge */
 
 window.addEventListener('authReceived', (event) => {
   chrome.runtime.sendMessage({ authReceived: true, detail: event.detail });
@@ -12,6 +12,16 @@ window.addEventListener('conversationLimitReceived', (event) => {
   chrome.storage.local.set({
     conversationLimit: event.detail,
   });
+  // same count as the GPT-4 counter (addGpt4Counter)
+  const { message_cap: messageCap, message_cap_window: messageCapWindow } = event.detail;
+  chrome.storage.local.get(['gpt4Timestamps'], ({ gpt4Timestamps = [] }) => {
+    const now = Date.now();
+    const used = gpt4Timestamps.filter((timestamp) => now - timestamp < messageCapWindow * 60 * 1000).length;
+    if (used < messageCap) return;
+    agentEventBridge.modelCapReached({
+      model: 'gpt-4', messageCap, messageCapWindow, used, source: 'limit',
+    });
+  });
 });
 
 window.addEventListener('modelsReceived', (event) => {
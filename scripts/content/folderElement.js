@@ -1,16 +1,20 @@
 /* eslint-disable no-unused-vars */
 /* eslint-disable no-restricted-globals */
-/* global createConversation, Sortable, deleteConversation, showNewChatPage, notSelectedClassList, deleteConversationOnDragToTrash */
+/* global createConversation, Sortable, deleteConversation, showNewChatPage, notSelectedClassList, deleteConversationOnDragToTrash, conversationRepository, highlight, isWindows, loadConversation, parseConversationQuery, savedSearchToQuery, searchHighlightText, deleteSmartFolder, folderTreeChildren, folderTreeBreadcrumbs, folderTreeOnDragEnd, startNewChatInFolder, createFolderSettingsModal, emptyTrashWithUndo, offerFolderUndo, createTrashModal */
 
-function createFolder(folder, conversationTimestamp, conversations = [], isNewFolder = false) {
+// `folders` are the folders of conversationsOrder, the subfolders of this folder are drawn in it
+function createFolder(folder, conversationTimestamp, conversations = [], isNewFolder = false, folders = []) {
   // generate random uuid
   const folderId = folder.id;
+  const subfolders = folderTreeChildren(folders, folderId);
 
   const folderElementWrapper = document.createElement('div');
   folderElementWrapper.id = `wrapper-folder-${folderId}`;
   folderElementWrapper.classList = 'flex w-full';
   folderElementWrapper.style = 'flex-wrap: wrap;';
   folderElementWrapper.addEventListener('click', (e) => {
+    // the wrappers of the folders this one is in get the click too
+    e.stopPropagation();
     // click on the sideline: if clicked element is not folder and not folder content
     if (!e.srcElement.id.startsWith('folder-') && !e.srcElement.id.startsWith('folder-content-') && !e.srcElement.id.startsWith('empty-folder-')) {
       const curFolderId = e.srcElement.id.split('wrapper-folder-')[1];
@@ -21,7 +25,7 @@ function createFolder(folder, conversationTimestamp, conversations = [], isNewFo
   // folder element
   const folderElement = document.createElement('div');
   folderElement.id = `folder-${folderId}`;
-  folderElement.classList = 'flex py-3 px-3 pr-3 w-full items-center gap-3 relative rounded-md hover:bg-[#2A2B32] cursor-pointer break-all hover:pr-20 group';
+  folderElement.classList = `flex py-3 px-3 pr-3 w-full items-center gap-3 relative rounded-md hover:bg-[#2A2B32] cursor-pointer break-all ${folderId === 'trash' ? 'hover:pr-20' : 'hover:pr-32'} group`;
   folderElement.style.backgroundColor = folder.color || 'transparent';
   folderElement.addEventListener('click', (e) => {
     e.preventDefault();
@@ -51,7 +55,7 @@ function createFolder(folder, conversationTimestamp, conversations = [], isNewFo
   folderTitle.id = `title-folder-${folderId}`;
   folderTitle.classList = 'flex-1 text-ellipsis max-h-5 overflow-hidden break-all relative text-white';
   folderTitle.innerHTML = folder.name;
-  folderElement.title = folder.name;
+  folderElement.title = folder.parentId ? folderTreeBreadcrumbs(folders, folderId) : folder.name;
   folderElement.appendChild(folderTitle);
 
   // folder content
@@ -63,6 +67,9 @@ function createFolder(folder, conversationTimestamp, conversations = [], isNewFo
   folderContent.style.marginLeft = '16px';
   folderContent.style.display = folder.isOpen ? 'block' : 'none';
 
+  subfolders.forEach((subfolder) => {
+    folderContent.appendChild(createFolder(subfolder, conversationTimestamp, conversations, false, folders));
+  });
   let shouldUpdateConversationOrder = false;
   if (folder.conversationIds.length > 0) {
     folder.conversationIds.forEach((conversationId, index) => {
@@ -88,7 +95,7 @@ function createFolder(folder, conversationTimestamp, conversations = [], isNewFo
         chrome.storage.local.set({ conversationsOrder });
       });
     }
-  } else {
+  } else if (subfolders.length === 0) {
     folderContent.appendChild(emptyFolderElement(folderId));
   }
 
@@ -98,7 +105,7 @@ function createFolder(folder, conversationTimestamp, conversations = [], isNewFo
   // add checkbox
   // addCheckboxToConversationElement(conversationElement, conversation);
   const sortable = Sortable.create(folderContent, {
-    draggable: '[id^="conversation-button-"]:not(:has([id^=conversation-rename-]))',
+    draggable: '[id^="conversation-button-"]:not(:has([id^=conversation-rename-])), [id^="wrapper-folder-"]:not(:has([id^=rename-folder-])):not(:has([id^=conversation-rename-]))',
     direction: 'vertical',
     invertSwap: true,
     disabled: false,
@@ -113,45 +120,11 @@ function createFolder(folder, conversationTimestamp, conversations = [], isNewFo
       },
       // eslint-disable-next-line func-names, object-shorthand
       put: function (to, from, dragged) {
-        return !dragged.id.startsWith('wrapper-folder-');
+        // folders can go in other folders, but not in the trash or in their own subfolders
+        return !dragged.id.startsWith('wrapper-folder-') || (folderId !== 'trash' && !dragged.contains(to.el));
       },
     },
-    onEnd: (event) => {
-      const {
-        item, to, from, oldIndex, newIndex, oldDraggableIndex, newDraggableIndex,
-      } = event;
-      const itemId = item.id.split('conversation-button-')[1];
-      const isFolder = item.id.startsWith('wrapper-folder-');
-      const isToFolder = to.id.startsWith('folder-content-');
-      const fromId = from.id.split('folder-content-')[1];
-      const toId = isToFolder ? to.id.split('folder-content-')[1] : 'conversation-list';
-      if (oldDraggableIndex === newDraggableIndex && toId === fromId) return;
-
-      chrome.storage.local.get(['conversationsOrder'], (result) => {
-        const { conversationsOrder } = result;
-        const fromFolderIndex = conversationsOrder.findIndex((c) => c.id === fromId);
-        const fromFolder = conversationsOrder[fromFolderIndex];
-        fromFolder.conversationIds.splice(oldDraggableIndex, 1);
-        if (fromFolder.conversationIds.length === 0) {
-          from.appendChild(emptyFolderElement(folderId));
-        }
-        if (isToFolder) {
-          const curEmptyFolder = document.querySelector(`#empty-folder-${toId}`);
-          if (curEmptyFolder) curEmptyFolder.remove();
-          const toFolderIndex = conversationsOrder.findIndex((c) => c.id === toId);
-          const toFolder = conversationsOrder[toFolderIndex];
-          toFolder.conversationIds.splice(newDraggableIndex, 0, itemId);
-          conversationsOrder.splice(toFolderIndex, 1, toFolder);
-          if (!isFolder && toId === 'trash' && fromId !== 'trash') {
-            deleteConversationOnDragToTrash(itemId);
-          }
-        } else {
-          conversationsOrder.splice(newIndex - 1, 0, itemId); // if adding to conversation list use index-1(for search box)
-        }
-
-        chrome.storage.local.set({ conversationsOrder });
-      });
-    },
+    onEnd: folderTreeOnDragEnd,
   });
   folderElementWrapper.appendChild(folderElement);
   folderElementWrapper.appendChild(folderContent);
@@ -215,6 +188,36 @@ function folderActions(folderId) {
       actionsWrapper.replaceWith(folderConfirmActions(conversationsOrder.find((conv) => conv.id === folderId), 'edit'));
     });
   });
+  const newChatButton = document.createElement('button');
+  newChatButton.id = `new-chat-in-folder-${folderId}`;
+  newChatButton.classList = 'p-1 hover:text-white';
+  newChatButton.title = 'New chat in this folder';
+  newChatButton.innerHTML = '<svg stroke="currentColor" fill="none" stroke-width="2" viewBox="0 0 24 24" stroke-linecap="round" stroke-linejoin="round" class="h-4 w-4" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>';
+  newChatButton.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    startNewChatInFolder(folderId);
+  });
+  const folderSettingsButton = document.createElement('button');
+  folderSettingsButton.id = `folder-settings-${folderId}`;
+  folderSettingsButton.classList = 'p-1 hover:text-white';
+  folderSettingsButton.title = 'Folder settings';
+  folderSettingsButton.innerHTML = '<svg stroke="currentColor" fill="none" stroke-width="2" viewBox="0 0 24 24" stroke-linecap="round" stroke-linejoin="round" class="h-4 w-4" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><circle cx="12" cy="12" r="3"></circle><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 2.83-2.83l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z"></path></svg>';
+  folderSettingsButton.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    createFolderSettingsModal(folderId);
+  });
+  const trashLogButton = document.createElement('button');
+  trashLogButton.id = `trash-log-${folderId}`;
+  trashLogButton.classList = 'p-1 hover:text-white';
+  trashLogButton.title = 'Restore conversations and see the deletion log';
+  trashLogButton.innerHTML = '<svg stroke="currentColor" fill="none" stroke-width="2" viewBox="0 0 24 24" stroke-linecap="round" stroke-linejoin="round" class="h-4 w-4" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><polyline points="1 4 1 10 7 10"></polyline><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path></svg>';
+  trashLogButton.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    createTrashModal();
+  });
   const deleteFolderButton = document.createElement('button');
   deleteFolderButton.classList = 'p-1 hover:text-white';
   deleteFolderButton.innerHTML = '<svg stroke="currentColor" fill="none" stroke-width="2" viewBox="0 0 24 24" stroke-linecap="round" stroke-linejoin="round" class="h-4 w-4" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line></svg>';
@@ -234,7 +237,11 @@ function folderActions(folderId) {
   });
   actionsWrapper.appendChild(changeColorButton);
   if (folderId !== 'trash') {
+    actionsWrapper.appendChild(newChatButton);
+    actionsWrapper.appendChild(folderSettingsButton);
     actionsWrapper.appendChild(editFolderNameButton);
+  } else {
+    actionsWrapper.appendChild(trashLogButton);
   }
   actionsWrapper.appendChild(deleteFolderButton);
   return actionsWrapper;
@@ -381,14 +388,11 @@ function folderConfirmActions(folder, action) {
 }
 function emptyTrash() {
   showNewChatPage();
-  chrome.storage.local.get(['conversations', 'conversationsOrder'], (result) => {
-    const { conversations, conversationsOrder } = result;
-    const newConversations = {};
-    Object.keys(conversations).forEach((key) => {
-      if (!conversations[key].archived) {
-        newConversations[key] = conversations[key];
-      }
-    });
+  Promise.all([
+    chrome.storage.local.get(['conversationsOrder']),
+    conversationRepository.getSummaries(),
+  ]).then(([{ conversationsOrder }, conversations]) => {
+    const archivedConversationIds = Object.keys(conversations).filter((key) => conversations[key].archived);
     const newConversationsOrder = conversationsOrder;
 
     const trashFolderContent = document.querySelector('#folder-content-trash');
@@ -401,10 +405,12 @@ function emptyTrash() {
     }
 
     const trashFolder = conversationsOrder?.find((f) => f.id === 'trash');
+    const trashConversationIds = trashFolder.conversationIds;
     trashFolder.conversationIds = [];
 
+    // removed from the local store once the undo toast is gone
+    emptyTrashWithUndo(archivedConversationIds, trashConversationIds);
     chrome.storage.local.set({
-      conversations: newConversations,
       conversationsOrder: newConversationsOrder.map((f) => {
         if (f.id === 'trash') {
           return trashFolder;
@@ -415,8 +421,10 @@ function emptyTrash() {
   });
 }
 function deleteFolder(folder) {
-  chrome.storage.local.get(['conversations', 'conversationsOrder'], (result) => {
-    const { conversations, conversationsOrder } = result;
+  Promise.all([
+    chrome.storage.local.get(['conversationsOrder']),
+    conversationRepository.getSummaries(),
+  ]).then(([{ conversationsOrder }, conversations]) => {
     let newConversationsOrder = conversationsOrder;
 
     const trashFolder = newConversationsOrder?.find((f) => f.id === 'trash');
@@ -429,7 +437,7 @@ function deleteFolder(folder) {
     for (let i = 0; i < selectedConversationIds.length; i += 1) {
       const conv = Object.values(conversations).find((c) => c.id === selectedConversationIds[i]);
       if (!conv) continue;
-      promises.push(deleteConversation(conv.id).then((data) => {
+      promises.push(deleteConversation(conv.id, 'folder').then((data) => {
         if (data.success) {
           successfullyDeletedConvIds.push(conv.id);
           const conversationElement = document.querySelector(`#conversation-button-${conv.id}`);
@@ -456,35 +464,40 @@ function deleteFolder(folder) {
     // set archived = true for all selected conversations
     Promise.all(promises).then(() => {
       if (successfullyDeletedConvIds.length === folder.conversationIds.length) {
+        const folderElementWrapper = document.querySelector(`#wrapper-folder-${folder.id}`);
+        // subfolders move up to where the folder was
+        const subfolders = folderTreeChildren(conversationsOrder, folder.id);
+        subfolders.forEach((subfolder) => {
+          if (folder.parentId) {
+            subfolder.parentId = folder.parentId;
+          } else {
+            delete subfolder.parentId;
+          }
+          const subfolderElementWrapper = document.querySelector(`#wrapper-folder-${subfolder.id}`);
+          if (folderElementWrapper && subfolderElementWrapper) folderElementWrapper.before(subfolderElementWrapper);
+        });
         // remove folder element
-        document.querySelector(`#wrapper-folder-${folder.id}`)?.remove();
+        folderElementWrapper?.remove();
         // remove folder from conversationsOrder
         newConversationsOrder = conversationsOrder.filter((f) => f.id !== folder.id);
+        // a folder with conversations comes back when they are restored
+        if (folder.conversationIds.length === 0) {
+          offerFolderUndo(folder, subfolders.map((subfolder) => subfolder.id));
+        }
       }
-      const newConversations = conversations
-        ? Object.keys(conversations).reduce(
-          (acc, key) => {
-            if (successfullyDeletedConvIds.includes(key)) {
-              acc[key] = {
-                ...conversations[key],
-                archived: true,
-              };
-            } else {
-              acc[key] = {
-                ...conversations[key],
-              };
-            }
-            return acc;
-          },
-          {},
-        )
-        : {};
+      const archivedConversations = successfullyDeletedConvIds.reduce(
+        (acc, key) => {
+          acc[key] = { archived: true };
+          return acc;
+        },
+        {},
+      );
       trashFolder.conversationIds = [...successfullyDeletedConvIds, ...trashFolder.conversationIds];
       // remove duplicate conversationIds
       trashFolder.conversationIds = [...new Set(trashFolder.conversationIds)];
 
+      conversationRepository.patchMany(archivedConversations);
       chrome.storage.local.set({
-        conversations: newConversations,
         conversationsOrder: newConversationsOrder.map((f) => {
           if (f.id === 'trash') {
             return trashFolder;
@@ -495,3 +508,100 @@ function deleteFolder(folder) {
     });
   });
 }
+// A saved search shown as a folder. Its conversations are links to the conversations in the list,
+// they cannot be dragged and the folder is refilled whenever conversations or saved searches change.
+function createSmartFolder(savedSearch, smartFolderId, conversations, isOpen = false) {
+  const folderElementWrapper = document.createElement('div');
+  folderElementWrapper.id = `wrapper-smart-folder-${smartFolderId}`;
+  folderElementWrapper.classList = 'flex w-full';
+  folderElementWrapper.style = 'flex-wrap: wrap;';
+  folderElementWrapper.dataset.name = savedSearch.name;
+
+  const folderElement = document.createElement('div');
+  folderElement.id = `smart-folder-${smartFolderId}`;
+  folderElement.classList = 'flex py-3 px-3 pr-3 w-full items-center gap-3 relative rounded-md hover:bg-[#2A2B32] cursor-pointer break-all hover:pr-20 group';
+  folderElement.title = `${savedSearch.name}\n${savedSearchToQuery(savedSearch)}`;
+
+  const folderIcon = document.createElement('img');
+  folderIcon.classList = 'w-4 h-4';
+  folderIcon.src = chrome.runtime.getURL('icons/bookmark-on.png');
+  folderElement.appendChild(folderIcon);
+
+  const folderTitle = document.createElement('div');
+  folderTitle.classList = 'flex-1 text-ellipsis max-h-5 overflow-hidden break-all relative text-white';
+  folderTitle.textContent = savedSearch.name;
+  folderElement.appendChild(folderTitle);
+
+  const folderCount = document.createElement('div');
+  folderCount.classList = 'text-xs text-gray-500 group-hover:invisible';
+  folderCount.textContent = conversations.length;
+  folderElement.appendChild(folderCount);
+
+  const actionsWrapper = document.createElement('div');
+  actionsWrapper.classList = 'absolute flex right-1 z-10 text-gray-300 invisible group-hover:visible';
+  const deleteSmartFolderButton = document.createElement('button');
+  deleteSmartFolderButton.classList = 'p-1 hover:text-white';
+  deleteSmartFolderButton.title = 'Delete saved search';
+  deleteSmartFolderButton.innerHTML = '<svg stroke="currentColor" fill="none" stroke-width="2" viewBox="0 0 24 24" stroke-linecap="round" stroke-linejoin="round" class="h-4 w-4" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line></svg>';
+  deleteSmartFolderButton.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    deleteSmartFolder(savedSearch.name);
+  });
+  actionsWrapper.appendChild(deleteSmartFolderButton);
+  folderElement.appendChild(actionsWrapper);
+
+  const folderContent = document.createElement('div');
+  folderContent.id = `smart-folder-content-${smartFolderId}`;
+  folderContent.classList = 'w-full border-l border-gray-500';
+  folderContent.style.borderColor = '#8e8ea0';
+  folderContent.style.borderBottomLeftRadius = '6px';
+  folderContent.style.marginLeft = '16px';
+  folderContent.style.display = isOpen ? 'block' : 'none';
+  folderElementWrapper.dataset.isOpen = isOpen ? 'true' : 'false';
+
+  const { text } = parseConversationQuery(savedSearchToQuery(savedSearch));
+  conversations.forEach((conversation) => {
+    const conversationLink = document.createElement('a');
+    conversationLink.classList = notSelectedClassList;
+    conversationLink.title = conversation.title;
+    const conversationIcon = document.createElement('img');
+    conversationIcon.classList = 'w-4 h-4';
+    conversationIcon.src = chrome.runtime.getURL(conversation.archived ? 'icons/trash.png' : 'icons/bubble.png');
+    conversationLink.appendChild(conversationIcon);
+    const conversationTitle = document.createElement('div');
+    conversationTitle.classList = 'flex-1 text-ellipsis max-h-5 overflow-hidden break-all relative';
+    conversationTitle.innerHTML = highlight(conversation.title, searchHighlightText(text));
+    conversationLink.appendChild(conversationTitle);
+    conversationLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.metaKey || (isWindows() && e.ctrlKey)) {
+        window.open(`${window.location.origin}/c/${conversation.id}`, '_blank');
+        return;
+      }
+      window.history.pushState({}, '', `${window.location.origin}/c/${conversation.id}`);
+      const searchHit = conversation.searchHits?.find((hit) => hit.messageId);
+      loadConversation(conversation.id, searchHighlightText(text), true, searchHit?.messageId);
+    });
+    folderContent.appendChild(conversationLink);
+  });
+  if (conversations.length === 0) {
+    const emptyFolder = document.createElement('div');
+    emptyFolder.classList = 'flex w-full p-3 text-xs text-gray-500';
+    emptyFolder.innerHTML = 'No matching conversations.';
+    folderContent.appendChild(emptyFolder);
+  }
+
+  folderElement.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const open = folderContent.style.display === 'none';
+    folderContent.style.display = open ? 'block' : 'none';
+    folderElementWrapper.dataset.isOpen = open ? 'true' : 'false';
+  });
+
+  folderElementWrapper.appendChild(folderElement);
+  folderElementWrapper.appendChild(folderContent);
+  return folderElementWrapper;
+}
@@ -0,0 +1,434 @@
+/* global createModal, toast, showNewChatPage, setUserSystemMessage, toneList, languageList, emptyFolderElement, deleteConversationOnDragToTrash */
+// Nested folders. Folders stay flat objects in conversationsOrder, a subfolder has the id of the folder it is in as
+// `parentId` and createFolder draws it inside that folder. Folders can also have:
+// - `defaults`: { model, profileId, tone, language }, applied when a new chat is started from the folder. Subfolders
+//   use the defaults of the folders they are in for the fields they leave empty.
+// - `rules`: [{ type: 'title' | 'model', pattern }], conversations autoSave.js adds are filed in the first folder with a
+//   matching rule. Title patterns are case insensitive regular expressions, model patterns are model slugs.
+
+// Folder a new chat was started from, the conversation created next is filed there
+let folderNewChatId = null;
+
+function folderTreeFind(conversationsOrder, folderId) {
+  if (!folderId || folderId === 'trash') return undefined;
+  return conversationsOrder.find((entry) => entry && typeof entry === 'object' && entry.id === folderId);
+}
+
+// All folders but the trash, in sidebar order
+function folderTreeFolders(conversationsOrder) {
+  return (conversationsOrder || []).filter((entry) => entry && typeof entry === 'object' && entry.id !== 'trash');
+}
+
+// The folder a folder is in, undefined for top level folders. A missing folder or a loop of parentIds counts as top level
+function folderTreeParent(conversationsOrder, folder) {
+  const parent = folderTreeFind(conversationsOrder, folder?.parentId);
+  const seen = new Set([folder?.id]);
+  for (let current = parent; current; current = folderTreeFind(conversationsOrder, current.parentId)) {
+    if (seen.has(current.id)) return undefined;
+    seen.add(current.id);
+  }
+  return parent;
+}
+
+function folderTreeChildren(conversationsOrder, folderId) {
+  return folderTreeFolders(conversationsOrder).filter((folder) => folderTreeParent(conversationsOrder, folder)?.id === folderId);
+}
+
+// The folders from the top level down to this one, for breadcrumbs
+function folderTreePath(conversationsOrder, folderId) {
+  const path = [];
+  for (let folder = folderTreeFind(conversationsOrder, folderId); folder; folder = folderTreeParent(conversationsOrder, folder)) {
+    path.unshift(folder);
+  }
+  return path;
+}
+
+// eslint-disable-next-line no-unused-vars
+function folderTreeBreadcrumbs(conversationsOrder, folderId) {
+  return folderTreePath(conversationsOrder, folderId).map((folder) => folder.name).join(' › ');
+}
+
+// The folder a conversation is in, undefined for conversations at the top level
+// eslint-disable-next-line no-unused-vars
+function folderTreeContaining(conversationsOrder, conversationId) {
+  return folderTreeFolders(conversationsOrder).find((folder) => folder.conversationIds?.includes(conversationId));
+}
+
+// Defaults of a folder, with the empty fields taken from the folders it is in
+function folderTreeDefaults(conversationsOrder, folderId) {
+  return folderTreePath(conversationsOrder, folderId).reduce((defaults, folder) => {
+    Object.entries(folder.defaults || {}).forEach(([key, value]) => {
+      if (value) defaults[key] = value;
+    });
+    return defaults;
+  }, {});
+}
+
+function folderRuleMatches(rule, { title, model }) {
+  if (!rule?.pattern) return false;
+  if (rule.type === 'model') return Boolean(model) && model === rule.pattern;
+  try {
+    return new RegExp(rule.pattern, 'i').test(title || '');
+  } catch (error) {
+    return false;
+  }
+}
+
+// The first folder, in sidebar order, with a rule matching the conversation
+function folderTreeRuleFolder(conversationsOrder, conversation) {
+  return folderTreeFolders(conversationsOrder).find((folder) => (folder.rules || []).some((rule) => folderRuleMatches(rule, conversation)));
+}
+
+// Take a conversation out of the top level and the folders
+function folderTreeRemoveConversation(conversationsOrder, conversationId) {
+  const index = conversationsOrder.indexOf(conversationId);
+  if (index !== -1) conversationsOrder.splice(index, 1);
+  conversationsOrder.forEach((entry) => {
+    if (entry && typeof entry === 'object' && entry.conversationIds) {
+      entry.conversationIds = entry.conversationIds.filter((id) => id !== conversationId);
+    }
+  });
+}
+
+// Put a conversation at the top of a folder, in place in conversationsOrder
+function folderTreeFile(conversationsOrder, conversationId, folderId) {
+  const folder = folderTreeFind(conversationsOrder, folderId);
+  if (!folder) return conversationsOrder;
+  folderTreeRemoveConversation(conversationsOrder, conversationId);
+  folder.conversationIds.unshift(conversationId);
+  return conversationsOrder;
+}
+
+// Folder for a conversation autoSave.js adds: the folder a new chat was started from, or the first matching rule.
+// conversationsOrder already has the conversation at the top level. Files it and returns the folder, or undefined
+// eslint-disable-next-line no-unused-vars
+function folderTreeAutoFile(conversationsOrder, conversation, isNewChat = false) {
+  const newChatFolder = isNewChat ? folderTreeFind(conversationsOrder, folderNewChatId) : undefined;
+  if (isNewChat) folderNewChatId = null;
+  const folder = newChatFolder || folderTreeRuleFolder(conversationsOrder, conversation);
+  if (folder) folderTreeFile(conversationsOrder, conversation.id, folder.id);
+  return folder;
+}
+
+// Move a conversation element into a folder in the sidebar
+function folderTreeShowInFolder(conversationElement, folderId) {
+  const folderContent = document.querySelector(`#folder-content-${folderId}`);
+  if (!folderContent || !conversationElement) return false;
+  document.querySelector(`#empty-folder-${folderId}`)?.remove();
+  // subfolders stay above the conversations
+  const firstConversation = folderContent.querySelector(':scope > [id^="conversation-button-"]');
+  folderContent.insertBefore(conversationElement, firstConversation);
+  return true;
+}
+
+// File a conversation at the top level by the title rules once it has its generated title
+// eslint-disable-next-line no-unused-vars
+function folderTreeFileByTitle(conversationId, title) {
+  chrome.storage.local.get(['conversationsOrder'], ({ conversationsOrder }) => {
+    if (!conversationsOrder?.includes(conversationId)) return;
+    const folder = folderTreeRuleFolder(conversationsOrder, { id: conversationId, title });
+    if (!folder) return;
+    chrome.storage.local.set({ conversationsOrder: folderTreeFile(conversationsOrder, conversationId, folder.id) }, () => {
+      folderTreeShowInFolder(document.querySelector(`#conversation-button-${conversationId}`), folder.id);
+    });
+  });
+}
+
+// Id of the conversation or folder an element of the sidebar stands for
+function folderTreeElementId(element) {
+  if (!element?.id) return null;
+  if (element.id.startsWith('wrapper-folder-')) return element.id.slice('wrapper-folder-'.length);
+  if (element.id.startsWith('conversation-button-')) return element.id.slice('conversation-button-'.length);
+  return null;
+}
+
+function folderTreeEntryIndex(conversationsOrder, id) {
+  return conversationsOrder.findIndex((entry) => (typeof entry === 'string' ? entry : entry?.id) === id);
+}
+
+// End of the top level: right before the trash folder
+function folderTreeRootEnd(conversationsOrder) {
+  const trashIndex = conversationsOrder.findIndex((entry) => entry?.id === 'trash');
+  return trashIndex === -1 ? conversationsOrder.length : trashIndex;
+}
+
+// Update conversationsOrder for a conversation or folder dropped in the sidebar. `item` is the dragged element in its
+// new place, `toId` the folder it was dropped in or 'conversation-list'. The position comes from the element after it:
+// the draggable indexes of Sortable count subfolders and smart folders too.
+function folderTreeDrop(conversationsOrder, item, toId) {
+  const itemId = folderTreeElementId(item);
+  let next = item.nextElementSibling;
+  while (next && !folderTreeElementId(next)) next = next.nextElementSibling;
+  const nextId = folderTreeElementId(next);
+  const nextIsFolder = Boolean(next?.id.startsWith('wrapper-folder-'));
+  const toFolder = toId === 'conversation-list' ? undefined : conversationsOrder.find((entry) => entry?.id === toId);
+
+  if (item.id.startsWith('wrapper-folder-')) {
+    const folderIndex = folderTreeEntryIndex(conversationsOrder, itemId);
+    if (folderIndex === -1) return conversationsOrder;
+    const [folder] = conversationsOrder.splice(folderIndex, 1);
+    if (toFolder) {
+      folder.parentId = toFolder.id;
+    } else {
+      delete folder.parentId;
+    }
+    let index = nextIsFolder || (!toFolder && nextId) ? folderTreeEntryIndex(conversationsOrder, nextId) : -1;
+    if (index === -1 && toFolder) {
+      // after the last subfolder of its new folder
+      const siblings = folderTreeChildren(conversationsOrder, toFolder.id);
+      index = folderTreeEntryIndex(conversationsOrder, (siblings[siblings.length - 1] || toFolder).id) + 1;
+    }
+    conversationsOrder.splice(index === -1 ? folderTreeRootEnd(conversationsOrder) : index, 0, folder);
+    return conversationsOrder;
+  }
+
+  folderTreeRemoveConversation(conversationsOrder, itemId);
+  if (toFolder) {
+    // conversations come after the subfolders
+    const index = nextIsFolder ? 0 : toFolder.conversationIds.indexOf(nextId);
+    toFolder.conversationIds.splice(index === -1 ? toFolder.conversationIds.length : index, 0, itemId);
+  } else {
+    const index = nextId ? folderTreeEntryIndex(conversationsOrder, nextId) : -1;
+    conversationsOrder.splice(index === -1 ? folderTreeRootEnd(conversationsOrder) : index, 0, itemId);
+  }
+  return conversationsOrder;
+}
+
+// onEnd of the Sortables of the conversation list and of every folder
+// eslint-disable-next-line no-unused-vars
+function folderTreeOnDragEnd(event) {
+  const {
+    item, to, from, oldDraggableIndex, newDraggableIndex,
+  } = event;
+  const fromId = from.id.startsWith('folder-content-') ? from.id.split('folder-content-')[1] : 'conversation-list';
+  const toId = to.id.startsWith('folder-content-') ? to.id.split('folder-content-')[1] : 'conversation-list';
+  if (oldDraggableIndex === newDraggableIndex && toId === fromId) return;
+
+  const isFolder = item.id.startsWith('wrapper-folder-');
+  if (!isFolder && toId === 'trash' && fromId !== 'trash') {
+    deleteConversationOnDragToTrash(folderTreeElementId(item));
+  }
+  document.querySelector(`#empty-folder-${toId}`)?.remove();
+  if (fromId !== 'conversation-list' && !Array.from(from.children).some((child) => folderTreeElementId(child))) {
+    from.appendChild(emptyFolderElement(fromId));
+  }
+  chrome.storage.local.get(['conversationsOrder'], ({ conversationsOrder }) => {
+    chrome.storage.local.set({ conversationsOrder: folderTreeDrop(conversationsOrder, item, toId) });
+  });
+}
+
+// Open the folders down to a folder in the sidebar and scroll to it
+// eslint-disable-next-line no-unused-vars
+function revealFolder(folderId) {
+  chrome.storage.local.get(['conversationsOrder'], ({ conversationsOrder }) => {
+    folderTreePath(conversationsOrder, folderId).forEach((folder) => {
+      if (document.querySelector(`#folder-content-${folder.id}`)?.style.display === 'none') {
+        document.querySelector(`#folder-${folder.id}`)?.click();
+      }
+    });
+    document.querySelector(`#folder-${folderId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  });
+}
+
+function folderTreeApplyDefaults(defaults) {
+  chrome.storage.local.get(['settings', 'models', 'unofficialModels', 'customModels'], ({
+    settings, models = [], unofficialModels = [], customModels = [],
+  }) => {
+    const selectedModel = defaults.model && [...models, ...unofficialModels, ...customModels].find((m) => m.slug === defaults.model);
+    const selectedTone = defaults.tone && toneList.find((tone) => tone.code === defaults.tone);
+    const selectedLanguage = defaults.language && languageList.find((language) => language.code === defaults.language);
+    chrome.storage.local.set({
+      settings: {
+        ...settings,
+        selectedModel: selectedModel || settings.selectedModel,
+        selectedTone: selectedTone || settings.selectedTone,
+        selectedLanguage: selectedLanguage || settings.selectedLanguage,
+      },
+    }, () => {
+      // the dropdowns show the new selection
+      if (selectedModel) document.querySelector(`[id$="-model-switcher-option-${selectedModel.slug}"]`)?.click();
+      if (selectedTone) document.querySelector(`#tone-list-dropdown li#tone-selector-option-${selectedTone.code}`)?.click();
+      if (selectedLanguage) document.querySelector(`#language-list-dropdown li#language-selector-option-${selectedLanguage.code}`)?.click();
+    });
+  });
+}
+
+// Start a new chat with the defaults of a folder, the conversation is filed in the folder once it is saved
+// eslint-disable-next-line no-unused-vars
+function startNewChatInFolder(folderId) {
+  chrome.storage.local.get(['conversationsOrder', 'customInstructionProfiles'], ({ conversationsOrder, customInstructionProfiles = [] }) => {
+    const folder = folderTreeFind(conversationsOrder, folderId);
+    if (!folder) return;
+    const defaults = folderTreeDefaults(conversationsOrder, folderId);
+    const profile = defaults.profileId && customInstructionProfiles.find((p) => p.id === defaults.profileId);
+    // the new chat page reads the custom instruction from ChatGPT, so it is set first
+    const profileSet = profile
+      ? setUserSystemMessage(profile.aboutUser, profile.aboutModel, true).then(() => chrome.storage.local.set({
+        customInstructionProfiles: customInstructionProfiles.map((p) => ({ ...p, isSelected: p.id === profile.id })),
+      })).catch(() => toast(`Could not set the custom instruction profile ${profile.name}`, 'error'))
+      : Promise.resolve();
+    profileSet.then(() => {
+      showNewChatPage();
+      folderNewChatId = folderId;
+      // after showNewChatPage has reset the top nav
+      setTimeout(() => folderTreeApplyDefaults(defaults), 300);
+      toast(`New chat in ${folderTreeBreadcrumbs(conversationsOrder, folderId)}`, 'success');
+    });
+  });
+}
+
+function folderSettingsSelect(id, label, options, value) {
+  const wrapper = document.createElement('label');
+  wrapper.style = 'display: flex; align-items: center; width: 100%; margin: 6px 0; font-size: 13px; color: #ddd;';
+  wrapper.innerHTML = `<span style="width: 200px; flex-shrink: 0;">${label}</span>`;
+  const select = document.createElement('select');
+  select.id = id;
+  select.classList = 'w-full px-2 py-1 border border-gray-700 rounded-md bg-gray-800 text-white text-sm';
+  [['', 'Keep the current one'], ...options].forEach(([optionValue, optionName]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = optionName;
+    option.selected = optionValue === (value || '');
+    select.appendChild(option);
+  });
+  wrapper.appendChild(select);
+  return wrapper;
+}
+
+function folderRuleRow(rule, modelOptions) {
+  const row = document.createElement('div');
+  row.classList = 'folder-rule';
+  row.style = 'display: flex; align-items: center; width: 100%; margin: 4px 0; gap: 8px;';
+  const type = document.createElement('select');
+  type.classList = 'px-2 py-1 border border-gray-700 rounded-md bg-gray-800 text-white text-sm';
+  type.innerHTML = '<option value="title">Title matches</option><option value="model">Model is</option>';
+  type.value = rule.type || 'title';
+  const pattern = document.createElement('input');
+  pattern.classList = 'flex-1 px-2 py-1 border border-gray-700 rounded-md bg-gray-800 text-white text-sm';
+  pattern.value = rule.pattern || '';
+  pattern.setAttribute('list', 'folder-rule-models');
+  const updatePlaceholder = () => {
+    pattern.placeholder = type.value === 'model' ? 'Model slug, e.g. gpt-4' : 'Regular expression, e.g. ^(bug|fix)';
+  };
+  updatePlaceholder();
+  type.addEventListener('change', updatePlaceholder);
+  const remove = document.createElement('button');
+  remove.classList = 'btn relative btn-neutral';
+  remove.style = 'font-size: 12px; padding: 2px 8px;';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', () => row.remove());
+  row.appendChild(type);
+  row.appendChild(pattern);
+  row.appendChild(remove);
+  if (!document.querySelector('#folder-rule-models')) {
+    const datalist = document.createElement('datalist');
+    datalist.id = 'folder-rule-models';
+    datalist.innerHTML = modelOptions.map(([slug]) => `<option value="${slug}"></option>`).join('');
+    row.appendChild(datalist);
+  }
+  return row;
+}
+
+// Defaults and auto-filing rules of a folder
+// eslint-disable-next-line no-unused-vars
+function createFolderSettingsModal(folderId) {
+  chrome.storage.local.get(['conversationsOrder', 'models', 'unofficialModels', 'customModels', 'customInstructionProfiles'], ({
+    conversationsOrder, models = [], unofficialModels = [], customModels = [], customInstructionProfiles = [],
+  }) => {
+    const folder = folderTreeFind(conversationsOrder, folderId);
+    if (!folder) return;
+    const defaults = folder.defaults || {};
+    const modelOptions = [...models, ...unofficialModels, ...customModels].map((m) => [m.slug, m.title || m.slug]);
+
+    const content = document.createElement('div');
+    content.style = 'display: flex; flex-direction: column; width: 100%; padding: 16px; overflow-y: auto; height: 100%;';
+    const defaultsTitle = document.createElement('div');
+    defaultsTitle.style = 'color: white; font-weight: 600; margin-bottom: 4px;';
+    defaultsTitle.textContent = 'New chats in this folder';
+    content.appendChild(defaultsTitle);
+    content.appendChild(folderSettingsSelect('folder-default-model', 'Model', modelOptions, defaults.model));
+    content.appendChild(folderSettingsSelect('folder-default-profile', 'Custom instruction profile', customInstructionProfiles.filter((p) => p.id).map((p) => [p.id, p.name]), defaults.profileId));
+    content.appendChild(folderSettingsSelect('folder-default-tone', 'Tone', toneList.map((tone) => [tone.code, tone.name]), defaults.tone));
+    content.appendChild(folderSettingsSelect('folder-default-language', 'Language', languageList.map((language) => [language.code, language.name]), defaults.language));
+
+    const rulesTitle = document.createElement('div');
+    rulesTitle.style = 'color: white; font-weight: 600; margin: 16px 0 4px;';
+    rulesTitle.textContent = 'Auto-filing rules';
+    const rulesHint = document.createElement('div');
+    rulesHint.style = 'color: lightslategray; font-size: 12px; margin-bottom: 4px;';
+    rulesHint.textContent = 'New and synced conversations that match any rule are filed in this folder. The first folder with a matching rule wins.';
+    const rules = document.createElement('div');
+    rules.id = 'folder-rules';
+    (folder.rules || []).forEach((rule) => rules.appendChild(folderRuleRow(rule, modelOptions)));
+    const addRuleButton = document.createElement('button');
+    addRuleButton.classList = 'btn relative btn-neutral';
+    addRuleButton.style = 'font-size: 12px; padding: 2px 8px; align-self: start; margin-top: 4px;';
+    addRuleButton.textContent = '+ Add rule';
+    addRuleButton.addEventListener('click', () => rules.appendChild(folderRuleRow({ type: 'title', pattern: '' }, modelOptions)));
+    content.appendChild(rulesTitle);
+    content.appendChild(rulesHint);
+    content.appendChild(rules);
+    content.appendChild(addRuleButton);
+
+    const actionBar = document.createElement('div');
+    actionBar.style = 'display: flex; justify-content: end; width: 100%; margin-top: 8px; gap: 8px;';
+    const newChatButton = document.createElement('button');
+    newChatButton.classList = 'btn relative btn-neutral';
+    newChatButton.textContent = 'New chat in this folder';
+    const saveButton = document.createElement('button');
+    saveButton.classList = 'btn relative btn-primary';
+    saveButton.textContent = 'Save';
+    const save = () => {
+      const newRules = Array.from(rules.querySelectorAll('.folder-rule')).map((row) => ({
+        type: row.querySelector('select').value,
+        pattern: row.querySelector('input').value.trim(),
+      })).filter((rule) => rule.pattern);
+      const invalidRule = newRules.find((rule) => {
+        if (rule.type !== 'title') return false;
+        try {
+          RegExp(rule.pattern);
+          return false;
+        } catch (error) {
+          return true;
+        }
+      });
+      if (invalidRule) {
+        toast(`Not a valid regular expression: ${invalidRule.pattern}`, 'error');
+        return Promise.reject(new Error('Invalid rule'));
+      }
+      return chrome.storage.local.get(['conversationsOrder']).then(({ conversationsOrder: currentOrder }) => {
+        const currentFolder = folderTreeFind(currentOrder, folderId);
+        if (!currentFolder) throw new Error('Folder not found');
+        currentFolder.defaults = {
+          model: content.querySelector('#folder-default-model').value,
+          profileId: content.querySelector('#folder-default-profile').value,
+          tone: content.querySelector('#folder-default-tone').value,
+          language: content.querySelector('#folder-default-language').value,
+        };
+        currentFolder.rules = newRules;
+        return chrome.storage.local.set({ conversationsOrder: currentOrder });
+      });
+    };
+    saveButton.addEventListener('click', () => {
+      save().then(() => {
+        toast('Folder settings saved', 'success');
+        document.querySelector('#modal-folder-settings')?.remove();
+      }, () => {});
+    });
+    newChatButton.addEventListener('click', () => {
+      save().then(() => {
+        document.querySelector('#modal-folder-settings')?.remove();
+        startNewChatInFolder(folderId);
+      }, () => {});
+    });
+    actionBar.appendChild(newChatButton);
+    actionBar.appendChild(saveButton);
+    createModal('Folder Settings', folderTreeBreadcrumbs(conversationsOrder, folderId), content, actionBar);
+  });
+}
+
+// Breadcrumbs above a conversation reveal their folder in the sidebar
+document.addEventListener('click', (e) => {
+  const crumb = e.target.closest?.('[data-folder-breadcrumb]');
+  if (crumb) revealFolder(crumb.dataset.folderBreadcrumb);
+});
@@ -1,5 +1,5 @@
 // eslint-disable-next-line no-unused-vars
-/* global markdownit, hljs, resetSelection, getPrompt, newChatPage, initializeRegenerateResponseButton, notSelectedClassList, textAreaElementInputEventListener, textAreaElementKeydownEventListenerSync,  languageList, writingStyleList, toneList, refreshPage, runningPromptChainSteps:true, runningPromptChainIndex:true, dropdown, getExamplePrompts */
+/* global markdownit, hljs, resetSelection, getPrompt, newChatPage, initializeRegenerateResponseButton, notSelectedClassList, textAreaElementInputEventListener, textAreaElementKeydownEventListenerSync,  languageList, writingStyleList, toneList, refreshPage, runningPromptChainSteps:true, runningPromptChainIndex:true, dropdown, getExamplePrompts, conversationRepository, domAdapter, tokenizer, activeChatModel, folderNewChatId:true */
 /* eslint-disable no-unused-vars */
 // Gloab variables
 // const { version } = chrome.runtime.getManifest();
@@ -7,7 +7,7 @@
 // fetch data
 // const data = await fetch(chrome.runtime.getURL('data.json')).then((res) => res.json());
 
-// add eventlistener to the catch call to https://chat.openai.com/api/auth/session and grab the payload
+// add eventlistener to the catch call to /api/auth/session and grab the payload
 //------------------------------------------------------------------------------------------------
 // eslint-disable-next-line prefer-const
 let isGenerating = false;// true when the user is generating a response
@@ -82,9 +82,11 @@ function initializeStorage() {
       }
     }
   });
-  return chrome.storage.local.get(['selectedConversations', 'conversationsOrder', 'customModels', 'conversations']).then((result) => {
+  return Promise.all([
+    chrome.storage.local.get(['selectedConversations', 'conversationsOrder', 'customModels']),
+    conversationRepository.keys(),
+  ]).then(([result, allConversationKeys]) => {
     const localConversationsOrder = (result.conversationsOrder || []).filter((conversationOrder) => typeof conversationOrder !== 'string' || conversationOrder.length > 6);
-    const allConversationKeys = Object.keys(result.conversations || []);
     return chrome.storage.sync.get(['conversationsOrder']).then((res) => {
       const syncConversationsOrder = res.conversationsOrder || [];
       // for each sync conversation order, if it's type=string, find a key in allConversationKeys that starts with that string
@@ -337,7 +339,7 @@ function addNavToggleButton() {
 }
 function showHideTextAreaElement(forceShow = false) {
   chrome.storage.local.get('settings', ({ settings }) => {
-    const textAreaElement = document.querySelector('main form textarea');
+    const textAreaElement = domAdapter.composer();
     if (!textAreaElement) return;
     const textAreaParent = textAreaElement.parentElement;
     const allMessageWrapper = document.querySelectorAll('[id^="message-wrapper-"]');
@@ -359,6 +361,8 @@ function showHideTextAreaElement(forceShow = false) {
 }
 function showNewChatPage() {
   // chatStreamIsClosed = true;
+  // startNewChatInFolder sets it again after this
+  folderNewChatId = null;
   chrome.storage.local.get(['conversationsAreSynced', 'account', 'settings'], (result) => {
     const pluginDropdownButton = document.querySelector('#navbar-plugins-dropdown-button');
     if (pluginDropdownButton) {
@@ -397,7 +401,7 @@ function showNewChatPage() {
     focusedConversations.forEach((c) => {
       c.classList = notSelectedClassList;
     });
-    const main = document.querySelector('main');
+    const main = domAdapter.main();
     // div with class flex-1 overflow-hidden
     const contentWrapper = main.querySelector('.flex-1.overflow-hidden');
     contentWrapper.innerHTML = '';
@@ -407,11 +411,11 @@ function showNewChatPage() {
       pinNav.remove();
     }
     const { href, search } = new URL(window.location.toString());
-    if (href !== 'https://chat.openai.com/') {
-      window.history.replaceState({}, '', 'https://chat.openai.com/');
+    if (href !== `${window.location.origin}/`) {
+      window.history.replaceState({}, '', `${window.location.origin}/`);
     }
-    const inputForm = main.querySelector('form');
-    const textAreaElement = inputForm.querySelector('textarea');
+    const inputForm = domAdapter.composerForm();
+    const textAreaElement = domAdapter.composer(inputForm);
     textAreaElement.focus();
     showHideTextAreaElement();
     if (showExamplePrompts) loadExamplePrompts();
@@ -425,7 +429,7 @@ function suggestionButton(suggestion) {
   button.style = 'width: 49%;';
   button.innerHTML = `<div class="flex w-full gap-2 items-center justify-center"><div class="flex w-full items-center justify-between"><div class="flex flex-col overflow-hidden"><div class="truncate font-semibold">${suggestion.title}</div><div class="truncate opacity-50">${suggestion.description}</div></div><div class="absolute bottom-0 right-0 top-0 flex items-center rounded-xl bg-gradient-to-l from-gray-100 from-[60%] pl-6 pr-3 text-gray-700 opacity-0 group-hover:opacity-100 dark:from-gray-700 dark:text-gray-200"><span class="" data-state="closed"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" fill="none" class="h-4 w-4" stroke-width="2"><path d="M.5 1.163A1 1 0 0 1 1.97.28l12.868 6.837a1 1 0 0 1 0 1.766L1.969 15.72A1 1 0 0 1 .5 14.836V10.33a1 1 0 0 1 .816-.983L8.5 8 1.316 6.653A1 1 0 0 1 .5 5.67V1.163Z" fill="currentColor"></path></svg></span></div></div></div>`;
   button.addEventListener('click', () => {
-    const textAreaElement = document.querySelector('main form textarea');
+    const textAreaElement = domAdapter.composer();
     textAreaElement.value = suggestion.prompt;
     // remove all suggestion buttons
     const suggestionsWrapper = document.querySelector('#suggestions-wrapper');
@@ -435,7 +439,7 @@ function suggestionButton(suggestion) {
     textAreaElement.dispatchEvent(new Event('input', { bubbles: true }));
     textAreaElement.dispatchEvent(new Event('change', { bubbles: true }));
     setTimeout(() => {
-      const submitButton = document.querySelector('main form textarea ~ button');
+      const submitButton = domAdapter.sendButton();
       submitButton.click();
     }, 100);
   });
@@ -456,7 +460,7 @@ function loadExamplePrompts() {
       });
       // check if still on new chat page
       const { href } = new URL(window.location.toString());
-      if (href === 'https://chat.openai.com/') {
+      if (href === `${window.location.origin}/`) {
         const inputFormActionWrapper = document.querySelector('#input-form-action-wrapper');
         if (inputFormActionWrapper) inputFormActionWrapper.appendChild(suggestionsWrapper);
       }
@@ -473,9 +477,8 @@ function handleQueryParams(query) {
         promptId,
       },
     }, (prompt) => {
-      const main = document.querySelector('main');
-      const inputForm = main.querySelector('form');
-      const textAreaElement = inputForm.querySelector('textarea');
+      const inputForm = domAdapter.composerForm();
+      const textAreaElement = domAdapter.composer(inputForm);
       textAreaElement.value = prompt.text;
       textAreaElement.focus();
       textAreaElement.dispatchEvent(new Event('input', { bubbles: true }));
@@ -511,7 +514,7 @@ function arkoseTrigger() {
   chrome.storage.local.get('settings', ({ settings }) => {
     if (settings.selectedModel.tags.includes('gpt4')) {
       window.localStorage.removeItem('arkoseToken');
-      const inputForm = document.querySelector('main form');
+      const inputForm = domAdapter.composerForm();
       if (!inputForm) return;
       if (!inputForm.querySelector('#enforcement-trigger')) {
         inputForm.firstChild.insertAdjacentHTML('beforeend', '<button type="button" class="hidden" id="enforcement-trigger"></button>');
@@ -522,7 +525,7 @@ function arkoseTrigger() {
 }
 
 function replaceTextAreaElemet(settings) {
-  const inputForm = document.querySelector('main form');
+  const inputForm = domAdapter.composerForm();
   if (!inputForm) { return false; }
   if (!inputForm.querySelector('#enforcement-trigger')) {
     inputForm.firstChild.insertAdjacentHTML('beforeend', '<button type="button" class="hidden" id="enforcement-trigger"></button>');
@@ -538,13 +541,13 @@ function replaceTextAreaElemet(settings) {
     }
   });
 
-  let textAreaElement = inputForm.querySelector('textarea');
+  let textAreaElement = domAdapter.composer(inputForm);
 
   if (!textAreaElement) {
     const textAreaElementWrapperHTML = '<div class="flex flex-col w-full flex-grow relative border border-black/10 dark:border-gray-900/50 dark:text-white rounded-xl shadow-xs dark:shadow-xs dark:bg-gray-700 bg-white"><textarea id="prompt-textarea" tabindex="0" data-id="57b652f1-414c-433f-9041-1911b4ea7d85" rows="1" placeholder="Send a message (Type @ for Custom Prompt and # for Prompt Chains)" class="m-0 w-full resize-none border-0 bg-transparent py-[10px] pr-10 focus:ring-0 focus-visible:ring-0 dark:bg-transparent md:py-4 md:pr-12 pl-3 md:pl-4" style="max-height: 200px; height: 56px; overflow-y: hidden;" spellcheck="false"></textarea><button disabled="" class="absolute p-1 rounded-md md:bottom-3 md:p-2 md:right-3 dark:hover:bg-gray-900 dark:disabled:hover:bg-transparent right-2 disabled:text-gray-400 enabled:bg-brand-purple text-white bottom-1.5 transition-colors disabled:opacity-40" data-testid="send-button"><span class="" data-state="closed"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" fill="none" class="icon-sm m-1 md:m-0"><path d="M.5 1.163A1 1 0 0 1 1.97.28l12.868 6.837a1 1 0 0 1 0 1.766L1.969 15.72A1 1 0 0 1 .5 14.836V10.33a1 1 0 0 1 .816-.983L8.5 8 1.316 6.653A1 1 0 0 1 .5 5.67V1.163Z" fill="currentColor"></path></svg></span></button></div>';
     // insert text area element wrapper in input form first child at the end
     inputForm.firstChild.insertAdjacentHTML('beforeend', textAreaElementWrapperHTML);
-    textAreaElement = inputForm.querySelector('textarea');
+    textAreaElement = domAdapter.composer(inputForm);
   }
   const newTextAreaElement = textAreaElement.cloneNode(true);
   newTextAreaElement.id = 'prompt-textarea';
@@ -602,16 +605,16 @@ function getBrowser() {
   return 'Edge';
 }
 function addInputCounter() {
-  const main = document.querySelector('main');
+  const main = domAdapter.main();
   if (!main) return;
-  const inputForm = main.querySelector('form');
+  const inputForm = domAdapter.composerForm();
   // find sibling of input form
   const inputFormSibling = inputForm.nextElementSibling;
   if (inputFormSibling) {
     inputFormSibling.style.disply = 'none';
   }
 
-  const textAreaElement = inputForm.querySelector('textarea');
+  const textAreaElement = domAdapter.composer(inputForm);
   if (!textAreaElement) return;
   // add input char/word counter
   const existingInputCounterElement = document.querySelector('#gptx-input-counter');
@@ -633,7 +636,7 @@ function getGPT4CounterMessageCapWindow(messageCapWindow) {
   return r < 2 ? 'week' : ''.concat(r, ' weeks');
 }
 function addGpt4Counter() {
-  const textAreaElement = document.querySelector('main form textarea');
+  const textAreaElement = domAdapter.composer();
   if (!textAreaElement) return;
   // add input char/word counter
   const existingGpt4CounterElement = document.querySelector('#gpt4-counter');
@@ -672,24 +675,29 @@ function addGpt4Counter() {
 
 function updateInputCounter(text) {
   const curInputCounterElement = document.querySelector('#gptx-input-counter');
-  if (curInputCounterElement) {
+  if (!curInputCounterElement) return;
+  chrome.storage.local.get(['settings'], ({ settings }) => {
+    const model = activeChatModel(settings);
     // word count split by space or newline
     const wordCount = text ? text.split(/[\s\n]+/).length : 0;
     const charCount = text.length;
-    if (charCount < 16000) {
+    const tokenCount = tokenizer.count(text, model);
+    const contextWindow = tokenizer.contextWindow(model);
+    // estimated until the model's tokenizer is loaded
+    const exact = tokenizer.isExact(model);
+    if (tokenCount < contextWindow * 0.8) {
       curInputCounterElement.style.color = '#999';
-    }
-    if (charCount > 16000 && charCount < 16500) {
+    } else if (tokenCount <= contextWindow) {
       curInputCounterElement.style.color = '#fbd986';
-    }
-    if (charCount > 16500) {
+    } else {
       curInputCounterElement.style.color = '#ff4a4a';
     }
-    curInputCounterElement.innerText = `${Math.max(charCount, 0)} chars / ${Math.max(wordCount, 0)} words`;
-  }
+    curInputCounterElement.title = exact ? '' : 'Estimated token count';
+    curInputCounterElement.innerText = `${exact ? '' : '~'}${tokenCount}/${contextWindow} tokens - ${Math.max(charCount, 0)} chars / ${Math.max(wordCount, 0)} words`;
+  });
 }
 function canSubmitPrompt() {
-  const submitButton = document.querySelector('main form textarea ~ button');
+  const submitButton = domAdapter.sendButton();
   if (!submitButton) { return false; }
   // if submit button not contained and svg element retur false
   const submitSVG = submitButton.querySelector('svg');// (...)
@@ -705,12 +713,12 @@ function addActionButtonWrapperAboveInput() {
   if (regenerateResponseButton) regenerateResponseButton.style.zIndex = 10;
   const existingActionButtonWrapper = document.querySelector('#action-button-wrapper');
   if (existingActionButtonWrapper) return;
-  const main = document.querySelector('main');
+  const main = domAdapter.main();
   if (!main) return;
-  const inputForm = main.querySelector('form');
-  const textAreaElement = inputForm.querySelector('textarea');
+  const inputForm = domAdapter.composerForm();
+  const textAreaElement = domAdapter.composer(inputForm);
   if (!textAreaElement) return;
-  const submitButton = inputForm.querySelector('textarea ~ button');
+  const submitButton = domAdapter.sendButton(inputForm);
   if (!submitButton) return;
   const actionButtonWrapper = document.createElement('div');
   actionButtonWrapper.id = 'action-button-wrapper';
@@ -739,7 +747,7 @@ function formatDate(date) {
   return `${date.toLocaleDateString('en-US', { year: '2-digit', month: '2-digit', day: '2-digit' })} ${date.toLocaleTimeString('en-US', { hour: 'numeric', minute: 'numeric' })}`;
 }
 function addButtonToNavFooter(title, onClick) {
-  const nav = document.querySelector('nav');
+  const nav = domAdapter.sidebar();
   if (!nav) return;
   const existingNavFooter = document.querySelector('#nav-footer');
   let navFooter = existingNavFooter;
@@ -748,7 +756,7 @@ function addButtonToNavFooter(title, onClick) {
     navFooter.id = 'nav-footer';
     navFooter.style = 'margin:8px 0 0 0;padding-right:8px;width:100%;display:flex; flex-direction:column-reverse;justify-content:flex-start;align-items:center;min-height:108px;';
   }
-  const navGap = document.querySelector('nav > :nth-child(3)');
+  const navGap = domAdapter.sidebarBody();
   navGap.style = `${navGap.style.cssText};display:flex;margin-right:-8px;`;
   const conversationList = navGap.querySelector('div');
   conversationList.id = 'conversation-list';
@@ -778,7 +786,7 @@ function addButtonToNavFooter(title, onClick) {
   navFooter.appendChild(button);
 }
 function addExpandButton() {
-  const nav = document.querySelector('nav');
+  const nav = domAdapter.sidebar();
   if (nav) {
     nav.style.overflow = 'hidden';
   }
@@ -859,7 +867,7 @@ function addActionWrapperToResult(resultElement, index) {
   resultElement.insertAdjacentElement('afterend', actionWrapper);
 }
 function cleanNav() {
-  const nav = document.querySelector('nav');
+  const nav = domAdapter.sidebar();
   if (!nav) return;
   const userMenu = nav.lastChild;
   userMenu.id = 'user-menu';
@@ -873,7 +881,7 @@ function cleanNav() {
   observer.observe(nav, { childList: true });
 }
 function removeUnusedButtons() {
-  const nav = document.querySelector('nav');
+  const nav = domAdapter.sidebar();
   if (!nav) return;
   const allNavButtons = Array.from(nav.querySelectorAll('a'));
   const improveButton = allNavButtons.find((button) => button.textContent.toLocaleLowerCase() === 'improve chatgpt');
@@ -930,9 +938,8 @@ function removeUnusedButtons() {
 function updateNewChatButtonNotSynced() {
   chrome.storage.local.get(['selectedConversations'], (result) => {
     const { selectedConversations } = result;
-    const textAreaElement = document.querySelector('main form textarea');
-    const nav = document.querySelector('nav');
-    const newChatButton = nav?.querySelector('a');
+    const textAreaElement = domAdapter.composer();
+    const newChatButton = domAdapter.newChatButton();
     newChatButton.classList = 'flex py-3 px-3 w-full items-center gap-3 transition-colors duration-200 text-white cursor-pointer text-sm rounded-md border border-white/20 hover:bg-gray-500/10 mb-1 flex-shrink-0';
     newChatButton.id = 'new-chat-button';
     newChatButton.addEventListener('click', () => {
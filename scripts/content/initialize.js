@@ -1,4 +1,4 @@
-/* global navigation, initializeStorage, cleanNav, initializeContinue, initializeExport, initializeSettings, initializePromptHistory, initializePromptLibrary, initializeNewsletter, initializeAutoSave, addNavToggleButton, initializeAnnouncement, initializeReleaseNote, initializeReplaceDeleteConversationButton, initializeCopyAndCounter, initializeAddToPromptLibrary, initializeTimestamp, updateNewChatButtonNotSynced, addAsyncInputEvents, addDevIndicator, addExpandButton, openLinksInNewTab, initializeKeyboardShortcuts, addArkoseCallback, addQuickAccessMenuEventListener, upgradeCustomInstructions, addAutoSyncToggleButton, addSounds, initializeAgentSystem */
+/* global navigation, initializeStorage, cleanNav, initializeContinue, initializeExport, initializeSettings, initializePromptHistory, initializePromptLibrary, initializeNewsletter, initializeAutoSave, addNavToggleButton, initializeAnnouncement, initializeReleaseNote, initializeReplaceDeleteConversationButton, initializeCopyAndCounter, initializeAddToPromptLibrary, initializeTimestamp, updateNewChatButtonNotSynced, addAsyncInputEvents, addDevIndicator, addExpandButton, openLinksInNewTab, initializeKeyboardShortcuts, addArkoseCallback, addQuickAccessMenuEventListener, upgradeCustomInstructions, addAutoSyncToggleButton, addSounds, initializeAgentSystem, domAdapter, initializeSplitJobs, initializeTrash */
 
 // eslint-disable-next-line no-unused-vars
 function initialize() {
@@ -31,6 +31,8 @@ function initialize() {
         addDevIndicator();
         initializeKeyboardShortcuts();
         addSounds();
+        // warn about page elements the DOM adapter could not find, e.g. after a ChatGPT UI change
+        domAdapter.selfCheck();
         // showAutoSyncToast();
         setTimeout(() => {
           chrome.storage.local.get(['settings'], (result) => {
@@ -39,6 +41,8 @@ function initialize() {
               // if (typeof settings?.autoSync === 'undefined' || settings?.autoSync) {
               initializeAutoSave();
               addArkoseCallback();
+              initializeSplitJobs();
+              initializeTrash();
             } else {
               addAutoSyncToggleButton();
               initializeCopyAndCounter();
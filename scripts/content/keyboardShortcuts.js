@@ -1,4 +1,4 @@
-/* global isWindows, createModal, settingsModalActions, initializePluginStoreModal, addPluginStoreEventListener, showNewChatPage, createPromptChainListModal, toast */
+/* global isWindows, createModal, settingsModalActions, initializePluginStoreModal, addPluginStoreEventListener, showNewChatPage, createPromptChainListModal, toast, domAdapter */
 
 // eslint-disable-next-line no-unused-vars
 function createKeyboardShortcutsModal(version) {
@@ -136,7 +136,7 @@ function registerShortkeys() {
           document.querySelector('[id*=cancel-button]').click();
         } else if (document.querySelector('#quick-access-menu')) {
           document.querySelector('#quick-access-menu').remove();
-          document.querySelector('main form textarea').focus();
+          domAdapter.composer().focus();
         } else {
           const stopGeneratingResponseButton = document.querySelector('#stop-generating-response-button');
           if (stopGeneratingResponseButton) {
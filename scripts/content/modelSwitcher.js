@@ -1,5 +1,5 @@
 /* eslint-disable no-unused-vars */
-/* global getInstalledPlugins, initializeRegenerateResponseButton */
+/* global getInstalledPlugins, initializeRegenerateResponseButton, domAdapter */
 // eslint-disable-next-line no-unused-vars
 function modelSwitcher(models, selectedModel, idPrefix, customModels, autoSync, forceDark = false) {
   if (selectedModel.slug === 'gpt-4-code-interpreter' && autoSync) {
@@ -186,13 +186,13 @@ function addModelSwitcherEventListener(idPrefix, forceDark = false) {
           } else {
             pluginsDropdownWrapper.style.display = 'none';
           }
-          const textInput = document.querySelector('main form textarea');
+          const textInput = domAdapter.composer();
           if (selectedModel.slug !== 'gpt-4-code-interpreter' && textInput) {
             textInput.style.paddingLeft = '1rem';
             const uploadButton = textInput.parentElement.querySelector('button[aria-label="Attach files"]');
             if (uploadButton) uploadButton.remove();
           }
-          const submitButton = document.querySelector('main form textarea ~ button');
+          const submitButton = domAdapter.sendButton();
           if (submitButton && !submitButton.disabled) {
             if (selectedModel.tags.includes('gpt4')) {
               submitButton.style.backgroundColor = '#AB68FF';
@@ -209,7 +209,7 @@ function addModelSwitcherEventListener(idPrefix, forceDark = false) {
             }
           }
           // focus on input
-          const textInput = document.querySelector('main form textarea');
+          const textInput = domAdapter.composer();
           if (textInput) {
             textInput.focus();
           }
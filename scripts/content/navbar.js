@@ -1,4 +1,4 @@
-/* global modelSwitcher, dropdown, addDropdownEventListener, languageList, writingStyleList, toneList, addModelSwitcherEventListener, pluginsDropdown, addPluginsDropdownEventListener */
+/* global modelSwitcher, dropdown, addDropdownEventListener, languageList, writingStyleList, toneList, addModelSwitcherEventListener, pluginsDropdown, addPluginsDropdownEventListener, domAdapter */
 function addNavbar() {
   const existingNavbar = document.querySelector('#gptx-nav-wrapper');
   if (existingNavbar) existingNavbar.remove();
@@ -102,7 +102,7 @@ function addNavbar() {
     });
   });
 
-  const main = document.querySelector('main');
+  const main = domAdapter.main();
   if (!main) return;
   navWrapper.appendChild(navbar);
   main.parentNode.insertBefore(navWrapper, main);
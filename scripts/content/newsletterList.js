@@ -1,4 +1,4 @@
-/* global createModal, settingsModalActions, createAnnouncementModal */
+/* global createModal, settingsModalActions, createAnnouncementModal, domAdapter */
 
 // eslint-disable-next-line no-unused-vars
 function createNewsletterListModal(version) {
@@ -77,7 +77,7 @@ function newsletterListModalActions() {
   return settingsModalActions();
 }
 function addNewsletterButton() {
-  const nav = document.querySelector('nav');
+  const nav = domAdapter.sidebar();
   if (!nav) return;
   // check if the setting button is already added
   if (document.querySelector('#newsletter-button')) return;
@@ -457,7 +457,7 @@ function addInstallButtonEventListener(plugins) {
       if (button.innerText.toLowerCase() === 'install') {
         const plugin = plugins.find((p) => p.id === pluginId);
         if (plugin.oauth_client_id) {
-          const url = `${plugin.manifest.auth.client_url}?response_type=code&client_id=${plugin.oauth_client_id}&redirect_uri=https://chat.openai.com/aip/${plugin.id}/oauth/callback&scope=${plugin.manifest.auth.scope}`;
+          const url = `${plugin.manifest.auth.client_url}?response_type=code&client_id=${plugin.oauth_client_id}&redirect_uri=${window.location.origin}/aip/${plugin.id}/oauth/callback&scope=${plugin.manifest.auth.scope}`;
           window.open(url, '_self');
         } else {
           button.classList = 'btn relative btn-light bg-green-100 hover:bg-green-100';
@@ -1,5 +1,5 @@
 /* eslint-disable no-unused-vars */
-/* global toast, Sortable, createModal, settingsModalActions */
+/* global toast, Sortable, createModal, settingsModalActions, domAdapter */
 let runningPromptChainSteps;
 let runningPromptChainIndex = 0;
 
@@ -326,15 +326,15 @@ function addNewPromptModalEventListener() {
 }
 function runPromptChain(promptChainSteps, newChat = true) {
   if (newChat) {
-    document.querySelector('[id="new-chat-button"]').click();
+    domAdapter.newChatButton().click();
     // wait for new chat to open
     setTimeout(() => {
       runPromptChain(promptChainSteps, false);
     }, 1000);
     return;
   }
-  const textAreaElement = document.querySelector('main form textarea');
-  const submitButtonElement = document.querySelector('main form textarea ~ button');
+  const textAreaElement = domAdapter.composer();
+  const submitButtonElement = domAdapter.sendButton();
   // eslint-disable-next-line prefer-destructuring
   textAreaElement.value = promptChainSteps[0];
   runningPromptChainSteps = promptChainSteps;
@@ -347,8 +347,8 @@ function runPromptChain(promptChainSteps, newChat = true) {
   }, 300);
 }
 function insertNextChain(promptChainSteps, promptChainIndex) {
-  const textAreaElement = document.querySelector('main form textarea');
-  const submitButtonElement = document.querySelector('main form textarea ~ button');
+  const textAreaElement = domAdapter.composer();
+  const submitButtonElement = domAdapter.sendButton();
   textAreaElement.value = promptChainSteps[promptChainIndex];
   runningPromptChainSteps = promptChainSteps;
   runningPromptChainIndex = promptChainIndex;
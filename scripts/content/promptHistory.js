@@ -1,4 +1,4 @@
-/* global highlight,openSubmitPromptModal, updateInputCounter, addButtonToNavFooter,createModal, disableTextInput:true, isGenerating, addInputCounter, toast, quickAccessMenu , updateQuickAccessMenuItems */
+/* global highlight,openSubmitPromptModal, updateInputCounter, addButtonToNavFooter,createModal, disableTextInput:true, isGenerating, addInputCounter, toast, quickAccessMenu , updateQuickAccessMenuItems, domAdapter */
 function createPromptHistoryModal() {
   chrome.storage.local.get(['userInputValueHistory', 'settings'], (result) => {
     const { userInputValueHistory, settings } = result;
@@ -130,11 +130,11 @@ function promptHistoryList(userInputValueHistory, historyFilter) {
         shiftClickText.style = 'font-size:10px;position:absolute;right:32px;bottom:36px;display:none;color:lightslategray;';
       });
       historyItemUseButton.addEventListener('click', (event) => {
-        const inputForm = document.querySelector('form');
+        const inputForm = domAdapter.composerForm();
         if (!inputForm) return;
-        const submitButton = inputForm.querySelector('textarea ~ button');
+        const submitButton = domAdapter.sendButton(inputForm);
         if (!submitButton) return;
-        const textAreaElement = inputForm.querySelector('textarea');
+        const textAreaElement = domAdapter.composer(inputForm);
         if (!textAreaElement) return;
         textAreaElement.value = userInputValue.inputValue;
         textAreaElement.focus();
@@ -498,9 +498,9 @@ function addUserPromptToHistory(inputValue) {
 
 // Add input event listener to text area
 function textAreaElementInputEventListener(event) {
-  const inputForm = document.querySelector('form');
+  const inputForm = domAdapter.composerForm();
   if (!inputForm) return;
-  const submitButton = inputForm.querySelector('textarea ~ button');
+  const submitButton = domAdapter.sendButton(inputForm);
   if (submitButton) {
     if (event.target.value.trim().length > 0) {
       chrome.storage.local.get(['settings'], (result) => {
@@ -778,11 +778,11 @@ function initializePromptHistory() {
 // eslint-disable-next-line no-unused-vars
 function addAsyncInputEvents() {
   addInputCounter();
-  const inputForm = document.querySelector('form');
+  const inputForm = domAdapter.composerForm();
   if (!inputForm) return;
-  const textAreaElement = inputForm.querySelector('textarea');
+  const textAreaElement = domAdapter.composer(inputForm);
   if (!textAreaElement) return;
-  const submitButton = inputForm.querySelector('textarea ~ button');
+  const submitButton = domAdapter.sendButton(inputForm);
   if (!submitButton) return;
   chrome.storage.local.get(['userInputValueHistory'], (result) => {
     chrome.storage.local.set({
@@ -795,7 +795,7 @@ function addAsyncInputEvents() {
   // Add Click event listener to submit button
   if (submitButton) {
     submitButton.addEventListener('click', () => {
-      const curTextAreaElement = inputForm.querySelector('textarea');
+      const curTextAreaElement = domAdapter.composer(inputForm);
       const textInputValue = curTextAreaElement.value;
       // add text input value to local storage history
       if (textInputValue === '') return;
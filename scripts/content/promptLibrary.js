@@ -1,4 +1,4 @@
-/* global highlight, highlightBracket, addUserPromptToHistory, addButtonToNavFooter,createModal, debounce, toast, openSubmitPromptModal, dropdown, addDropdownEventListener, languageList, categoryList, sortByList, reportReasonList */
+/* global highlight, highlightBracket, addUserPromptToHistory, addButtonToNavFooter,createModal, debounce, toast, openSubmitPromptModal, dropdown, addDropdownEventListener, languageList, categoryList, sortByList, reportReasonList, domAdapter */
 
 let promptLibraryPageNumber = 1;
 let promptLibrarySearchTerm = '';
@@ -301,7 +301,7 @@ function promptLibraryListComponent(libraryData, loading = false) {
     libraryItemShareButton.addEventListener('click', () => {
       // copy link to clipboard
       const el = document.createElement('textarea');
-      el.value = `https://chat.openai.com?pid=${libraryPrompt.id}`;
+      el.value = `${window.location.origin}?pid=${libraryPrompt.id}`;
       document.body.appendChild(el);
       el.select();
       document.execCommand('copy');
@@ -336,11 +336,11 @@ function promptLibraryListComponent(libraryData, loading = false) {
       shiftClickText.style = 'font-size:10px;position:absolute;right:0px;bottom:36px;display:none;color:lightslategray;';
     });
     libraryItemUseButton.addEventListener('click', (event) => {
-      const inputForm = document.querySelector('form');
+      const inputForm = domAdapter.composerForm();
       if (!inputForm) return;
-      const submitButton = inputForm.querySelector('textarea ~ button');
+      const submitButton = domAdapter.sendButton(inputForm);
       if (!submitButton) return;
-      const textAreaElement = inputForm.querySelector('textarea');
+      const textAreaElement = domAdapter.composer(inputForm);
       if (!textAreaElement) return;
       textAreaElement.value = libraryPrompt.text;
       addUserPromptToHistory(libraryPrompt.text);
@@ -1,9 +1,9 @@
 /* eslint-disable no-unused-vars */
-/* global defaultPrompts, createSettingsModal, createPromptChainListModal, runPromptChain */
+/* global defaultPrompts, createSettingsModal, createPromptChainListModal, runPromptChain, domAdapter */
 function addQuickAccessMenuEventListener() {
   document.addEventListener('selectionchange', () => {
     // bsckspace does not trigger selectionchange
-    const textAreaElement = document.querySelector('main form textarea');
+    const textAreaElement = domAdapter.composer();
     if (textAreaElement !== document.activeElement) return;
 
     const quickAccessMenuElement = document.querySelector('#quick-access-menu');
@@ -27,7 +27,7 @@ function addQuickAccessMenuEventListener() {
   });
   document.body.addEventListener('click', (e) => {
     const quickAccessMenuElement = document.querySelector('#quick-access-menu');
-    const textAreaElement = document.querySelector('main form textarea');
+    const textAreaElement = domAdapter.composer();
     if (!quickAccessMenuElement) return;
     if (textAreaElement?.contains(e.target)) {
       setTimeout(() => {
@@ -102,16 +102,16 @@ function addQuickAccessMenuEventListener() {
       }
     }
     if (event.key === 'Backspace') {
-      if (document.activeElement !== document.querySelector('main form textarea')) {
+      if (document.activeElement !== domAdapter.composer()) {
         event.preventDefault();
       }
-      document.querySelector('main form textarea').focus();
+      domAdapter.composer().focus();
     }
   });
 }
 function updateQuickAccessMenuItems() {
   // find the closest trigger
-  const textAreaElement = document.querySelector('main form textarea');
+  const textAreaElement = domAdapter.composer();
   const quickAccessMenuElement = document.querySelector('#quick-access-menu');
   if (!textAreaElement || !quickAccessMenuElement) return;
   const cursorPosition = textAreaElement.selectionStart;
@@ -178,7 +178,7 @@ function quickAccessMenu(trigger) {
     });
     menu.appendChild(loadPromptChains());
   }
-  const textAreaElement = document.querySelector('main form textarea');
+  const textAreaElement = domAdapter.composer();
   textAreaElement.parentElement.appendChild(menu);
 }
 function loadCustomPrompts() {
@@ -197,9 +197,9 @@ function loadCustomPrompts() {
       promptElement.classList = 'btn w-full text-left focus:outline focus:ring-2 focus:ring-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700';
       promptElement.innerHTML = `<span style="font-weight:bold; font-size:16px; margin-right:16px;white-space: nowrap; overflow: hidden; text-overflow: ellipsis;display:block;width:100%;">${prompt.title}</span><span style="font-size:14px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;display:block;width:100%;color:#888;">${prompt.text}</span>`;
       promptElement.addEventListener('click', () => {
-        const inputForm = document.querySelector('main form');
+        const inputForm = domAdapter.composerForm();
         if (!inputForm) return;
-        const textAreaElement = inputForm.querySelector('textarea');
+        const textAreaElement = domAdapter.composer(inputForm);
         if (!textAreaElement) return;
         document.querySelector('#quick-access-menu').remove();
         // find the neeares previous @ position
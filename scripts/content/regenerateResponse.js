@@ -1,17 +1,17 @@
 /* eslint-disable no-restricted-globals */
 // eslint-disable-next-line no-unused-vars
-/* global canSubmitPrompt, submitChat, showHideTextAreaElement, isGenerating:true, arkoseTrigger */
+/* global canSubmitPrompt, submitChat, showHideTextAreaElement, isGenerating:true, arkoseTrigger, conversationRepository, domAdapter */
 function toggleOriginalRegenerateResponseButton() {
   const allMessageWrapper = document.querySelectorAll('[id^="message-wrapper-"]');
   const lastMessageWrapperElement = allMessageWrapper[allMessageWrapper.length - 1];
   const anyUserMessageWrappers = document.querySelectorAll('[id^="message-wrapper-"][data-role="user"]').length > 0;
-  const inputForm = document.querySelector('main form');
+  const inputForm = domAdapter.composerForm();
   if (!inputForm) return;
-  const submitButton = inputForm.querySelector('textarea ~ button');
+  const submitButton = domAdapter.sendButton(inputForm);
   if (!submitButton) return;
   const canSubmit = canSubmitPrompt();
 
-  const textAreaElement = inputForm.querySelector('textarea');
+  const textAreaElement = domAdapter.composer(inputForm);
   if (!textAreaElement) return;
   const inputFormActionWrapper = inputForm.querySelector('#input-form-action-wrapper');
   if (!inputFormActionWrapper) return;
@@ -45,14 +45,14 @@ function toggleOriginalRegenerateResponseButton() {
   newRegenerateResponseButton.classList = `btn flex justify-center gap-2 ${textAreaElement.parentElement.style.display === 'none' ? 'btn-primary' : 'btn-neutral'} border`;
   newRegenerateResponseButton.innerHTML = '<svg stroke="currentColor" fill="none" stroke-width="1.5" viewBox="0 0 24 24" stroke-linecap="round" stroke-linejoin="round" class="h-3 w-3" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><polyline points="1 4 1 10 7 10"></polyline><polyline points="23 20 23 14 17 14"></polyline><path d="M20.49 9A9 9 0 0 0 5.64 5.64L1 10m22 4l-4.64 4.36A9 9 0 0 1 3.51 15"></path></svg> Regenerate';
   newRegenerateResponseButton.addEventListener('click', () => {
-    chrome.storage.local.get(['conversations', 'settings', 'models'], (result) => {
+    chrome.storage.local.get(['settings', 'models'], async (result) => {
       if (result.settings.selectedModel.tags.includes('gpt4')) {
         arkoseTrigger();
       }
       const { pathname } = new URL(window.location.toString());
       const conversationId = pathname.split('/').pop().replace(/[^a-z0-9-]/gi, '');
       if (!/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(conversationId)) return;
-      const conversation = result.conversations?.[conversationId];
+      const conversation = await conversationRepository.get(conversationId);
       // last element with id starting with message-wrapepr and data-role=user
       const allUserMessageWrappers = document.querySelectorAll('[id^="message-wrapper-"][data-role="user"]');
       const lastUserMessageWrapper = allUserMessageWrappers.item(allUserMessageWrappers.length - 1);
@@ -65,7 +65,7 @@ function toggleOriginalRegenerateResponseButton() {
       const parentId = lastUserMessage.parent;
       newRegenerateResponseButton.remove();
 
-      const curInputForm = document.querySelector('main form');
+      const curInputForm = domAdapter.composerForm();
       if (curInputForm.textContent.includes('There was an error generating a response')) {
         inputForm.firstChild.firstChild.remove();
       }
@@ -81,14 +81,14 @@ function toggleOriginalRegenerateResponseButton() {
   newContinueGeneratingButton.classList = `btn flex justify-center gap-2 ${textAreaElement.parentElement.style.display === 'none' ? 'btn-primary' : 'btn-neutral'} border`;
   newContinueGeneratingButton.innerHTML = '<svg stroke="currentColor" fill="none" stroke-width="1.5" viewBox="0 0 24 24" stroke-linecap="round" stroke-linejoin="round" class="h-3 w-3 -rotate-180" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><polygon points="11 19 2 12 11 5 11 19"></polygon><polygon points="22 19 13 12 22 5 22 19"></polygon></svg> Continue';
   newContinueGeneratingButton.addEventListener('click', () => {
-    chrome.storage.local.get(['conversations', 'settings', 'models'], (result) => {
+    chrome.storage.local.get(['settings', 'models'], async (result) => {
       if (result.settings.selectedModel.tags.includes('gpt4')) {
         arkoseTrigger();
       }
       const { pathname } = new URL(window.location.toString());
       const conversationId = pathname.split('/').pop().replace(/[^a-z0-9-]/gi, '');
       if (!/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(conversationId)) return;
-      const conversation = result.conversations?.[conversationId];
+      const conversation = await conversationRepository.get(conversationId);
       // last element with id starting with message-wrapepr and data-role=user
 
       newContinueGeneratingButton.remove();
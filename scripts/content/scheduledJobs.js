@@ -0,0 +1,19 @@
+// Content script access to the scheduled jobs of the background job runner
+// (scripts/background/jobRunner.js). Every method returns a promise.
+function scheduledJobsRequest(method, ...args) {
+  return chrome.runtime.sendMessage({
+    jobRunnerRequest: { method, args },
+  }).then((response) => {
+    if (!response) throw new Error(`Job runner did not answer ${method}`);
+    if (!response.ok) throw new Error(response.error);
+    return response.result;
+  });
+}
+// eslint-disable-next-line no-unused-vars
+const scheduledJobs = {
+  // Jobs with their next run (`dueAt`), soonest first
+  list: () => scheduledJobsRequest('list'),
+  getHistory: (jobId, limit) => scheduledJobsRequest('getHistory', jobId, limit),
+  runNow: (jobId) => scheduledJobsRequest('runNow', jobId),
+  retry: (jobId) => scheduledJobsRequest('retry', jobId),
+};
@@ -1,5 +1,5 @@
 // eslint-disable-next-line no-unused-vars
-/* global createModal, createReleaseNoteModal, languageList, writingStyleList, toneList, toast, loadConversationList, modelSwitcher, addModelSwitcherEventListener, API_URL:true */
+/* global createModal, createReleaseNoteModal, languageList, writingStyleList, toneList, toast, loadConversationList, modelSwitcher, addModelSwitcherEventListener, API_URL:true, agentManager, agentHostClient, setAgentEnabled, showAgentMonitor, saveAs, conversationRepository, scheduledJobs, createWorkflowBuilderModal, domAdapter, createSplitJobsModal, createTrashModal, createBackupModal, createRestoreBackupModal */
 const defaultPrompts = [
   { title: 'Continue', text: 'Please continue', isDefault: true },
   { title: 'Rewrite', text: 'Please rewrite your last response', isDefault: false },
@@ -31,15 +31,17 @@ function selectedTabContent(selectedTab) {
     case 5:
       return splitterTabContent();
     case 6:
-      return newsletterTabContent();
+      return agentsTabContent();
     case 7:
+      return newsletterTabContent();
+    case 8:
       return supportersTabContent();
     default:
       return generalTabContent();
   }
 }
 function settingsModalContent(initialTab = 0) {
-  const settingsTabs = ['General', 'Auto Sync', 'Models', 'Custom Prompts', 'Export', 'Splitter', 'Newsletter', 'Supporters'];
+  const settingsTabs = ['General', 'Auto Sync', 'Models', 'Custom Prompts', 'Export', 'Splitter', 'Agents', 'Newsletter', 'Supporters'];
   let activeTab = initialTab;
   // create history modal content
   const content = document.createElement('div');
@@ -156,7 +158,7 @@ function generalTabContent() {
       if (document.querySelector('#conversation-bottom')) {
         document.querySelector('#conversation-bottom').firstChild.style.maxWidth = `${newValue}%`;
       }
-      document.querySelector('main').querySelector('form').style.maxWidth = `${newValue}%`;
+      domAdapter.composerForm().style.maxWidth = `${newValue}%`;
       chrome.storage.local.set({ settings: { ...result.settings, conversationWidth: newValue, customConversationWidth: true } });
     });
     conversationWidthInput.addEventListener('input', () => {
@@ -169,7 +171,7 @@ function generalTabContent() {
       if (document.querySelector('#conversation-bottom')) {
         document.querySelector('#conversation-bottom').firstChild.style.maxWidth = `${newValue}%`;
       }
-      document.querySelector('main').querySelector('form').style.maxWidth = `${newValue}%`;
+      domAdapter.composerForm().style.maxWidth = `${newValue}%`;
       chrome.storage.local.set({ settings: { ...result.settings, conversationWidth: newValue, customConversationWidth: true } });
     });
   });
@@ -244,6 +246,21 @@ function generalTabContent() {
   importExportButtonWrapper.appendChild(exportButton);
   importExportWrapper.appendChild(importExportButtonWrapper);
 
+  // full backups, with conversations and agent data
+  const backupButtonWrapper = document.createElement('div');
+  backupButtonWrapper.style = 'display: flex; flex-direction: row; justify-content: start; align-items: center; width: 100%; margin: 8px 0;';
+  const backupButton = document.createElement('button');
+  backupButton.className = 'w-full px-4 py-2 mr-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm bg-gray-800';
+  backupButton.textContent = 'Backup';
+  backupButton.addEventListener('click', () => createBackupModal());
+  backupButtonWrapper.appendChild(backupButton);
+  const restoreBackupButton = document.createElement('button');
+  restoreBackupButton.className = 'w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm bg-gray-800';
+  restoreBackupButton.textContent = 'Restore Backup';
+  restoreBackupButton.addEventListener('click', () => createRestoreBackupModal());
+  backupButtonWrapper.appendChild(restoreBackupButton);
+  importExportWrapper.appendChild(backupButtonWrapper);
+
   leftContent.appendChild(importExportWrapper);
 
   // discord widget
@@ -428,7 +445,7 @@ function toggleCustomWidthInput(customConversationWidth) {
       if (document.querySelector('#conversation-bottom')) {
         document.querySelector('#conversation-bottom').firstChild.style.maxWidth = `${settings.conversationWidth}%`;
       }
-      document.querySelector('main').querySelector('form').style.maxWidth = `${settings.conversationWidth}%`;
+      domAdapter.composerForm().style.maxWidth = `${settings.conversationWidth}%`;
     } else {
       Array.from(document.querySelectorAll('[id^=message-wrapper]')).forEach((el) => {
         el.querySelector('div').style.removeProperty('max-width');
@@ -436,7 +453,7 @@ function toggleCustomWidthInput(customConversationWidth) {
       if (document.querySelector('#conversation-bottom')) {
         document.querySelector('#conversation-bottom').firstChild.style.removeProperty('max-width');
       }
-      document.querySelector('main').querySelector('form').style.removeProperty('max-width');
+      domAdapter.composerForm().style.removeProperty('max-width');
     }
   });
 }
@@ -482,15 +499,45 @@ function autoSyncTabContent() {
 
     const chatEndedSoundSwitch = createSwitch('Sound Alarm', 'Play a sound when the chat ends', 'chatEndedSound', false, null, 'Requires Auto-Sync', !autoSync);
     content.appendChild(chatEndedSoundSwitch);
+
+    // the background removes trashed conversations this many days after they were deleted
+    const trashRetentionLabel = document.createElement('div');
+    trashRetentionLabel.style = 'display: flex; flex-direction: row; justify-content: start; align-items: center; width: 100%; margin: 8px 0; color:white;';
+    trashRetentionLabel.textContent = 'Trash Retention (days, 0 keeps conversations in the trash until it is emptied)';
+    content.appendChild(trashRetentionLabel);
+
+    const trashRetentionInput = document.createElement('input');
+    trashRetentionInput.id = 'trash-retention-input';
+    trashRetentionInput.type = 'number';
+    trashRetentionInput.min = 0;
+    trashRetentionInput.classList = 'w-full px-4 py-2 mb-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm bg-gray-800 disabled:opacity-40';
+    trashRetentionInput.value = result.settings.trashRetentionDays || 0;
+    trashRetentionInput.disabled = !autoSync;
+    trashRetentionInput.addEventListener('input', () => {
+      const newValue = Math.max(0, Math.round(trashRetentionInput.value));
+      chrome.storage.local.get('settings', ({ settings }) => {
+        chrome.storage.local.set({ settings: { ...settings, trashRetentionDays: newValue } });
+      });
+    });
+    content.appendChild(trashRetentionInput);
+
+    const trashButton = document.createElement('button');
+    trashButton.classList = 'btn relative btn-neutral';
+    trashButton.style = 'margin: 8px 0;';
+    trashButton.textContent = 'Show trash and deletion log';
+    trashButton.disabled = !autoSync;
+    trashButton.addEventListener('click', () => createTrashModal());
+    content.appendChild(trashButton);
   });
   return content;
 }
 function resetSync() {
-  chrome.storage.local.set({
-    conversations: {},
-    conversationsAreSynced: false,
-  }, () => {
-    refreshPage();
+  conversationRepository.clear().then(() => {
+    chrome.storage.local.set({
+      conversationsAreSynced: false,
+    }, () => {
+      refreshPage();
+    });
   });
 }
 function reloadConversationList() {
@@ -541,8 +588,10 @@ function toggleKeepFoldersAtTheTop(isChecked) {
   });
 }
 function toggleConversationTimestamp(isChecked) {
-  chrome.storage.local.get(['conversationsOrder', 'conversations'], (result) => {
-    const { conversationsOrder, conversations } = result;
+  Promise.all([
+    chrome.storage.local.get(['conversationsOrder']),
+    conversationRepository.getSummaries(),
+  ]).then(([{ conversationsOrder }, conversations]) => {
     const newConversationsOrder = sortConversationsByTimestamp(conversationsOrder, conversations, isChecked);
     chrome.storage.local.set({ conversationsOrder: newConversationsOrder }, () => reloadConversationList());
   });
@@ -700,8 +749,72 @@ function modelsTabContent() {
   newCustomModelWrapper.appendChild(repeatedSlugError);
   newCustomModelWrapper.appendChild(newCustomModelButtonWrapper);
   content.appendChild(newCustomModelWrapper);
+  content.appendChild(chatProviderSettings());
   return content;
 }
+// Send chats to an OpenAI compatible endpoint instead of ChatGPT (scripts/content/chatProviders.js)
+function chatProviderSettings() {
+  const wrapper = document.createElement('div');
+  wrapper.style = 'display: flex; flex-direction: column; justify-content: start; align-items: start; width: 100%; margin-top: 24px; padding-top: 8px; border-top: 1px solid #565869;';
+  const title = document.createElement('div');
+  title.style = 'color: white; margin-bottom: 4px;';
+  title.textContent = 'Chat Provider';
+  const helper = document.createElement('div');
+  helper.style = 'font-size: 12px; color: #999; margin-bottom: 8px;';
+  helper.textContent = 'Send your chats to an OpenAI compatible /chat/completions endpoint instead of ChatGPT, for example https://api.openai.com/v1 with an API key or a local server such as http://localhost:11434/v1. The endpoint must allow requests from this page. These conversations are only saved in the extension.';
+  wrapper.appendChild(title);
+  wrapper.appendChild(helper);
+
+  const inputStyle = 'width: 100%; height: 34px; border-radius: 4px; border: 1px solid #565869; background-color: #0b0d0e; color: #eee; padding: 0 8px; font-size: 14px; margin-bottom: 8px;';
+  const providerSelect = document.createElement('select');
+  providerSelect.style = inputStyle;
+  providerSelect.innerHTML = '<option value="chatgpt">ChatGPT</option><option value="openai-compatible">OpenAI compatible endpoint</option>';
+  const baseUrlInput = document.createElement('input');
+  baseUrlInput.style = inputStyle;
+  baseUrlInput.placeholder = 'Base URL, e.g. https://api.openai.com/v1';
+  baseUrlInput.type = 'url';
+  const modelInput = document.createElement('input');
+  modelInput.style = inputStyle;
+  modelInput.placeholder = 'Model, e.g. gpt-4o-mini';
+  const apiKeyInput = document.createElement('input');
+  apiKeyInput.style = inputStyle;
+  apiKeyInput.placeholder = 'API key (optional)';
+  apiKeyInput.type = 'password';
+  apiKeyInput.autocomplete = 'off';
+  const endpointInputs = [baseUrlInput, modelInput, apiKeyInput];
+
+  // the API key is kept apart from the settings, which every tab receives on each change
+  chrome.storage.local.get(['settings', 'chatProviderApiKey'], ({ settings, chatProviderApiKey }) => {
+    providerSelect.value = settings.chatProvider || 'chatgpt';
+    baseUrlInput.value = settings.chatProviderBaseUrl || '';
+    modelInput.value = settings.chatProviderModel || '';
+    apiKeyInput.value = chatProviderApiKey || '';
+    endpointInputs.forEach((input) => {
+      input.style.display = providerSelect.value === 'openai-compatible' ? 'block' : 'none';
+    });
+  });
+  const saveChatProviderSettings = () => {
+    endpointInputs.forEach((input) => {
+      input.style.display = providerSelect.value === 'openai-compatible' ? 'block' : 'none';
+    });
+    chrome.storage.local.get(['settings'], (result) => {
+      chrome.storage.local.set({
+        settings: {
+          ...result.settings,
+          chatProvider: providerSelect.value,
+          chatProviderBaseUrl: baseUrlInput.value.trim(),
+          chatProviderModel: modelInput.value.trim(),
+        },
+        chatProviderApiKey: apiKeyInput.value.trim(),
+      });
+    });
+  };
+  [providerSelect, ...endpointInputs].forEach((input) => {
+    input.addEventListener('change', saveChatProviderSettings);
+    wrapper.appendChild(input);
+  });
+  return wrapper;
+}
 function toggleCustomPromptsButtonVisibility(isChecked) {
   const customPromptsButton = document.querySelector('#continue-conversation-button-wrapper');
   if (!customPromptsButton) return;
@@ -1006,6 +1119,30 @@ function exportTabContent() {
   exportModeSwitchWrapper.appendChild(exportModeSwitch);
   exportModeSwitchWrapper.appendChild(exportModeHelper);
 
+  // edited prompts and regenerated answers
+  const exportBranchesWrapper = document.createElement('div');
+  exportBranchesWrapper.style = 'display: flex; flex-direction: column; justify-content: start; align-items: start; width: 100%; margin: 8px 0;';
+  const exportBranchesLabel = document.createElement('div');
+  exportBranchesLabel.style = 'display: flex; flex-direction: row; justify-content: start; align-items: center; width: 100%; margin: 8px 0; color:white;';
+  exportBranchesLabel.textContent = 'Conversation branches';
+  const exportBranchesHelper = document.createElement('div');
+  exportBranchesHelper.style = 'font-size: 12px; color: #999; margin-bottom: 8px;';
+  exportBranchesHelper.textContent = 'Editing a prompt or regenerating an answer creates a new branch of the conversation. Choose which branches to export.';
+  const exportBranchesSelect = document.createElement('select');
+  exportBranchesSelect.style = 'width: 100%; height: 34px; border-radius: 4px; border: 1px solid #565869; background-color: #0b0d0e; color: #eee; padding: 0 8px; font-size: 14px;';
+  exportBranchesSelect.innerHTML = '<option value="current">Current branch only</option><option value="tree">All branches as a tree in one file</option><option value="longest">Longest branch</option><option value="leaves">One file per branch</option>';
+  chrome.storage.local.get('settings', ({ settings }) => {
+    exportBranchesSelect.value = settings.exportBranches || 'current';
+  });
+  exportBranchesSelect.addEventListener('change', () => {
+    chrome.storage.local.get('settings', ({ settings }) => {
+      chrome.storage.local.set({ settings: { ...settings, exportBranches: exportBranchesSelect.value } });
+    });
+  });
+  exportBranchesWrapper.appendChild(exportBranchesLabel);
+  exportBranchesWrapper.appendChild(exportBranchesHelper);
+  exportBranchesWrapper.appendChild(exportBranchesSelect);
+
   // export format
   const exportNamingFormatLabel = document.createElement('div');
   exportNamingFormatLabel.style = 'display: flex; flex-direction: row; justify-content: start; align-items: center; width: 100%; margin: 8px 0; color:white; opacity: 0.5;';
@@ -1014,6 +1151,7 @@ function exportTabContent() {
   betaTag.style = 'background-color: #ff9800; color: black; padding: 2px 4px; border-radius: 8px; margin-left: 8px; font-size: 0.7em;';
   betaTag.textContent = 'Coming soon';
   content.appendChild(exportModeSwitchWrapper);
+  content.appendChild(exportBranchesWrapper);
   content.appendChild(exportNamingFormatLabel);
   exportNamingFormatLabel.appendChild(betaTag);
   return content;
@@ -1033,7 +1171,7 @@ function splitterTabContent() {
 
     const autoSplitChunkSizeLabel = document.createElement('div');
     autoSplitChunkSizeLabel.style = 'display: flex; flex-direction: row; justify-content: start; align-items: center; width: 100%; margin: 8px 0; color:white;';
-    autoSplitChunkSizeLabel.textContent = 'Auto Split Chunk Size (1000-16000)';
+    autoSplitChunkSizeLabel.textContent = 'Auto Split Chunk Size (1000-16000 characters or tokens)';
 
     const autoSplitChunkSizeInput = document.createElement('input');
     autoSplitChunkSizeInput.id = 'split-prompt-limit-input';
@@ -1045,16 +1183,56 @@ function splitterTabContent() {
       const newValue = Math.round(curAutoSplitChunkSizeInput.value);
 
       curAutoSplitChunkSizeInput.value = newValue;
-      chrome.storage.local.set({ settings: { ...result.settings, autoSplitLimit: newValue } });
+      chrome.storage.local.get('settings', ({ settings }) => {
+        chrome.storage.local.set({ settings: { ...settings, autoSplitLimit: newValue } });
+      });
     });
     autoSplitChunkSizeInput.addEventListener('input', () => {
       const curAutoSplitChunkSizeInput = document.querySelector('#split-prompt-limit-input');
       const newValue = Math.round(curAutoSplitChunkSizeInput.value);
 
       curAutoSplitChunkSizeInput.value = newValue;
-      chrome.storage.local.set({ settings: { ...result.settings, autoSplitLimit: newValue } });
+      chrome.storage.local.get('settings', ({ settings }) => {
+        chrome.storage.local.set({ settings: { ...settings, autoSplitLimit: newValue } });
+      });
     });
 
+    // chunk size in characters or in tokens of the model chats are sent to
+    const autoSplitUnitSelect = document.createElement('select');
+    autoSplitUnitSelect.id = 'split-prompt-unit-select';
+    autoSplitUnitSelect.style = 'width: 100%; height: 34px; border-radius: 4px; border: 1px solid #565869; background-color: #0b0d0e; color: #eee; padding: 0 8px; font-size: 14px; margin-bottom: 8px;';
+    autoSplitUnitSelect.innerHTML = '<option value="characters">Characters</option><option value="tokens">Tokens</option>';
+    autoSplitUnitSelect.value = result.settings.autoSplitUnit || 'characters';
+    autoSplitUnitSelect.addEventListener('change', () => {
+      chrome.storage.local.get('settings', ({ settings }) => {
+        chrome.storage.local.set({ settings: { ...settings, autoSplitUnit: autoSplitUnitSelect.value } });
+      });
+    });
+
+    // end of every chunk repeated at the start of the next one
+    const autoSplitOverlapLabel = document.createElement('div');
+    autoSplitOverlapLabel.style = 'display: flex; flex-direction: row; justify-content: start; align-items: center; width: 100%; margin: 8px 0; color:white;';
+    autoSplitOverlapLabel.textContent = 'Auto Split Chunk Overlap (same unit, at most half the chunk size)';
+
+    const autoSplitOverlapInput = document.createElement('input');
+    autoSplitOverlapInput.id = 'split-prompt-overlap-input';
+    autoSplitOverlapInput.type = 'number';
+    autoSplitOverlapInput.min = 0;
+    autoSplitOverlapInput.classList = 'w-full px-4 py-2 mb-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm bg-gray-800 disabled:opacity-40';
+    autoSplitOverlapInput.value = result.settings.autoSplitOverlap || 0;
+    autoSplitOverlapInput.addEventListener('input', () => {
+      const newValue = Math.max(0, Math.round(autoSplitOverlapInput.value));
+      chrome.storage.local.get('settings', ({ settings }) => {
+        chrome.storage.local.set({ settings: { ...settings, autoSplitOverlap: newValue } });
+      });
+    });
+
+    const splitJobsButton = document.createElement('button');
+    splitJobsButton.classList = 'btn relative btn-neutral';
+    splitJobsButton.style = 'margin: 8px 0;';
+    splitJobsButton.textContent = 'Show split jobs';
+    splitJobsButton.addEventListener('click', () => createSplitJobsModal());
+
     // splitter initial prompt
     const autoSplitInitialPromptLabel = document.createElement('div');
     autoSplitInitialPromptLabel.style = 'display: flex; flex-direction: row; justify-content: start; align-items: center; width: 100%; margin-top: 16px; color:white;';
@@ -1108,6 +1286,10 @@ function splitterTabContent() {
     content.appendChild(splitterSwitchWrapper);
     content.appendChild(autoSplitChunkSizeLabel);
     content.appendChild(autoSplitChunkSizeInput);
+    content.appendChild(autoSplitUnitSelect);
+    content.appendChild(autoSplitOverlapLabel);
+    content.appendChild(autoSplitOverlapInput);
+    content.appendChild(splitJobsButton);
     content.appendChild(autoSplitInitialPromptLabel);
     content.appendChild(autoSplitInitialPromptHelper);
     content.appendChild(autoSplitInitialPromptText);
@@ -1141,6 +1323,329 @@ Summary: A short summary of the last chunk. Keep important facts and names in th
     });
   });
 }
+const section3Agents = [
+  {
+    agentId: 'knowledge-management-agent', className: 'KnowledgeManagementAgent', title: 'Knowledge Management', statsTask: 'getKnowledgeStats',
+  },
+  {
+    agentId: 'collaboration-agent', className: 'CollaborationAgent', title: 'Collaboration', statsTask: 'getCollaborationStats',
+  },
+  {
+    agentId: 'integration-hub-agent', className: 'IntegrationHubAgent', title: 'Integration Hub', statsTask: 'getIntegrationStats',
+  },
+  {
+    agentId: 'export-enhancements-agent', className: 'ExportEnhancementsAgent', title: 'Export Enhancements', statsTask: 'getExportStats',
+  },
+  {
+    agentId: 'mobile-companion-agent', className: 'MobileCompanionAgent', title: 'Mobile Companion', statsTask: 'getMobileStats',
+  },
+];
+function agentsTabContent() {
+  const content = document.createElement('div');
+  content.id = 'settings-modal-tab-content';
+  content.style = 'display: flex; flex-direction: column; justify-content: start; align-items: start;overflow-y: scroll; width:100%; padding: 16px; margin-width:100%; height: 100%;padding-bottom:80px;';
+
+  const agentMonitorButton = document.createElement('button');
+  agentMonitorButton.textContent = 'Open Agent Monitor';
+  agentMonitorButton.classList = 'btn flex justify-center gap-2 btn-dark border-0 md:border';
+  agentMonitorButton.addEventListener('click', () => {
+    showAgentMonitor();
+  });
+  content.appendChild(agentMonitorButton);
+  content.appendChild(embeddingSettings());
+  content.appendChild(workflowSettings());
+  content.appendChild(scheduledJobsSettings());
+
+  // These agents run in the background agent host
+  agentHostClient.refreshStatus().then((hostStatus) => {
+    section3Agents.forEach((agentInfo) => {
+      content.appendChild(agentSettingsRow(agentInfo, hostStatus));
+    });
+  });
+  return content;
+}
+function embeddingSettings() {
+  const wrapper = document.createElement('div');
+  wrapper.style = 'display: flex; flex-direction: column; justify-content: start; align-items: start; width: 100%; margin: 8px 0; padding-top: 8px; border-top: 1px solid #565869;';
+  const title = document.createElement('div');
+  title.style = 'color: white; margin-bottom: 4px;';
+  title.textContent = 'Semantic Search Embeddings';
+  const helper = document.createElement('div');
+  helper.style = 'font-size: 12px; color: #999; margin-bottom: 8px;';
+  helper.textContent = 'Local embeddings are computed offline. A remote provider sends your messages to an OpenAI compatible embeddings endpoint, which must allow requests from this extension. Changing the provider or model re-embeds all conversations.';
+  wrapper.appendChild(title);
+  wrapper.appendChild(helper);
+
+  const inputStyle = 'width: 100%; height: 34px; border-radius: 4px; border: 1px solid #565869; background-color: #0b0d0e; color: #eee; padding: 0 8px; font-size: 14px; margin-bottom: 8px;';
+  const providerSelect = document.createElement('select');
+  providerSelect.style = inputStyle;
+  providerSelect.innerHTML = '<option value="local">Local (offline)</option><option value="remote">Remote embeddings endpoint</option>';
+  const endpointInput = document.createElement('input');
+  endpointInput.style = inputStyle;
+  endpointInput.placeholder = 'https://api.openai.com/v1/embeddings';
+  endpointInput.type = 'url';
+  const modelInput = document.createElement('input');
+  modelInput.style = inputStyle;
+  modelInput.placeholder = 'Model, e.g. text-embedding-3-small';
+  const apiKeyInput = document.createElement('input');
+  apiKeyInput.style = inputStyle;
+  apiKeyInput.placeholder = 'API key (optional)';
+  apiKeyInput.type = 'password';
+  apiKeyInput.autocomplete = 'off';
+  const remoteInputs = [endpointInput, modelInput, apiKeyInput];
+
+  chrome.storage.local.get(['settings'], ({ settings }) => {
+    providerSelect.value = settings.embeddingProvider || 'local';
+    endpointInput.value = settings.embeddingEndpoint || '';
+    modelInput.value = settings.embeddingModel || '';
+    apiKeyInput.value = settings.embeddingApiKey || '';
+    remoteInputs.forEach((input) => {
+      input.style.display = providerSelect.value === 'remote' ? 'block' : 'none';
+    });
+  });
+  const saveEmbeddingSettings = () => {
+    remoteInputs.forEach((input) => {
+      input.style.display = providerSelect.value === 'remote' ? 'block' : 'none';
+    });
+    chrome.storage.local.get(['settings'], (result) => {
+      chrome.storage.local.set({
+        settings: {
+          ...result.settings,
+          embeddingProvider: providerSelect.value,
+          embeddingEndpoint: endpointInput.value.trim(),
+          embeddingModel: modelInput.value.trim(),
+          embeddingApiKey: apiKeyInput.value.trim(),
+        },
+      });
+    });
+  };
+  [providerSelect, ...remoteInputs].forEach((input) => {
+    input.addEventListener('change', saveEmbeddingSettings);
+    wrapper.appendChild(input);
+  });
+  return wrapper;
+}
+// Upcoming and failed jobs of the background job runner (scripts/background/jobRunner.js)
+function workflowSettings() {
+  const wrapper = document.createElement('div');
+  wrapper.style = 'display: flex; flex-direction: column; justify-content: start; align-items: start; width: 100%; margin: 8px 0; padding-top: 8px; border-top: 1px solid #565869;';
+  const title = document.createElement('div');
+  title.style = 'color: white; margin-bottom: 4px;';
+  title.textContent = 'Workflows';
+  const helper = document.createElement('div');
+  helper.style = 'font-size: 12px; color: #999; margin-bottom: 8px;';
+  helper.textContent = 'Workflows run actions on your conversations on a schedule or when a conversation changes.';
+  const workflowList = document.createElement('div');
+  workflowList.style = 'display: flex; flex-direction: column; width: 100%;';
+  const newWorkflowButton = document.createElement('button');
+  newWorkflowButton.textContent = 'New workflow';
+  newWorkflowButton.classList = 'btn flex justify-center gap-2 btn-dark border-0 md:border';
+  wrapper.appendChild(title);
+  wrapper.appendChild(helper);
+  wrapper.appendChild(workflowList);
+  wrapper.appendChild(newWorkflowButton);
+
+  const workflowButton = (text, action) => {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.classList = 'btn flex justify-center gap-2 btn-dark border-0 md:border ml-2';
+    button.addEventListener('click', () => action(button));
+    return button;
+  };
+  const renderWorkflows = () => agentManager.dispatchTask({ type: 'getWorkflows', data: {}, persist: false }).then((workflows) => {
+    workflowList.innerHTML = '';
+    if (workflows.length === 0) {
+      workflowList.textContent = 'There are no workflows yet.';
+      return;
+    }
+    workflows.forEach((workflow) => {
+      const row = document.createElement('div');
+      row.style = 'display: flex; flex-direction: row; justify-content: space-between; align-items: center; width: 100%; padding: 4px 0;';
+      const text = document.createElement('div');
+      text.style = 'display: flex; flex-direction: column; min-width: 0; margin-right: 8px;';
+      const name = document.createElement('div');
+      name.style = 'font-size: 14px; color: #eee; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      name.textContent = workflow.enabled ? workflow.name : `${workflow.name} (disabled)`;
+      const details = document.createElement('div');
+      details.style = 'font-size: 12px; color: #999;';
+      const lastRun = workflow.lastRun ? `, last run ${new Date(workflow.lastRun).toLocaleString()}` : '';
+      details.textContent = `On ${workflow.trigger.type.replaceAll('_', ' ')}, ${workflow.actions.length} actions, ${workflow.runCount} runs${lastRun}`;
+      text.appendChild(name);
+      text.appendChild(details);
+      const buttons = document.createElement('div');
+      buttons.style = 'display: flex; flex-direction: row;';
+      buttons.appendChild(workflowButton('Edit', () => {
+        createWorkflowBuilderModal(workflow, renderWorkflows);
+      }));
+      buttons.appendChild(workflowButton('Run', (button) => {
+        button.disabled = true;
+        agentManager.dispatchTask({ type: 'executeWorkflow', data: { workflowId: workflow.id, context: {} }, persist: false }).then(() => {
+          toast(`${workflow.name} finished`, 'success');
+        }).catch((error) => {
+          toast(`${workflow.name} failed: ${error.message}`, 'error');
+        }).finally(() => {
+          renderWorkflows();
+        });
+      }));
+      buttons.appendChild(workflowButton('Delete', (button) => {
+        if (button.textContent !== 'Confirm') {
+          button.textContent = 'Confirm';
+          setTimeout(() => {
+            button.textContent = 'Delete';
+          }, 3000);
+          return;
+        }
+        agentManager.dispatchTask({ type: 'deleteWorkflow', data: { workflowId: workflow.id }, persist: false }).then(() => {
+          renderWorkflows();
+        }).catch((error) => {
+          toast(error.message, 'error');
+        });
+      }));
+      row.appendChild(text);
+      row.appendChild(buttons);
+      workflowList.appendChild(row);
+    });
+  }).catch((error) => {
+    workflowList.textContent = `Workflows are not available: ${error.message}`;
+  });
+  newWorkflowButton.addEventListener('click', () => {
+    createWorkflowBuilderModal(null, renderWorkflows);
+  });
+  renderWorkflows();
+  return wrapper;
+}
+function scheduledJobsSettings() {
+  const wrapper = document.createElement('div');
+  wrapper.style = 'display: flex; flex-direction: column; justify-content: start; align-items: start; width: 100%; margin: 8px 0; padding-top: 8px; border-top: 1px solid #565869;';
+  const title = document.createElement('div');
+  title.style = 'color: white; margin-bottom: 4px;';
+  title.textContent = 'Scheduled Jobs';
+  const helper = document.createElement('div');
+  helper.style = 'font-size: 12px; color: #999; margin-bottom: 8px;';
+  helper.textContent = 'Scheduled workflows and exports run in the background, also when no ChatGPT tab is open. A failed run is tried again after 1 and 2 minutes.';
+  const jobList = document.createElement('div');
+  jobList.style = 'display: flex; flex-direction: column; width: 100%;';
+  wrapper.appendChild(title);
+  wrapper.appendChild(helper);
+  wrapper.appendChild(jobList);
+
+  const jobRow = (job, description, actionTitle, action) => {
+    const row = document.createElement('div');
+    row.style = 'display: flex; flex-direction: row; justify-content: space-between; align-items: center; width: 100%; padding: 4px 0;';
+    const text = document.createElement('div');
+    text.style = 'display: flex; flex-direction: column; min-width: 0; margin-right: 8px;';
+    const name = document.createElement('div');
+    name.style = 'font-size: 14px; color: #eee; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+    name.textContent = job.name;
+    const details = document.createElement('div');
+    details.style = 'font-size: 12px; color: #999;';
+    details.textContent = description;
+    text.appendChild(name);
+    text.appendChild(details);
+    const button = document.createElement('button');
+    button.textContent = actionTitle;
+    button.classList = 'btn flex justify-center gap-2 btn-dark border-0 md:border';
+    button.addEventListener('click', () => {
+      button.disabled = true;
+      action(job.id).then((run) => {
+        toast(run.status === 'succeeded' ? `${job.name} finished` : `${job.name} failed: ${run.error}`, run.status === 'succeeded' ? 'success' : 'error');
+      }).catch((error) => {
+        toast(error.message, 'error');
+      }).finally(() => {
+        // eslint-disable-next-line no-use-before-define
+        renderJobs();
+      });
+    });
+    row.appendChild(text);
+    row.appendChild(button);
+    return row;
+  };
+  const section = (sectionTitle, rows) => {
+    if (rows.length === 0) return;
+    const heading = document.createElement('div');
+    heading.style = 'font-size: 12px; color: #ccc; text-transform: uppercase; margin: 8px 0 4px 0;';
+    heading.textContent = sectionTitle;
+    jobList.appendChild(heading);
+    rows.forEach((row) => jobList.appendChild(row));
+  };
+  const renderJobs = () => scheduledJobs.list().then((jobs) => {
+    jobList.innerHTML = '';
+    if (jobs.length === 0) {
+      jobList.textContent = 'There are no scheduled jobs yet.';
+      return;
+    }
+    const failed = jobs.filter((job) => job.pendingRetry || ['failed', 'interrupted'].includes(job.lastStatus));
+    section('Failed', failed.map((job) => {
+      const retry = job.pendingRetry ? `, attempt ${job.pendingRetry.attempt} at ${new Date(job.pendingRetry.at).toLocaleString()}` : '';
+      return jobRow(job, `${new Date(job.lastRun).toLocaleString()}: ${job.lastError}${retry}`, 'Retry', scheduledJobs.retry);
+    }));
+    const upcoming = jobs.filter((job) => job.dueAt !== null);
+    section('Upcoming', upcoming.map((job) => {
+      const missed = job.missedRuns > 0 ? `, ${job.missedRuns} missed` : '';
+      return jobRow(job, `Next run ${new Date(job.dueAt).toLocaleString()}, ${job.runCount} runs${missed}`, 'Run now', scheduledJobs.runNow);
+    }));
+  }).catch((error) => {
+    jobList.textContent = `Scheduled jobs are not available: ${error.message}`;
+  });
+  renderJobs();
+  return wrapper;
+}
+function agentSettingsRow(agentInfo, hostStatus) {
+  const {
+    agentId, className, title, statsTask,
+  } = agentInfo;
+  const agent = hostStatus ? hostStatus.agents.find((agentStatus) => agentStatus.agentId === agentId) : null;
+  const loadError = hostStatus ? hostStatus.loadErrors[className] : 'agent host is not running';
+
+  const wrapper = document.createElement('div');
+  wrapper.style = 'display: flex; flex-direction: column; justify-content: start; align-items: start; width: 100%; margin: 8px 0; padding-top: 8px; border-top: 1px solid #565869;';
+
+  const agentSwitch = createSwitch(title, agent ? agent.description : `Not loaded: ${loadError || 'agent system is not initialized'}`, null, agent ? agent.enabled : false, (checked) => {
+    setAgentEnabled(agentId, checked).then(() => {
+      toast(`${title} ${checked ? 'enabled' : 'disabled'}`);
+    });
+  }, agent ? agent.state : 'Failed', !agent);
+  wrapper.appendChild(agentSwitch);
+  if (!agent) return wrapper;
+
+  const actions = document.createElement('div');
+  actions.style = 'display: flex; flex-direction: row; justify-content: start; align-items: center; width: 100%; margin: 8px 0;';
+  const stats = document.createElement('pre');
+  stats.style = 'display: none; width: 100%; max-height: 200px; overflow-y: scroll; font-size: 12px; color: #999; background-color: #2d2d3a; border-radius: 4px; padding: 8px; white-space: pre-wrap;';
+
+  const statsButton = document.createElement('button');
+  statsButton.textContent = 'View stats';
+  statsButton.classList = 'btn flex justify-center gap-2 btn-dark border-0 md:border mr-2';
+  statsButton.addEventListener('click', () => {
+    agentManager.dispatchTask({ type: statsTask, data: {}, persist: false }).then((result) => {
+      stats.textContent = JSON.stringify(result.data, null, 2);
+    }).catch((error) => {
+      stats.textContent = error.message;
+    }).finally(() => {
+      stats.style.display = 'block';
+    });
+  });
+  actions.appendChild(statsButton);
+
+  if (agentId === 'knowledge-management-agent') {
+    const exportKnowledgeButton = document.createElement('button');
+    exportKnowledgeButton.textContent = 'Export knowledge base';
+    exportKnowledgeButton.classList = 'btn flex justify-center gap-2 btn-dark border-0 md:border';
+    exportKnowledgeButton.addEventListener('click', () => {
+      agentManager.dispatchTask({ type: 'exportKnowledgeBase', data: { format: 'json' }, persist: false }).then((result) => {
+        const blob = new Blob([result.data.data], { type: 'application/json' });
+        saveAs(blob, `${new Date().toISOString().slice(0, 10)}-knowledge-base.json`);
+      }).catch((error) => {
+        toast(error.message, 'error');
+      });
+    });
+    actions.appendChild(exportKnowledgeButton);
+  }
+
+  wrapper.appendChild(actions);
+  wrapper.appendChild(stats);
+  return wrapper;
+}
 function newsletterTabContent() {
   const content = document.createElement('div');
   content.id = 'settings-modal-tab-content';
@@ -1381,7 +1886,7 @@ function settingsModalActions() {
   return actionBar;
 }
 function addSettingsButton() {
-  const nav = document.querySelector('nav');
+  const nav = domAdapter.sidebar();
   if (!nav) return;
 
   // check if the setting button is already added
@@ -1410,7 +1915,7 @@ function addSettingsButton() {
 function initializeSettings() {
   // get dark mode from html tag class="dark"
   // create setting storage
-  chrome.storage.local.get(['settings', 'presetPrompts', 'selectedConversations', 'customPrompts', 'customInstructionProfiles'], (result) => {
+  chrome.storage.local.get(['settings', 'presetPrompts', 'selectedConversations', 'customPrompts', 'customInstructionProfiles', 'chatProviderApiKey'], (result) => {
     let newCustomPrompts = Array.isArray(result.customPrompts)
       ? result.customPrompts
       : [
@@ -1424,9 +1929,11 @@ function initializeSettings() {
     if (!hasDefault) {
       newCustomPrompts[0].isDefault = true;
     }
+    // the chat provider API key used to be saved in the settings
+    const { chatProviderApiKey: legacyChatProviderApiKey, ...storedSettings } = result.settings || {};
     chrome.storage.local.set({
       settings: {
-        ...result.settings,
+        ...storedSettings,
         autoScroll: result.settings?.autoScroll !== undefined ? result.settings.autoScroll : true,
         autoSync: result.settings?.autoSync !== undefined ? result.settings.autoSync : true,
         autoRefreshAfterSync: result.settings?.autoRefreshAfterSync !== undefined ? result.settings.autoRefreshAfterSync : true,
@@ -1456,6 +1963,14 @@ function initializeSettings() {
         autoSummarize: result.settings?.autoSummarize !== undefined ? result.settings.autoSummarize : false,
         autoSplit: result.settings?.autoSplit !== undefined ? result.settings.autoSplit : true,
         autoSplitLimit: result.settings?.autoSplitLimit !== undefined ? result.settings.autoSplitLimit : 8000,
+        autoSplitUnit: result.settings?.autoSplitUnit || 'characters',
+        autoSplitOverlap: result.settings?.autoSplitOverlap || 0,
+        trashRetentionDays: result.settings?.trashRetentionDays || 0,
+        autoBackupFrequency: result.settings?.autoBackupFrequency || 'off',
+        embeddingProvider: result.settings?.embeddingProvider || 'local',
+        embeddingEndpoint: result.settings?.embeddingEndpoint || '',
+        embeddingModel: result.settings?.embeddingModel || '',
+        embeddingApiKey: result.settings?.embeddingApiKey || '',
         autoSplitInitialPrompt: result.settings?.autoSplitInitialPrompt !== undefined ? result.settings?.autoSplitInitialPrompt : `Act like a document/text loader until you load and remember the content of the next text/s or document/s.
 There might be multiple files, each file is marked by name in the format ### DOCUMENT NAME.
 I will send them to you in chunks. Each chunk starts will be noted as [START CHUNK x/TOTAL], and the end of this chunk will be noted as [END CHUNK x/TOTAL], where x is the number of current chunks, and TOTAL is the number of all chunks I will send you.
@@ -1474,6 +1989,7 @@ Don't reply with anything else!`,
         selectedTone: result.settings?.selectedTone || toneList.find((tone) => tone.code === 'default'),
         selectedWritingStyle: result.settings?.selectedWritingStyle || writingStyleList.find((writingStyle) => writingStyle.code === 'default'),
         exportMode: result.settings?.exportMode || 'both',
+        exportBranches: result.settings?.exportBranches || 'current',
         historyFilter: result.settings?.historyFilter || 'favorites',
         selectedLibrarySortBy: result.settings?.selectedLibrarySortBy || { name: 'New', code: 'recent' },
         selectedLibraryCategory: result.settings?.selectedLibraryCategory || { name: 'All', code: 'all' },
@@ -1483,6 +1999,7 @@ Don't reply with anything else!`,
       presetPrompts: {},
       customInstructionProfiles: result.customInstructionProfiles !== undefined ? result.customInstructionProfiles : [],
       customPrompts: newCustomPrompts,
+      chatProviderApiKey: result.chatProviderApiKey || legacyChatProviderApiKey || '',
     }, () => addSettingsButton());
   });
 }
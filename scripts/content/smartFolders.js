@@ -0,0 +1,79 @@
+/* global agentManager, conversationRepository, runConversationQuery, savedSearchToQuery, createSmartFolder, debounce */
+// Saved searches of the EnhancedSearchAgent (enhancedSearchState.savedSearches) shown as smart folders above the
+// regular folders. Saving and deleting go through the agent, which owns that storage key.
+let smartFolderListenersAdded = false;
+
+async function getSavedSearches() {
+  const { enhancedSearchState } = await chrome.storage.local.get(['enhancedSearchState']);
+  return (enhancedSearchState?.savedSearches || []).map(([, savedSearch]) => savedSearch);
+}
+
+function isSearchingConversations() {
+  return Boolean(document.querySelector('#conversation-search')?.value);
+}
+
+// Render the smart folders at the top of the conversation list, keeping the folders that were open open.
+// Search results replace the whole list, smart folders come back when the search is cleared.
+async function loadSmartFolders() {
+  if (!document.querySelector('#conversation-search-wrapper') || isSearchingConversations()) return;
+  try {
+    const [savedSearches, { conversationsOrder }, conversations] = await Promise.all([
+      getSavedSearches(),
+      chrome.storage.local.get(['conversationsOrder']),
+      conversationRepository.getSummaries(),
+    ]);
+    const results = await Promise.all(savedSearches.map((savedSearch) => runConversationQuery(savedSearchToQuery(savedSearch), conversations, conversationsOrder)));
+
+    const searchBoxWrapper = document.querySelector('#conversation-search-wrapper');
+    if (!searchBoxWrapper || isSearchingConversations()) return;
+    const existingSmartFolders = document.querySelector('#smart-folders');
+    const openNames = [...(existingSmartFolders?.querySelectorAll('[data-is-open="true"]') || [])].map((element) => element.dataset.name);
+    const smartFolders = document.createElement('div');
+    smartFolders.id = 'smart-folders';
+    smartFolders.classList = 'flex flex-col w-full';
+    savedSearches.forEach((savedSearch, i) => {
+      smartFolders.appendChild(createSmartFolder(savedSearch, savedSearch.createdAt || i, results[i], openNames.includes(savedSearch.name)));
+    });
+    if (existingSmartFolders) {
+      existingSmartFolders.replaceWith(smartFolders);
+    } else {
+      searchBoxWrapper.after(smartFolders);
+    }
+  } catch (error) {
+    console.error('Failed to load smart folders:', error);
+  }
+}
+
+// Refill the smart folders when conversations sync, saved searches change or folders are renamed
+// eslint-disable-next-line no-unused-vars
+function initializeSmartFolders() {
+  if (smartFolderListenersAdded) return;
+  smartFolderListenersAdded = true;
+  const refreshSmartFolders = debounce(() => loadSmartFolders(), 1000);
+  conversationRepository.onChange(refreshSmartFolders);
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && (changes.enhancedSearchState || changes.conversationsOrder)) {
+      refreshSmartFolders();
+    }
+  });
+}
+
+// eslint-disable-next-line no-unused-vars
+function saveSmartFolder(query) {
+  const trimmedQuery = query.trim();
+  if (!trimmedQuery) return Promise.resolve();
+  return getSavedSearches().then((savedSearches) => {
+    // the query is the name, an existing search with the same query is replaced
+    const name = savedSearches.find((savedSearch) => savedSearch.query === trimmedQuery)?.name || trimmedQuery;
+    return agentManager.dispatchTask({ type: 'saveSearch', data: { name, query: trimmedQuery, criteria: {} } });
+  }).catch((error) => {
+    console.error('Failed to save search:', error);
+  });
+}
+
+// eslint-disable-next-line no-unused-vars
+function deleteSmartFolder(name) {
+  return agentManager.dispatchTask({ type: 'deleteSearch', data: { name } }).catch((error) => {
+    console.error('Failed to delete saved search:', error);
+  });
+}
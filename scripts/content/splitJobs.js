@@ -0,0 +1,584 @@
+/* global tokenizer, activeChatModel, domAdapter, createModal, toast, isGenerating */
+// Auto Split. A prompt longer than settings.autoSplitLimit (characters or tokens, settings.autoSplitUnit) is split at
+// Markdown headings, code fences, paragraphs and sentences, and the end of every chunk is repeated at the start of
+// the next one (settings.autoSplitOverlap, same unit). Every split prompt is a job kept in chrome.storage.local
+// (splitJobs), so a run survives a page reload and can be paused, resumed and retried chunk by chunk. The chunks go
+// through the chat form: overrideSubmitForm (conversationList.js) sends them, and submitChat reports the replies with
+// splitJobAnswered and splitJobFailed.
+
+const SPLIT_JOBS_MAX = 20;
+
+// The job whose chunks are being sent, null when no run is going on in this page
+let splitJobActive = null;
+// The chunk the splitter put in the composer, taken by the next submit of the chat form
+let splitJobOutgoing = null;
+
+// Length of a prompt in the unit of settings.autoSplitLimit, characters or tokens
+function autoSplitLength(text, settings) {
+  return settings.autoSplitUnit === 'tokens' ? tokenizer.count(text, activeChatModel(settings)) : text.length;
+}
+// Where the next chunk of a prompt ends, at a break before the limit
+function autoSplitIndex(text, settings, limit = settings.autoSplitLimit) {
+  if (autoSplitLength(text, settings) <= limit) return text.length;
+  const position = settings.autoSplitUnit === 'tokens'
+    ? tokenizer.indexAtTokens(text, limit, activeChatModel(settings))
+    : limit;
+  return getLastIndexOf(text, position) || position;
+}
+function getLastIndexOf(text, position) {
+  // if text down't include \n or . or ? or ! return position
+  if (!text.includes('\n') && !text.includes('.') && !text.includes('?') && !text.includes('!')) return position;
+  // last index of space before position
+  const space = text.lastIndexOf(' ', position);
+  // last index of \n before position
+  const newLine = text.lastIndexOf('\n', position);
+  // last index of . before newLine
+  const period = text.lastIndexOf('.', position);
+  // last index of ? before newLine
+  const questionMark = text.lastIndexOf('?', position);
+  // last index of ! before newLine
+  const exclamationMark = text.lastIndexOf('!', position);
+  // return the closest index to position
+  return Math.max(space, newLine, period, questionMark, exclamationMark) + 1;
+}
+
+// Sentences with their trailing spaces, a line break also ends one
+const SPLIT_SENTENCE_PATTERN = /[^.!?\n]+(?:[.!?]+["')\]]*[ \t]*|\n+|$)|[.!?\n]+/g;
+
+const isSplitPromptHeading = (line) => /^#{1,6}\s/.test(line.trim());
+const isSplitPromptHeadingOnly = (lines) => lines.every((l) => isSplitPromptHeading(l) || l.trim() === '');
+
+// The fence open after a line, null outside code blocks. `fence` is the open fence line before it
+function splitPromptFenceAfter(fence, line) {
+  const trimmed = line.trim();
+  if (fence) {
+    const close = fence.trim().match(/^(`{3,}|~{3,})/)[1];
+    return trimmed.startsWith(close) && /^[`~]+$/.test(trimmed) ? null : fence;
+  }
+  return /^(`{3,}|~{3,})/.test(trimmed) ? line : null;
+}
+
+// Paragraphs, code fences and headings glued to the paragraph or code block under them, separated by blank lines in
+// the prompt
+function splitPromptBlocks(text) {
+  const blocks = [];
+  let lines = [];
+  let fence = null;
+  const flush = (code = false) => {
+    if (lines.length > 0) blocks.push({ text: lines.join('\n'), code });
+    lines = [];
+  };
+  text.split('\n').forEach((line) => {
+    const trimmed = line.trim();
+    if (fence) {
+      lines.push(line);
+      if (trimmed.startsWith(fence) && /^[`~]+$/.test(trimmed)) {
+        fence = null;
+        flush(true);
+      }
+      return;
+    }
+    const fenceOpen = trimmed.match(/^(`{3,}|~{3,})/);
+    if (fenceOpen) {
+      // a heading right above the fence stays with the code block
+      if (!isSplitPromptHeadingOnly(lines)) flush();
+      [, fence] = fenceOpen;
+      lines.push(line);
+    } else if (isSplitPromptHeading(line)) {
+      // a heading starts a block, several headings in a row stay together
+      if (!isSplitPromptHeadingOnly(lines)) flush();
+      lines.push(line);
+    } else if (trimmed === '') {
+      // the blank line under a heading does not end its block
+      if (lines.length > 0 && isSplitPromptHeadingOnly(lines)) lines.push(line);
+      else flush();
+    } else {
+      lines.push(line);
+    }
+  });
+  // an unclosed fence runs to the end
+  flush(Boolean(fence));
+  return blocks;
+}
+
+// Put pieces together into chunks of at most `limit`, a piece larger than the limit is a chunk of its own
+function splitPromptPack(pieces, separator, limit, size) {
+  const separatorSize = separator ? size(separator) : 0;
+  const chunks = [];
+  let current = [];
+  let currentSize = 0;
+  pieces.forEach((piece) => {
+    const pieceSize = size(piece);
+    if (current.length > 0 && currentSize + separatorSize + pieceSize > limit) {
+      chunks.push(current.join(separator));
+      current = [];
+      currentSize = 0;
+    }
+    currentSize += (current.length > 0 ? separatorSize : 0) + pieceSize;
+    current.push(piece);
+  });
+  if (current.length > 0) chunks.push(current.join(separator));
+  return chunks;
+}
+
+// Cut text that has no breaks left, at the last space before the limit
+function splitPromptHard(text, limit, settings) {
+  const pieces = [];
+  let rest = text;
+  while (rest) {
+    const index = Math.max(1, autoSplitIndex(rest, settings, limit));
+    pieces.push(rest.slice(0, index));
+    rest = rest.slice(index);
+  }
+  return pieces;
+}
+
+function splitPromptSentences(text, limit, settings) {
+  const size = (t) => autoSplitLength(t, settings);
+  const sentences = (text.match(SPLIT_SENTENCE_PATTERN) || [text])
+    .flatMap((sentence) => (size(sentence) > limit ? splitPromptHard(sentence, limit, settings) : [sentence]));
+  return splitPromptPack(sentences, '', limit, size).map((chunk) => chunk.trim()).filter(Boolean);
+}
+
+// A code block larger than the limit is split between lines, every part is fenced again. The headings above the
+// fence go with the first part
+function splitPromptCode(text, limit, settings) {
+  const size = (t) => autoSplitLength(t, settings);
+  const lines = text.split('\n');
+  const openIndex = lines.findIndex((line) => /^(`{3,}|~{3,})/.test(line.trim()));
+  const heading = lines.slice(0, openIndex).join('\n');
+  const open = lines[openIndex];
+  const close = open.trim().match(/^(`{3,}|~{3,})/)[1];
+  const body = lines.slice(openIndex + 1);
+  if (body.length > 0 && body[body.length - 1].trim().startsWith(close)) body.pop();
+  const bodyLimit = Math.max(1, limit - size(`${heading ? `${heading}\n` : ''}${open}\n\n${close}`));
+  const bodyLines = body.flatMap((line) => (size(line) > bodyLimit ? splitPromptHard(line, bodyLimit, settings) : [line]));
+  return splitPromptPack(bodyLines, '\n', bodyLimit, size)
+    .map((part, i) => `${i === 0 && heading ? `${heading}\n` : ''}${open}\n${part}\n${close}`);
+}
+
+/**
+ * Split a prompt into chunks of at most settings.autoSplitLimit, keeping headings with their text and code fences
+ * closed, and cutting paragraphs between sentences
+ * @param {number} [limit=settings.autoSplitLimit] - Chunk size, without the overlap
+ * @returns {string[]}
+ */
+function splitPromptChunks(text, settings, limit = settings.autoSplitLimit) {
+  const size = (t) => autoSplitLength(t, settings);
+  const pieces = splitPromptBlocks(text).flatMap((block) => {
+    if (size(block.text) <= limit) return [block.text];
+    return block.code ? splitPromptCode(block.text, limit, settings) : splitPromptSentences(block.text, limit, settings);
+  });
+  return splitPromptPack(pieces, '\n\n', limit, size);
+}
+
+// The end of a chunk with its code fences balanced: a tail that starts inside a code block gets the fence line that
+// opened it, one that ends inside a code block is closed
+function splitPromptBalanceFences(previous, tail) {
+  const start = previous.lastIndexOf(tail);
+  const fenceAtStart = previous.slice(0, start).split('\n').slice(0, -1).reduce(splitPromptFenceAfter, null);
+  const fenceAtEnd = tail.split('\n').reduce(splitPromptFenceAfter, fenceAtStart);
+  const opened = fenceAtStart ? `${fenceAtStart}\n${tail}` : tail;
+  return fenceAtEnd ? `${opened}\n${fenceAtEnd.trim().match(/^(`{3,}|~{3,})/)[1]}` : opened;
+}
+
+// The end of the previous chunk repeated at the start of the next one: whole sentences, or the last words when no
+// sentence fits. With the blank line under it, the overlap takes at most `overlap` of the next chunk's size
+function splitPromptOverlap(previous, overlap, settings) {
+  if (!overlap || overlap <= 0) return '';
+  const size = (t) => autoSplitLength(t, settings);
+  const take = (parts, budget) => {
+    let tail = '';
+    let tailSize = 0;
+    for (let i = parts.length - 1; i >= 0; i -= 1) {
+      const partSize = size(parts[i]);
+      if (tailSize + partSize > budget) break;
+      tail = parts[i] + tail;
+      tailSize += partSize;
+    }
+    return tail.trim();
+  };
+  // the fence lines added to balance the tail come out of the budget
+  let budget = overlap - size('\n\n');
+  while (budget > 0) {
+    const tail = take(previous.match(SPLIT_SENTENCE_PATTERN) || [], budget) || take(previous.split(/(?=\s)/), budget);
+    if (!tail) return '';
+    const balanced = splitPromptBalanceFences(previous, tail);
+    const balancedSize = size(`${balanced}\n\n`);
+    if (balancedSize <= overlap) return balanced;
+    budget -= balancedSize - overlap;
+  }
+  return '';
+}
+
+function splitJobsGet() {
+  return chrome.storage.local.get(['splitJobs']).then(({ splitJobs }) => splitJobs || []);
+}
+// Save a job as the most recent one, the oldest jobs are dropped
+function splitJobSave(job) {
+  job.updatedAt = Date.now();
+  return splitJobsGet()
+    .then((jobs) => chrome.storage.local.set({ splitJobs: [job, ...jobs.filter((j) => j.id !== job.id)].slice(0, SPLIT_JOBS_MAX) }))
+    .then(() => {
+      // eslint-disable-next-line no-use-before-define
+      renderSplitJobs();
+      return job;
+    });
+}
+// Change a job, the running one in this page or the one in storage
+function splitJobUpdate(jobId, update) {
+  const job = splitJobActive?.id === jobId
+    ? Promise.resolve(splitJobActive)
+    : splitJobsGet().then((jobs) => jobs.find((j) => j.id === jobId));
+  return job.then((found) => {
+    if (!found) throw new Error(`Split job not found: ${jobId}`);
+    update(found);
+    return splitJobSave(found);
+  });
+}
+
+function splitJobChunkPrompt(job, index) {
+  const chunk = job.chunks[index];
+  const total = job.chunks.length;
+  const text = chunk.overlap ? `${chunk.overlap}\n\n${chunk.text}` : chunk.text;
+  return `${index === 0 ? job.initialPrompt : ''}[START CHUNK ${index + 1}/${total}]
+${text}
+[END CHUNK ${index + 1}/${total}]
+${job.chunkPrompt}`;
+}
+
+function splitJobSummaryPrompt(job) {
+  return `Here's the final summary of our conversation:
+${job.chunks.map((chunk) => chunk.reply || '').join('\n')}
+Reply with OK: [Summary is received!]. Don't reply with anything else!`;
+}
+
+/**
+ * Split a prompt into a new job and make it the running one
+ * @returns {string} The prompt of the first chunk, for the chat form to send
+ */
+// eslint-disable-next-line no-unused-vars
+function splitJobStart(text, conversationId, settings) {
+  // at most half a chunk, so every chunk still moves the prompt forward
+  const overlap = Math.min(Number(settings.autoSplitOverlap) || 0, settings.autoSplitLimit / 2);
+  // the overlap is part of the chunk size
+  const chunks = splitPromptChunks(text, settings, settings.autoSplitLimit - overlap);
+  splitJobActive = {
+    id: self.crypto.randomUUID(),
+    conversationId: conversationId || null,
+    title: text.split('\n').find((line) => line.trim())?.trim().slice(0, 80) || 'Split prompt',
+    status: 'running',
+    initialPrompt: settings.autoSplitInitialPrompt,
+    chunkPrompt: settings.autoSplitChunkPrompt,
+    autoSummarize: Boolean(settings.autoSummarize),
+    chunks: chunks.map((chunkText, index) => ({
+      text: chunkText,
+      overlap: index > 0 ? splitPromptOverlap(chunks[index - 1], overlap, settings) : '',
+      status: 'pending',
+      messageId: null,
+      reply: null,
+      error: null,
+    })),
+    summary: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+  splitJobOutgoing = { jobId: splitJobActive.id, index: 0 };
+  return splitJobChunkPrompt(splitJobActive, 0);
+}
+
+/**
+ * Whether the chat form is about to send a chunk or summary the splitter put in the composer
+ */
+// eslint-disable-next-line no-unused-vars
+function splitJobIsOutgoing() {
+  return Boolean(splitJobOutgoing);
+}
+
+/**
+ * Record that the chunk or summary in the composer was sent as the user message `messageId`
+ */
+// eslint-disable-next-line no-unused-vars
+function splitJobSent(messageId) {
+  const outgoing = splitJobOutgoing;
+  splitJobOutgoing = null;
+  if (!outgoing || splitJobActive?.id !== outgoing.jobId) return;
+  const sent = { status: 'sent', messageId, error: null };
+  if (outgoing.index === 'summary') splitJobActive.summary = { ...splitJobActive.summary, ...sent };
+  else Object.assign(splitJobActive.chunks[outgoing.index], sent);
+  splitJobSave(splitJobActive);
+}
+
+// Put a prompt in the composer and submit the chat form like insertNextChain does
+function splitJobSubmit(prompt, outgoing) {
+  const textAreaElement = domAdapter.composer();
+  const submitButton = domAdapter.sendButton();
+  if (!textAreaElement || !submitButton) return false;
+  splitJobOutgoing = outgoing;
+  textAreaElement.value = prompt;
+  textAreaElement.focus();
+  textAreaElement.dispatchEvent(new Event('input', { bubbles: true }));
+  textAreaElement.dispatchEvent(new Event('change', { bubbles: true }));
+  setTimeout(() => {
+    submitButton.click();
+  }, 300);
+  return true;
+}
+
+// Send the first chunk without a reply, then the summary, then finish
+function splitJobContinue(job) {
+  if (job.status !== 'running') {
+    splitJobActive = null;
+    return;
+  }
+  const index = job.chunks.findIndex((chunk) => chunk.status !== 'done');
+  if (index !== -1) {
+    if (!splitJobSubmit(splitJobChunkPrompt(job, index), { jobId: job.id, index })) {
+      // eslint-disable-next-line no-use-before-define
+      splitJobFailedAt(job, index, 'The chat form was not found');
+    }
+    return;
+  }
+  if (job.autoSummarize && job.summary?.status !== 'done') {
+    job.summary = { status: 'pending', messageId: null, reply: null, error: null };
+    if (splitJobSubmit(splitJobSummaryPrompt(job), { jobId: job.id, index: 'summary' })) return;
+  }
+  job.status = 'done';
+  splitJobActive = null;
+  splitJobSave(job);
+}
+
+function splitJobFailedAt(job, index, error) {
+  const failed = { status: 'failed', error };
+  if (index === 'summary') job.summary = { ...job.summary, ...failed };
+  else Object.assign(job.chunks[index], failed);
+  job.status = 'paused';
+  if (splitJobActive?.id === job.id) splitJobActive = null;
+  splitJobSave(job);
+}
+
+/**
+ * Record the reply to a chunk and send the next one. Replies to other messages click the continue button
+ * when settings.autoClick is on
+ */
+// eslint-disable-next-line no-unused-vars
+function splitJobAnswered(settings, conversationId, messageId, message) {
+  const job = splitJobActive;
+  const chunk = job?.chunks.find((c) => c.status === 'sent' && c.messageId === messageId);
+  const isSummary = job?.summary?.status === 'sent' && job.summary.messageId === messageId;
+  if (!chunk && !isSummary) {
+    if (settings.autoClick) {
+      const continueButton = document.getElementById('continue-conversation-button');
+      if (continueButton) continueButton.click();
+    }
+    return;
+  }
+  const reply = (message?.content?.parts || []).filter((part) => typeof part === 'string').join('\n');
+  job.conversationId = conversationId || job.conversationId;
+  if (isSummary) {
+    job.summary = { ...job.summary, status: 'done', reply };
+  } else {
+    Object.assign(chunk, { status: 'done', reply, error: null });
+  }
+  splitJobSave(job).then(() => splitJobContinue(job));
+}
+
+/**
+ * Pause the running job when the message of its chunk failed or was stopped
+ */
+// eslint-disable-next-line no-unused-vars
+function splitJobFailed(messageId, error) {
+  splitJobOutgoing = null;
+  const job = splitJobActive;
+  if (!job) return;
+  const index = job.summary?.status === 'sent' && job.summary.messageId === messageId
+    ? 'summary'
+    : job.chunks.findIndex((c) => c.status === 'sent' && c.messageId === messageId);
+  if (index === -1) return;
+  splitJobFailedAt(job, index, error);
+}
+
+function splitJobInConversation(job) {
+  if (!job.conversationId) return true;
+  return window.location.pathname.split('/').pop() === job.conversationId;
+}
+
+// Send the job's chunks again from the first one without a reply, or only the chunk `index`
+function resumeSplitJob(jobId, index) {
+  if (isGenerating || splitJobActive) {
+    toast('Wait until the current answer is finished', 'error');
+    return;
+  }
+  splitJobsGet().then((jobs) => {
+    const job = jobs.find((j) => j.id === jobId);
+    if (!job) return;
+    if (!splitJobInConversation(job)) {
+      toast(`Open the conversation of this split job to resume it: <a href="${window.location.origin}/c/${job.conversationId}" style="text-decoration:underline;">open</a>`, 'error', 8000);
+      return;
+    }
+    job.status = 'running';
+    splitJobActive = job;
+    if (index === undefined) {
+      splitJobContinue(job);
+      return;
+    }
+    // a chunk sent again is not done until it has a new reply
+    Object.assign(job.chunks[index], { status: 'pending', error: null });
+    if (!splitJobSubmit(splitJobChunkPrompt(job, index), { jobId: job.id, index })) {
+      splitJobFailedAt(job, index, 'The chat form was not found');
+    }
+  });
+}
+
+function pauseSplitJob(jobId) {
+  splitJobUpdate(jobId, (job) => {
+    // the chunk being answered is still recorded, the next one is not sent
+    job.status = 'paused';
+  });
+}
+
+function deleteSplitJob(jobId) {
+  if (splitJobActive?.id === jobId) splitJobActive = null;
+  splitJobsGet().then((jobs) => chrome.storage.local.set({ splitJobs: jobs.filter((j) => j.id !== jobId) })).then(() => renderSplitJobs());
+}
+
+/**
+ * After a reload no chunk is being answered: chunks that were sent failed and running jobs are paused
+ */
+// eslint-disable-next-line no-unused-vars
+function initializeSplitJobs() {
+  splitJobsGet().then((jobs) => {
+    let changed = false;
+    jobs.forEach((job) => {
+      const interrupted = { status: 'failed', error: 'Interrupted by a page reload' };
+      job.chunks.forEach((chunk) => {
+        if (chunk.status === 'sent') {
+          Object.assign(chunk, interrupted);
+          changed = true;
+        }
+      });
+      if (job.summary?.status === 'sent') {
+        job.summary = { ...job.summary, ...interrupted };
+        changed = true;
+      }
+      if (job.status === 'running') {
+        job.status = 'paused';
+        changed = true;
+      }
+    });
+    return changed ? chrome.storage.local.set({ splitJobs: jobs }) : undefined;
+  }).then(() => renderSplitJobs());
+}
+
+const splitJobStatusColors = {
+  pending: '#999', sent: '#fbd986', done: '#19c37d', failed: '#ff4a4a', running: '#fbd986', paused: '#999',
+};
+
+function splitJobButton(label, onClick) {
+  const button = document.createElement('button');
+  button.classList = 'btn relative btn-neutral';
+  button.style = 'font-size: 12px; padding: 2px 8px; margin-left: 8px;';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function splitJobChunkRow(job, chunk, index) {
+  const row = document.createElement('div');
+  row.style = 'display: flex; flex-direction: column; width: 100%; padding: 6px 0; border-top: 1px solid #333; font-size: 13px; color: #ddd;';
+  const header = document.createElement('div');
+  header.style = 'display: flex; align-items: center; justify-content: space-between; width: 100%;';
+  const label = document.createElement('span');
+  label.style = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap; flex: 1;';
+  label.textContent = index === 'summary' ? 'Final summary' : `Chunk ${index + 1}: ${chunk.text.slice(0, 80)}`;
+  const status = document.createElement('span');
+  status.style = `color: ${splitJobStatusColors[chunk.status]}; margin-left: 8px;`;
+  status.textContent = chunk.error ? `${chunk.status}: ${chunk.error}` : chunk.status;
+  header.appendChild(label);
+  header.appendChild(status);
+  if (index !== 'summary' && ['done', 'failed'].includes(chunk.status) && job.status !== 'running') {
+    header.appendChild(splitJobButton('Retry', () => resumeSplitJob(job.id, index)));
+  }
+  row.appendChild(header);
+  if (chunk.reply) {
+    const reply = document.createElement('details');
+    reply.style = 'margin-top: 4px; color: #aaa;';
+    const replySummary = document.createElement('summary');
+    replySummary.style = 'cursor: pointer;';
+    replySummary.textContent = 'Reply';
+    const replyText = document.createElement('div');
+    replyText.style = 'white-space: pre-wrap; padding: 4px 0 0 16px;';
+    replyText.textContent = chunk.reply;
+    reply.appendChild(replySummary);
+    reply.appendChild(replyText);
+    row.appendChild(reply);
+  }
+  return row;
+}
+
+function splitJobsModalContent(jobs) {
+  const content = document.createElement('div');
+  content.id = 'split-jobs-content';
+  content.style = 'display: flex; flex-direction: column; width: 100%; padding: 16px; overflow-y: auto; height: 100%;';
+  if (jobs.length === 0) {
+    content.style.color = 'lightslategray';
+    content.textContent = 'No split jobs yet. Prompts longer than the Auto Split chunk size show up here.';
+    return content;
+  }
+  jobs.forEach((job) => {
+    const jobWrapper = document.createElement('div');
+    jobWrapper.style = 'display: flex; flex-direction: column; width: 100%; margin-bottom: 16px; padding: 8px; border: 1px solid #565869; border-radius: 8px;';
+    const header = document.createElement('div');
+    header.style = 'display: flex; align-items: center; width: 100%; color: white;';
+    const title = document.createElement('span');
+    title.style = 'flex: 1; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+    title.textContent = job.title;
+    const done = job.chunks.filter((chunk) => chunk.status === 'done').length;
+    const status = document.createElement('span');
+    status.style = `color: ${splitJobStatusColors[job.status] || '#19c37d'}; font-size: 13px;`;
+    status.textContent = `${job.status} - ${done}/${job.chunks.length} chunks`;
+    header.appendChild(title);
+    header.appendChild(status);
+    if (job.status === 'running') header.appendChild(splitJobButton('Pause', () => pauseSplitJob(job.id)));
+    if (job.status === 'paused') header.appendChild(splitJobButton('Resume', () => resumeSplitJob(job.id)));
+    if (job.status !== 'running') header.appendChild(splitJobButton('Delete', () => deleteSplitJob(job.id)));
+    jobWrapper.appendChild(header);
+    job.chunks.forEach((chunk, index) => jobWrapper.appendChild(splitJobChunkRow(job, chunk, index)));
+    if (job.summary) jobWrapper.appendChild(splitJobChunkRow(job, job.summary, 'summary'));
+    content.appendChild(jobWrapper);
+  });
+  return content;
+}
+
+// eslint-disable-next-line no-unused-vars
+function createSplitJobsModal() {
+  splitJobsGet().then((jobs) => {
+    const actionBar = document.createElement('div');
+    actionBar.style = 'display: flex; justify-content: end; width: 100%; margin-top: 8px;';
+    actionBar.appendChild(splitJobButton('Clear finished jobs', () => {
+      splitJobsGet().then((allJobs) => chrome.storage.local.set({ splitJobs: allJobs.filter((job) => job.status !== 'done') })).then(() => renderSplitJobs());
+    }));
+    createModal('Split Jobs', 'Prompts split by Auto Split, with the status and reply of every chunk', splitJobsModalContent(jobs), actionBar, true);
+  });
+}
+
+// Refresh the open Split Jobs modal and the indicator under the composer
+function renderSplitJobs() {
+  splitJobsGet().then((jobs) => {
+    const content = document.querySelector('#split-jobs-content');
+    if (content) content.replaceWith(splitJobsModalContent(jobs));
+
+    const existingIndicator = document.querySelector('#split-job-indicator');
+    if (existingIndicator) existingIndicator.remove();
+    const unfinished = jobs.filter((job) => job.status !== 'done');
+    const textAreaElement = domAdapter.composer();
+    if (unfinished.length === 0 || !textAreaElement) return;
+    const job = unfinished.find((j) => j.status === 'running') || unfinished[0];
+    const indicator = document.createElement('span');
+    indicator.id = 'split-job-indicator';
+    indicator.style = `position: absolute; bottom: -15px; left: 0px; font-size: 10px; color: ${splitJobStatusColors[job.status]}; opacity: 0.8; z-index: 100; cursor: pointer; text-decoration: underline;`;
+    indicator.textContent = `Split ${job.status}: ${job.chunks.filter((chunk) => chunk.status === 'done').length}/${job.chunks.length} chunks${unfinished.length > 1 ? ` (+${unfinished.length - 1})` : ''}`;
+    indicator.addEventListener('click', () => createSplitJobsModal());
+    textAreaElement.parentElement.appendChild(indicator);
+  });
+}
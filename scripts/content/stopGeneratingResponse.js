@@ -1,10 +1,10 @@
 /* eslint-disable no-restricted-globals */
 // eslint-disable-next-line no-unused-vars
-/* global isGenerating, chatStreamIsClosed:true */
+/* global isGenerating, chatStreamIsClosed:true, domAdapter */
 function toggleStopGeneratingResponseButton() {
-  const textAreaElement = document.querySelector('main form textarea');
+  const textAreaElement = domAdapter.composer();
   if (!textAreaElement) return;
-  const submitButton = document.querySelector('main form textarea ~ button');
+  const submitButton = domAdapter.sendButton();
   if (!submitButton) return;
 
   const existingStopGeneratingResponseButton = document.querySelector('#stop-generating-response-button');
@@ -25,7 +25,7 @@ function toggleStopGeneratingResponseButton() {
     newStopGeneratingResponseButton.remove();
   });
 
-  const inputForm = document.querySelector('main form');
+  const inputForm = domAdapter.composerForm();
   const inputFormActionWrapper = inputForm.querySelector('#input-form-action-wrapper');
   inputFormActionWrapper.appendChild(newStopGeneratingResponseButton);
 }
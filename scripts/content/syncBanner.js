@@ -1,3 +1,4 @@
+/* global domAdapter */
 // eslint-disable-next-line no-unused-vars
 function addSyncBanner() {
   const existingSyncBanner = document.querySelector('#sync-nav-wrapper');
@@ -18,6 +19,6 @@ function addSyncBanner() {
     navbar.textContent = `Syncing conversations to your computer. Some features like search and folders will be unavailable until sync is complete.${syncProgressLabel.textContent.split('Syncing')[1] || ''}`;
   });
 
-  const main = document.querySelector('main');
+  const main = domAdapter.main();
   main.parentNode.insertBefore(navWrapper, main);
 }
@@ -1,4 +1,4 @@
-/* global createModal */
+/* global createModal, domAdapter */
 // eslint-disable-next-line no-unused-vars
 function createTemplateWordsModal(templateWords) {
   const uniqueTemplateWords = [...new Set(templateWords)];
@@ -41,7 +41,7 @@ function templateWordsModalActions(templateWords) {
   submitButton.id = 'modal-submit-button';
 
   submitButton.addEventListener('click', (e) => {
-    const textAreaElement = document.querySelector('main form textarea');
+    const textAreaElement = domAdapter.composer();
     // replace template words in text area value with the input values associated with them
     let newValue = textAreaElement.value;
     templateWords.forEach((templateWord) => {
@@ -54,7 +54,7 @@ function templateWordsModalActions(templateWords) {
       document.querySelector('[id*=close-button]').click();
     }
     if (!e.shiftKey) {
-      const chatSubmitButton = document.querySelector('main form textarea ~ button');
+      const chatSubmitButton = domAdapter.sendButton();
       chatSubmitButton.click();
     }
   });
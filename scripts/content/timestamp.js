@@ -1,8 +1,8 @@
-/* global getAllConversations, formatDate, shiftKeyPressed: true */
+/* global getAllConversations, formatDate, shiftKeyPressed: true, domAdapter */
 function showAllCheckboxes() {
-  const nav = document.querySelector('nav');
+  const nav = domAdapter.sidebar();
   if (!nav) return;
-  const navGap = document.querySelector('nav > :nth-child(3)');
+  const navGap = domAdapter.sidebarBody();
   const conversationList = navGap.querySelector('div');
   const chatButtons = conversationList.querySelectorAll('a');
   chatButtons.forEach((button) => {
@@ -14,9 +14,9 @@ function showAllCheckboxes() {
   });
 }
 function hideAllButLastCheckboxes(lastCheckboxId) {
-  const nav = document.querySelector('nav');
+  const nav = domAdapter.sidebar();
   if (!nav) return;
-  const navGap = document.querySelector('nav > :nth-child(3)');
+  const navGap = domAdapter.sidebarBody();
   const conversationList = navGap.querySelector('div');
   const chatButtons = conversationList.querySelectorAll('a');
   chatButtons.forEach((button) => {
@@ -32,9 +32,9 @@ function hideAllButLastCheckboxes(lastCheckboxId) {
 }
 // eslint-disable-next-line no-unused-vars
 function resetSelection() {
-  const nav = document.querySelector('nav');
+  const nav = domAdapter.sidebar();
   if (!nav) return;
-  const newChatButton = nav?.querySelector('a');
+  const newChatButton = domAdapter.newChatButton();
   if (newChatButton.textContent.toLocaleLowerCase() !== 'new chat') {
     newChatButton.innerHTML = '<svg stroke="currentColor" fill="none" stroke-width="2" viewBox="0 0 24 24" stroke-linecap="round" stroke-linejoin="round" class="h-4 w-4" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>New chat';
     const exportAllButton = document.querySelector('#export-all-button');
@@ -47,7 +47,7 @@ function resetSelection() {
     });
   }
 
-  const navGap = document.querySelector('nav > :nth-child(3)');
+  const navGap = domAdapter.sidebarBody();
   const conversationList = navGap.querySelector('div');
   const chatButtons = conversationList.querySelectorAll('a');
   chatButtons.forEach((button) => {
@@ -220,8 +220,7 @@ function updateTimestamp(conversationList) {
 function updateButtonsAfterSelection(previousSelectedConversations, newSelectedConversations) {
   const previousText = previousSelectedConversations.length === 0 ? 'All' : `${previousSelectedConversations.length} Selected`;
   const newText = newSelectedConversations.length === 0 ? 'All' : `${newSelectedConversations.length} Selected`;
-  const nav = document.querySelector('nav');
-  const newChatButton = nav?.querySelector('a');
+  const newChatButton = domAdapter.newChatButton();
   // chenge export all to export selected
   const exportAllButton = document.querySelector('#export-all-button');
   if (exportAllButton) {
@@ -240,9 +239,9 @@ function updateButtonsAfterSelection(previousSelectedConversations, newSelectedC
   }
 }
 function addTimestamp() {
-  const nav = document.querySelector('nav');
+  const nav = domAdapter.sidebar();
   if (!nav) return;
-  const navGap = document.querySelector('nav > :nth-child(3)');
+  const navGap = domAdapter.sidebarBody();
   const conversationList = navGap.querySelector('div');
   updateTimestamp(conversationList);
   const observer = new MutationObserver(() => {
@@ -253,8 +252,7 @@ function addTimestamp() {
 // eslint-disable-next-line no-unused-vars
 function initializeTimestamp() {
   chrome.storage.local.get(['selectedConversations'], (result) => {
-    const nav = document.querySelector('nav');
-    const newChatButton = nav?.querySelector('a');
+    const newChatButton = domAdapter.newChatButton();
     if (newChatButton && result.selectedConversations?.length > 0) {
       newChatButton.innerHTML = '<svg stroke="currentColor" fill="none" stroke-width="2" viewBox="0 0 24 24" stroke-linecap="round" stroke-linejoin="round" class="h-4 w-4" height="1em" width="1em" xmlns="http://www.w3.org/2000/svg"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>Clear selection';
     } else {
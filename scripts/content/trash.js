@@ -0,0 +1,281 @@
+/* global toast, escapeHtml, createModal, conversationRepository, restoreConversation, loadConversationList, downloadExportFile, formatDate, deletionLog, DeletionLogActions, folderTreeContaining, folderTreeRemoveConversation */
+// Trash. Every conversation deleteConversation (api.js) hides is written to the deletion log (scripts/agents/DeletionLog.js)
+// with the folder it was in, and a toast offers to undo it. Restoring a conversation shows it in ChatGPT again and puts
+// it back at the top of the folder it was in, the folder is made again if it was deleted since. Emptying the trash
+// removes the conversations from the local store once its undo toast is gone, the pending removal is kept in
+// chrome.storage.local (trashEmptying) so a page reload does not lose it. The retention of settings.trashRetentionDays
+// runs in the background (scripts/background/trashRetention.js).
+
+const TRASH_UNDO_DURATION = 8000;
+const TRASH_LOG_SHOWN = 200;
+
+// Conversations trashed a moment apart share one undo toast, deleting a folder or a selection trashes them one by one
+let trashUndoConversationIds = [];
+let trashUndoTimeout = null;
+
+function undoToast(html, onUndo) {
+  toast(`<div class="flex items-center gap-3">${html}<button id="gptx-toast-undo" class="btn btn-neutral" style="padding:2px 8px;">Undo</button></div>`, 'info', TRASH_UNDO_DURATION);
+  document.querySelector('#gptx-toast-undo')?.addEventListener('click', () => {
+    document.querySelector('#gptx-toast')?.remove();
+    onUndo();
+  });
+}
+function conversationCount(count) {
+  return count === 1 ? '1 conversation' : `${count} conversations`;
+}
+
+// What the log keeps of a folder to make it again: everything but its conversations
+function trashFolderSummary(folder) {
+  if (!folder) return null;
+  const { conversationIds, isOpen, ...summary } = folder;
+  return summary;
+}
+
+// Log conversations deleteConversation hid and offer to undo. conversationsOrder is the order from before they were moved
+// eslint-disable-next-line no-unused-vars
+function recordTrashedConversations(conversations, conversationsOrder, source) {
+  if (conversations.length === 0) return;
+  deletionLog.add(conversations.map((conversation) => ({
+    action: DeletionLogActions.TRASHED,
+    conversationId: conversation.id,
+    title: conversation.title || '',
+    folder: trashFolderSummary(folderTreeContaining(conversationsOrder, conversation.id)),
+    source,
+  }))).catch((error) => console.error('Failed to log the deleted conversations:', error));
+  trashUndoConversationIds.push(...conversations.map((conversation) => conversation.id));
+  clearTimeout(trashUndoTimeout);
+  trashUndoTimeout = setTimeout(() => {
+    const conversationIds = trashUndoConversationIds;
+    trashUndoConversationIds = [];
+    undoToast(`${conversationCount(conversationIds.length)} moved to the trash`, () => restoreConversations(conversationIds));
+  }, 500);
+}
+
+// Put restored conversations back where they were, in place in conversationsOrder
+function trashPutBack(conversationsOrder, conversationIds, trashed) {
+  // the last one ends up at the top, like they were before
+  [...conversationIds].reverse().forEach((conversationId) => {
+    folderTreeRemoveConversation(conversationsOrder, conversationId);
+    const folder = trashed.get(conversationId)?.folder;
+    let target = folder && conversationsOrder.find((entry) => entry && typeof entry === 'object' && entry.id === folder.id);
+    if (folder && !target) {
+      target = { ...folder, conversationIds: [], isOpen: true };
+      conversationsOrder.unshift(target);
+    }
+    if (target) {
+      target.conversationIds.unshift(conversationId);
+    } else {
+      conversationsOrder.unshift(conversationId);
+    }
+  });
+  return conversationsOrder;
+}
+
+// Show conversations in ChatGPT again and put them back in their folders
+function restoreConversations(conversationIds) {
+  const restoredIds = [];
+  // one request at a time, there can be many after delete all
+  return conversationIds.reduce((previous, conversationId) => previous
+    .then(() => restoreConversation(conversationId))
+    .then((data) => {
+      if (data.success) restoredIds.push(conversationId);
+    }, () => { }), Promise.resolve())
+    .then(() => Promise.all([
+      chrome.storage.local.get(['conversationsOrder']),
+      deletionLog.list(),
+      conversationRepository.getSummaries(restoredIds),
+    ]))
+    .then(([{ conversationsOrder = [] }, log, conversations]) => {
+      if (restoredIds.length === 0) {
+        toast('Could not restore the conversations', 'error');
+        return;
+      }
+      const trashed = deletionLog.lastTrashed(log);
+      conversationRepository.patchMany(restoredIds.reduce((acc, id) => {
+        acc[id] = { archived: false };
+        return acc;
+      }, {}));
+      chrome.storage.local.set({ conversationsOrder: trashPutBack(conversationsOrder, restoredIds, trashed) }, () => {
+        loadConversationList(true);
+      });
+      deletionLog.add(restoredIds.map((conversationId) => ({
+        action: DeletionLogActions.RESTORED,
+        conversationId,
+        title: conversations[conversationId]?.title || trashed.get(conversationId)?.title || '',
+        folder: trashed.get(conversationId)?.folder || null,
+        source: 'trash',
+      }))).catch((error) => console.error('Failed to log the restored conversations:', error));
+      const failed = conversationIds.length - restoredIds.length;
+      toast(`Restored ${conversationCount(restoredIds.length)}${failed ? `, ${failed} could not be restored` : ''}`, failed ? 'warning' : 'info');
+    });
+}
+
+// Remove the conversations of an emptied trash from the local store
+function finishEmptyingTrash() {
+  chrome.storage.local.get(['trashEmptying'], ({ trashEmptying }) => {
+    // undone, or finished by another tab
+    if (!trashEmptying) return;
+    chrome.storage.local.remove('trashEmptying');
+    const { conversationIds } = trashEmptying;
+    conversationRepository.getSummaries(conversationIds).then((conversations) => conversationRepository.remove(conversationIds)
+      .then(() => deletionLog.add(conversationIds.map((conversationId) => ({
+        action: DeletionLogActions.EMPTIED,
+        conversationId,
+        title: conversations[conversationId]?.title || '',
+        source: 'emptyTrash',
+      })))))
+      .catch((error) => console.error('Failed to empty the trash:', error));
+  });
+}
+
+// Empty the trash after the undo toast is gone. trashConversationIds go back into the trash folder on undo
+// eslint-disable-next-line no-unused-vars
+function emptyTrashWithUndo(conversationIds, trashConversationIds) {
+  const trashEmptying = { conversationIds, trashConversationIds, until: Date.now() + TRASH_UNDO_DURATION };
+  chrome.storage.local.set({ trashEmptying }, () => {
+    setTimeout(finishEmptyingTrash, TRASH_UNDO_DURATION);
+  });
+  undoToast(`Emptied the trash, ${conversationCount(conversationIds.length)} will be deleted`, () => {
+    chrome.storage.local.get(['conversationsOrder', 'trashEmptying'], ({ conversationsOrder, trashEmptying: pending }) => {
+      if (!pending) {
+        toast('The trash was already emptied', 'warning');
+        return;
+      }
+      const trashFolder = conversationsOrder.find((folder) => folder?.id === 'trash');
+      trashFolder.conversationIds = [...new Set([...pending.trashConversationIds, ...trashFolder.conversationIds])];
+      chrome.storage.local.remove('trashEmptying');
+      chrome.storage.local.set({ conversationsOrder }, () => {
+        loadConversationList(true);
+      });
+    });
+  });
+}
+
+// Undo deleting a folder that had no conversations. subfolderIds are the folders that were moved out of it
+// eslint-disable-next-line no-unused-vars
+function offerFolderUndo(folder, subfolderIds) {
+  undoToast(`Deleted the folder ${escapeHtml(folder.name)}`, () => {
+    chrome.storage.local.get(['conversationsOrder'], ({ conversationsOrder }) => {
+      if (conversationsOrder.find((entry) => entry?.id === folder.id)) return;
+      conversationsOrder.forEach((entry) => {
+        if (subfolderIds.includes(entry?.id)) entry.parentId = folder.id;
+      });
+      conversationsOrder.unshift({ ...folder, conversationIds: [] });
+      chrome.storage.local.set({ conversationsOrder }, () => {
+        loadConversationList(true);
+      });
+    });
+  });
+}
+
+// An emptied trash whose undo toast was still open when the page closed
+// eslint-disable-next-line no-unused-vars
+function initializeTrash() {
+  chrome.storage.local.get(['trashEmptying'], ({ trashEmptying }) => {
+    if (!trashEmptying) return;
+    setTimeout(finishEmptyingTrash, Math.max(0, trashEmptying.until - Date.now()));
+  });
+}
+
+function trashLogFolderName(folder) {
+  return folder ? folder.name : 'no folder';
+}
+function trashModalRow(left, right) {
+  const row = document.createElement('div');
+  row.classList = 'flex items-center justify-between gap-3 py-2 border-b border-gray-200 dark:border-gray-700 text-sm';
+  row.innerHTML = `<div class="flex-1 min-w-0"></div><div class="flex items-center gap-2 text-gray-500 dark:text-gray-400" style="white-space:nowrap;"></div>`;
+  row.firstChild.append(...left);
+  row.lastChild.append(...right);
+  return row;
+}
+function trashModalText(text, classList = '') {
+  const element = document.createElement('div');
+  element.classList = classList;
+  element.innerText = text;
+  return element;
+}
+
+// Trashed conversations with their restore buttons, and the deletion log
+// eslint-disable-next-line no-unused-vars
+function createTrashModal() {
+  Promise.all([
+    chrome.storage.local.get(['conversationsOrder', 'settings']),
+    deletionLog.list(),
+  ]).then(([{ conversationsOrder = [], settings }, log]) => {
+    const trashConversationIds = conversationsOrder.find((folder) => folder?.id === 'trash')?.conversationIds || [];
+    return conversationRepository.getSummaries(trashConversationIds).then((conversations) => {
+      const trashed = deletionLog.lastTrashed(log);
+      const days = Number(settings?.trashRetentionDays) || 0;
+
+      const bodyContent = document.createElement('div');
+      bodyContent.classList = 'flex flex-col w-full p-4 overflow-y-auto text-gray-800 dark:text-gray-100';
+      bodyContent.style = 'max-height:70vh;';
+      bodyContent.appendChild(trashModalText(days > 0
+        ? `Conversations are deleted ${days} day${days === 1 ? '' : 's'} after they were moved to the trash.`
+        : 'Conversations stay in the trash until it is emptied. Set a retention in Settings > Auto Sync.', 'text-sm text-gray-500 mb-2'));
+
+      bodyContent.appendChild(trashModalText(`In the trash (${trashConversationIds.length})`, 'font-semibold mt-2'));
+      if (trashConversationIds.length === 0) {
+        bodyContent.appendChild(trashModalText('The trash is empty', 'text-sm text-gray-500 py-2'));
+      }
+      trashConversationIds.forEach((conversationId) => {
+        const entry = trashed.get(conversationId);
+        const restoreButton = document.createElement('button');
+        restoreButton.classList = 'btn btn-neutral';
+        restoreButton.style = 'padding:2px 8px;';
+        restoreButton.innerText = 'Restore';
+        restoreButton.addEventListener('click', () => {
+          restoreButton.disabled = true;
+          restoreConversations([conversationId]).then(() => restoreButton.closest('.border-b')?.remove());
+        });
+        bodyContent.appendChild(trashModalRow([
+          trashModalText(conversations[conversationId]?.title || entry?.title || conversationId, 'truncate'),
+        ], [
+          trashModalText(entry ? `${formatDate(new Date(entry.at))} from ${trashLogFolderName(entry.folder)}` : ''),
+          restoreButton,
+        ]));
+      });
+
+      bodyContent.appendChild(trashModalText(`Deletion log (${log.length})`, 'font-semibold mt-4'));
+      if (log.length === 0) {
+        bodyContent.appendChild(trashModalText('Nothing was deleted yet', 'text-sm text-gray-500 py-2'));
+      }
+      log.slice(0, TRASH_LOG_SHOWN).forEach((entry) => {
+        bodyContent.appendChild(trashModalRow([
+          trashModalText(entry.title || entry.conversationId, 'truncate'),
+        ], [
+          trashModalText(`${entry.action} (${entry.source}), ${trashLogFolderName(entry.folder)}, ${formatDate(new Date(entry.at))}`),
+        ]));
+      });
+      if (log.length > TRASH_LOG_SHOWN) {
+        bodyContent.appendChild(trashModalText(`${log.length - TRASH_LOG_SHOWN} older entries are in the export`, 'text-sm text-gray-500 py-2'));
+      }
+
+      const actionBar = document.createElement('div');
+      actionBar.classList = 'flex items-center justify-end w-full gap-2 mt-3';
+      const exportCsvButton = document.createElement('button');
+      exportCsvButton.classList = 'btn btn-neutral';
+      exportCsvButton.innerText = 'Export log (CSV)';
+      exportCsvButton.addEventListener('click', () => {
+        deletionLog.list().then((entries) => downloadExportFile('deletion-log.csv', deletionLog.toCsv(entries)));
+      });
+      const exportJsonButton = document.createElement('button');
+      exportJsonButton.classList = 'btn btn-neutral';
+      exportJsonButton.innerText = 'Export log (JSON)';
+      exportJsonButton.addEventListener('click', () => {
+        deletionLog.list().then((entries) => downloadExportFile('deletion-log.json', JSON.stringify(entries, null, 2)));
+      });
+      const restoreAllButton = document.createElement('button');
+      restoreAllButton.classList = 'btn btn-primary';
+      restoreAllButton.innerText = 'Restore all';
+      restoreAllButton.disabled = trashConversationIds.length === 0;
+      restoreAllButton.addEventListener('click', () => {
+        restoreAllButton.disabled = true;
+        restoreConversations(trashConversationIds).then(() => document.querySelector('#modal-trash')?.remove());
+      });
+      actionBar.append(exportCsvButton, exportJsonButton, restoreAllButton);
+
+      createModal('Trash', 'Restore deleted conversations and export the deletion log', bodyContent, actionBar);
+    });
+  });
+}
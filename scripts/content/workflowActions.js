@@ -0,0 +1,132 @@
+/* global renameConversation, deleteConversation, generateChat, syncLocalConversation, conversationRepository, loadConversationList, saveProviderChat */
+// Workflow actions that need the chat page. WorkflowAutomationAgent (scripts/agents/WorkflowAutomationAgent.js) runs in
+// the background and sends them to the ChatGPT tab used last. They make the same API calls and conversationsOrder
+// changes as the sidebar, then reload the conversation list.
+
+// Take conversations out of the top level and the folders, and put them at the top of a folder
+function workflowMoveConversations(conversationsOrder, conversationIds, targetFolder) {
+  const newConversationsOrder = conversationsOrder.filter((item) => typeof item !== 'string' || !conversationIds.includes(item));
+  newConversationsOrder.forEach((folder) => {
+    if (typeof folder !== 'string' && folder.conversationIds) {
+      folder.conversationIds = folder.conversationIds.filter((id) => !conversationIds.includes(id));
+    }
+  });
+  targetFolder.conversationIds.unshift(...conversationIds);
+  return newConversationsOrder;
+}
+
+function workflowActionMoveToFolder({ conversationIds, folderId, folderName }) {
+  return chrome.storage.local.get(['conversationsOrder']).then(({ conversationsOrder = [] }) => {
+    const folders = conversationsOrder.filter((item) => typeof item !== 'string' && item.id !== 'trash');
+    const folder = folderId
+      ? folders.find((f) => f.id === folderId)
+      : folders.find((f) => f.name === folderName);
+    if (!folder) throw new Error(`Folder not found: ${folderId || folderName}`);
+    // the folder object is in the new order as well
+    const newConversationsOrder = workflowMoveConversations(conversationsOrder, conversationIds, folder);
+    return chrome.storage.local.set({ conversationsOrder: newConversationsOrder }).then(() => {
+      loadConversationList(true);
+      return { movedToFolder: folder.id, conversationIds };
+    });
+  });
+}
+
+function workflowActionRename({ conversationIds, title }) {
+  return Promise.all(conversationIds.map((conversationId) => renameConversation(conversationId, title).then((data) => {
+    if (!data.success) throw new Error(`Could not rename ${conversationId}`);
+    syncLocalConversation(conversationId, 'title', title);
+    const conversationTitle = document.querySelector(`#conversation-title-${conversationId}`);
+    if (conversationTitle) conversationTitle.innerText = title;
+  }))).then(() => ({ renamed: conversationIds, title }));
+}
+
+// Like deleting from the sidebar: hidden in ChatGPT, archived locally and moved to the trash folder
+function workflowActionArchive({ conversationIds }) {
+  return Promise.all(conversationIds.map((conversationId) => deleteConversation(conversationId, 'workflow').then((data) => {
+    if (!data.success) throw new Error(`Could not archive ${conversationId}`);
+    syncLocalConversation(conversationId, 'archived', true);
+  }).catch((error) => {
+    // failed requests reject with the response
+    throw error instanceof Error ? error : new Error(`Could not archive ${conversationId}: ${error.status}`);
+  }))).then(() => chrome.storage.local.get(['conversationsOrder'])).then(({ conversationsOrder = [] }) => {
+    const trashFolder = conversationsOrder.find((folder) => folder.id === 'trash');
+    if (!trashFolder) return undefined;
+    return chrome.storage.local.set({ conversationsOrder: workflowMoveConversations(conversationsOrder, conversationIds, trashFolder) });
+  }).then(() => {
+    loadConversationList(true);
+    return { archived: conversationIds };
+  });
+}
+
+// Send a prompt without the chat form, in a new conversation or after the current message of one
+function workflowActionSendPrompt({ prompt, conversationId }) {
+  const parentMessageId = conversationId
+    ? conversationRepository.get(conversationId).then((conversation) => {
+      if (!conversation) throw new Error(`Conversation not found: ${conversationId}`);
+      return conversation.current_node;
+    })
+    : Promise.resolve(self.crypto.randomUUID());
+  return Promise.all([parentMessageId, chrome.storage.local.get(['settings'])])
+    .then(([parentId, { settings }]) => generateChat(prompt, conversationId, self.crypto.randomUUID(), parentId, null, [], settings.saveHistory)
+      .then((chatStream) => new Promise((resolve, reject) => {
+        let lastData = null;
+        chatStream.addEventListener('message', (e) => {
+          if (e.data === '[DONE]') {
+            chatStream.close();
+            if (!lastData) {
+              reject(new Error('ChatGPT did not answer'));
+              return;
+            }
+            const result = {
+              conversationId: lastData.conversation_id,
+              messageId: lastData.message.id,
+              response: lastData.message.content.parts.join(''),
+            };
+            // the ChatGPT backend keeps its conversations, other chat providers are only saved here
+            if (!chatStream.providerMessages) {
+              resolve(result);
+              return;
+            }
+            saveProviderChat(result.conversationId, parentId, chatStream.providerMessages, lastData.message, settings)
+              .then(() => resolve(result), reject);
+            return;
+          }
+          if (e.event === 'ping') return;
+          try {
+            const data = JSON.parse(e.data);
+            if (data.error) {
+              chatStream.close();
+              reject(new Error(data.error));
+            } else if (data.message && data.message.author.role === 'assistant') {
+              lastData = data;
+            }
+          } catch (error) {
+            // not a message
+          }
+        });
+        chatStream.addEventListener('error', () => {
+          reject(new Error('The ChatGPT request failed'));
+        });
+      })));
+}
+
+const workflowPageActions = {
+  moveToFolder: workflowActionMoveToFolder,
+  rename: workflowActionRename,
+  archive: workflowActionArchive,
+  sendPrompt: workflowActionSendPrompt,
+};
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (!request || !request.workflowPageAction) return false;
+  const { type, params } = request.workflowPageAction;
+  const action = workflowPageActions[type];
+  if (!action) {
+    sendResponse({ ok: false, error: `Unknown workflow page action: ${type}` });
+    return false;
+  }
+  action(params)
+    .then((result) => sendResponse({ ok: true, result }))
+    .catch((error) => sendResponse({ ok: false, error: error.message || String(error) }));
+  return true;
+});
@@ -0,0 +1,541 @@
+/* global createModal, Sortable, toast, agentManager, ScheduleCatchUpPolicies */
+// Visual workflow builder. Workflows of WorkflowAutomationAgent (scripts/agents/WorkflowAutomationAgent.js) are
+// edited as a draft: a trigger, and a list of actions that are reordered by dragging, each with its parameters,
+// error policy and, for conditions, the actions of its branches. The agent validates the draft, dry-runs and saves it.
+
+let workflowBuilderListCount = 0;
+
+function workflowBuilderRequest(type, data = {}) {
+  return agentManager.dispatchTask({ type, data, persist: false });
+}
+
+function workflowBuilderClone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function workflowBuilderIsPlaceholder(value) {
+  return typeof value === 'string' && /\{\{[^}]+\}\}/.test(value);
+}
+
+// Text of a parameter value in its input
+function workflowBuilderFormatValue(param, value) {
+  if (value === undefined || value === null) return '';
+  if (workflowBuilderIsPlaceholder(value)) return value;
+  if (param.type === 'array') return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+// Value of a parameter input, undefined when empty. Values that do not parse are kept as text for validation to report.
+function workflowBuilderParseValue(param, text) {
+  if (text.trim() === '') return undefined;
+  if (workflowBuilderIsPlaceholder(text) || param.type === 'string') return text;
+  if (param.type === 'number') return Number.isNaN(Number(text)) ? text : Number(text);
+  if (param.type === 'boolean') return text === 'true';
+  if (param.type === 'array') return text.split(',').map((item) => item.trim()).filter(Boolean);
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+// Condition values are numbers and booleans when they look like one
+function workflowBuilderConditionValue(text) {
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (text.trim() !== '' && !Number.isNaN(Number(text))) return Number(text);
+  return text;
+}
+
+function workflowBuilderLabel(text) {
+  const label = document.createElement('div');
+  label.style = 'font-size: 12px; color: #999; margin: 8px 0 4px 0;';
+  label.textContent = text;
+  return label;
+}
+
+function workflowBuilderInput(value, placeholder, onInput, multiline = false) {
+  const input = document.createElement(multiline ? 'textarea' : 'input');
+  input.style = `width: 100%; border: 1px solid #565869; border-radius: 4px; background-color: #2d2d3a; color: #eee; padding: 4px 8px; font-size: 14px;${multiline ? 'height: 64px; resize: vertical; font-family: monospace;' : ''}`;
+  input.value = value;
+  input.placeholder = placeholder;
+  input.dir = 'auto';
+  input.addEventListener('input', () => onInput(input.value));
+  return input;
+}
+
+function workflowBuilderSelect(options, value, onChange) {
+  const select = document.createElement('select');
+  select.style = 'border: 1px solid #565869; border-radius: 4px; background-color: #2d2d3a; color: #eee; padding: 4px 24px 4px 8px; font-size: 14px;';
+  options.forEach(([optionValue, optionLabel]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = optionLabel;
+    option.selected = optionValue === value;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+function workflowBuilderButton(text, onClick, primary = false) {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.classList = `btn flex justify-center gap-2 ${primary ? 'btn-primary' : 'btn-dark'} border-0 md:border mr-2`;
+  button.addEventListener('click', (e) => {
+    e.preventDefault();
+    onClick(button);
+  });
+  return button;
+}
+
+// Rows of { field, operator, value }, changed in place
+function workflowBuilderConditions(conditions, operators) {
+  const wrapper = document.createElement('div');
+  wrapper.style = 'display: flex; flex-direction: column; width: 100%;';
+  const render = () => {
+    wrapper.innerHTML = '';
+    conditions.forEach((condition, index) => {
+      const row = document.createElement('div');
+      row.style = 'display: flex; flex-direction: row; align-items: center; width: 100%; margin-bottom: 4px; gap: 4px;';
+      row.appendChild(workflowBuilderInput(condition.field || '', 'Field, e.g. conversation.title', (text) => {
+        condition.field = text;
+      }));
+      row.appendChild(workflowBuilderSelect(operators.map((operator) => [operator, operator.replace('_', ' ')]), condition.operator, (operator) => {
+        condition.operator = operator;
+      }));
+      row.appendChild(workflowBuilderInput(condition.value === undefined ? '' : String(condition.value), 'Value', (text) => {
+        condition.value = workflowBuilderConditionValue(text);
+      }));
+      row.appendChild(workflowBuilderButton('Remove', () => {
+        conditions.splice(index, 1);
+        render();
+      }));
+      wrapper.appendChild(row);
+    });
+    wrapper.appendChild(workflowBuilderButton('+ Add condition', () => {
+      conditions.push({ field: '', operator: operators[0], value: '' });
+      render();
+    }));
+  };
+  render();
+  return wrapper;
+}
+
+function workflowBuilderParams(action, schema) {
+  const wrapper = document.createElement('div');
+  wrapper.style = 'display: flex; flex-direction: column; width: 100%;';
+  const { params } = schema.actions[action.type];
+  Object.entries(params).forEach(([name, param]) => {
+    // the conditions of a condition action have their own editor
+    if (action.type === 'condition' && name === 'conditions') return;
+    wrapper.appendChild(workflowBuilderLabel(`${name}${param.required ? ' *' : ''} (${param.type})`));
+    const value = action.params[name];
+    const setValue = (text) => {
+      const parsed = workflowBuilderParseValue(param, text);
+      if (parsed === undefined) {
+        delete action.params[name];
+      } else {
+        action.params[name] = parsed;
+      }
+    };
+    if (param.type === 'boolean') {
+      wrapper.appendChild(workflowBuilderSelect([['', 'Not set'], ['true', 'Yes'], ['false', 'No']], value === undefined ? '' : String(value), setValue));
+      return;
+    }
+    const multiline = param.type === 'object' || param.type === 'any';
+    const placeholder = param.default === undefined ? 'Value or {{placeholder}}' : `Default: ${workflowBuilderFormatValue(param, param.default)}`;
+    wrapper.appendChild(workflowBuilderInput(workflowBuilderFormatValue(param, value), placeholder, setValue, multiline));
+  });
+  return wrapper;
+}
+
+function workflowBuilderErrorPolicy(action, schema) {
+  const wrapper = document.createElement('div');
+  wrapper.style = 'display: flex; flex-direction: row; align-items: center; gap: 4px; margin-top: 8px; font-size: 12px; color: #999;';
+  const render = () => {
+    wrapper.innerHTML = '';
+    wrapper.appendChild(document.createTextNode('On error'));
+    wrapper.appendChild(workflowBuilderSelect(schema.errorPolicies.map((policy) => [policy, policy]), action.onError || 'stop', (policy) => {
+      if (policy === 'stop') {
+        delete action.onError;
+      } else {
+        action.onError = policy;
+      }
+      if (policy !== 'retry') delete action.retry;
+      render();
+    }));
+    if (action.onError !== 'retry') return;
+    const retry = action.retry || {};
+    wrapper.appendChild(document.createTextNode('attempts'));
+    wrapper.appendChild(workflowBuilderInput(retry.attempts === undefined ? '' : String(retry.attempts), '3', (text) => {
+      action.retry = { ...action.retry, attempts: Number(text) || undefined };
+    }));
+    wrapper.appendChild(document.createTextNode('first delay (ms)'));
+    wrapper.appendChild(workflowBuilderInput(retry.delay === undefined ? '' : String(retry.delay), '1000', (text) => {
+      action.retry = { ...action.retry, delay: Number(text) || undefined };
+    }));
+  };
+  render();
+  return wrapper;
+}
+
+// A list of actions, changed in place. Actions are reordered by dragging their handle.
+function workflowBuilderActionList(actions, schema) {
+  workflowBuilderListCount += 1;
+  const listId = `workflow-builder-list-${workflowBuilderListCount}`;
+  const wrapper = document.createElement('div');
+  wrapper.style = 'display: flex; flex-direction: column; width: 100%;';
+  const list = document.createElement('div');
+  list.id = listId;
+  list.style = 'display: flex; flex-direction: column; width: 100%;';
+  wrapper.appendChild(list);
+
+  const render = () => {
+    list.innerHTML = '';
+    actions.forEach((action, index) => {
+      // eslint-disable-next-line no-use-before-define
+      list.appendChild(workflowBuilderActionCard(actions, index, schema, listId, render));
+    });
+  };
+  // eslint-disable-next-line no-unused-vars
+  const sortable = Sortable.create(list, {
+    handle: `[data-workflow-list="${listId}"]`,
+    direction: 'vertical',
+    onEnd: (event) => {
+      const { oldIndex, newIndex } = event;
+      if (oldIndex === newIndex) return;
+      const [moved] = actions.splice(oldIndex, 1);
+      actions.splice(newIndex, 0, moved);
+      render();
+    },
+  });
+
+  const addRow = document.createElement('div');
+  addRow.style = 'display: flex; flex-direction: row; align-items: center; gap: 4px; margin-top: 4px;';
+  const types = Object.keys(schema.actions);
+  let newType = types[0];
+  addRow.appendChild(workflowBuilderSelect(types.map((type) => [type, type]), newType, (type) => {
+    newType = type;
+  }));
+  addRow.appendChild(workflowBuilderButton('+ Add action', () => {
+    actions.push(newType === 'condition' ? {
+      type: newType, params: { conditions: [] }, then: [], else: [],
+    } : { type: newType, params: {} });
+    render();
+  }));
+  wrapper.appendChild(addRow);
+  render();
+  return wrapper;
+}
+
+function workflowBuilderActionCard(actions, index, schema, listId, renderList) {
+  const action = actions[index];
+  action.params = action.params || {};
+  const card = document.createElement('div');
+  card.style = 'display: flex; flex-direction: row; width: 100%; border: 1px solid #565869; border-radius: 4px; margin-bottom: 8px;';
+  const handle = document.createElement('div');
+  handle.dataset.workflowList = listId;
+  handle.title = 'Drag to reorder';
+  handle.style = 'display: flex; align-items: center; justify-content: center; width: 32px; min-width: 32px; background-color: #2d2d3a; color: #eee; cursor: grab; border-top-left-radius: 4px; border-bottom-left-radius: 4px;';
+  handle.textContent = index + 1;
+  card.appendChild(handle);
+
+  const body = document.createElement('div');
+  body.style = 'display: flex; flex-direction: column; width: 100%; padding: 8px; min-width: 0;';
+  const header = document.createElement('div');
+  header.style = 'display: flex; flex-direction: row; justify-content: space-between; align-items: center;';
+  const title = document.createElement('div');
+  title.style = 'color: white; font-size: 14px;';
+  title.textContent = `${action.type}${schema.actions[action.type].page ? ' (in the ChatGPT tab)' : ''}`;
+  header.appendChild(title);
+  header.appendChild(workflowBuilderButton('Delete', () => {
+    actions.splice(index, 1);
+    renderList();
+  }));
+  body.appendChild(header);
+
+  if (action.type === 'condition') {
+    if (!Array.isArray(action.params.conditions)) action.params.conditions = [];
+    body.appendChild(workflowBuilderLabel('All of these conditions match'));
+    body.appendChild(workflowBuilderConditions(action.params.conditions, schema.operators));
+    ['then', 'else'].forEach((branch) => {
+      action[branch] = action[branch] || [];
+      body.appendChild(workflowBuilderLabel(branch === 'then' ? 'Then' : 'Else'));
+      const branchList = workflowBuilderActionList(action[branch], schema);
+      branchList.style.paddingLeft = '8px';
+      branchList.style.borderLeft = '2px solid #565869';
+      body.appendChild(branchList);
+    });
+  } else {
+    body.appendChild(workflowBuilderParams(action, schema));
+    body.appendChild(workflowBuilderErrorPolicy(action, schema));
+  }
+  card.appendChild(body);
+  return card;
+}
+
+function workflowBuilderSchedule(trigger) {
+  const wrapper = document.createElement('div');
+  wrapper.style = 'display: flex; flex-direction: column; width: 100%;';
+  const preview = document.createElement('div');
+  preview.style = 'font-size: 12px; color: #999; margin-top: 4px; white-space: pre-wrap;';
+  const render = () => {
+    wrapper.innerHTML = '';
+    const { schedule } = trigger;
+    const row = document.createElement('div');
+    row.style = 'display: flex; flex-direction: row; align-items: center; gap: 4px; width: 100%;';
+    row.appendChild(workflowBuilderSelect([['interval', 'Every'], ['cron', 'Cron']], schedule.type, (type) => {
+      trigger.schedule = type === 'cron'
+        ? { type, value: '0 9 * * 1', catchUp: schedule.catchUp }
+        : { type, value: 3600000, catchUp: schedule.catchUp };
+      render();
+    }));
+    if (schedule.type === 'cron') {
+      row.appendChild(workflowBuilderInput(schedule.value, 'Minute hour day month weekday', (text) => {
+        schedule.value = text;
+      }));
+      row.appendChild(workflowBuilderInput(schedule.timezone || '', Intl.DateTimeFormat().resolvedOptions().timeZone, (text) => {
+        if (text.trim()) {
+          schedule.timezone = text.trim();
+        } else {
+          delete schedule.timezone;
+        }
+      }));
+    } else {
+      row.appendChild(workflowBuilderInput(String(schedule.value / 60000), 'Minutes', (text) => {
+        schedule.value = Number(text) * 60000;
+      }));
+      row.appendChild(document.createTextNode('minutes'));
+    }
+    wrapper.appendChild(row);
+    const catchUpRow = document.createElement('div');
+    catchUpRow.style = 'display: flex; flex-direction: row; align-items: center; gap: 4px; margin-top: 4px; font-size: 12px; color: #999;';
+    catchUpRow.appendChild(document.createTextNode('Runs missed while the browser was closed'));
+    catchUpRow.appendChild(workflowBuilderSelect([
+      [ScheduleCatchUpPolicies.ONCE, 'run once'],
+      [ScheduleCatchUpPolicies.ALL, 'all run'],
+      [ScheduleCatchUpPolicies.SKIP, 'are skipped'],
+    ], schedule.catchUp || ScheduleCatchUpPolicies.ONCE, (catchUp) => {
+      schedule.catchUp = catchUp;
+    }));
+    catchUpRow.appendChild(workflowBuilderButton('Preview', () => {
+      workflowBuilderRequest('previewWorkflowSchedule', { schedule: trigger.schedule, count: 5 }).then((result) => {
+        preview.textContent = result.runs.length > 0
+          ? `Next runs:\n${result.runs.map((run) => new Date(run).toLocaleString()).join('\n')}`
+          : 'This schedule never runs';
+      }).catch((error) => {
+        preview.textContent = error.message;
+      });
+    }));
+    wrapper.appendChild(catchUpRow);
+    preview.textContent = '';
+    wrapper.appendChild(preview);
+  };
+  render();
+  return wrapper;
+}
+
+// Debounce, rate limit and quiet period of an event trigger, empty for the defaults
+function workflowBuilderTriggerLimits(trigger, defaults) {
+  const wrapper = document.createElement('div');
+  wrapper.style = 'display: flex; flex-direction: row; flex-wrap: wrap; align-items: center; gap: 4px; margin-top: 8px; font-size: 12px; color: #999;';
+  const setNumber = (name) => (text) => {
+    if (text.trim() === '') {
+      delete trigger[name];
+    } else {
+      trigger[name] = Number(text);
+    }
+  };
+  wrapper.appendChild(document.createTextNode('Debounce (ms)'));
+  wrapper.appendChild(workflowBuilderInput(trigger.debounce === undefined ? '' : String(trigger.debounce), String(defaults.debounce), setNumber('debounce')));
+  wrapper.appendChild(document.createTextNode('at most'));
+  const rateLimit = trigger.rateLimit || {};
+  const setRateLimit = (name) => (text) => {
+    trigger.rateLimit = { ...defaults.rateLimit, ...trigger.rateLimit, [name]: text.trim() === '' ? defaults.rateLimit[name] : Number(text) };
+  };
+  wrapper.appendChild(workflowBuilderInput(rateLimit.max === undefined ? '' : String(rateLimit.max), String(defaults.rateLimit.max), setRateLimit('max')));
+  wrapper.appendChild(document.createTextNode('runs per (ms)'));
+  wrapper.appendChild(workflowBuilderInput(rateLimit.period === undefined ? '' : String(rateLimit.period), String(defaults.rateLimit.period), setRateLimit('period')));
+  wrapper.appendChild(document.createTextNode('ignore the conversation after a run for (ms)'));
+  wrapper.appendChild(workflowBuilderInput(trigger.quietPeriod === undefined ? '' : String(trigger.quietPeriod), String(defaults.quietPeriod), setNumber('quietPeriod')));
+  return wrapper;
+}
+
+function workflowBuilderTrigger(draft, schema) {
+  const wrapper = document.createElement('div');
+  wrapper.style = 'display: flex; flex-direction: column; width: 100%;';
+  const render = () => {
+    wrapper.innerHTML = '';
+    const { trigger } = draft;
+    wrapper.appendChild(workflowBuilderSelect(Object.entries(schema.triggers).map(([type, { description }]) => [type, description]), trigger.type, (type) => {
+      draft.trigger = type === 'schedule'
+        ? { type, schedule: { type: 'interval', value: 86400000 } }
+        : { type, conditions: [] };
+      render();
+    }));
+    if (trigger.type === 'schedule') {
+      wrapper.appendChild(workflowBuilderSchedule(trigger));
+      return;
+    }
+    Object.entries(schema.triggers[trigger.type].params).forEach(([name, param]) => {
+      wrapper.appendChild(workflowBuilderLabel(`${name}${param.required ? ' *' : ''} (${param.type})`));
+      wrapper.appendChild(workflowBuilderInput(workflowBuilderFormatValue(param, trigger[name]), 'Value', (text) => {
+        const parsed = workflowBuilderParseValue(param, text);
+        if (parsed === undefined) {
+          delete trigger[name];
+        } else {
+          trigger[name] = parsed;
+        }
+      }));
+    });
+    trigger.conditions = trigger.conditions || [];
+    wrapper.appendChild(workflowBuilderLabel('Only when all of these conditions match the event, matches takes a regular expression like /error/i'));
+    wrapper.appendChild(workflowBuilderConditions(trigger.conditions, schema.operators));
+    wrapper.appendChild(workflowBuilderTriggerLimits(trigger, schema.triggerDefaults));
+  };
+  render();
+  return wrapper;
+}
+
+// What a dry run starts with: the conversation open on the page for events, the current time for schedules
+function workflowBuilderDryRunContext(trigger) {
+  if (trigger.type === 'schedule') return { scheduledTime: Date.now() };
+  const { pathname } = window.location;
+  const conversationId = pathname.startsWith('/c/') ? pathname.split('/').pop().replace(/[^a-z0-9-]/gi, '') : undefined;
+  return conversationId ? { conversationId } : {};
+}
+
+function workflowBuilderResults(output, execution) {
+  output.innerHTML = '';
+  const summary = document.createElement('div');
+  summary.style = `font-size: 14px; margin-bottom: 4px; color: ${execution.status === 'completed' ? '#19c37d' : '#ff4a4a'};`;
+  summary.textContent = execution.status === 'completed'
+    ? `Dry run completed in ${execution.duration} ms, nothing was changed`
+    : `Dry run failed: ${execution.error}`;
+  output.appendChild(summary);
+  execution.results.filter(Boolean).forEach((result) => {
+    const row = document.createElement('div');
+    row.style = 'font-size: 12px; color: #ccc; margin-bottom: 4px;';
+    const details = result.status === 'skipped' ? result.preview : result.output;
+    row.textContent = `${result.action}: ${result.status}${result.error ? ` (${result.error})` : ''}`;
+    if (details && Object.keys(details).length > 0) {
+      const pre = document.createElement('pre');
+      pre.style = 'max-height: 120px; overflow-y: scroll; color: #999; background-color: #2d2d3a; border-radius: 4px; padding: 4px 8px; white-space: pre-wrap;';
+      pre.textContent = JSON.stringify(details, null, 2);
+      row.appendChild(pre);
+    }
+    output.appendChild(row);
+  });
+}
+
+/**
+ * Open the workflow builder
+ * @param {object} [workflow] - Workflow to edit, a new one when omitted
+ * @param {Function} [onSave] - Called with the saved workflow
+ */
+// eslint-disable-next-line no-unused-vars
+function createWorkflowBuilderModal(workflow, onSave = () => {}) {
+  Promise.all([
+    workflowBuilderRequest('getWorkflowSchema'),
+    workflowBuilderRequest('getWorkflowTemplates'),
+  ]).then(([schema, templates]) => {
+    let draft = workflow ? workflowBuilderClone(workflow) : {
+      name: '', description: '', enabled: true, trigger: { type: 'conversation_created', conditions: [] }, actions: [],
+    };
+
+    const content = document.createElement('div');
+    content.id = 'modal-content-workflow-builder';
+    content.style = 'display: flex; flex-direction: column; justify-content: start; align-items: start; overflow-y: scroll; width: 100%; height: 100%; padding: 16px;';
+    const form = document.createElement('div');
+    form.style = 'display: flex; flex-direction: column; width: 100%;';
+    const output = document.createElement('div');
+    output.style = 'display: flex; flex-direction: column; width: 100%; margin-top: 16px;';
+    content.appendChild(form);
+    content.appendChild(output);
+
+    const section = (text) => {
+      const heading = document.createElement('div');
+      heading.style = 'font-size: 12px; color: #ccc; text-transform: uppercase; margin: 16px 0 4px 0; padding-top: 8px; border-top: 1px solid #565869; width: 100%;';
+      heading.textContent = text;
+      form.appendChild(heading);
+    };
+    const renderForm = () => {
+      form.innerHTML = '';
+      output.innerHTML = '';
+      if (!draft.id) {
+        form.appendChild(workflowBuilderLabel('Start from a template'));
+        form.appendChild(workflowBuilderSelect([['', 'Blank workflow'], ...templates.map((template) => [template.id, template.name])], '', (templateId) => {
+          const template = templates.find((t) => t.id === templateId);
+          if (!template) return;
+          const { id, ...definition } = workflowBuilderClone(template);
+          draft = { ...definition, enabled: true };
+          renderForm();
+        }));
+      }
+      form.appendChild(workflowBuilderLabel('Name *'));
+      form.appendChild(workflowBuilderInput(draft.name || '', 'Workflow name', (text) => {
+        draft.name = text;
+      }));
+      form.appendChild(workflowBuilderLabel('Description'));
+      form.appendChild(workflowBuilderInput(draft.description || '', 'What the workflow does', (text) => {
+        draft.description = text;
+      }));
+      form.appendChild(workflowBuilderLabel('Enabled'));
+      form.appendChild(workflowBuilderSelect([['true', 'Yes'], ['false', 'No']], String(draft.enabled !== false), (enabled) => {
+        draft.enabled = enabled === 'true';
+      }));
+      section('Trigger');
+      form.appendChild(workflowBuilderTrigger(draft, schema));
+      section('Actions');
+      form.appendChild(workflowBuilderLabel('Each action gets the output of the previous ones, use {{field}} in a parameter to insert a value'));
+      draft.actions = draft.actions || [];
+      form.appendChild(workflowBuilderActionList(draft.actions, schema));
+    };
+    renderForm();
+
+    const actionBar = document.createElement('div');
+    actionBar.style = 'display: flex; flex-direction: row; justify-content: start; align-items: center; margin-top: 8px; width: 100%;';
+    const status = document.createElement('div');
+    status.style = 'font-size: 12px; color: #999; margin-left: 8px;';
+    const showValidation = (result) => {
+      status.style.color = result.valid ? '#19c37d' : '#ff4a4a';
+      status.textContent = result.valid ? 'The workflow is valid' : result.error;
+      return result.valid;
+    };
+    actionBar.appendChild(workflowBuilderButton('Validate', () => {
+      workflowBuilderRequest('validateWorkflow', { workflow: draft }).then(showValidation).catch((error) => toast(error.message, 'error'));
+    }));
+    actionBar.appendChild(workflowBuilderButton('Dry run', (button) => {
+      button.disabled = true;
+      workflowBuilderRequest('validateWorkflow', { workflow: draft }).then((result) => {
+        if (!showValidation(result)) return undefined;
+        status.textContent = 'Running...';
+        return workflowBuilderRequest('dryRunWorkflow', { workflow: draft, context: workflowBuilderDryRunContext(draft.trigger) }).then((execution) => {
+          status.textContent = '';
+          workflowBuilderResults(output, execution);
+        });
+      }).catch((error) => toast(error.message, 'error')).finally(() => {
+        button.disabled = false;
+      });
+    }));
+    actionBar.appendChild(workflowBuilderButton('Save', (button) => {
+      button.disabled = true;
+      workflowBuilderRequest('validateWorkflow', { workflow: draft }).then((result) => {
+        if (!showValidation(result)) return undefined;
+        return workflowBuilderRequest('createWorkflow', { workflow: draft }).then((savedWorkflow) => {
+          toast(`Workflow ${savedWorkflow.name} saved`, 'success');
+          document.getElementById('modal-close-button-workflow-builder').click();
+          onSave(savedWorkflow);
+        });
+      }).catch((error) => toast(error.message, 'error')).finally(() => {
+        button.disabled = false;
+      });
+    }, true));
+    actionBar.appendChild(status);
+
+    createModal('Workflow Builder', 'Pick a trigger, then add and drag actions into the order they run in', content, actionBar, true);
+  }).catch((error) => {
+    toast(`Workflows are not available: ${error.message}`, 'error');
+  });
+}